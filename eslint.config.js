@@ -0,0 +1,42 @@
+/**
+ * ESLint flat config (ESLint 9 no longer reads .eslintrc.json)
+ */
+
+const js = require('@eslint/js');
+const globals = require('globals');
+const prettier = require('eslint-config-prettier');
+
+module.exports = [
+    {
+        ignores: ['coverage/**', '.aws-sam/**'],
+    },
+    js.configs.recommended,
+    prettier,
+    {
+        languageOptions: {
+            ecmaVersion: 2021,
+            sourceType: 'commonjs',
+            globals: {
+                ...globals.node,
+                ...globals.jest,
+            },
+        },
+        rules: {
+            'no-console': 'off',
+            'no-unused-vars': [
+                'error',
+                {
+                    argsIgnorePattern: '^_',
+                    varsIgnorePattern: '^_',
+                },
+            ],
+            'prefer-const': 'error',
+            'no-var': 'error',
+            eqeqeq: ['error', 'always'],
+            curly: ['error', 'all'],
+            'brace-style': ['error', '1tbs'],
+            'no-throw-literal': 'error',
+            'prefer-promise-reject-errors': 'error',
+        },
+    },
+];
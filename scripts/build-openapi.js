@@ -0,0 +1,97 @@
+/**
+ * OpenAPI Bundler
+ * Extracts the API's DefinitionBody from template.yaml into
+ * src/config/openapi.json, which the handlers validate requests against.
+ * API Gateway extensions are dropped and !Ref/!Sub are resolved with the
+ * template's parameter defaults.
+ *
+ * Run after editing the DefinitionBody:
+ *   npm run openapi
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadTemplate } = require('./template');
+
+const OUTPUT_FILE = path.join(__dirname, '..', 'src', 'config', 'openapi.json');
+const API_RESOURCE = 'HelloWorldApi';
+
+/**
+ * Substitute ${Name} placeholders with parameter defaults, leaving pseudo
+ * parameters and resource attributes as they are
+ * @param {string} text - !Sub template string
+ * @param {Object} defaults - Parameter name => default value
+ * @returns {string} - Substituted string
+ */
+function substitute(text, defaults) {
+    return text.replace(/\$\{([^}]+)\}/g, (match, name) =>
+        name in defaults ? String(defaults[name]) : match
+    );
+}
+
+/**
+ * Drop API Gateway extensions and resolve intrinsic functions
+ * @param {*} node - Part of the DefinitionBody
+ * @param {Object} defaults - Parameter name => default value
+ * @returns {*} - Plain OpenAPI content
+ * @throws {Error} - When an intrinsic other than Ref or Fn::Sub remains
+ */
+function toPlainOpenApi(node, defaults) {
+    if (Array.isArray(node)) {
+        return node.map((item) => toPlainOpenApi(item, defaults));
+    }
+    if (node === null || typeof node !== 'object') {
+        return node;
+    }
+    if ('Ref' in node) {
+        return node.Ref in defaults ? defaults[node.Ref] : `\${${node.Ref}}`;
+    }
+    if ('Fn::Sub' in node) {
+        const value = node['Fn::Sub'];
+        return substitute(Array.isArray(value) ? value[0] : value, defaults);
+    }
+
+    const result = {};
+    for (const [key, value] of Object.entries(node)) {
+        if (key.startsWith('Fn::')) {
+            throw new Error(`Unsupported intrinsic ${key} in DefinitionBody`);
+        }
+        if (!key.startsWith('x-amazon-apigateway')) {
+            result[key] = toPlainOpenApi(value, defaults);
+        }
+    }
+    return result;
+}
+
+/**
+ * Build the OpenAPI document served by the API from a parsed template
+ * @param {Object} template - Template from loadTemplate
+ * @returns {Object} - OpenAPI document
+ */
+const extractOpenApi = (template) => {
+    const definition = template.Resources?.[API_RESOURCE]?.Properties?.DefinitionBody;
+    if (!definition) {
+        throw new Error(`${API_RESOURCE} has no DefinitionBody`);
+    }
+
+    const defaults = Object.fromEntries(
+        Object.entries(template.Parameters || {}).map(([name, parameter]) => [
+            name,
+            parameter.Default,
+        ])
+    );
+    return toPlainOpenApi(definition, defaults);
+};
+
+/**
+ * @param {Object} document - OpenAPI document
+ * @returns {string} - File contents written to src/config/openapi.json
+ */
+const serialize = (document) => `${JSON.stringify(document, null, 4)}\n`;
+
+if (require.main === module) {
+    fs.writeFileSync(OUTPUT_FILE, serialize(extractOpenApi(loadTemplate())));
+    console.log(`Wrote ${path.relative(process.cwd(), OUTPUT_FILE)}`);
+}
+
+module.exports = { OUTPUT_FILE, extractOpenApi, serialize };
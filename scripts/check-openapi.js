@@ -0,0 +1,27 @@
+/**
+ * OpenAPI Drift Check
+ * Compares the OpenAPI document generated from the handlers' route metadata
+ * (served at GET /openapi.json) with the DefinitionBody in template.yaml,
+ * which API Gateway and request validation use. Exits with status 1 and
+ * lists every difference when they describe different contracts.
+ *
+ * Run after editing either:
+ *   npm run openapi:check
+ */
+
+const { loadTemplate } = require('./template');
+const { extractOpenApi } = require('./build-openapi');
+const { findDrift } = require('../src/lib/api-docs');
+const { buildApiDocument } = require('../src/handlers/docs');
+
+if (require.main === module) {
+    const drift = findDrift(buildApiDocument(), extractOpenApi(loadTemplate()));
+    if (drift.length > 0) {
+        console.error('Route metadata and the DefinitionBody in template.yaml differ:');
+        for (const message of drift) {
+            console.error(`  - ${message}`);
+        }
+        process.exit(1);
+    }
+    console.log('Route metadata matches the DefinitionBody in template.yaml');
+}
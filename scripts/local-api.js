@@ -0,0 +1,830 @@
+/**
+ * Local API Gateway Emulator
+ * Serves the API from template.yaml over plain HTTP. Every Api event of an
+ * AWS::Serverless::Function becomes a route; requests are turned into API
+ * Gateway (REST API) proxy events, passed to the function's handler with the
+ * function's environment applied, and the proxy result is written back as
+ * the HTTP response. Operations secured by a token authorizer in the
+ * DefinitionBody invoke the authorizer function first, and errors raised by
+ * the gateway itself use the template's gateway responses.
+ *
+ * Each function runs in its own child process (scripts/local-runtime.js)
+ * with only its environment variables, and stays warm between requests.
+ * The processes are restarted when files under a CodeUri change.
+ *
+ * Usage:
+ *   npm run start:local -- [--port 3000] [--env-vars env.json]
+ *       [--parameter-overrides Environment=staging] [--skip-authorizers] [--no-watch]
+ *
+ * The env-vars file uses the `sam local` format:
+ *   { "Parameters": { "VAR": "applies to every function" },
+ *     "HelloWorldFunction": { "VAR": "applies to one function" } }
+ */
+
+const { fork } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { parseArgs } = require('util');
+const {
+    TEMPLATE_FILE,
+    LOCAL_PSEUDO_PARAMETERS,
+    loadTemplate,
+    createResolver,
+} = require('./template');
+
+const FUNCTION_TYPE = 'AWS::Serverless::Function';
+const API_TYPE = 'AWS::Serverless::Api';
+const API_ID = 'localapi00';
+const DEFAULT_STAGE = 'Prod';
+const DEFAULT_TIMEOUT_SECONDS = 3;
+const DEFAULT_MEMORY_MB = 128;
+const RUNTIME_FILE = path.join(__dirname, 'local-runtime.js');
+
+// Host variables passed to functions: enough to find node and AWS credentials
+const INHERITED_VARIABLES = [
+    'PATH',
+    'HOME',
+    'AWS_ACCESS_KEY_ID',
+    'AWS_SECRET_ACCESS_KEY',
+    'AWS_SESSION_TOKEN',
+    'AWS_PROFILE',
+];
+
+const REGION = LOCAL_PSEUDO_PARAMETERS['AWS::Region'];
+const ACCOUNT_ID = LOCAL_PSEUDO_PARAMETERS['AWS::AccountId'];
+
+// Statuses API Gateway uses for the gateway responses the emulator raises
+const GATEWAY_RESPONSE_STATUS = {
+    MISSING_AUTHENTICATION_TOKEN: 403,
+    UNAUTHORIZED: 401,
+    ACCESS_DENIED: 403,
+    AUTHORIZER_FAILURE: 500,
+    INTEGRATION_FAILURE: 502,
+};
+
+/**
+ * Compile a path template such as /greetings/{id} or /files/{proxy+}
+ * @param {string} template - Event Path
+ * @returns {{pattern: RegExp, names: string[], specificity: number}} - Matcher,
+ *   parameter names, and a rank that orders literal segments before parameters
+ */
+const compilePath = (template) => {
+    const names = [];
+    let specificity = 0;
+    const source = template
+        .split('/')
+        .map((segment) => {
+            const greedy = /^\{(\w+)\+\}$/.exec(segment);
+            const param = /^\{(\w+)\}$/.exec(segment);
+            if (greedy) {
+                names.push(greedy[1]);
+                return '(.+)';
+            }
+            if (param) {
+                names.push(param[1]);
+                specificity += 1;
+                return '([^/]+)';
+            }
+            specificity += 2;
+            return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('/');
+
+    return { pattern: new RegExp(`^${source}/?$`), names, specificity };
+};
+
+/**
+ * Read every function in a resolved template
+ * @param {Object} template - Template with intrinsics evaluated
+ * @param {string} baseDir - Directory CodeUri is relative to
+ * @returns {Map<string, Object>} - Function ID => handler location, limits,
+ *   environment and events
+ */
+const loadFunctions = (template, baseDir) => {
+    const globals = template.Globals?.Function || {};
+    const functions = new Map();
+
+    for (const [functionId, resource] of Object.entries(template.Resources || {})) {
+        if (resource.Type !== FUNCTION_TYPE) {
+            continue;
+        }
+        const properties = { ...globals, ...resource.Properties };
+        const [file, exportName] = splitHandler(properties.Handler);
+        const codeDir = path.resolve(baseDir, properties.CodeUri || '.');
+        functions.set(functionId, {
+            functionId,
+            functionName: properties.FunctionName || functionId,
+            codeDir,
+            handlerFile: path.join(codeDir, file),
+            exportName,
+            timeout: Number(properties.Timeout) || DEFAULT_TIMEOUT_SECONDS,
+            memorySize: Number(properties.MemorySize) || DEFAULT_MEMORY_MB,
+            environment: {
+                ...globals.Environment?.Variables,
+                ...resource.Properties?.Environment?.Variables,
+            },
+            events: Object.values(properties.Events || {}),
+        });
+    }
+
+    return functions;
+};
+
+/**
+ * Read the Api event routes of every function in a resolved template
+ * @param {Object} template - Template with intrinsics evaluated
+ * @param {string} baseDir - Directory CodeUri is relative to
+ * @returns {Object[]} - Routes (function fields plus path and method), most specific first
+ */
+const loadRoutes = (template, baseDir) => {
+    const routes = [];
+    for (const { events, ...fn } of loadFunctions(template, baseDir).values()) {
+        for (const event of events) {
+            if (event.Type === 'Api') {
+                routes.push({
+                    ...fn,
+                    path: event.Properties.Path,
+                    method: event.Properties.Method.toUpperCase(),
+                    ...compilePath(event.Properties.Path),
+                });
+            }
+        }
+    }
+    return routes.sort((a, b) => b.specificity - a.specificity);
+};
+
+/**
+ * @param {string} handler - Handler property, e.g. 'handlers/hello.handler'
+ * @returns {string[]} - Module file and export name
+ */
+function splitHandler(handler) {
+    const separator = handler.lastIndexOf('.');
+    return [`${handler.slice(0, separator)}.js`, handler.slice(separator + 1)];
+}
+
+/**
+ * Find the route for a request
+ * @param {Object[]} routes - Routes from loadRoutes
+ * @param {string} method - Request method
+ * @param {string} requestPath - Request path without the query string
+ * @returns {{route: Object, pathParameters: Object|null}|undefined} - Match
+ */
+const matchRoute = (routes, method, requestPath) => {
+    for (const route of routes) {
+        if (route.method !== method && route.method !== 'ANY') {
+            continue;
+        }
+        const match = route.pattern.exec(requestPath);
+        if (match) {
+            const pathParameters =
+                route.names.length > 0
+                    ? Object.fromEntries(
+                          route.names.map((name, i) => [name, decodeURIComponent(match[i + 1])])
+                      )
+                    : null;
+            return { route, pathParameters };
+        }
+    }
+    return undefined;
+};
+
+/**
+ * @param {string} contentType - Request Content-Type
+ * @param {string[]} binaryMediaTypes - Api BinaryMediaTypes, which may use wildcards
+ * @returns {boolean} - Whether API Gateway would pass the body base64-encoded
+ */
+function isBinary(contentType, binaryMediaTypes) {
+    const mediaType = (contentType || '').split(';')[0].trim().toLowerCase();
+    return binaryMediaTypes.some((type) => {
+        const [typeRange, subtypeRange] = type.replace('~1', '/').toLowerCase().split('/');
+        const [mainType, subtype] = mediaType.split('/');
+        return (
+            (typeRange === '*' || typeRange === mainType) &&
+            (subtypeRange === '*' || subtypeRange === subtype)
+        );
+    });
+}
+
+/**
+ * Build an API Gateway proxy event for an HTTP request
+ * @param {Object} request
+ * @param {string} request.method - HTTP method
+ * @param {URL} request.url - Request URL
+ * @param {string[]} request.rawHeaders - Header names and values as received
+ * @param {Buffer} request.body - Request body
+ * @param {string} request.sourceIp - Client address
+ * @param {Object} match - Result of matchRoute
+ * @param {Object} options
+ * @param {string} options.stage - Stage name
+ * @param {string[]} options.binaryMediaTypes - Api BinaryMediaTypes
+ * @param {string} options.requestId - Gateway request ID
+ * @param {Date} options.now - Request time
+ * @returns {Object} - API Gateway Lambda Proxy Input Format
+ */
+const buildEvent = (request, { route, pathParameters }, options) => {
+    const { stage, binaryMediaTypes = [], requestId, now = new Date() } = options;
+    const headers = {};
+    const multiValueHeaders = {};
+    for (let i = 0; i < request.rawHeaders.length; i += 2) {
+        const name = request.rawHeaders[i];
+        const value = request.rawHeaders[i + 1];
+        headers[name] = value;
+        multiValueHeaders[name] = [...(multiValueHeaders[name] || []), value];
+    }
+
+    const queryStringParameters = {};
+    const multiValueQueryStringParameters = {};
+    for (const [name, value] of request.url.searchParams) {
+        queryStringParameters[name] = value;
+        multiValueQueryStringParameters[name] = [
+            ...(multiValueQueryStringParameters[name] || []),
+            value,
+        ];
+    }
+    const hasQuery = Object.keys(queryStringParameters).length > 0;
+
+    const contentType = Object.entries(headers).find(
+        ([name]) => name.toLowerCase() === 'content-type'
+    )?.[1];
+    const binary = isBinary(contentType, binaryMediaTypes);
+    const hasBody = request.body.length > 0;
+    const userAgent = Object.entries(headers).find(
+        ([name]) => name.toLowerCase() === 'user-agent'
+    )?.[1];
+
+    return {
+        resource: route.path,
+        path: request.url.pathname,
+        httpMethod: request.method,
+        headers: Object.keys(headers).length > 0 ? headers : null,
+        multiValueHeaders: Object.keys(headers).length > 0 ? multiValueHeaders : null,
+        queryStringParameters: hasQuery ? queryStringParameters : null,
+        multiValueQueryStringParameters: hasQuery ? multiValueQueryStringParameters : null,
+        pathParameters,
+        stageVariables: null,
+        requestContext: {
+            resourceId: crypto.createHash('sha1').update(route.path).digest('hex').slice(0, 6),
+            resourcePath: route.path,
+            httpMethod: request.method,
+            extendedRequestId: requestId.replace(/-/g, '').slice(0, 16),
+            requestTime: formatRequestTime(now),
+            path: `/${stage}${request.url.pathname}`,
+            accountId: ACCOUNT_ID,
+            protocol: 'HTTP/1.1',
+            stage,
+            domainPrefix: API_ID,
+            requestTimeEpoch: now.getTime(),
+            requestId,
+            identity: {
+                cognitoIdentityPoolId: null,
+                accountId: null,
+                cognitoIdentityId: null,
+                caller: null,
+                sourceIp: request.sourceIp,
+                principalOrgId: null,
+                accessKey: null,
+                cognitoAuthenticationType: null,
+                cognitoAuthenticationProvider: null,
+                userArn: null,
+                userAgent: userAgent || null,
+                user: null,
+            },
+            domainName: `${API_ID}.execute-api.${REGION}.amazonaws.com`,
+            apiId: API_ID,
+        },
+        body: hasBody ? request.body.toString(binary ? 'base64' : 'utf8') : null,
+        isBase64Encoded: hasBody && binary,
+    };
+};
+
+/**
+ * @param {Date} date - Request time
+ * @returns {string} - Time in API Gateway's requestTime format, e.g. 09/Apr/2024:12:34:56 +0000
+ */
+function formatRequestTime(date) {
+    const [, day, month, year, time] = date.toUTCString().split(' ');
+    return `${day}/${month}/${year}:${time} +0000`;
+}
+
+/**
+ * Build the fields of a Lambda context for an invocation. The runtime adds
+ * getRemainingTimeInMillis based on the deadline.
+ * @param {Object} fn - Function from loadFunctions
+ * @param {number} startedAt - Invocation start, epoch milliseconds
+ * @returns {Object} - Lambda context fields plus the deadline in epoch milliseconds
+ */
+const buildContext = (fn, startedAt = Date.now()) => {
+    const awsRequestId = crypto.randomUUID();
+    return {
+        callbackWaitsForEmptyEventLoop: true,
+        functionName: fn.functionName,
+        functionVersion: '$LATEST',
+        invokedFunctionArn: `arn:aws:lambda:${REGION}:${ACCOUNT_ID}:function:${fn.functionName}`,
+        memoryLimitInMB: String(fn.memorySize),
+        awsRequestId,
+        logGroupName: `/aws/lambda/${fn.functionName}`,
+        logStreamName:
+            `${new Date(startedAt).toISOString().slice(0, 10).replace(/-/g, '/')}` +
+            `/[$LATEST]${awsRequestId.replace(/-/g, '')}`,
+        deadline: startedAt + fn.timeout * 1000,
+    };
+};
+
+/**
+ * Start a runtime process for a function
+ * @param {Object} fn - Function from loadFunctions
+ * @param {Object} environment - The function's environment variables
+ * @param {Function} logger - Receives the function's output, line by line
+ * @returns {{invoke: Function, stop: Function, exited: boolean}} - Worker; invoke(event)
+ *   resolves with the handler result and rejects with the handler error, or with
+ *   code 'TIMEOUT' after which the process is stopped
+ */
+function startWorker(fn, environment, logger) {
+    const inherited = Object.fromEntries(
+        INHERITED_VARIABLES.filter((name) => name in process.env).map((name) => [
+            name,
+            process.env[name],
+        ])
+    );
+    const child = fork(RUNTIME_FILE, [fn.handlerFile, fn.exportName], {
+        env: { ...inherited, ...environment },
+        silent: true,
+    });
+    for (const stream of [child.stdout, child.stderr]) {
+        stream.setEncoding('utf8');
+        stream.on('data', (text) => {
+            for (const line of text.split('\n').filter(Boolean)) {
+                logger(`[${fn.functionId}] ${line}`);
+            }
+        });
+    }
+
+    const pending = new Map();
+    let nextId = 0;
+    const worker = { exited: false };
+
+    child.on('message', ({ id, result, error }) => {
+        const invocation = pending.get(id);
+        if (!invocation) {
+            return;
+        }
+        pending.delete(id);
+        clearTimeout(invocation.timer);
+        if (error) {
+            const failure = new Error(error.errorMessage);
+            failure.name = error.errorType;
+            failure.stack = error.stack;
+            invocation.reject(failure);
+        } else {
+            invocation.resolve(result);
+        }
+    });
+    child.on('exit', (code, signal) => {
+        worker.exited = true;
+        for (const invocation of pending.values()) {
+            clearTimeout(invocation.timer);
+            invocation.reject(new Error(`Runtime exited with ${signal || `code ${code}`}`));
+        }
+        pending.clear();
+    });
+
+    worker.invoke = (event) =>
+        new Promise((resolve, reject) => {
+            const id = nextId++;
+            const timer = setTimeout(() => {
+                pending.delete(id);
+                const error = new Error(`Task timed out after ${fn.timeout.toFixed(2)} seconds`);
+                error.code = 'TIMEOUT';
+                reject(error);
+                worker.stop();
+            }, fn.timeout * 1000);
+            pending.set(id, { resolve, reject, timer });
+            child.send({ id, event, context: buildContext(fn) });
+        });
+
+    worker.stop = () =>
+        new Promise((resolve) => {
+            if (worker.exited) {
+                resolve();
+                return;
+            }
+            child.once('exit', () => resolve());
+            child.kill('SIGKILL');
+        });
+
+    return worker;
+}
+
+/**
+ * Render one of the API's gateway responses. The templates may use
+ * $context.error.message(String), $context.path, $context.requestId and
+ * $context.error.responseType; DEFAULT_4XX/DEFAULT_5XX apply to types the
+ * DefinitionBody does not customise.
+ * @param {Object} gatewayResponses - x-amazon-apigateway-gateway-responses
+ * @param {string} responseType - Gateway response type, e.g. 'UNAUTHORIZED'
+ * @param {Object} context
+ * @param {string} context.message - Error message
+ * @param {string} context.path - Request path including the stage
+ * @param {string} context.requestId - Gateway request ID
+ * @returns {{statusCode: number, headers: Object, body: string}} - HTTP response
+ */
+const renderGatewayResponse = (gatewayResponses, responseType, context) => {
+    const defaultStatus = GATEWAY_RESPONSE_STATUS[responseType];
+    const fallbackType = defaultStatus >= 500 ? 'DEFAULT_5XX' : 'DEFAULT_4XX';
+    const config = gatewayResponses?.[responseType] || gatewayResponses?.[fallbackType] || {};
+    const variables = {
+        '$context.error.messageString': JSON.stringify(context.message),
+        '$context.error.message': context.message,
+        '$context.error.responseType': responseType,
+        '$context.path': context.path,
+        '$context.requestId': context.requestId,
+    };
+
+    const template = config.responseTemplates?.['application/json'];
+    const body = template
+        ? template.replace(/\$context\.[A-Za-z.]+[A-Za-z]/g, (name) =>
+              name in variables ? variables[name] : ''
+          )
+        : JSON.stringify({ message: context.message });
+
+    const headers = { 'Content-Type': 'application/json' };
+    for (const [key, value] of Object.entries(config.responseParameters || {})) {
+        const header = /^gatewayresponse\.header\.(.+)$/.exec(key);
+        if (header) {
+            headers[header[1]] = String(value).replace(/^'(.*)'$/, '$1');
+        }
+    }
+
+    return { statusCode: Number(config.statusCode) || defaultStatus, headers, body };
+};
+
+/**
+ * Turn a proxy result into an HTTP response, as API Gateway does
+ * @param {*} result - Handler result
+ * @returns {{statusCode: number, headers: Object, body: Buffer}|undefined} - Response,
+ *   undefined when the result is not a valid proxy response
+ */
+const toHttpResponse = (result) => {
+    if (
+        !result ||
+        typeof result !== 'object' ||
+        (result.body !== undefined && result.body !== null && typeof result.body !== 'string')
+    ) {
+        return undefined;
+    }
+    const headers = {};
+    for (const [name, values] of Object.entries(result.multiValueHeaders || {})) {
+        headers[name] = values.map(String);
+    }
+    for (const [name, value] of Object.entries(result.headers || {})) {
+        headers[name] = String(value);
+    }
+    const body = result.body || '';
+    return {
+        statusCode: Number(result.statusCode) || 200,
+        headers,
+        body: Buffer.from(body, result.isBase64Encoded ? 'base64' : 'utf8'),
+    };
+};
+
+/**
+ * Create a local API for a SAM template
+ * @param {Object} options
+ * @param {string} options.templateFile - Template path
+ * @param {Object} options.parameterOverrides - Template parameter name => value
+ * @param {Object} options.envVars - Environment overrides in the `sam local` env-vars
+ *   format: Parameters apply to every function, function IDs to one function
+ * @param {boolean} options.authorizers - Invoke token authorizers; true by default
+ * @param {boolean} options.watch - Restart functions when their code changes
+ * @param {Function} options.logger - Receives request lines and function output
+ * @returns {Object} - API with routes, stage, listen(port, host), reload() and close()
+ */
+const createLocalApi = ({
+    templateFile = TEMPLATE_FILE,
+    parameterOverrides = {},
+    envVars = {},
+    authorizers = true,
+    watch = false,
+    logger = () => {},
+} = {}) => {
+    const rawTemplate = loadTemplate(templateFile);
+    const template = createResolver(rawTemplate, { parameterOverrides })(rawTemplate);
+    const baseDir = path.dirname(templateFile);
+    const functions = loadFunctions(template, baseDir);
+    const routes = loadRoutes(template, baseDir);
+
+    const [apiId, api] =
+        Object.entries(template.Resources || {}).find(
+            ([, resource]) => resource.Type === API_TYPE
+        ) || [];
+    const stage = api?.Properties?.StageName || DEFAULT_STAGE;
+    const definition = api?.Properties?.DefinitionBody || {};
+    const binaryMediaTypes = api?.Properties?.BinaryMediaTypes || [];
+    const gatewayResponses = definition['x-amazon-apigateway-gateway-responses'];
+
+    const workers = new Map();
+
+    /**
+     * Invoke a function, starting its runtime process if it is not running
+     * @param {Object} fn - Function from loadFunctions
+     * @param {Object} event - Invocation event
+     * @returns {Promise<*>} - Handler result
+     */
+    const invoke = (fn, event) => {
+        let worker = workers.get(fn.functionId);
+        if (!worker || worker.exited) {
+            worker = startWorker(
+                fn,
+                {
+                    AWS_REGION: REGION,
+                    AWS_DEFAULT_REGION: REGION,
+                    AWS_LAMBDA_FUNCTION_NAME: fn.functionName,
+                    AWS_LAMBDA_FUNCTION_VERSION: '$LATEST',
+                    AWS_LAMBDA_FUNCTION_MEMORY_SIZE: String(fn.memorySize),
+                    TZ: 'UTC',
+                    ...fn.environment,
+                    ...envVars.Parameters,
+                    ...envVars[fn.functionId],
+                },
+                logger
+            );
+            workers.set(fn.functionId, worker);
+        }
+        return worker.invoke(event);
+    };
+
+    /**
+     * Find the token authorizer guarding an operation, if any
+     * @param {Object} route - Matched route
+     * @returns {{fn: Object, header: string, validation: RegExp|undefined}|undefined}
+     */
+    const authorizerFor = (route) => {
+        const operation = definition.paths?.[route.path]?.[route.method.toLowerCase()];
+        const schemeName = Object.keys(operation?.security?.[0] || {})[0];
+        const scheme = definition.components?.securitySchemes?.[schemeName];
+        const config = scheme?.['x-amazon-apigateway-authorizer'];
+        if (!config || config.type !== 'token') {
+            return undefined;
+        }
+
+        // Only the unresolved authorizerUri still names the function: ${Function.Arn}
+        const uri =
+            rawTemplate.Resources[apiId].Properties.DefinitionBody.components.securitySchemes[
+                schemeName
+            ]['x-amazon-apigateway-authorizer'].authorizerUri;
+        const functionId = /\$\{(\w+)\.Arn\}/.exec(JSON.stringify(uri))?.[1];
+        if (!functions.has(functionId)) {
+            throw new Error(`Cannot find the function for authorizer ${schemeName}`);
+        }
+        return {
+            fn: functions.get(functionId),
+            header: scheme.name,
+            validation: config.identityValidationExpression
+                ? new RegExp(config.identityValidationExpression)
+                : undefined,
+        };
+    };
+
+    /**
+     * Run the route's token authorizer
+     * @param {Object} route - Matched route
+     * @param {Object} event - Proxy event being authorized
+     * @returns {Promise<Object>} - {authorizer} context to add to the event, or the
+     *   {responseType, message} of the gateway response to send instead
+     */
+    const authorize = async (route, event) => {
+        const authorizer = authorizerFor(route);
+        if (!authorizer) {
+            return { authorizer: undefined };
+        }
+        const token = Object.entries(event.headers || {}).find(
+            ([name]) => name.toLowerCase() === authorizer.header.toLowerCase()
+        )?.[1];
+        if (!token || (authorizer.validation && !authorizer.validation.test(token))) {
+            return { responseType: 'UNAUTHORIZED', message: 'Unauthorized' };
+        }
+
+        let policy;
+        try {
+            policy = await invoke(authorizer.fn, {
+                type: 'TOKEN',
+                authorizationToken: token,
+                methodArn:
+                    `arn:aws:execute-api:${REGION}:${ACCOUNT_ID}:${API_ID}/${stage}/` +
+                    `${event.httpMethod}${route.path}`,
+            });
+        } catch (error) {
+            if (error.message === 'Unauthorized') {
+                return { responseType: 'UNAUTHORIZED', message: 'Unauthorized' };
+            }
+            logger(`${authorizer.fn.functionId} failed: ${error.stack}`);
+            return { responseType: 'AUTHORIZER_FAILURE', message: null };
+        }
+
+        const statements = policy?.policyDocument?.Statement || [];
+        const allowed =
+            statements.some((statement) => statement.Effect === 'Allow') &&
+            !statements.some((statement) => statement.Effect === 'Deny');
+        if (!allowed) {
+            return {
+                responseType: 'ACCESS_DENIED',
+                message: 'User is not authorized to access this resource',
+            };
+        }
+        return {
+            authorizer: {
+                ...policy.context,
+                principalId: policy.principalId,
+                integrationLatency: 0,
+            },
+        };
+    };
+
+    /**
+     * Handle one HTTP request
+     * @param {Object} request - See buildEvent
+     * @returns {Promise<Object>} - {statusCode, headers, body} and the functionId that
+     *   produced the response, undefined for gateway responses
+     */
+    const handle = async (request) => {
+        const requestId = crypto.randomUUID();
+        const gatewayResponse = (responseType, message) =>
+            renderGatewayResponse(gatewayResponses, responseType, {
+                message,
+                path: `/${stage}${request.url.pathname}`,
+                requestId,
+            });
+
+        const match = matchRoute(routes, request.method, request.url.pathname);
+        if (!match) {
+            return gatewayResponse('MISSING_AUTHENTICATION_TOKEN', 'Missing Authentication Token');
+        }
+
+        const event = buildEvent(request, match, { stage, binaryMediaTypes, requestId });
+        if (authorizers) {
+            const outcome = await authorize(match.route, event);
+            if (outcome.responseType) {
+                return gatewayResponse(outcome.responseType, outcome.message);
+            }
+            if (outcome.authorizer) {
+                event.requestContext.authorizer = outcome.authorizer;
+            }
+        }
+
+        let response;
+        try {
+            response = toHttpResponse(await invoke(match.route, event));
+        } catch (error) {
+            logger(`${match.route.functionId} failed: ${error.stack}`);
+        }
+        if (!response) {
+            return gatewayResponse('INTEGRATION_FAILURE', 'Internal server error');
+        }
+        return { ...response, functionId: match.route.functionId };
+    };
+
+    const server = http.createServer(async (req, res) => {
+        const startedAt = Date.now();
+        const chunks = [];
+        for await (const chunk of req) {
+            chunks.push(chunk);
+        }
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+        const response = await handle({
+            method: req.method,
+            url,
+            rawHeaders: req.rawHeaders,
+            body: Buffer.concat(chunks),
+            sourceIp: (req.socket.remoteAddress || '127.0.0.1').replace(/^::ffff:/, ''),
+        }).catch((error) => {
+            logger(`Emulator error: ${error.stack}`);
+            return { statusCode: 500, headers: {}, body: '' };
+        });
+
+        res.writeHead(response.statusCode, response.headers);
+        res.end(response.body);
+        logger(
+            `${req.method} ${url.pathname} -> ${response.functionId || 'gateway'} ` +
+                `${response.statusCode} (${Date.now() - startedAt}ms)`
+        );
+    });
+
+    /**
+     * Stop every function's runtime process; the next request starts a fresh one
+     * @returns {Promise<void>}
+     */
+    const reload = async () => {
+        const stopping = [...workers.values()].map((worker) => worker.stop());
+        workers.clear();
+        await Promise.all(stopping);
+    };
+
+    const watchers = [];
+    if (watch) {
+        const codeDirs = new Set([...functions.values()].map((fn) => fn.codeDir));
+        for (const codeDir of codeDirs) {
+            watchers.push(
+                fs.watch(codeDir, { recursive: true }, (eventType, file) => {
+                    if (/\.(js|json)$/.test(file || '')) {
+                        logger(`Reloading functions after a change to ${file}`);
+                        reload();
+                    }
+                })
+            );
+        }
+    }
+
+    return {
+        routes,
+        stage,
+        reload,
+
+        /**
+         * @param {number} port - Port; 0 picks a free one
+         * @param {string} host - Interface to bind
+         * @returns {Promise<string>} - Base URL of the API
+         */
+        listen: (port = 3000, host = '127.0.0.1') =>
+            new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, host, () => {
+                    server.off('error', reject);
+                    resolve(`http://${host}:${server.address().port}`);
+                });
+            }),
+
+        /**
+         * Stop the server, the file watchers and every runtime process
+         * @returns {Promise<void>}
+         */
+        close: async () => {
+            watchers.forEach((watcher) => watcher.close());
+            await new Promise((resolve) => {
+                server.close(() => resolve());
+                server.closeAllConnections();
+            });
+            await reload();
+        },
+    };
+};
+
+/**
+ * @param {string} value - 'Key=Value Key2=Value2'
+ * @returns {Object} - Parameter overrides
+ */
+function parseOverrides(value = '') {
+    return Object.fromEntries(
+        value
+            .split(/\s+/)
+            .filter(Boolean)
+            .map((pair) => {
+                const separator = pair.indexOf('=');
+                return [pair.slice(0, separator), pair.slice(separator + 1)];
+            })
+    );
+}
+
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            port: { type: 'string', default: '3000' },
+            host: { type: 'string', default: '127.0.0.1' },
+            template: { type: 'string', default: TEMPLATE_FILE },
+            'env-vars': { type: 'string' },
+            'parameter-overrides': { type: 'string' },
+            'skip-authorizers': { type: 'boolean', default: false },
+            'no-watch': { type: 'boolean', default: false },
+        },
+    });
+
+    const api = createLocalApi({
+        templateFile: path.resolve(values.template),
+        parameterOverrides: parseOverrides(values['parameter-overrides']),
+        envVars: values['env-vars'] ? JSON.parse(fs.readFileSync(values['env-vars'], 'utf8')) : {},
+        authorizers: !values['skip-authorizers'],
+        watch: !values['no-watch'],
+        logger: (line) => console.log(line),
+    });
+
+    api.listen(Number(values.port), values.host).then((url) => {
+        for (const route of api.routes) {
+            console.log(`Mounted ${route.functionId} at ${route.method} ${url}${route.path}`);
+        }
+        console.log(`Local API (stage ${api.stage}) listening on ${url}`);
+    });
+}
+
+module.exports = {
+    compilePath,
+    loadFunctions,
+    loadRoutes,
+    matchRoute,
+    buildEvent,
+    buildContext,
+    toHttpResponse,
+    renderGatewayResponse,
+    createLocalApi,
+};
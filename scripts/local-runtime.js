@@ -0,0 +1,45 @@
+/**
+ * Local Lambda Runtime
+ * Child process the local API emulator starts for each function. It loads
+ * the function's handler and runs the invocations sent over IPC, so every
+ * function has its own environment and module state, as it would in Lambda.
+ *
+ * Arguments: <handler file> <export name>
+ */
+
+const [handlerFile, exportName] = process.argv.slice(2);
+
+let handler;
+
+/**
+ * @returns {Function} - The function's handler, loaded on first use
+ * @throws {Error} - When the module cannot be loaded or lacks the export
+ */
+function getHandler() {
+    if (!handler) {
+        const loaded = require(handlerFile)[exportName];
+        if (typeof loaded !== 'function') {
+            throw new Error(`${handlerFile} does not export ${exportName}`);
+        }
+        handler = loaded;
+    }
+    return handler;
+}
+
+process.on('message', async ({ id, event, context }) => {
+    const { deadline, ...fields } = context;
+    const lambdaContext = {
+        ...fields,
+        getRemainingTimeInMillis: () => Math.max(0, deadline - Date.now()),
+    };
+
+    try {
+        const result = await getHandler()(event, lambdaContext);
+        process.send({ id, result: result === undefined ? null : result });
+    } catch (error) {
+        process.send({
+            id,
+            error: { errorType: error.name, errorMessage: error.message, stack: error.stack },
+        });
+    }
+});
@@ -0,0 +1,191 @@
+/**
+ * SAM Template Loader
+ * Parses template.yaml, including CloudFormation short-form intrinsic
+ * functions (!Ref, !Sub, !GetAtt, ...), into plain objects using their
+ * long form ({ Ref: ... }, { 'Fn::Sub': ... }), and evaluates them for
+ * tools that run the template locally.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const TEMPLATE_FILE = path.join(__dirname, '..', 'template.yaml');
+
+const INTRINSICS = [
+    'And',
+    'Base64',
+    'Cidr',
+    'Equals',
+    'FindInMap',
+    'GetAZs',
+    'If',
+    'ImportValue',
+    'Join',
+    'Not',
+    'Or',
+    'Select',
+    'Split',
+    'Sub',
+    'Transform',
+];
+
+/**
+ * @param {string} tag - YAML tag without the leading '!'
+ * @param {Function} construct - Builds the long form from the tagged value
+ * @returns {yaml.Type[]} - Scalar, sequence and mapping variants of the tag
+ */
+function intrinsicTypes(tag, construct) {
+    return ['scalar', 'sequence', 'mapping'].map(
+        (kind) => new yaml.Type(`!${tag}`, { kind, construct })
+    );
+}
+
+const CFN_SCHEMA = yaml.DEFAULT_SCHEMA.extend([
+    ...intrinsicTypes('Ref', (value) => ({ Ref: value })),
+    ...intrinsicTypes('Condition', (value) => ({ Condition: value })),
+    // !GetAtt Resource.Attribute is shorthand for ['Resource', 'Attribute']
+    ...intrinsicTypes('GetAtt', (value) => ({
+        'Fn::GetAtt': typeof value === 'string' ? value.split('.') : value,
+    })),
+    ...INTRINSICS.flatMap((name) => intrinsicTypes(name, (value) => ({ [`Fn::${name}`]: value }))),
+]);
+
+/**
+ * Parse a SAM/CloudFormation template
+ * @param {string} file - Template path
+ * @returns {Object} - Template with intrinsics in long form
+ */
+const loadTemplate = (file = TEMPLATE_FILE) =>
+    yaml.load(fs.readFileSync(file, 'utf8'), { schema: CFN_SCHEMA });
+
+// Values for pseudo parameters when the template is evaluated locally
+const LOCAL_PSEUDO_PARAMETERS = {
+    'AWS::AccountId': '123456789012',
+    'AWS::Partition': 'aws',
+    'AWS::Region': 'us-east-1',
+    'AWS::StackName': 'local',
+    'AWS::URLSuffix': 'amazonaws.com',
+    'AWS::NoValue': undefined,
+};
+
+/**
+ * Build an evaluator for the template's intrinsic functions. Parameters take
+ * their defaults unless overridden; resources do not exist locally, so Refs
+ * and attributes of resources evaluate to ''. AWS::NoValue removes the
+ * property or list item it appears in.
+ * @param {Object} template - Template from loadTemplate
+ * @param {Object} options
+ * @param {Object} options.parameterOverrides - Parameter name => value
+ * @param {Object} options.pseudoParameters - Overrides for LOCAL_PSEUDO_PARAMETERS
+ * @returns {Function} - (node) => node with every intrinsic evaluated
+ * @throws {Error} - When the node uses an intrinsic that cannot be evaluated locally
+ */
+const createResolver = (template, { parameterOverrides = {}, pseudoParameters = {} } = {}) => {
+    const values = { ...LOCAL_PSEUDO_PARAMETERS, ...pseudoParameters };
+    for (const [name, parameter] of Object.entries(template.Parameters || {})) {
+        values[name] =
+            name in parameterOverrides ? String(parameterOverrides[name]) : parameter.Default;
+    }
+    const conditions = new Map();
+
+    const condition = (name) => {
+        if (!conditions.has(name)) {
+            if (!template.Conditions?.[name]) {
+                throw new Error(`Unknown condition ${name}`);
+            }
+            conditions.set(name, Boolean(resolve(template.Conditions[name])));
+        }
+        return conditions.get(name);
+    };
+
+    const valueOf = (name) => (name in values ? values[name] : '');
+
+    const intrinsic = (key, arg) => {
+        switch (key) {
+            case 'Ref':
+                return valueOf(arg);
+            case 'Condition':
+                return condition(arg);
+            case 'Fn::GetAtt':
+                return '';
+            case 'Fn::Sub': {
+                const [text, variables = {}] = Array.isArray(arg) ? arg : [arg];
+                return text.replace(/\$\{([^}!]+)\}/g, (match, name) =>
+                    String(name in variables ? resolve(variables[name]) : (valueOf(name) ?? ''))
+                );
+            }
+            case 'Fn::FindInMap': {
+                const [map, topKey, secondKey] = resolve(arg);
+                const value = template.Mappings?.[map]?.[topKey]?.[secondKey];
+                if (value === undefined) {
+                    throw new Error(`Mapping ${map}.${topKey}.${secondKey} does not exist`);
+                }
+                return value;
+            }
+            case 'Fn::If': {
+                const [name, whenTrue, whenFalse] = arg;
+                return resolve(condition(name) ? whenTrue : whenFalse);
+            }
+            case 'Fn::Equals': {
+                const [left, right] = resolve(arg);
+                return String(left) === String(right);
+            }
+            case 'Fn::Not':
+                return !resolve(arg[0]);
+            case 'Fn::And':
+                return resolve(arg).every(Boolean);
+            case 'Fn::Or':
+                return resolve(arg).some(Boolean);
+            case 'Fn::Join': {
+                const [separator, items] = resolve(arg);
+                return items.join(separator);
+            }
+            case 'Fn::Select': {
+                const [index, items] = resolve(arg);
+                return items[Number(index)];
+            }
+            case 'Fn::Split': {
+                const [separator, text] = resolve(arg);
+                return text.split(separator);
+            }
+            default:
+                throw new Error(`Intrinsic ${key} cannot be evaluated locally`);
+        }
+    };
+
+    const resolve = (node) => {
+        if (Array.isArray(node)) {
+            return node.map(resolve).filter((item) => item !== undefined);
+        }
+        if (node === null || typeof node !== 'object') {
+            return node;
+        }
+        const keys = Object.keys(node);
+        if (
+            keys.length === 1 &&
+            (keys[0] === 'Ref' || keys[0] === 'Condition' || keys[0].startsWith('Fn::'))
+        ) {
+            return intrinsic(keys[0], node[keys[0]]);
+        }
+
+        const result = {};
+        for (const [key, value] of Object.entries(node)) {
+            const resolved = resolve(value);
+            if (resolved !== undefined) {
+                result[key] = resolved;
+            }
+        }
+        return result;
+    };
+
+    return resolve;
+};
+
+module.exports = {
+    TEMPLATE_FILE,
+    CFN_SCHEMA,
+    LOCAL_PSEUDO_PARAMETERS,
+    loadTemplate,
+    createResolver,
+};
@@ -0,0 +1,112 @@
+/**
+ * JWT Token Authorizer Lambda Handler
+ * Verifies bearer tokens for API Gateway and returns an IAM policy plus the
+ * caller's subject, scopes and rate limit tier as authorizer context. The
+ * REST API sends the Authorization header (TOKEN authorizer); the WebSocket
+ * API's $connect sends the `token` query parameter (REQUEST authorizer),
+ * since browsers cannot set headers on WebSocket requests. Policies cover the
+ * whole stage because API Gateway caches them per token across routes.
+ *
+ * Environment variables:
+ *   JWKS_URL            - JWKS endpoint of the identity provider
+ *   JWKS_FILE           - Local JWKS file, used when JWKS_URL is not set
+ *   JWT_ISSUER          - Expected `iss` claim; every request is rejected when unset
+ *   JWT_AUDIENCE        - Expected `aud` claim; every request is rejected when unset
+ *   JWT_REQUIRED_SCOPES - Space-separated scopes every token must grant
+ */
+
+const { invocationLogger } = require('../lib/logger');
+const { HttpError, ForbiddenError } = require('../lib/errors');
+const { createJwksProvider } = require('../lib/jwks');
+const { decodeToken, getScopes, verifyToken } = require('../lib/jwt');
+const { buildPolicy, stageResource } = require('../lib/auth');
+
+// Created on first use and reused across warm invocations so the key set
+// stays cached
+let jwksProvider;
+
+/**
+ * @returns {Object} - Shared JWKS provider configured from the environment
+ */
+function getJwksProvider() {
+    if (!jwksProvider) {
+        jwksProvider = createJwksProvider({
+            url: process.env.JWKS_URL || undefined,
+            file: process.env.JWKS_FILE || undefined,
+        });
+    }
+    return jwksProvider;
+}
+
+/**
+ * Pull the token out of an `Authorization: Bearer <token>` value
+ * @param {string} authorizationToken - Header value passed by API Gateway
+ * @returns {string|undefined} - Token
+ */
+function extractBearerToken(authorizationToken) {
+    const match = /^Bearer\s+(\S+)$/i.exec(authorizationToken || '');
+    return match ? match[1] : undefined;
+}
+
+/**
+ * @param {Object} event - TOKEN or REQUEST authorizer input
+ * @returns {string|undefined} - Token to verify
+ */
+function tokenFrom(event) {
+    return event.type === 'REQUEST'
+        ? event.queryStringParameters?.token || undefined
+        : extractBearerToken(event.authorizationToken);
+}
+
+/**
+ * Lambda handler for the API Gateway TOKEN and REQUEST authorizers
+ * @param {Object} event - API Gateway TOKEN or REQUEST authorizer input
+ * @param {Object} context - Lambda context
+ * @returns {Object} - IAM policy with authorizer context
+ * @throws {Error} - 'Unauthorized', which API Gateway turns into a 401
+ */
+exports.handler = async (event, context = {}) => {
+    const logger = invocationLogger(context).child({ awsRequestId: context.awsRequestId });
+    const token = tokenFrom(event);
+
+    try {
+        const claims = await verifyToken(token, {
+            jwks: getJwksProvider(),
+            issuer: process.env.JWT_ISSUER,
+            audience: process.env.JWT_AUDIENCE,
+            requiredScopes: (process.env.JWT_REQUIRED_SCOPES || '').split(' ').filter(Boolean),
+        });
+
+        logger.info('Token authorized', {
+            subject: claims.sub,
+            methodArn: event.methodArn,
+        });
+
+        return buildPolicy(claims.sub, 'Allow', stageResource(event.methodArn), {
+            sub: claims.sub,
+            scope: getScopes(claims).join(' '),
+            clientId: claims.client_id || claims.azp || '',
+            ...(claims.tier && { tier: String(claims.tier) }),
+        });
+    } catch (error) {
+        if (error instanceof ForbiddenError) {
+            // The token is genuine but under-scoped: deny instead of 401 so the
+            // client sees a 403 and does not retry with the same token
+            const subject = decodeToken(token).payload.sub;
+            logger.warn('Token denied', {
+                subject,
+                methodArn: event.methodArn,
+                error: error.message,
+            });
+            return buildPolicy(subject, 'Deny', stageResource(event.methodArn));
+        }
+
+        // Anything other than a token problem (JWKS outage, misconfiguration)
+        // still denies access but is logged as an error
+        logger.log(error instanceof HttpError ? 'WARN' : 'ERROR', 'Token rejected', {
+            methodArn: event.methodArn,
+            error: error.message,
+        });
+        throw new Error('Unauthorized');
+    }
+};
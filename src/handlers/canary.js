@@ -0,0 +1,298 @@
+/**
+ * Synthetic Canary Lambda Handler
+ * Runs on an EventBridge schedule and calls the deployed API the way a
+ * client would. Each check passes when its endpoint answers 200 within the
+ * latency budget with the body the handler documents. Every run records,
+ * per check (Check dimension):
+ *   - CanarySuccess and CanaryFailure (Count, 1 or 0)
+ *   - CanaryLatency (Milliseconds)
+ * The alarms in template.yaml watch these metrics.
+ *
+ * Environment variables:
+ *   CANARY_BASE_URL          - Stage URL the checks call, e.g. http://127.0.0.1:3000
+ *   CANARY_LATENCY_BUDGET_MS - Slowest response that still passes (default 200)
+ *   CANARY_TIMEOUT_MS        - Time before a request is abandoned (default 2000)
+ *   CANARY_CLIENT_SECRET_ARN - Secrets Manager secret holding the OAuth client the
+ *                              canary mints its /hello bearer token with
+ *   CANARY_TOKEN             - Bearer token for /hello when no secret is set (local runs)
+ */
+
+const { invocationLogger } = require('../lib/logger');
+const { createMetrics } = require('../lib/metrics');
+const { getSecretsClient } = require('../lib/secrets');
+
+const DEFAULT_LATENCY_BUDGET_MS = 200;
+const DEFAULT_TIMEOUT_MS = 2000;
+
+/**
+ * @param {*} value - Field value
+ * @returns {boolean} - Whether the value is a non-empty string
+ */
+const isText = (value) => typeof value === 'string' && value.length > 0;
+
+/**
+ * @param {*} value - Field value
+ * @returns {boolean} - Whether the value is an ISO 8601 timestamp
+ */
+const isTimestamp = (value) =>
+    isText(value) && /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value));
+
+/**
+ * Endpoints the canary calls. `fields` maps each required body field to its
+ * test; the shapes follow src/handlers/hello.js and src/handlers/health.js.
+ */
+const CHECKS = [
+    {
+        name: 'hello',
+        path: '/hello',
+        authenticated: true,
+        fields: { message: isText, timestamp: isTimestamp, requestId: isText },
+    },
+    {
+        name: 'health',
+        path: '/health',
+        authenticated: false,
+        fields: {
+            // Readiness answers 200 with healthy or degraded, 503 with unhealthy
+            status: (value) => value === 'healthy' || value === 'degraded',
+            timestamp: isTimestamp,
+        },
+    },
+];
+
+/**
+ * @param {Object} check - Entry of CHECKS
+ * @param {*} body - Parsed response body
+ * @returns {string[]} - One failure per missing or malformed field
+ */
+function bodyFailures(check, body) {
+    if (!body || typeof body !== 'object') {
+        return ['body is not a JSON object'];
+    }
+    return Object.entries(check.fields)
+        .filter(([field, test]) => !test(body[field]))
+        .map(([field]) =>
+            field in body ? `field '${field}' is malformed` : `field '${field}' is missing`
+        );
+}
+
+/**
+ * Call one endpoint and judge the response. Network errors and timeouts
+ * fail the check rather than throw.
+ * @param {Object} check - Entry of CHECKS
+ * @param {Object} options
+ * @param {string} options.baseUrl - Stage URL
+ * @param {string} options.token - Bearer token for authenticated checks
+ * @param {number} options.latencyBudgetMs - Slowest response that still passes
+ * @param {number} options.timeoutMs - Time before the request is abandoned
+ * @param {Function} options.fetchImpl - fetch implementation, for tests
+ * @returns {Promise<Object>} - Result with check, passed, statusCode, latencyMs and failures
+ */
+const runCheck = async (check, { baseUrl, token, latencyBudgetMs, timeoutMs, fetchImpl }) => {
+    const headers = { Accept: 'application/json' };
+    if (check.authenticated && token) {
+        headers.Authorization = `Bearer ${token}`;
+    }
+
+    // Monotonic clock: latency is unaffected by wall clock changes
+    const startTime = performance.now();
+    let response;
+    let body;
+    try {
+        response = await fetchImpl(`${baseUrl.replace(/\/+$/, '')}${check.path}`, {
+            headers,
+            signal: AbortSignal.timeout(timeoutMs),
+        });
+        body = await response.json().catch(() => undefined);
+    } catch (error) {
+        return {
+            check: check.name,
+            passed: false,
+            latencyMs: Math.round(performance.now() - startTime),
+            failures: [
+                error.name === 'TimeoutError'
+                    ? `no response within ${timeoutMs}ms`
+                    : `request failed: ${error.message}`,
+            ],
+        };
+    }
+    const latencyMs = Math.round(performance.now() - startTime);
+
+    const failures = [];
+    if (response.status !== 200) {
+        failures.push(`expected status 200, got ${response.status}`);
+    } else {
+        failures.push(...bodyFailures(check, body));
+    }
+    if (latencyMs > latencyBudgetMs) {
+        failures.push(`took ${latencyMs}ms, over the ${latencyBudgetMs}ms budget`);
+    }
+
+    return {
+        check: check.name,
+        passed: failures.length === 0,
+        statusCode: response.status,
+        latencyMs,
+        failures,
+    };
+};
+
+/**
+ * Run every check in turn, so they do not compete for the same connection
+ * and each latency is measured on its own
+ * @param {Object} options
+ * @param {string} options.baseUrl - Stage URL
+ * @param {string} options.token - Bearer token for authenticated checks
+ * @param {number} options.latencyBudgetMs - Slowest response that still passes
+ * @param {number} options.timeoutMs - Time before a request is abandoned
+ * @param {Function} options.fetchImpl - fetch implementation, for tests
+ * @param {Object[]} options.checks - Checks to run
+ * @returns {Promise<Object[]>} - Result of each check
+ */
+const runCanary = async ({
+    baseUrl,
+    token,
+    latencyBudgetMs = DEFAULT_LATENCY_BUDGET_MS,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    fetchImpl = globalThis.fetch,
+    checks = CHECKS,
+}) => {
+    const results = [];
+    for (const check of checks) {
+        results.push(
+            await runCheck(check, {
+                baseUrl,
+                token,
+                latencyBudgetMs,
+                timeoutMs,
+                fetchImpl,
+            })
+        );
+    }
+    return results;
+};
+
+/**
+ * Exchange client credentials for an access token (OAuth 2.0 client
+ * credentials grant). The client authenticates with HTTP Basic, its ID and
+ * secret form-encoded as RFC 6749 requires.
+ * @param {Object} client - OAuth client
+ * @param {string} client.tokenUrl - Token endpoint of the issuer
+ * @param {string} client.clientId - Client ID
+ * @param {string} client.clientSecret - Client secret
+ * @param {string} client.scope - Scopes to request, space-separated; optional
+ * @param {string} client.audience - Audience to request, for issuers that need one; optional
+ * @param {Object} options
+ * @param {number} options.timeoutMs - Time before the request is abandoned
+ * @param {Function} options.fetchImpl - fetch implementation, for tests
+ * @returns {Promise<string>} - Access token
+ * @throws {Error} - When the client is incomplete or the token endpoint refuses it
+ */
+const mintToken = async (
+    { tokenUrl, clientId, clientSecret, scope, audience },
+    { timeoutMs = DEFAULT_TIMEOUT_MS, fetchImpl = globalThis.fetch } = {}
+) => {
+    if (![tokenUrl, clientId, clientSecret].every(isText)) {
+        throw new Error('The canary client needs a tokenUrl, clientId and clientSecret');
+    }
+    const basic = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+    const response = await fetchImpl(tokenUrl, {
+        method: 'POST',
+        headers: {
+            Accept: 'application/json',
+            'Content-Type': 'application/x-www-form-urlencoded',
+            Authorization: `Basic ${Buffer.from(basic).toString('base64')}`,
+        },
+        body: new URLSearchParams({
+            grant_type: 'client_credentials',
+            ...(scope && { scope }),
+            ...(audience && { audience }),
+        }).toString(),
+        signal: AbortSignal.timeout(timeoutMs),
+    });
+    const body = await response.json().catch(() => undefined);
+    if (!response.ok || !isText(body?.access_token)) {
+        const reason = isText(body?.error) ? ` (${body.error})` : '';
+        throw new Error(`Token endpoint answered ${response.status}${reason}`);
+    }
+    return body.access_token;
+};
+
+/**
+ * Obtain the /hello bearer token. The canary mints a fresh token on every
+ * run from the OAuth client in its secret, so there is no long-lived token to
+ * expire or rotate. The secret is its own, which only the canary's role can
+ * read, rather than a setting below the config path every function reads.
+ * @param {Object} log - Invocation logger
+ * @param {Object} options
+ * @param {number} options.timeoutMs - Time before each request is abandoned
+ * @returns {Promise<string|undefined>} - Token; undefined when it cannot be obtained,
+ *   which fails the hello check and raises its alarm
+ */
+async function obtainToken(log, { timeoutMs }) {
+    const secretId = process.env.CANARY_CLIENT_SECRET_ARN;
+    if (!secretId) {
+        return process.env.CANARY_TOKEN || undefined;
+    }
+    try {
+        const client = JSON.parse(await getSecretsClient().getSecretString(secretId));
+        return await mintToken(client, { timeoutMs });
+    } catch (error) {
+        log.error('Canary token could not be obtained', { error: error.message });
+        return undefined;
+    }
+}
+
+/**
+ * Write the metrics of one check result
+ * @param {Object} result - Result of runCheck
+ */
+function recordResult(result) {
+    // One batch per check: extra dimension values are shared by a whole batch
+    const batch = createMetrics({ dimensions: { Environment: process.env.ENVIRONMENT || 'dev' } });
+    const dimensions = { Check: result.check };
+    batch.addMetric('CanarySuccess', result.passed ? 1 : 0, 'Count', dimensions);
+    batch.addMetric('CanaryFailure', result.passed ? 0 : 1, 'Count', dimensions);
+    batch.addMetric('CanaryLatency', result.latencyMs, 'Milliseconds', dimensions);
+    batch.setProperty('statusCode', result.statusCode);
+    batch.flush();
+}
+
+/**
+ * Lambda handler for the scheduled canary (EventBridge)
+ * @param {Object} event - EventBridge scheduled event
+ * @param {Object} context - Lambda context
+ * @returns {Promise<{passed: boolean, results: Object[]}>} - Outcome of the run
+ * @throws {Error} - When CANARY_BASE_URL is not set
+ */
+exports.handler = async (event, context) => {
+    const log = invocationLogger(context);
+    const baseUrl = process.env.CANARY_BASE_URL;
+    if (!baseUrl) {
+        throw new Error('CANARY_BASE_URL is not set');
+    }
+
+    const timeoutMs = Number(process.env.CANARY_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+    const results = await runCanary({
+        baseUrl,
+        token: await obtainToken(log, { timeoutMs }),
+        latencyBudgetMs: Number(process.env.CANARY_LATENCY_BUDGET_MS) || DEFAULT_LATENCY_BUDGET_MS,
+        timeoutMs,
+    });
+
+    for (const result of results) {
+        recordResult(result);
+        if (result.passed) {
+            log.info('Canary check passed', { check: result.check, latencyMs: result.latencyMs });
+        } else {
+            log.warn('Canary check failed', result);
+        }
+    }
+
+    return { passed: results.every((result) => result.passed), results };
+};
+
+exports.CHECKS = CHECKS;
+exports.runCheck = runCheck;
+exports.runCanary = runCanary;
+exports.mintToken = mintToken;
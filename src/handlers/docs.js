@@ -0,0 +1,158 @@
+/**
+ * API Documentation Lambda Handler
+ * GET /openapi.json serves the OpenAPI 3.1 document generated from the
+ * `apiMetadata` of the handler modules; GET /docs renders it as a
+ * self-contained HTML reference. Both are public.
+ */
+
+const { createHandler, requestId, errorHandler, jsonBody, logging } = require('../lib/middleware');
+const { metrics } = require('../lib/metrics');
+const { tracing } = require('../lib/tracing');
+const { config } = require('../lib/config');
+const { httpCache } = require('../lib/http-cache');
+const { cors } = require('../lib/cors');
+const { problemResponse } = require('../lib/problem');
+const { buildOpenApiDocument, renderDocsPage, preflightRoute } = require('../lib/api-docs');
+const { normalizeRequest } = require('../lib/events');
+const hello = require('./hello');
+const greetings = require('./greetings');
+const health = require('./health');
+const graphql = require('./graphql');
+
+// The page loads nothing but its inline styles
+const CONTENT_SECURITY_POLICY =
+    "default-src 'none'; style-src 'unsafe-inline'; " + "frame-ancestors 'none'";
+
+const apiMetadata = {
+    routes: [
+        preflightRoute('/openapi.json', { tags: ['Documentation'] }),
+        {
+            method: 'GET',
+            path: '/openapi.json',
+            operationId: 'getOpenApiDocument',
+            summary: 'OpenAPI document',
+            description: 'This document, generated from the route metadata of the handlers.',
+            tags: ['Documentation'],
+            responses: {
+                200: {
+                    description: 'OpenAPI 3.1 document',
+                    headers: { ETag: 'Changes with every deployment that changes the document' },
+                    schema: { type: 'object' },
+                },
+            },
+            errors: { 403: 'Origin not allowed', 500: 'Unexpected error' },
+        },
+        preflightRoute('/docs', { tags: ['Documentation'] }),
+        {
+            method: 'GET',
+            path: '/docs',
+            operationId: 'getApiReference',
+            summary: 'API reference',
+            description: 'This document as an HTML page without external resources.',
+            tags: ['Documentation'],
+            responses: {
+                200: {
+                    description: 'HTML reference page',
+                    headers: { ETag: 'Changes with every deployment that changes the page' },
+                    mediaType: 'text/html',
+                    schema: { type: 'string' },
+                },
+            },
+            errors: { 403: 'Origin not allowed', 500: 'Unexpected error' },
+        },
+    ],
+};
+
+/**
+ * Build the OpenAPI document of the deployed stage
+ * @returns {Object} - OpenAPI 3.1 document
+ */
+const buildApiDocument = () => {
+    const environment = process.env.ENVIRONMENT || 'dev';
+    return buildOpenApiDocument({
+        modules: [
+            hello.apiMetadata,
+            greetings.apiMetadata,
+            health.apiMetadata,
+            graphql.apiMetadata,
+            apiMetadata,
+        ],
+        title: `Hello World API - ${environment}`,
+        version: process.env.API_VERSION || '1.0.0',
+        serverUrl: `/${environment}`,
+    });
+};
+
+// Built on first use and kept for the life of the container; both only
+// change with a deployment
+let apiDocument;
+let docsPage;
+
+/**
+ * Serve the OpenAPI document
+ * @returns {Object} - Response with the document
+ */
+const serveDocument = async () => {
+    apiDocument = apiDocument || buildApiDocument();
+    return {
+        statusCode: 200,
+        headers: { 'Content-Type': 'application/json' },
+        body: apiDocument,
+    };
+};
+
+/**
+ * Serve the HTML reference page
+ * @returns {Object} - Response with the page
+ */
+const serveDocsPage = async () => {
+    apiDocument = apiDocument || buildApiDocument();
+    docsPage = docsPage || renderDocsPage(apiDocument);
+    return {
+        statusCode: 200,
+        headers: {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Content-Security-Policy': CONTENT_SECURITY_POLICY,
+        },
+        body: docsPage,
+    };
+};
+
+/**
+ * Wrap a documentation route in the shared pipeline
+ * @param {Function} route - Route logic
+ * @param {string} name - Route name for metrics and the cache policy
+ * @returns {Function} - Lambda handler
+ */
+const docsHandler = (route, name) =>
+    createHandler(route, [
+        metrics({ route: name }),
+        requestId(),
+        tracing({ route: name }),
+        config(),
+        cors({ methods: ['GET', 'OPTIONS'] }),
+        jsonBody(),
+        httpCache({ route: name }),
+        errorHandler({ message: 'Failed to serve API documentation', toResponse: problemResponse }),
+        logging({
+            requestMessage: 'API documentation requested',
+            responseMessage: 'API documentation served',
+        }),
+    ]);
+
+const openApiHandler = docsHandler(serveDocument, 'GET /openapi.json');
+const docsPageHandler = docsHandler(serveDocsPage, 'GET /docs');
+
+/**
+ * Lambda handler for GET /openapi.json and GET /docs, and their CORS preflights
+ * @param {Object} event - API Gateway Lambda Proxy Input Format
+ * @param {Object} context - Lambda context
+ * @returns {Object} - API Gateway Lambda Proxy Output Format
+ */
+exports.handler = (event, context) => {
+    const isDocsPage = /\/docs\/?$/.test(normalizeRequest(event).path || '');
+    return (isDocsPage ? docsPageHandler : openApiHandler)(event, context);
+};
+
+exports.apiMetadata = apiMetadata;
+exports.buildApiDocument = buildApiDocument;
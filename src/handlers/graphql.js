@@ -0,0 +1,573 @@
+/**
+ * GraphQL Lambda Handler
+ * POST /graphql answers GraphQL queries over the data of GET /hello and the
+ * health endpoints:
+ *
+ *   { hello(name: "Ada", locale: "fr") { message locale } health { status } }
+ *
+ * Queries run on graphql-js. Queries deeper than graphql.maxDepth or costlier
+ * than graphql.maxComplexity are refused before anything runs
+ * (src/lib/graphql-limits.js), and introspection follows the
+ * features.graphqlIntrospection flag (off in prod). Every error carries a
+ * `code` and the `requestId` in its extensions. Requests that fail before
+ * execution are answered with 400; executed queries with 200, with `errors`
+ * for the fields that failed. A body that is not a GraphQL request is
+ * answered with problem details like any other route. The route is
+ * described for the OpenAPI document by `apiMetadata`.
+ */
+
+const {
+    createHandler,
+    requestId,
+    errorHandler,
+    jsonBody,
+    timing,
+    logging,
+} = require('../lib/middleware');
+const { authContext } = require('../lib/auth');
+const { metrics } = require('../lib/metrics');
+const { tracing } = require('../lib/tracing');
+const { config } = require('../lib/config');
+const { httpCache } = require('../lib/http-cache');
+const { cors } = require('../lib/cors');
+const { requestValidation } = require('../lib/openapi');
+const { problemResponse } = require('../lib/problem');
+const { rateLimit } = require('../lib/rate-limit');
+const { deadline } = require('../lib/deadline');
+const { PROBLEM_TYPE_PREFIX, HttpError, ValidationError, InternalError } = require('../lib/errors');
+const {
+    GraphQLSchema,
+    GraphQLObjectType,
+    GraphQLEnumType,
+    GraphQLList,
+    GraphQLNonNull,
+    GraphQLString,
+    GraphQLBoolean,
+    GraphQLFloat,
+    GraphQLID,
+    GraphQLError,
+    NoSchemaIntrospectionCustomRule,
+    execute,
+    getOperationAST,
+    parse,
+    specifiedRules,
+    validate,
+} = require('graphql');
+const { queryLimits } = require('../lib/graphql-limits');
+const { COMMON_ERRORS, DEADLINE_ERRORS, schemaRef, preflightRoute } = require('../lib/api-docs');
+const { validateName, renderHello } = require('./hello');
+const { evaluateReadiness, summarizeChecks } = require('./health');
+const greetings = require('./greetings');
+
+const GREETING_ID_PATTERN = new RegExp(greetings.apiMetadata.schemas.GreetingId.pattern);
+
+// Documents with more tokens are refused while parsing, which also bounds how
+// deeply the parser recurses
+const MAX_TOKENS = 2000;
+
+/**
+ * Resolve the hello query like GET /hello
+ * @param {*} _source - Root value
+ * @param {Object} args - name, locale and greetingId arguments
+ * @param {Object} ctx - Middleware invocation context
+ * @returns {Promise<Object>} - Greeting
+ * @throws {ValidationError} - When the name or greeting ID is invalid
+ */
+const resolveHello = async (_source, { name, locale, greetingId }, ctx) => {
+    if (greetingId !== undefined && greetingId !== null && !GREETING_ID_PATTERN.test(greetingId)) {
+        const message = "Argument 'greetingId' must be 1 to 64 letters, digits or hyphens";
+        throw new ValidationError(message, [{ field: 'greetingId', in: 'argument', message }]);
+    }
+    const greeting = await renderHello(ctx, {
+        name: validateName(name ?? undefined, { field: 'name', location: 'argument' }),
+        lang: locale ?? undefined,
+        greetingId: greetingId ?? undefined,
+    });
+    return {
+        message: greeting.message,
+        locale: greeting.locale,
+        timestamp: new Date().toISOString(),
+        requestId: ctx.requestId,
+        version: process.env.API_VERSION || '1.0.0',
+        environment: process.env.ENVIRONMENT || 'dev',
+    };
+};
+
+/**
+ * Resolve the health query like GET /health/ready. The probes run once per
+ * request however many times the field is selected.
+ * @param {*} _source - Root value
+ * @param {Object} _args - No arguments
+ * @param {Object} ctx - Middleware invocation context
+ * @returns {Promise<Object>} - Readiness with the checks as a list
+ */
+const resolveHealth = (_source, _args, ctx) => {
+    ctx.state.readiness =
+        ctx.state.readiness ||
+        (async () => {
+            const { status, checks } = await ctx.deadline.step('readiness probes', () =>
+                evaluateReadiness({ tracer: ctx.tracer })
+            );
+            const reported = ctx.config.isEnabled('verboseHealth')
+                ? checks
+                : summarizeChecks(checks);
+            return {
+                status,
+                timestamp: new Date().toISOString(),
+                checks: Object.entries(reported).map(([probe, result]) => ({
+                    name: probe,
+                    ...result,
+                })),
+                environment: process.env.ENVIRONMENT || 'dev',
+                region: process.env.AWS_REGION || 'unknown',
+                version: process.env.API_VERSION || '1.0.0',
+            };
+        })();
+    return ctx.state.readiness;
+};
+
+// Field costs count towards graphql.maxComplexity (src/lib/graphql-limits.js);
+// fields cost 1 unless extensions.complexity is set, and list fields pay for
+// their selections once per item (10 unless extensions.listSize is set)
+
+const HealthStatus = new GraphQLEnumType({
+    name: 'HealthStatus',
+    values: { healthy: {}, degraded: {}, unhealthy: {} },
+});
+
+const ProbeStatus = new GraphQLEnumType({
+    name: 'ProbeStatus',
+    values: { healthy: {}, warning: {}, unhealthy: {} },
+});
+
+const Greeting = new GraphQLObjectType({
+    name: 'Greeting',
+    description: 'A greeting, as returned by GET /hello',
+    fields: {
+        message: { type: new GraphQLNonNull(GraphQLString) },
+        locale: {
+            type: new GraphQLNonNull(GraphQLString),
+            description: 'Locale the greeting was rendered in',
+        },
+        timestamp: { type: new GraphQLNonNull(GraphQLString), description: 'ISO 8601 date-time' },
+        requestId: { type: new GraphQLNonNull(GraphQLString) },
+        version: { type: new GraphQLNonNull(GraphQLString), description: 'Deployed release' },
+        environment: { type: new GraphQLNonNull(GraphQLString) },
+    },
+});
+
+const ProbeCheck = new GraphQLObjectType({
+    name: 'ProbeCheck',
+    description: 'Result of one dependency probe',
+    fields: {
+        name: { type: new GraphQLNonNull(GraphQLString), description: 'Probe name, e.g. dynamodb' },
+        status: { type: new GraphQLNonNull(ProbeStatus) },
+        critical: {
+            type: new GraphQLNonNull(GraphQLBoolean),
+            description: 'Whether a failure makes the service unhealthy',
+        },
+        latencyMs: { type: new GraphQLNonNull(GraphQLFloat) },
+        error: {
+            type: GraphQLString,
+            description: 'Why the probe failed; only while the verboseHealth feature flag is on',
+        },
+    },
+});
+
+const Readiness = new GraphQLObjectType({
+    name: 'Readiness',
+    description: 'Aggregate status of the dependency probes',
+    fields: {
+        status: { type: new GraphQLNonNull(HealthStatus) },
+        timestamp: { type: new GraphQLNonNull(GraphQLString), description: 'ISO 8601 date-time' },
+        checks: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(ProbeCheck))) },
+        environment: { type: new GraphQLNonNull(GraphQLString) },
+        region: { type: new GraphQLNonNull(GraphQLString) },
+        version: { type: new GraphQLNonNull(GraphQLString), description: 'Deployed release' },
+    },
+});
+
+const Liveness = new GraphQLObjectType({
+    name: 'Liveness',
+    description: 'The function is running',
+    fields: {
+        status: { type: new GraphQLNonNull(HealthStatus) },
+        timestamp: { type: new GraphQLNonNull(GraphQLString), description: 'ISO 8601 date-time' },
+        version: { type: new GraphQLNonNull(GraphQLString), description: 'Deployed release' },
+    },
+});
+
+const schema = new GraphQLSchema({
+    description: 'Greetings and service health of the Hello World API',
+    query: new GraphQLObjectType({
+        name: 'Query',
+        fields: {
+            hello: {
+                type: Greeting,
+                description: 'Greet the caller, as GET /hello does',
+                args: {
+                    name: {
+                        type: GraphQLString,
+                        description:
+                            'Name to greet (letters, spaces, hyphens, apostrophes and periods)',
+                    },
+                    locale: {
+                        type: GraphQLString,
+                        description:
+                            'Preferred locale (en, fr, es, de); Accept-Language is used ' +
+                            'when unsupported',
+                    },
+                    greetingId: {
+                        type: GraphQLID,
+                        description:
+                            'Serve a stored greeting (see /greetings) instead of the ' +
+                            'localized one',
+                    },
+                },
+                extensions: { complexity: 5 },
+                resolve: resolveHello,
+            },
+            health: {
+                type: Readiness,
+                description: 'Run the dependency probes, as GET /health/ready does',
+                extensions: { complexity: 10 },
+                resolve: resolveHealth,
+            },
+            liveness: {
+                type: new GraphQLNonNull(Liveness),
+                description: 'Report that the function runs, as GET /health/live does',
+                resolve: () => ({
+                    status: 'healthy',
+                    timestamp: new Date().toISOString(),
+                    version: process.env.API_VERSION || '1.0.0',
+                }),
+            },
+        },
+    }),
+});
+
+/**
+ * Copy an error that stopped the query from running, adding its code
+ * @param {GraphQLError} error - Syntax, validation or request error
+ * @param {string} code - Code unless the error has one
+ * @returns {GraphQLError} - Error with extensions.code
+ */
+const withCode = (error, code) =>
+    new GraphQLError(error.message, {
+        nodes: error.nodes,
+        source: error.source,
+        positions: error.positions,
+        extensions: { code, ...error.extensions },
+    });
+
+/**
+ * Parse, validate, measure and execute the query of a request. Requests that
+ * fail before execution (syntax, validation, limits, invalid variables or
+ * operation name) get a result with `errors` and no `data`.
+ * @param {Object} ctx - Middleware invocation context
+ * @param {Object} request - GraphQL request: query, operationName and variables
+ * @returns {Promise<Object>} - ExecutionResult
+ */
+const runQuery = async (ctx, { query, operationName, variables }) => {
+    let document;
+    try {
+        document = parse(query, { maxTokens: MAX_TOKENS });
+    } catch (error) {
+        return { errors: [withCode(error, 'GRAPHQL_PARSE_FAILED')] };
+    }
+
+    const rules = ctx.config.isEnabled('graphqlIntrospection')
+        ? specifiedRules
+        : [...specifiedRules, NoSchemaIntrospectionCustomRule];
+    const validationErrors = validate(schema, document, rules);
+    if (validationErrors.length > 0) {
+        return {
+            errors: validationErrors.map((error) => withCode(error, 'GRAPHQL_VALIDATION_FAILED')),
+        };
+    }
+
+    // The schema only has queries
+    const operation = getOperationAST(document, operationName);
+    if (operation && !schema.getRootType(operation.operation)) {
+        const message = `Schema is not configured to execute ${operation.operation} operation.`;
+        return {
+            errors: [
+                new GraphQLError(message, {
+                    nodes: [operation],
+                    extensions: { code: 'GRAPHQL_VALIDATION_FAILED' },
+                }),
+            ],
+        };
+    }
+
+    const limits = queryLimits({
+        maxDepth: ctx.config.get('graphql.maxDepth'),
+        maxComplexity: ctx.config.get('graphql.maxComplexity'),
+        onMeasured: (cost, node) => {
+            if (node === operation) {
+                ctx.metrics.addMetric('QueryComplexity', cost.complexity, 'Count');
+            }
+        },
+    });
+    const limitErrors = validate(schema, document, [limits]);
+    if (limitErrors.length > 0) {
+        return { errors: limitErrors };
+    }
+
+    const result = await execute({
+        schema,
+        document,
+        operationName,
+        variableValues: variables,
+        contextValue: ctx,
+    });
+    if (!('data' in result)) {
+        const code = operation ? 'BAD_USER_INPUT' : 'OPERATION_RESOLUTION_FAILURE';
+        return { errors: result.errors.map((error) => withCode(error, code)) };
+    }
+    return result;
+};
+
+/**
+ * Format an error for the `errors` list of a response
+ * @param {GraphQLError} error - Error
+ * @param {Object} extensions - Extensions of the formatted error
+ * @param {string} message - Client-facing message
+ * @returns {Object} - { message, locations?, path?, extensions }
+ */
+const formatError = (error, extensions, message = error.message) => ({
+    ...error.toJSON(),
+    message,
+    extensions,
+});
+
+/**
+ * Format an error for the response and log the ones the client did not cause.
+ * Resolver errors are reported like problem details: HttpErrors keep their
+ * message and get their problem type as code; anything else is logged and
+ * reported as an internal error.
+ * @param {GraphQLError} error - Error of graphql-js or of a resolver
+ * @param {Object} ctx - Middleware invocation context
+ * @returns {Object} - Error for the `errors` list
+ */
+function toGraphQLError(error, ctx) {
+    const cause = error.originalError;
+    if (!cause) {
+        const code = error.extensions.code;
+        if (!code) {
+            // A resolver returned a value that does not fit the schema
+            ctx.logger.error('GraphQL result could not be completed', {
+                error: error.message,
+                path: error.path,
+            });
+        }
+        return formatError(error, { code: code || 'INTERNAL_ERROR', requestId: ctx.requestId });
+    }
+
+    const problem = cause instanceof HttpError ? cause : new InternalError(undefined, cause);
+    const isClientError = problem.statusCode < 500;
+    ctx.logger.log(isClientError ? 'WARN' : 'ERROR', 'GraphQL field failed', {
+        path: error.path,
+        error: cause.message,
+        ...(isClientError ? {} : { stack: cause.stack }),
+    });
+    const code = problem.type.startsWith(PROBLEM_TYPE_PREFIX)
+        ? problem.type.slice(PROBLEM_TYPE_PREFIX.length).replace(/-/g, '_').toUpperCase()
+        : 'INTERNAL_ERROR';
+    return formatError(
+        error,
+        { code, status: problem.statusCode, requestId: ctx.requestId },
+        problem.message
+    );
+}
+
+/**
+ * Run the query of a request
+ * @param {Object} ctx - Middleware invocation context
+ * @returns {Object} - Response with the GraphQL result
+ */
+const answerQuery = async (ctx) => {
+    const { query, operationName, variables } = ctx.state.body;
+    const result = await runQuery(ctx, {
+        query,
+        operationName: operationName ?? undefined,
+        variables: variables ?? undefined,
+    });
+
+    return {
+        // Requests that never ran have no data
+        statusCode: 'data' in result ? 200 : 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: {
+            ...(result.errors && {
+                errors: result.errors.map((error) => toGraphQLError(error, ctx)),
+            }),
+            ...('data' in result && { data: result.data }),
+        },
+    };
+};
+
+exports.schema = schema;
+
+/**
+ * Lambda handler for POST /graphql and its CORS preflight
+ * @param {Object} event - API Gateway Lambda Proxy Input Format
+ * @param {Object} context - Lambda context
+ * @returns {Object} - API Gateway Lambda Proxy Output Format
+ */
+exports.handler = createHandler(answerQuery, [
+    metrics({ route: 'POST /graphql' }),
+    requestId(),
+    tracing({ route: 'POST /graphql' }),
+    config(),
+    cors({ methods: ['POST', 'OPTIONS'] }),
+    jsonBody(),
+    httpCache({ route: 'POST /graphql' }),
+    errorHandler({ message: 'Failed to process GraphQL request', toResponse: problemResponse }),
+    deadline(),
+    authContext(),
+    rateLimit({ route: 'POST /graphql' }),
+    logging({
+        requestMessage: 'Processing GraphQL request',
+        responseMessage: 'Processed GraphQL request',
+        requestFields: (ctx) => ({
+            operationName: ctx.state.body?.operationName,
+            subject: ctx.principal?.subject,
+        }),
+        responseFields: (ctx) => ({
+            processingTime: ctx.processingTime,
+        }),
+    }),
+    timing(),
+    requestValidation({ path: '/graphql', method: 'POST' }),
+]);
+
+// Route metadata for the generated OpenAPI document (src/handlers/docs.js)
+
+const { 406: _notAcceptable, ...GRAPHQL_ERRORS } = COMMON_ERRORS;
+
+exports.apiMetadata = {
+    schemas: {
+        GraphQLRequest: {
+            type: 'object',
+            required: ['query'],
+            additionalProperties: false,
+            properties: {
+                query: {
+                    type: 'string',
+                    description: 'GraphQL document',
+                    minLength: 1,
+                    maxLength: 20000,
+                },
+                operationName: {
+                    type: ['string', 'null'],
+                    description: 'Operation to run when the document has several',
+                },
+                variables: {
+                    type: ['object', 'null'],
+                    description: "Values of the operation's variables",
+                },
+                extensions: {
+                    type: 'object',
+                    description: 'Protocol extensions; ignored',
+                },
+            },
+        },
+        GraphQLResponse: {
+            type: 'object',
+            properties: {
+                data: {
+                    type: ['object', 'null'],
+                    description: 'Selected fields; absent when the request could not run',
+                },
+                errors: {
+                    type: 'array',
+                    minItems: 1,
+                    items: schemaRef('GraphQLError'),
+                },
+            },
+        },
+        GraphQLError: {
+            type: 'object',
+            required: ['message', 'extensions'],
+            properties: {
+                message: { type: 'string' },
+                locations: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['line', 'column'],
+                        properties: {
+                            line: { type: 'integer', minimum: 1 },
+                            column: { type: 'integer', minimum: 1 },
+                        },
+                    },
+                },
+                path: {
+                    type: 'array',
+                    description: 'Response keys and list indexes of the field that failed',
+                },
+                extensions: {
+                    type: 'object',
+                    required: ['code', 'requestId'],
+                    properties: {
+                        code: {
+                            type: 'string',
+                            description:
+                                'e.g. GRAPHQL_VALIDATION_FAILED, ' +
+                                'QUERY_COMPLEXITY_EXCEEDED or NOT_FOUND',
+                        },
+                        status: {
+                            type: 'integer',
+                            description: 'HTTP status a field error would have had as a request',
+                        },
+                        requestId: { type: 'string' },
+                    },
+                },
+            },
+        },
+    },
+    routes: [
+        preflightRoute('/graphql', { tags: ['GraphQL'] }),
+        {
+            method: 'POST',
+            path: '/graphql',
+            operationId: 'postGraphQL',
+            summary: 'Run a GraphQL query',
+            description:
+                'Queries greetings (hello) and service health (health, liveness). ' +
+                'Queries over the depth or complexity limit are refused; introspection is ' +
+                'off in prod.',
+            tags: ['GraphQL'],
+            authenticated: true,
+            requestBody: {
+                schema: schemaRef('GraphQLRequest'),
+                example: {
+                    query: 'query Greet($name: String) { hello(name: $name) { message locale } }',
+                    variables: { name: 'Ada' },
+                },
+            },
+            responses: {
+                200: {
+                    description: 'The query ran; errors lists the fields that failed',
+                    schema: schemaRef('GraphQLResponse'),
+                    example: {
+                        data: { hello: { message: 'Hello, Ada!', locale: 'en' } },
+                    },
+                },
+                // A body that is not a GraphQL request is answered with problem details
+                400: {
+                    description:
+                        'The query could not be parsed, failed validation, exceeded ' +
+                        'a limit or had invalid variables',
+                    schema: schemaRef('GraphQLResponse'),
+                    problem: true,
+                },
+            },
+            errors: {
+                ...GRAPHQL_ERRORS,
+                ...DEADLINE_ERRORS,
+            },
+        },
+    ],
+};
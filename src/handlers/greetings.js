@@ -0,0 +1,509 @@
+/**
+ * Greetings Lambda Handlers
+ * Manage the catalog of stored greetings that GET /hello?greetingId= serves.
+ * Updates are optimistic: each greeting has a version, sent as its ETag, and
+ * PUT must name the version it replaces with If-Match. The routes are
+ * described for the OpenAPI document by `apiMetadata`.
+ */
+
+const { randomUUID } = require('crypto');
+const { createHandler, requestId, errorHandler, timing, logging } = require('../lib/middleware');
+const { authContext, requireScopes } = require('../lib/auth');
+const { metrics } = require('../lib/metrics');
+const { tracing } = require('../lib/tracing');
+const { config } = require('../lib/config');
+const { httpCache } = require('../lib/http-cache');
+const { cors, DEFAULT_ALLOW_HEADERS } = require('../lib/cors');
+const { contentNegotiation } = require('../lib/content-negotiation');
+const { requestValidation } = require('../lib/openapi');
+const { problemResponse } = require('../lib/problem');
+const { rateLimit } = require('../lib/rate-limit');
+const {
+    HttpError,
+    NotFoundError,
+    PreconditionFailedError,
+    PreconditionRequiredError,
+} = require('../lib/errors');
+const {
+    getGreetingRepository,
+    encodeCursor,
+    decodeCursor,
+    greetingETag,
+    matchesIfMatch,
+} = require('../lib/greetings');
+const { normalizeRequest } = require('../lib/events');
+const { getHeader, getQueryParam } = require('../lib/request');
+const { COMMON_ERRORS, schemaRef, preflightRoute } = require('../lib/api-docs');
+
+const DEFAULT_PAGE_SIZE = 20;
+const DEFAULT_LOCALE = 'en';
+// The authorizer requires greetings:read for every route; changes need more
+const WRITE_SCOPE = 'greetings:write';
+
+/**
+ * @param {Object} greeting - Stored greeting
+ * @param {number} statusCode - Response status
+ * @returns {Object} - Response with the greeting and its ETag
+ */
+function greetingResponse(greeting, statusCode = 200) {
+    return {
+        statusCode,
+        headers: { ETag: greetingETag(greeting) },
+        body: greeting,
+    };
+}
+
+/**
+ * @param {string} id - Greeting ID
+ * @returns {Promise<Object>} - Stored greeting
+ * @throws {NotFoundError} - When there is no greeting with the ID
+ */
+async function findGreeting(id) {
+    const greeting = await getGreetingRepository().get(id);
+    if (!greeting) {
+        throw new NotFoundError(`Greeting '${id}' does not exist`);
+    }
+    return greeting;
+}
+
+/**
+ * GET /greetings - one page of greetings
+ * @param {Object} ctx - Middleware invocation context
+ * @returns {Object} - Response with items and, when more follow, nextCursor
+ */
+const listGreetings = async (ctx) => {
+    const limit = Number(getQueryParam(ctx.request, 'limit') || DEFAULT_PAGE_SIZE);
+    const startAfter = decodeCursor(getQueryParam(ctx.request, 'cursor'));
+    const { items, lastKey } = await getGreetingRepository().list({ limit, startAfter });
+
+    return {
+        statusCode: 200,
+        body: {
+            items,
+            ...(lastKey && { nextCursor: encodeCursor(lastKey) }),
+        },
+    };
+};
+
+/**
+ * POST /greetings - store a new greeting
+ * @param {Object} ctx - Middleware invocation context
+ * @returns {Object} - 201 response with the greeting, its ETag and Location
+ */
+const createGreeting = async (ctx) => {
+    const now = new Date().toISOString();
+    const greeting = {
+        id: randomUUID(),
+        message: ctx.state.body.message,
+        locale: ctx.state.body.locale || DEFAULT_LOCALE,
+        version: 1,
+        createdAt: now,
+        updatedAt: now,
+    };
+    if (!(await getGreetingRepository().create(greeting))) {
+        // Random UUIDs do not collide in practice; report it rather than overwrite
+        throw new Error(`Greeting ID ${greeting.id} is already taken`);
+    }
+
+    const response = greetingResponse(greeting, 201);
+    response.headers.Location = `/greetings/${greeting.id}`;
+    return response;
+};
+
+/**
+ * GET /greetings/{id}
+ * @param {Object} ctx - Middleware invocation context
+ * @returns {Object} - Response with the greeting and its ETag
+ */
+const getGreeting = async (ctx) =>
+    greetingResponse(await findGreeting(ctx.request.pathParameters.id));
+
+/**
+ * PUT /greetings/{id} - replace a greeting's message and locale. The version
+ * being replaced is taken from If-Match, or from the body's version field.
+ * @param {Object} ctx - Middleware invocation context
+ * @returns {Object} - Response with the new version of the greeting
+ */
+const updateGreeting = async (ctx) => {
+    const current = await findGreeting(ctx.request.pathParameters.id);
+    const { message, locale = DEFAULT_LOCALE, version } = ctx.state.body;
+
+    const ifMatch = getHeader(ctx.request, 'If-Match');
+    if (ifMatch === undefined && version === undefined) {
+        throw new PreconditionRequiredError();
+    }
+    const isCurrent =
+        ifMatch !== undefined ? matchesIfMatch(ifMatch, current) : version === current.version;
+    if (!isCurrent) {
+        throw new PreconditionFailedError(
+            `Greeting '${current.id}' is at version ${current.version}`
+        );
+    }
+
+    const updated = {
+        ...current,
+        message,
+        locale,
+        version: current.version + 1,
+        updatedAt: new Date().toISOString(),
+    };
+    const written = await getGreetingRepository().update(updated, {
+        expectedVersion: current.version,
+    });
+    if (!written) {
+        throw new PreconditionFailedError(`Greeting '${current.id}' was changed concurrently`);
+    }
+    return greetingResponse(updated);
+};
+
+/**
+ * DELETE /greetings/{id} - remove a greeting, only at the If-Match version
+ * when one is given
+ * @param {Object} ctx - Middleware invocation context
+ * @returns {Object} - 204 response
+ */
+const deleteGreeting = async (ctx) => {
+    const current = await findGreeting(ctx.request.pathParameters.id);
+
+    const ifMatch = getHeader(ctx.request, 'If-Match');
+    if (ifMatch !== undefined && !matchesIfMatch(ifMatch, current)) {
+        throw new PreconditionFailedError(
+            `Greeting '${current.id}' is at version ${current.version}`
+        );
+    }
+
+    const removed = await getGreetingRepository().remove(current.id, {
+        expectedVersion: ifMatch === undefined ? undefined : current.version,
+    });
+    if (!removed) {
+        // The write fails both when the greeting changed and when it is gone
+        await findGreeting(current.id);
+        throw new PreconditionFailedError(`Greeting '${current.id}' was changed concurrently`);
+    }
+    return { statusCode: 204 };
+};
+
+/**
+ * Wrap a greetings route in the shared pipeline
+ * @param {Function} route - Route logic
+ * @param {Object} options
+ * @param {string} options.method - HTTP method
+ * @param {string} options.path - Path template in the OpenAPI document
+ * @param {string[]} options.scopes - Token scopes the route requires beyond the
+ *   authorizer's
+ * @returns {Function} - Lambda handler
+ */
+const greetingsHandler = (route, { method, path, scopes = [] }) => {
+    const name = `${method} ${path}`;
+    return createHandler(route, [
+        metrics({ route: name }),
+        requestId(),
+        tracing({ route: name }),
+        config(),
+        cors({
+            methods:
+                path === '/greetings'
+                    ? ['GET', 'POST', 'OPTIONS']
+                    : ['GET', 'PUT', 'DELETE', 'OPTIONS'],
+            allowHeaders: [...DEFAULT_ALLOW_HEADERS, 'If-Match'],
+            exposeHeaders: [
+                'X-Request-Id',
+                'X-Correlation-Id',
+                'X-Trace-Id',
+                'ETag',
+                'Location',
+                'RateLimit-Limit',
+                'RateLimit-Remaining',
+                'RateLimit-Reset',
+                'RateLimit-Policy',
+                'Retry-After',
+            ],
+        }),
+        contentNegotiation({ xmlRoot: 'greetings', htmlTitle: 'Greetings' }),
+        // Greetings change at any time, so they are no-store; clients
+        // revalidate with the version ETag instead
+        httpCache({ route: name }),
+        errorHandler({ message: 'Failed to process request', toResponse: problemResponse }),
+        authContext(),
+        requireScopes(scopes),
+        rateLimit({ route: name }),
+        logging({
+            requestMessage: 'Processing greetings request',
+            responseMessage: 'Processed greetings request',
+            requestFields: (ctx) => ({
+                route: name,
+                subject: ctx.principal?.subject,
+            }),
+            responseFields: (ctx) => ({
+                processingTime: ctx.processingTime,
+            }),
+        }),
+        timing(),
+        requestValidation({ path, method }),
+    ]);
+};
+
+const routes = {
+    'GET /greetings': greetingsHandler(listGreetings, { method: 'GET', path: '/greetings' }),
+    'POST /greetings': greetingsHandler(createGreeting, {
+        method: 'POST',
+        path: '/greetings',
+        scopes: [WRITE_SCOPE],
+    }),
+    'GET /greetings/{id}': greetingsHandler(getGreeting, {
+        method: 'GET',
+        path: '/greetings/{id}',
+    }),
+    'PUT /greetings/{id}': greetingsHandler(updateGreeting, {
+        method: 'PUT',
+        path: '/greetings/{id}',
+        scopes: [WRITE_SCOPE],
+    }),
+    'DELETE /greetings/{id}': greetingsHandler(deleteGreeting, {
+        method: 'DELETE',
+        path: '/greetings/{id}',
+        scopes: [WRITE_SCOPE],
+    }),
+};
+
+// Answers methods the routes do not declare, for front doors that do not
+// route by method themselves
+const methodNotAllowed = createHandler(
+    async (ctx) => {
+        throw new HttpError(405, `Method ${ctx.request.method} is not allowed`);
+    },
+    [
+        requestId(),
+        contentNegotiation(),
+        errorHandler({ message: 'Failed to process request', toResponse: problemResponse }),
+    ]
+);
+
+/**
+ * Lambda handler for every /greetings route. CORS preflights go to the GET
+ * route of the path, whose cors stage answers them.
+ * @param {Object} event - API Gateway Lambda Proxy Input Format
+ * @param {Object} context - Lambda context
+ * @returns {Object} - API Gateway Lambda Proxy Output Format
+ */
+exports.handler = (event, context) => {
+    const request = normalizeRequest(event);
+    const path = request.pathParameters?.id === undefined ? '/greetings' : '/greetings/{id}';
+    const method = request.method === 'OPTIONS' ? 'GET' : request.method;
+    return (routes[`${method} ${path}`] || methodNotAllowed)(event, context);
+};
+
+// Route metadata for the generated OpenAPI document (src/handlers/docs.js)
+
+const ETAG_HEADER = { ETag: 'Version of the greeting, for If-Match' };
+const ID_PARAMETER = {
+    name: 'id',
+    in: 'path',
+    required: true,
+    schema: schemaRef('GreetingId'),
+};
+const IF_MATCH_PARAMETER = {
+    name: 'If-Match',
+    in: 'header',
+    required: false,
+    description: 'ETag of the version being replaced or deleted',
+    schema: { type: 'string' },
+};
+const EXAMPLE_GREETING = {
+    id: 'welcome',
+    message: 'Welcome aboard, {name}!',
+    locale: DEFAULT_LOCALE,
+    version: 2,
+    createdAt: '2026-01-01T12:00:00.000Z',
+    updatedAt: '2026-01-02T08:30:00.000Z',
+};
+const LOCALE_PATTERN = '^[A-Za-z]{1,8}(-[A-Za-z0-9]{1,8})*$';
+const common = { tags: ['Greetings'], authenticated: true };
+
+/**
+ * @param {string} description - Response description
+ * @param {Object} headers - Response header descriptions
+ * @returns {Object} - Response metadata of a stored greeting
+ */
+const stored = (description, headers) => ({
+    description,
+    headers,
+    schema: schemaRef('StoredGreeting'),
+    example: EXAMPLE_GREETING,
+    negotiated: true,
+});
+
+exports.apiMetadata = {
+    schemas: {
+        StoredGreeting: {
+            type: 'object',
+            required: ['id', 'message', 'locale', 'version', 'createdAt', 'updatedAt'],
+            properties: {
+                id: { type: 'string' },
+                message: {
+                    type: 'string',
+                    description: "Greeting text; {name} is replaced by the caller's name",
+                },
+                locale: { type: 'string' },
+                version: {
+                    type: 'integer',
+                    minimum: 1,
+                    description: 'Incremented by every update; sent as the ETag',
+                },
+                createdAt: { type: 'string', format: 'date-time' },
+                updatedAt: { type: 'string', format: 'date-time' },
+            },
+        },
+        GreetingId: {
+            type: 'string',
+            pattern: '^[A-Za-z0-9-]{1,64}$',
+        },
+        GreetingPage: {
+            type: 'object',
+            required: ['items'],
+            properties: {
+                items: { type: 'array', items: schemaRef('StoredGreeting') },
+                nextCursor: {
+                    type: 'string',
+                    description: 'Pass as cursor to read the next page; absent on the last page',
+                },
+            },
+        },
+        GreetingInput: {
+            type: 'object',
+            required: ['message'],
+            additionalProperties: false,
+            properties: {
+                message: { type: 'string', minLength: 1, maxLength: 200 },
+                locale: {
+                    type: 'string',
+                    description: `Locale of the message (default ${DEFAULT_LOCALE})`,
+                    pattern: LOCALE_PATTERN,
+                },
+                version: {
+                    type: 'integer',
+                    minimum: 1,
+                    description: 'For PUT without If-Match, the version being replaced',
+                },
+            },
+        },
+    },
+    routes: [
+        preflightRoute('/greetings', { tags: common.tags }),
+        {
+            ...common,
+            method: 'GET',
+            path: '/greetings',
+            operationId: 'listGreetings',
+            summary: 'List stored greetings',
+            parameters: [
+                {
+                    name: 'limit',
+                    in: 'query',
+                    required: false,
+                    description: `Greetings per page (default ${DEFAULT_PAGE_SIZE})`,
+                    schema: { type: 'integer', minimum: 1, maximum: 100 },
+                },
+                {
+                    name: 'cursor',
+                    in: 'query',
+                    required: false,
+                    description: 'nextCursor of the previous page',
+                    schema: { type: 'string' },
+                },
+            ],
+            responses: {
+                200: {
+                    description: 'One page of greetings',
+                    schema: schemaRef('GreetingPage'),
+                    example: { items: [EXAMPLE_GREETING], nextCursor: 'eyJpZCI6IndlbGNvbWUifQ' },
+                    negotiated: true,
+                },
+            },
+            errors: {
+                ...COMMON_ERRORS,
+                400: 'A query parameter failed validation, or the cursor is invalid',
+            },
+        },
+        {
+            ...common,
+            method: 'POST',
+            path: '/greetings',
+            operationId: 'createGreeting',
+            summary: 'Store a greeting',
+            description: `Requires the ${WRITE_SCOPE} scope.`,
+            requestBody: {
+                schema: schemaRef('GreetingInput'),
+                example: { message: 'Welcome aboard, {name}!', locale: DEFAULT_LOCALE },
+            },
+            responses: {
+                201: stored('Greeting stored', {
+                    Location: 'Path of the new greeting',
+                    ...ETAG_HEADER,
+                }),
+            },
+            errors: {
+                ...COMMON_ERRORS,
+                400: 'The body failed validation; errors lists each field',
+            },
+        },
+        preflightRoute('/greetings/{id}', { tags: common.tags }),
+        {
+            ...common,
+            method: 'GET',
+            path: '/greetings/{id}',
+            operationId: 'getGreeting',
+            summary: 'Read a stored greeting',
+            parameters: [ID_PARAMETER],
+            responses: {
+                200: stored('The greeting', ETAG_HEADER),
+            },
+            errors: {
+                ...COMMON_ERRORS,
+                404: 'No greeting has the ID',
+            },
+        },
+        {
+            ...common,
+            method: 'PUT',
+            path: '/greetings/{id}',
+            operationId: 'updateGreeting',
+            summary: 'Replace a stored greeting',
+            description:
+                `Requires the ${WRITE_SCOPE} scope, and If-Match or version naming ` +
+                'the version being replaced.',
+            parameters: [ID_PARAMETER, IF_MATCH_PARAMETER],
+            requestBody: {
+                schema: schemaRef('GreetingInput'),
+                example: { message: 'Welcome back, {name}!' },
+            },
+            responses: {
+                200: stored('The greeting was replaced; version is incremented', ETAG_HEADER),
+            },
+            errors: {
+                ...COMMON_ERRORS,
+                400: 'The body failed validation; errors lists each field',
+                404: 'No greeting has the ID',
+                412: 'If-Match or version names an old version',
+                428: 'Neither If-Match nor version was sent',
+            },
+        },
+        {
+            ...common,
+            method: 'DELETE',
+            path: '/greetings/{id}',
+            operationId: 'deleteGreeting',
+            summary: 'Delete a stored greeting',
+            description: `Requires the ${WRITE_SCOPE} scope.`,
+            parameters: [ID_PARAMETER, IF_MATCH_PARAMETER],
+            responses: {
+                204: { description: 'The greeting was deleted' },
+            },
+            errors: {
+                ...COMMON_ERRORS,
+                404: 'No greeting has the ID',
+                412: 'If-Match names an old version',
+            },
+        },
+    ],
+};
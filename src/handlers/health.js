@@ -1,112 +1,317 @@
 /**
- * Health Check Lambda Handler
- * Returns the health status of the API
+ * Health Check Lambda Handlers
+ * Liveness reports that the function runs; readiness runs the registered
+ * dependency probes and reports the aggregate status of the API. The routes
+ * are described for the OpenAPI document by `apiMetadata`.
  */
 
-// Structured logging helper (same as in hello.js for consistency)
-const log = (level, message, data = {}) => {
-    console.log(JSON.stringify({
-        timestamp: new Date().toISOString(),
-        level,
-        message,
-        ...data
-    }));
+const { createHandler, requestId, errorHandler, logging } = require('../lib/middleware');
+const { metrics } = require('../lib/metrics');
+const { tracing } = require('../lib/tracing');
+const { config } = require('../lib/config');
+const { httpCache } = require('../lib/http-cache');
+const {
+    createProbeRegistry,
+    aggregateStatus,
+    memoryProbe,
+    dynamoDbTableProbe,
+    httpProbe,
+} = require('../lib/probes');
+const { cors } = require('../lib/cors');
+const { contentNegotiation } = require('../lib/content-negotiation');
+const { ServiceUnavailableError } = require('../lib/errors');
+const { problemResponse } = require('../lib/problem');
+const { deadline } = require('../lib/deadline');
+const { DEADLINE_ERRORS, schemaRef, preflightRoute } = require('../lib/api-docs');
+
+// Dependency probes checked by the readiness endpoint. The memory probe is
+// always present; the others are enabled by environment variables.
+const probes = createProbeRegistry();
+
+probes.register(
+    'memory',
+    memoryProbe({
+        memoryMb: Number(process.env.AWS_LAMBDA_FUNCTION_MEMORY_SIZE) || 128,
+    }),
+    { critical: true, timeoutMs: 100 }
+);
+
+if (process.env.HEALTH_DYNAMODB_TABLE) {
+    probes.register(
+        'dynamodb',
+        dynamoDbTableProbe({
+            tableName: process.env.HEALTH_DYNAMODB_TABLE,
+        }),
+        { critical: true, timeoutMs: 1000 }
+    );
+}
+
+if (process.env.HEALTH_DEPENDENCY_URL) {
+    probes.register(
+        'dependency',
+        httpProbe({
+            url: process.env.HEALTH_DEPENDENCY_URL,
+        }),
+        { critical: false, timeoutMs: 1000 }
+    );
+}
+
+/**
+ * Run every registered probe and aggregate the results
+ * @param {Object} options
+ * @param {Object} options.tracer - Tracer that records a span per probe
+ * @returns {Promise<{status: string, statusCode: number, checks: Object}>}
+ */
+const evaluateReadiness = async ({ tracer } = {}) => {
+    const checks = await probes.run({ tracer });
+    return { ...aggregateStatus(checks), checks };
 };
 
 /**
- * Lambda handler for the health check endpoint
+ * Reduce probe results to what callers need to act on. Used when the
+ * features.verboseHealth flag is off, so error messages and dependency
+ * details are not exposed publicly.
+ * @param {Object} checks - Probe name => result
+ * @returns {Object} - Probe name => status, critical and latencyMs
+ */
+function summarizeChecks(checks) {
+    return Object.fromEntries(
+        Object.entries(checks).map(([probe, result]) => [
+            probe,
+            { status: result.status, critical: result.critical, latencyMs: result.latencyMs },
+        ])
+    );
+}
+
+/**
+ * Report that the function is running, without touching dependencies
+ * @param {Object} ctx - Middleware invocation context
+ * @returns {Object} - Response with the liveness payload
+ */
+const checkLiveness = async (ctx) => {
+    ctx.metrics.addMetric('HealthChecks', 1, 'Count', { Status: 'healthy' });
+    return {
+        statusCode: 200,
+        body: {
+            status: 'healthy',
+            timestamp: new Date().toISOString(),
+            version: process.env.API_VERSION || '1.0.0',
+        },
+    };
+};
+
+/**
+ * Run the dependency probes and report the aggregate status
+ * @param {Object} ctx - Middleware invocation context
+ * @returns {Object} - Response with the readiness payload
+ */
+const checkReadiness = async (ctx) => {
+    const { status, statusCode, checks } = await ctx.deadline.step('readiness probes', () =>
+        evaluateReadiness({ tracer: ctx.tracer })
+    );
+    ctx.metrics.addMetric('HealthChecks', 1, 'Count', { Status: status });
+
+    for (const [probe, result] of Object.entries(checks)) {
+        if (result.status === 'unhealthy') {
+            ctx.logger.warn('Health probe failed', {
+                probe,
+                critical: result.critical,
+                latencyMs: result.latencyMs,
+                error: result.error,
+            });
+        }
+    }
+
+    return {
+        statusCode,
+        body: {
+            status,
+            timestamp: new Date().toISOString(),
+            checks: ctx.config.isEnabled('verboseHealth') ? checks : summarizeChecks(checks),
+            environment: process.env.ENVIRONMENT || 'dev',
+            region: process.env.AWS_REGION || 'unknown',
+            version: process.env.API_VERSION || '1.0.0',
+        },
+    };
+};
+
+/**
+ * Wrap a health route in the shared health check pipeline
+ * @param {Function} route - Route logic
+ * @param {string} name - Route dimension of the handler's metrics
+ * @returns {Function} - Lambda handler
+ */
+const healthHandler = (route, name) =>
+    createHandler(route, [
+        metrics({ route: name }),
+        requestId(),
+        tracing({ route: name }),
+        config(),
+        // Health results must always be fresh (no-store in src/config/cache-policies.json)
+        httpCache({ route: name }),
+        cors({ methods: ['GET', 'OPTIONS'] }),
+        contentNegotiation({ xmlRoot: 'health', htmlTitle: 'Service Health' }),
+        errorHandler({
+            message: 'Health check failed',
+            // A health check that cannot run reports the service as unavailable
+            toResponse: (error, ctx) =>
+                problemResponse(error, ctx, {
+                    fallback: (cause) =>
+                        new ServiceUnavailableError('Health check encountered an error', cause),
+                }),
+        }),
+        deadline(),
+        logging({
+            requestMessage: 'Health check requested',
+            responseMessage: 'Health check completed',
+            responseFields: (ctx) => ({
+                status: ctx.response.body.status,
+            }),
+        }),
+    ]);
+
+/**
+ * Lambda handler for the liveness endpoint (GET /health/live)
  * @param {Object} event - API Gateway Lambda Proxy Input Format
  * @returns {Object} - API Gateway Lambda Proxy Output Format
  */
-exports.handler = async (event) => {
-    const requestId = event.requestContext?.requestId || 'unknown';
-
-    try {
-        // Log health check request
-        log('INFO', 'Health check requested', {
-            requestId,
-            path: event.path,
-            method: event.httpMethod
-        });
-
-        // Perform basic health checks
-        const healthChecks = {
-            lambda: 'healthy',
-            memory: checkMemory(),
-            environment: process.env.ENVIRONMENT || 'dev',
-            region: process.env.AWS_REGION || 'unknown'
-        };
+exports.live = healthHandler(checkLiveness, 'GET /health/live');
 
-        // Check if all services are healthy
-        const isHealthy = Object.values(healthChecks).every(
-            status => status !== 'unhealthy'
-        );
+/**
+ * Lambda handler for the readiness endpoint (GET /health/ready)
+ * @param {Object} event - API Gateway Lambda Proxy Input Format
+ * @returns {Object} - API Gateway Lambda Proxy Output Format
+ */
+exports.ready = healthHandler(checkReadiness, 'GET /health/ready');
 
-        const responseData = {
-            status: isHealthy ? 'healthy' : 'degraded',
-            timestamp: new Date().toISOString(),
-            checks: healthChecks,
-            version: process.env.API_VERSION || '1.0.0'
-        };
-
-        // Log health check result
-        log('INFO', 'Health check completed', {
-            requestId,
-            status: responseData.status
-        });
-
-        // Return health status
-        return {
-            statusCode: isHealthy ? 200 : 503,
-            headers: {
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*',
-                'Cache-Control': 'no-cache, no-store, must-revalidate',
-                'X-Request-Id': requestId
-            },
-            body: JSON.stringify(responseData)
-        };
-
-    } catch (error) {
-        // Log error
-        log('ERROR', 'Health check failed', {
-            requestId,
-            error: error.message,
-            stack: error.stack
-        });
-
-        // Return unhealthy status
-        return {
-            statusCode: 503,
-            headers: {
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*',
-                'Cache-Control': 'no-cache, no-store, must-revalidate',
-                'X-Request-Id': requestId
-            },
-            body: JSON.stringify({
-                status: 'unhealthy',
-                timestamp: new Date().toISOString(),
-                error: 'Health check encountered an error',
-                requestId
-            })
-        };
-    }
+exports.probes = probes;
+exports.evaluateReadiness = evaluateReadiness;
+exports.summarizeChecks = summarizeChecks;
+
+/**
+ * Lambda handler for the health check endpoint (GET /health), an alias of
+ * the readiness check
+ * @param {Object} event - API Gateway Lambda Proxy Input Format
+ * @returns {Object} - API Gateway Lambda Proxy Output Format
+ */
+exports.handler = exports.ready;
+
+// Route metadata for the generated OpenAPI document (src/handlers/docs.js)
+
+const EXAMPLE_READINESS = {
+    status: 'healthy',
+    timestamp: '2026-01-01T12:00:00.000Z',
+    checks: { memory: { status: 'healthy', critical: true, latencyMs: 0.4 } },
+    environment: 'dev',
+    region: 'ap-southeast-2',
+    version: '1.0.0',
+};
+const HEALTH_ERRORS = {
+    403: 'Origin not allowed',
+    406: 'None of the requested formats are supported',
+    ...DEADLINE_ERRORS,
 };
 
 /**
- * Check memory usage
- * @returns {string} Memory status
+ * Metadata of a readiness route
+ * @param {string} path - /health or /health/ready
+ * @param {Object} descriptions - Descriptions of the 200 and 503 responses
+ * @returns {Object[]} - Route metadata
  */
-function checkMemory() {
-    const used = process.memoryUsage();
-    const maxMemory = 128 * 1024 * 1024; // 128MB in bytes (Lambda configured memory)
-    const percentUsed = (used.heapUsed / maxMemory) * 100;
-
-    if (percentUsed > 90) {
-        return 'unhealthy';
-    } else if (percentUsed > 70) {
-        return 'warning';
-    }
-    return 'healthy';
-}
\ No newline at end of file
+const readinessRoutes = (path, { healthy, unhealthy }) => [
+    preflightRoute(path, { tags: ['Health'] }),
+    {
+        method: 'GET',
+        path,
+        operationId: path === '/health' ? 'checkHealth' : 'checkReadiness',
+        summary: path === '/health' ? 'Readiness (alias of /health/ready)' : 'Readiness',
+        description:
+            'Runs the dependency probes. Probe errors are only listed while the ' +
+            'verboseHealth feature flag is on.',
+        tags: ['Health'],
+        responses: {
+            200: {
+                description: healthy,
+                schema: schemaRef('Readiness'),
+                example: EXAMPLE_READINESS,
+                negotiated: true,
+            },
+            // Checks that cannot run are reported as problem details instead
+            503: {
+                description: unhealthy,
+                schema: schemaRef('Readiness'),
+                negotiated: true,
+                problem: true,
+            },
+        },
+        errors: HEALTH_ERRORS,
+    },
+];
+
+exports.apiMetadata = {
+    schemas: {
+        Liveness: {
+            type: 'object',
+            required: ['status', 'timestamp', 'version'],
+            properties: {
+                status: { type: 'string', enum: ['healthy'] },
+                timestamp: { type: 'string', format: 'date-time' },
+                version: { type: 'string' },
+            },
+        },
+        Readiness: {
+            type: 'object',
+            required: ['status', 'timestamp', 'checks', 'environment', 'region', 'version'],
+            properties: {
+                status: { type: 'string', enum: ['healthy', 'degraded', 'unhealthy'] },
+                timestamp: { type: 'string', format: 'date-time' },
+                checks: { type: 'object', additionalProperties: schemaRef('ProbeResult') },
+                environment: { type: 'string' },
+                region: { type: 'string' },
+                version: { type: 'string' },
+            },
+        },
+        ProbeResult: {
+            type: 'object',
+            required: ['status', 'critical', 'latencyMs'],
+            properties: {
+                status: { type: 'string', enum: ['healthy', 'warning', 'unhealthy'] },
+                critical: { type: 'boolean' },
+                latencyMs: { type: 'number', minimum: 0 },
+                error: { type: 'string' },
+            },
+        },
+    },
+    routes: [
+        ...readinessRoutes('/health', {
+            healthy: 'Service is healthy',
+            unhealthy: 'Service is unhealthy, or the check could not run (problem details)',
+        }),
+        preflightRoute('/health/live', { tags: ['Health'] }),
+        {
+            method: 'GET',
+            path: '/health/live',
+            operationId: 'checkLiveness',
+            summary: 'Liveness',
+            description: 'Reports that the function runs, without touching dependencies.',
+            tags: ['Health'],
+            responses: {
+                200: {
+                    description: 'Function is running',
+                    schema: schemaRef('Liveness'),
+                    example: {
+                        status: 'healthy',
+                        timestamp: '2026-01-01T12:00:00.000Z',
+                        version: '1.0.0',
+                    },
+                    negotiated: true,
+                },
+            },
+            errors: HEALTH_ERRORS,
+        },
+        ...readinessRoutes('/health/ready', {
+            healthy: 'Service is healthy or degraded (non-critical probe failures)',
+            unhealthy: 'A critical probe failed, or the check could not run (problem details)',
+        }),
+    ],
+};
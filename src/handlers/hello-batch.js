@@ -0,0 +1,162 @@
+/**
+ * Batch Greeting Lambda Handler
+ * Generates greetings for bulk jobs, such as welcome messages for imported
+ * users, from the greeting jobs SQS queue. Each message body is a
+ * HelloRequest (the body of POST /hello) with an optional `reference`, the
+ * caller's own ID for the job:
+ *
+ *   { "recipient": "Ada", "tone": "formal", "locale": "fr", "reference": "user-42" }
+ *
+ * Greetings are composed as POST /hello composes them and written to the
+ * result sink (src/lib/greeting-results). Messages that fail for a reason
+ * that may pass, such as a throttled write, are reported in
+ * `batchItemFailures`, so SQS retries only those; after the queue's
+ * maxReceiveCount a message that keeps failing moves to the dead-letter queue.
+ * Invalid messages would fail the same way on every receive, so they are
+ * sent to the dead-letter queue right away (src/lib/dead-letter-queue.js);
+ * when that send fails they are reported for retry like any other failure,
+ * and the redrive policy moves them.
+ */
+
+const { invocationLogger } = require('../lib/logger');
+const { createMetrics } = require('../lib/metrics');
+const { getConfig } = require('../lib/config');
+const { validateSchema } = require('../lib/schema');
+const { ValidationError } = require('../lib/errors');
+const { getResultSink } = require('../lib/greeting-results');
+const { getDeadLetterQueue } = require('../lib/dead-letter-queue');
+const { composeGreeting, apiMetadata } = require('./hello');
+
+const { HelloRequest } = apiMetadata.schemas;
+
+// Body of a greeting job message
+const JOB_SCHEMA = {
+    ...HelloRequest,
+    properties: {
+        ...HelloRequest.properties,
+        reference: { type: 'string', minLength: 1, maxLength: 128 },
+    },
+};
+
+/**
+ * Parse and validate the body of a job message
+ * @param {Object} record - SQS record
+ * @returns {Object} - Job
+ * @throws {ValidationError} - When the body is not JSON or not a valid job
+ */
+function parseJob(record) {
+    let job;
+    try {
+        job = JSON.parse(record.body);
+    } catch {
+        throw new ValidationError('Message body must be valid JSON', [
+            { field: 'body', in: 'body', message: 'Message body must be valid JSON' },
+        ]);
+    }
+
+    const errors = validateSchema(JOB_SCHEMA, job).map((violation) => {
+        const field = violation.path.join('.');
+        return {
+            field: field || 'body',
+            in: 'body',
+            message: field
+                ? `Message field '${field}' ${violation.message}`
+                : `Message body ${violation.message}`,
+        };
+    });
+    if (errors.length > 0) {
+        throw new ValidationError(errors[0].message, errors);
+    }
+    return job;
+}
+
+/**
+ * Generate and store the greeting of one message
+ * @param {Object} record - SQS record
+ * @param {Object} options
+ * @param {Object} options.sink - Result sink
+ * @param {Object} options.overrides - greeting.overrides setting
+ * @returns {Promise<Object>} - Stored result
+ * @throws {Error} - When the message is invalid or the result cannot be stored
+ */
+async function processRecord(record, { sink, overrides }) {
+    const job = parseJob(record);
+    const greeting = composeGreeting(job, { overrides });
+    const result = {
+        id: record.messageId,
+        ...(job.reference && { reference: job.reference }),
+        ...greeting,
+        createdAt: new Date().toISOString(),
+    };
+    await sink.write(result);
+    return result;
+}
+
+/**
+ * Lambda handler for the greeting jobs queue (SQS event source with
+ * ReportBatchItemFailures)
+ * @param {Object} event - SQS event
+ * @param {Object} context - Lambda context
+ * @returns {Promise<{batchItemFailures: {itemIdentifier: string}[]}>} - Messages that failed
+ *   for a temporary reason, to retry
+ */
+exports.handler = async (event, context) => {
+    const log = invocationLogger(context);
+    const metrics = createMetrics({
+        dimensions: { Environment: process.env.ENVIRONMENT || 'dev' },
+    });
+    const settings = await getConfig().load();
+    const options = { sink: getResultSink(), overrides: settings.get('greeting.overrides') };
+    const records = event.Records || [];
+
+    // Messages are independent, so they are processed concurrently
+    const outcomes = await Promise.all(
+        records.map(async (record) => {
+            const fields = {
+                messageId: record.messageId,
+                receiveCount: Number(record.attributes?.ApproximateReceiveCount) || undefined,
+            };
+            try {
+                const result = await processRecord(record, options);
+                log.debug('Greeting job processed', { ...fields, locale: result.locale });
+                return 'processed';
+            } catch (error) {
+                if (error instanceof ValidationError) {
+                    log.warn('Rejected greeting job', { ...fields, errors: error.errors });
+                    try {
+                        await getDeadLetterQueue().send(record, error.message);
+                        return 'rejected';
+                    } catch (sendError) {
+                        log.error('Failed to dead-letter greeting job', {
+                            ...fields,
+                            error: sendError.message,
+                        });
+                        return 'failed';
+                    }
+                }
+                log.error('Failed to process greeting job', {
+                    ...fields,
+                    error: error.message,
+                    stack: error.stack,
+                });
+                return 'failed';
+            }
+        })
+    );
+
+    const count = (outcome) => outcomes.filter((value) => value === outcome).length;
+    metrics.addMetric('GreetingJobsProcessed', count('processed'), 'Count');
+    metrics.addMetric('GreetingJobsRejected', count('rejected'), 'Count');
+    metrics.addMetric('GreetingJobsFailed', count('failed'), 'Count');
+    metrics.flush();
+
+    // Rejected messages are already in the dead-letter queue
+    const batchItemFailures = records
+        .filter((record, index) => outcomes[index] === 'failed')
+        .map((record) => ({ itemIdentifier: record.messageId }));
+    log.info('Greeting batch processed', {
+        records: records.length,
+        failures: batchItemFailures.length,
+    });
+    return { batchItemFailures };
+};
@@ -1,91 +1,677 @@
 /**
  * Hello World Lambda Handler
- * Returns a JSON response with a greeting message and timestamp
+ * GET /hello returns a localized greeting message and timestamp; POST /hello
+ * generates a greeting for a recipient in a chosen tone, once per
+ * Idempotency-Key. Both are served as /v1/hello and /v2/hello too; /hello
+ * negotiates the version (src/lib/versioning.js). The routes are described
+ * for the OpenAPI document by `apiMetadata`.
  */
 
-// Structured logging helper
-const log = (level, message, data = {}) => {
-    console.log(JSON.stringify({
-        timestamp: new Date().toISOString(),
-        level,
-        message,
-        ...data
-    }));
+const { randomUUID } = require('crypto');
+const {
+    createHandler,
+    requestId,
+    errorHandler,
+    timing,
+    logging,
+    appendVary,
+} = require('../lib/middleware');
+const { authContext } = require('../lib/auth');
+const { metrics } = require('../lib/metrics');
+const { tracing } = require('../lib/tracing');
+const { config } = require('../lib/config');
+const { httpCache } = require('../lib/http-cache');
+const { cors, DEFAULT_ALLOW_HEADERS } = require('../lib/cors');
+const { contentNegotiation } = require('../lib/content-negotiation');
+const { requestValidation } = require('../lib/openapi');
+const { problemResponse } = require('../lib/problem');
+const { rateLimit } = require('../lib/rate-limit');
+const { idempotency } = require('../lib/idempotency');
+const { apiVersioning, versionedRoute } = require('../lib/versioning');
+const { deadline } = require('../lib/deadline');
+const {
+    COMMON_ERRORS,
+    DEADLINE_ERRORS,
+    RATE_LIMIT_HEADERS,
+    schemaRef,
+    preflightRoute,
+} = require('../lib/api-docs');
+const { ValidationError, NotFoundError } = require('../lib/errors');
+const { getGreetingRepository, renderGreeting } = require('../lib/greetings');
+const { negotiateLocale, translate } = require('../lib/i18n');
+const { normalizeRequest } = require('../lib/events');
+const { getHeader, getQueryParam } = require('../lib/request');
+const apiVersions = require('../config/api-versions.json');
+
+const NAME_MAX_LENGTH = 50;
+const DEFAULT_TONE = 'friendly';
+// Greetings only change with a deployment, and an execution environment
+// loads the code after it was deployed, so its start time is a safe
+// Last-Modified date for If-Modified-Since. Greeting overrides from the
+// runtime settings are not covered; they change the ETag instead.
+const LAST_MODIFIED = new Date().toUTCString();
+// Letters in any script plus spaces, hyphens, apostrophes and periods, so
+// names like "Jean-Luc", "O'Brien" or "J. R." are accepted
+const NAME_PATTERN = /^[\p{L}\p{M}](?:[\p{L}\p{M} '.-]*[\p{L}\p{M}.])?$/u;
+
+/**
+ * Validate and normalise a name to greet. The OpenAPI document bounds the
+ * raw value; this checks the trimmed name.
+ * @param {string|undefined} name - Raw value
+ * @param {Object} source - Where the name came from
+ * @param {string} source.field - Query parameter, body field or GraphQL argument name
+ * @param {string} source.location - 'query', 'body' or 'argument'
+ * @returns {string|undefined} - Trimmed name, or undefined when absent
+ * @throws {ValidationError} - When the name is empty, too long or malformed
+ */
+function validateName(name, { field = 'name', location = 'query' } = {}) {
+    if (name === undefined) {
+        return undefined;
+    }
+
+    const label =
+        {
+            body: `Request body field '${field}'`,
+            argument: `Argument '${field}'`,
+        }[location] || `Query parameter '${field}'`;
+    const invalid = (message) => new ValidationError(message, [{ field, in: location, message }]);
+
+    const trimmed = name.trim();
+    if (trimmed.length === 0) {
+        throw invalid(`${label} must not be empty`);
+    }
+    if ([...trimmed].length > NAME_MAX_LENGTH) {
+        throw invalid(`${label} must be at most ${NAME_MAX_LENGTH} characters`);
+    }
+    if (!NAME_PATTERN.test(trimmed)) {
+        throw invalid(
+            `${label} may only contain letters, spaces, hyphens, apostrophes and periods`
+        );
+    }
+    return trimmed;
+}
+
+/**
+ * Render a stored greeting from the catalog managed through /greetings
+ * @param {Object} ctx - Middleware invocation context
+ * @param {string} id - Greeting ID from the greetingId query parameter
+ * @param {string|undefined} name - Validated name to greet
+ * @returns {Promise<{locale: string, message: string, lastModified: string}>}
+ * @throws {NotFoundError} - When there is no greeting with the ID
+ */
+async function storedGreeting(ctx, id, name) {
+    const greeting = await ctx.deadline.step('load greeting', (signal) =>
+        getGreetingRepository().get(id, { signal })
+    );
+    if (!greeting) {
+        throw new NotFoundError(`Greeting '${id}' does not exist`);
+    }
+    return {
+        locale: greeting.locale,
+        message: renderGreeting(greeting, name),
+        lastModified: new Date(greeting.updatedAt).toUTCString(),
+    };
+}
+
+/**
+ * Render the built-in greeting in the caller's locale
+ * @param {Object} ctx - Middleware invocation context
+ * @param {string|undefined} name - Validated name to greet
+ * @param {string|undefined} lang - Preferred locale; Accept-Language is used when unsupported
+ * @returns {{locale: string, message: string, lastModified: string}}
+ */
+function catalogGreeting(ctx, name, lang) {
+    const locale = negotiateLocale({
+        lang,
+        acceptLanguage: getHeader(ctx.request, 'Accept-Language'),
+    });
+    // Greeting text can be changed per locale in Parameter Store
+    const overrides = ctx.config.get('greeting.overrides');
+
+    return {
+        locale,
+        message: name
+            ? translate(locale, 'greeting.named', { name }, overrides)
+            : translate(locale, 'greeting.anonymous', {}, overrides),
+        lastModified: LAST_MODIFIED,
+    };
+}
+
+/**
+ * Render the greeting GET /hello serves. A greetingId serves a stored
+ * greeting; otherwise the built-in greeting is localized. Shared with the
+ * hello query of the GraphQL API (src/handlers/graphql.js).
+ * @param {Object} ctx - Middleware invocation context
+ * @param {Object} options
+ * @param {string} options.name - Validated name to greet
+ * @param {string} options.lang - Preferred locale of the built-in greeting
+ * @param {string} options.greetingId - ID of a stored greeting
+ * @returns {Promise<{locale: string, message: string, lastModified: string}>}
+ * @throws {NotFoundError} - When there is no stored greeting with the ID
+ */
+const renderHello = async (ctx, { name, lang, greetingId }) =>
+    greetingId === undefined
+        ? catalogGreeting(ctx, name, lang)
+        : storedGreeting(ctx, greetingId, name);
+
+/**
+ * Build the greeting for a request
+ * @param {Object} ctx - Middleware invocation context
+ * @returns {Object} - Response with the greeting payload
+ */
+const sayHello = async (ctx) => {
+    const greetingId = getQueryParam(ctx.request, 'greetingId');
+    const { locale, message, lastModified } = await renderHello(ctx, {
+        name: validateName(getQueryParam(ctx.request, 'name')),
+        lang: getQueryParam(ctx.request, 'lang'),
+        greetingId,
+    });
+    ctx.metrics.addMetric('Greetings', 1, 'Count', { Locale: locale });
+
+    const headers = {
+        'Content-Language': locale,
+        'Last-Modified': lastModified,
+    };
+    if (greetingId === undefined) {
+        // The built-in greeting is localized from Accept-Language
+        appendVary(headers, 'Accept-Language');
+    }
+
+    return {
+        statusCode: 200,
+        headers,
+        body: {
+            message,
+            timestamp: new Date().toISOString(),
+            requestId: ctx.requestId,
+            version: process.env.API_VERSION || '1.0.0',
+            environment: process.env.ENVIRONMENT || 'dev',
+        },
+    };
 };
 
 /**
- * Lambda handler for the Hello World endpoint
- * @param {Object} event - API Gateway Lambda Proxy Input Format
- * @returns {Object} - API Gateway Lambda Proxy Output Format
+ * Compose a greeting for a recipient in a tone. Shared by POST /hello, the
+ * batch processor (src/handlers/hello-batch.js) and greet messages of the
+ * WebSocket API (src/handlers/websocket.js).
+ * @param {Object} request - Fields of a HelloRequest
+ * @param {string} request.recipient - Name to greet
+ * @param {string} request.tone - friendly, formal or enthusiastic
+ * @param {string} request.locale - Preferred locale
+ * @param {Object} options
+ * @param {string} options.acceptLanguage - Accept-Language fallback for the locale
+ * @param {Object} options.overrides - greeting.overrides setting
+ * @returns {{message: string, recipient: string, tone: string, locale: string}} - Greeting
+ * @throws {ValidationError} - When the recipient is not a valid name
  */
-exports.handler = async (event) => {
-    const requestId = event.requestContext?.requestId || 'unknown';
-
-    try {
-        // Log incoming request
-        log('INFO', 'Processing Hello World request', {
-            requestId,
-            path: event.path,
-            method: event.httpMethod,
-            sourceIp: event.requestContext?.identity?.sourceIp
-        });
-
-        // Simulate processing time for realistic metrics
-        const startTime = Date.now();
-
-        // Prepare response data
-        const responseData = {
-            message: 'Hello World!',
+const composeGreeting = (
+    { recipient, tone = DEFAULT_TONE, locale },
+    { acceptLanguage, overrides } = {}
+) => {
+    const name = validateName(recipient, { field: 'recipient', location: 'body' });
+    const resolvedLocale = negotiateLocale({ lang: locale, acceptLanguage });
+    return {
+        message: translate(resolvedLocale, `greeting.${tone}`, { name }, overrides),
+        recipient: name,
+        tone,
+        locale: resolvedLocale,
+    };
+};
+
+/**
+ * Generate a greeting for a recipient in the requested tone. Retries with
+ * the same Idempotency-Key get the first response, with the same id.
+ * @param {Object} ctx - Middleware invocation context
+ * @returns {Object} - Response with the generated greeting
+ */
+const personalizeGreeting = async (ctx) => {
+    const greeting = composeGreeting(ctx.state.body, {
+        acceptLanguage: getHeader(ctx.request, 'Accept-Language'),
+        overrides: ctx.config.get('greeting.overrides'),
+    });
+    ctx.metrics.addMetric('Greetings', 1, 'Count', { Locale: greeting.locale });
+
+    return {
+        statusCode: 200,
+        headers: { 'Content-Language': greeting.locale },
+        body: {
+            id: randomUUID(),
+            ...greeting,
             timestamp: new Date().toISOString(),
-            requestId,
+            requestId: ctx.requestId,
             version: process.env.API_VERSION || '1.0.0',
-            environment: process.env.ENVIRONMENT || 'dev'
-        };
-
-        // Calculate processing time
-        const processingTime = Date.now() - startTime;
-
-        // Log successful response
-        log('INFO', 'Successfully processed request', {
-            requestId,
-            processingTime
-        });
-
-        // Return successful response with CORS headers
-        return {
-            statusCode: 200,
-            headers: {
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*',
-                'Access-Control-Allow-Headers': 'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token',
-                'Access-Control-Allow-Methods': 'GET,OPTIONS',
-                'X-Request-Id': requestId,
-                'X-Processing-Time': `${processingTime}ms`
+            environment: process.env.ENVIRONMENT || 'dev',
+        },
+    };
+};
+
+/**
+ * Adapt a version 1 route to version 2. Version 2 bodies report the deployed
+ * release as `release` instead of `version`, name the contract version in
+ * `apiVersion` and always carry the `locale`.
+ * @param {Function} route - Version 1 route logic
+ * @returns {Function} - Version 2 route logic
+ */
+const toVersion2 = (route) => async (ctx) => {
+    const response = await route(ctx);
+    const { version, ...body } = response.body;
+    return {
+        ...response,
+        body: {
+            ...body,
+            locale: response.headers['Content-Language'],
+            apiVersion: '2',
+            release: version,
+        },
+    };
+};
+
+/**
+ * Wrap a /hello route in the shared pipeline
+ * @param {Function} route - Route logic
+ * @param {string} method - HTTP method
+ * @param {Function[]} stages - Route-specific stages, run after request validation
+ * @returns {Function} - Lambda handler
+ */
+const helloHandler = (route, method, stages = []) =>
+    createHandler(route, [
+        metrics({ route: `${method} /hello` }),
+        requestId(),
+        tracing({ route: `${method} /hello` }),
+        config(),
+        cors({
+            methods: ['GET', 'POST', 'OPTIONS'],
+            allowHeaders: [...DEFAULT_ALLOW_HEADERS, 'Idempotency-Key', 'Accept-Version'],
+            exposeHeaders: [
+                'X-Request-Id',
+                'X-Correlation-Id',
+                'X-Trace-Id',
+                'ETag',
+                'Idempotent-Replayed',
+                'Api-Version',
+                'Deprecation',
+                'Sunset',
+                'Link',
+                'RateLimit-Limit',
+                'RateLimit-Remaining',
+                'RateLimit-Reset',
+                'RateLimit-Policy',
+                'Retry-After',
+            ],
+        }),
+        contentNegotiation({ xmlRoot: 'greeting', htmlTitle: 'Hello World API' }),
+        httpCache({ route: `${method} /hello` }),
+        errorHandler({ message: 'Failed to process request', toResponse: problemResponse }),
+        deadline(),
+        apiVersioning({ path: '/hello' }),
+        authContext(),
+        rateLimit({ route: `${method} /hello` }),
+        logging({
+            requestMessage: 'Processing Hello World request',
+            responseMessage: 'Successfully processed request',
+            requestFields: (ctx) => ({
+                sourceIp: ctx.request?.sourceIp,
+                subject: ctx.principal?.subject,
+            }),
+            responseFields: (ctx) => ({
+                processingTime: ctx.processingTime,
+            }),
+        }),
+        timing(),
+        requestValidation({ path: '/hello', method }),
+        ...stages,
+    ]);
+
+// Version => route logic; versions are registered in src/config/api-versions.json
+const getHello = helloHandler(
+    versionedRoute({
+        1: sayHello,
+        2: toVersion2(sayHello),
+    }),
+    'GET'
+);
+const postHello = helloHandler(
+    versionedRoute({
+        1: personalizeGreeting,
+        2: toVersion2(personalizeGreeting),
+    }),
+    'POST',
+    [idempotency({ route: 'POST /hello' })]
+);
+
+/**
+ * Lambda handler for the Hello World endpoint. CORS preflights go to the GET
+ * route, whose cors stage answers them.
+ * @param {Object} event - API Gateway Lambda Proxy Input Format
+ * @param {Object} context - Lambda context
+ * @returns {Object} - API Gateway Lambda Proxy Output Format
+ */
+exports.handler = (event, context) =>
+    (normalizeRequest(event).method === 'POST' ? postHello : getHello)(event, context);
+
+exports.validateName = validateName;
+exports.renderHello = renderHello;
+exports.composeGreeting = composeGreeting;
+
+// Route metadata for the generated OpenAPI document (src/handlers/docs.js)
+
+const VERSION_HEADERS = {
+    'Api-Version': 'API version that served the request',
+    Deprecation: 'When the version was deprecated (@epoch seconds); only on deprecated versions',
+    Sunset: 'When the version will be retired; only on deprecated versions',
+    Link: 'Successor version of a deprecated version (rel="successor-version")',
+};
+const ACCEPT_VERSION_PARAMETER = {
+    name: 'Accept-Version',
+    in: 'header',
+    required: false,
+    description:
+        'API version (1 or 2) when the path has none; a version parameter of ' +
+        'Accept is used otherwise, then version 1',
+    schema: { type: 'string' },
+};
+const NAME_SCHEMA = {
+    type: 'string',
+    description: 'Name to greet (letters, spaces, hyphens, apostrophes and periods)',
+    minLength: 1,
+    maxLength: NAME_MAX_LENGTH,
+};
+const LOCALE_PATTERN = '^[A-Za-z]{1,8}(-[A-Za-z0-9]{1,8})*$';
+const EXAMPLE_TIMESTAMP = '2026-01-01T12:00:00.000Z';
+const EXAMPLE_REQUEST_ID = 'c6af9ac6-7b61-11e6-9a41-93e8deadbeef';
+
+// Response schemas and examples of each API version
+const VERSION_RESPONSES = {
+    1: {
+        greeting: 'Greeting',
+        personalized: 'PersonalizedGreeting',
+        example: (body) => ({ ...body, version: '1.0.0' }),
+    },
+    2: {
+        greeting: 'GreetingV2',
+        personalized: 'PersonalizedGreetingV2',
+        example: (body) => ({ ...body, locale: 'en', apiVersion: '2', release: '1.0.0' }),
+    },
+};
+
+/**
+ * Metadata of the /hello routes on one path
+ * @param {string} path - '/hello' or a versioned path such as '/v2/hello'
+ * @param {string} version - Version the path serves; the default version for /hello
+ * @returns {Object[]} - Route metadata
+ */
+function helloRoutes(path, version) {
+    const { greeting, personalized, example } = VERSION_RESPONSES[version];
+    const versionParameters = path === '/hello' ? [ACCEPT_VERSION_PARAMETER] : [];
+    const suffix = path === '/hello' ? '' : `V${version}`;
+    const common = {
+        tags: ['Hello'],
+        authenticated: true,
+    };
+
+    return [
+        preflightRoute(path, { tags: common.tags }),
+        {
+            ...common,
+            method: 'GET',
+            path,
+            operationId: `getHello${suffix}`,
+            summary: 'Greet the caller',
+            description:
+                'Localized greeting, or a stored greeting with greetingId. Also ' +
+                'rendered as text, XML or HTML when Accept asks for it.',
+            parameters: [
+                {
+                    name: 'name',
+                    in: 'query',
+                    required: false,
+                    description: NAME_SCHEMA.description,
+                    schema: { type: 'string', minLength: 1, maxLength: NAME_MAX_LENGTH },
+                },
+                {
+                    name: 'lang',
+                    in: 'query',
+                    required: false,
+                    description:
+                        'Preferred locale (en, fr, es, de); takes precedence over ' +
+                        'Accept-Language when supported',
+                    schema: { type: 'string', pattern: LOCALE_PATTERN },
+                },
+                {
+                    name: 'greetingId',
+                    in: 'query',
+                    required: false,
+                    description:
+                        'Serve a stored greeting (see /greetings) instead of the ' +
+                        'localized one',
+                    schema: schemaRef('GreetingId'),
+                },
+                ...versionParameters,
+                {
+                    name: 'Accept-Language',
+                    in: 'header',
+                    required: false,
+                    description: 'Locale preferences with q-values, used when lang is absent',
+                    schema: { type: 'string' },
+                },
+                {
+                    name: 'If-None-Match',
+                    in: 'header',
+                    required: false,
+                    description: 'ETags of cached copies; a match returns 304',
+                    schema: { type: 'string' },
+                },
+                {
+                    name: 'If-Modified-Since',
+                    in: 'header',
+                    required: false,
+                    description: 'Date of the cached copy, used when If-None-Match is absent',
+                    schema: { type: 'string' },
+                },
+            ],
+            responses: {
+                200: {
+                    description: 'Successful response',
+                    headers: {
+                        ...VERSION_HEADERS,
+                        'Content-Language': 'Locale the greeting was rendered in',
+                        'Cache-Control': 'Cache policy of the route',
+                        ETag: 'Weak entity tag that ignores the timestamp and request ID',
+                        'Last-Modified': 'Time the greeting could last have changed',
+                        ...RATE_LIMIT_HEADERS,
+                    },
+                    schema: schemaRef(greeting),
+                    example: example({
+                        message: 'Hello, Ada!',
+                        timestamp: EXAMPLE_TIMESTAMP,
+                        requestId: EXAMPLE_REQUEST_ID,
+                        environment: 'dev',
+                    }),
+                    negotiated: true,
+                },
+                304: {
+                    description:
+                        'The cached copy named by If-None-Match or If-Modified-Since ' +
+                        'is current',
+                    headers: {
+                        'Cache-Control': 'Cache policy of the route',
+                        ETag: 'Entity tag of the current greeting',
+                    },
+                },
             },
-            body: JSON.stringify(responseData)
-        };
-
-    } catch (error) {
-        // Log error details
-        log('ERROR', 'Failed to process request', {
-            requestId,
-            error: error.message,
-            stack: error.stack
-        });
-
-        // Return error response
-        return {
-            statusCode: 500,
-            headers: {
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*',
-                'X-Request-Id': requestId
+            errors: {
+                ...COMMON_ERRORS,
+                ...DEADLINE_ERRORS,
+                400: 'A query parameter or header failed validation; errors lists each one',
+                404: 'No stored greeting has the given greetingId',
+                410: 'The API version has been retired; Link names its successor',
             },
-            body: JSON.stringify({
-                error: 'Internal Server Error',
-                message: 'An error occurred while processing your request',
-                requestId
-            })
-        };
-    }
-};
\ No newline at end of file
+        },
+        {
+            ...common,
+            method: 'POST',
+            path,
+            operationId: `postHello${suffix}`,
+            summary: 'Generate a personalized greeting',
+            description:
+                'Greets a recipient in a chosen tone. Send an Idempotency-Key to ' +
+                'make retries safe: a retry with the same key and body gets the first response.',
+            parameters: [
+                {
+                    name: 'Idempotency-Key',
+                    in: 'header',
+                    required: false,
+                    description:
+                        'Client-chosen key, e.g. a UUID; retries with the same key ' +
+                        'and body get the first response',
+                    schema: { type: 'string', pattern: '^[!-~]{1,255}$' },
+                },
+                ...versionParameters,
+                {
+                    name: 'Accept-Language',
+                    in: 'header',
+                    required: false,
+                    description:
+                        'Locale preferences with q-values, used when the body has no ' +
+                        'supported locale',
+                    schema: { type: 'string' },
+                },
+            ],
+            requestBody: {
+                schema: schemaRef('HelloRequest'),
+                example: { recipient: 'Ada', tone: 'formal', locale: 'en' },
+            },
+            responses: {
+                200: {
+                    description: 'Generated greeting',
+                    headers: {
+                        ...VERSION_HEADERS,
+                        'Content-Language': 'Locale the greeting was rendered in',
+                        'Idempotent-Replayed':
+                            'Present (true) when the response was saved for ' +
+                            'an earlier request with the same Idempotency-Key',
+                    },
+                    schema: schemaRef(personalized),
+                    example: example({
+                        id: '0b6f3c8e-4c1a-4d8e-9f57-2f1e5c9a7d21',
+                        message: 'Good day, Ada.',
+                        recipient: 'Ada',
+                        tone: 'formal',
+                        locale: 'en',
+                        timestamp: EXAMPLE_TIMESTAMP,
+                        requestId: EXAMPLE_REQUEST_ID,
+                        environment: 'dev',
+                    }),
+                    negotiated: true,
+                },
+            },
+            errors: {
+                ...COMMON_ERRORS,
+                ...DEADLINE_ERRORS,
+                400: 'The body or Idempotency-Key failed validation; errors lists each one',
+                409: 'The first request with this Idempotency-Key is still being processed',
+                410: 'The API version has been retired; Link names its successor',
+                422: 'The Idempotency-Key was already used with a different body',
+                503: 'Idempotency keys cannot be checked right now',
+            },
+        },
+    ];
+}
+
+exports.apiMetadata = {
+    schemas: {
+        Greeting: {
+            type: 'object',
+            required: ['message', 'timestamp', 'requestId', 'version', 'environment'],
+            properties: {
+                message: { type: 'string' },
+                timestamp: { type: 'string', format: 'date-time' },
+                requestId: { type: 'string' },
+                version: { type: 'string', description: 'Deployed release' },
+                environment: { type: 'string' },
+            },
+        },
+        PersonalizedGreeting: {
+            allOf: [
+                schemaRef('Greeting'),
+                {
+                    type: 'object',
+                    required: ['id', 'recipient', 'tone', 'locale'],
+                    properties: {
+                        id: {
+                            type: 'string',
+                            description: 'Unique per generated greeting; replays repeat it',
+                        },
+                        recipient: { type: 'string' },
+                        tone: { type: 'string' },
+                        locale: { type: 'string' },
+                    },
+                },
+            ],
+        },
+        GreetingV2: {
+            type: 'object',
+            required: [
+                'message',
+                'locale',
+                'timestamp',
+                'requestId',
+                'apiVersion',
+                'release',
+                'environment',
+            ],
+            properties: {
+                message: { type: 'string' },
+                locale: { type: 'string' },
+                timestamp: { type: 'string', format: 'date-time' },
+                requestId: { type: 'string' },
+                apiVersion: { type: 'string', description: 'API version of the response format' },
+                release: { type: 'string', description: 'Deployed release (version in version 1)' },
+                environment: { type: 'string' },
+            },
+        },
+        PersonalizedGreetingV2: {
+            allOf: [
+                schemaRef('GreetingV2'),
+                {
+                    type: 'object',
+                    required: ['id', 'recipient', 'tone'],
+                    properties: {
+                        id: {
+                            type: 'string',
+                            description: 'Unique per generated greeting; replays repeat it',
+                        },
+                        recipient: { type: 'string' },
+                        tone: { type: 'string' },
+                    },
+                },
+            ],
+        },
+        HelloRequest: {
+            type: 'object',
+            required: ['recipient'],
+            additionalProperties: false,
+            properties: {
+                recipient: NAME_SCHEMA,
+                tone: {
+                    type: 'string',
+                    description: `Style of the greeting (default ${DEFAULT_TONE})`,
+                    enum: ['friendly', 'formal', 'enthusiastic'],
+                },
+                locale: {
+                    type: 'string',
+                    description:
+                        'Preferred locale (en, fr, es, de); Accept-Language is used ' +
+                        'when unsupported',
+                    pattern: LOCALE_PATTERN,
+                },
+            },
+        },
+    },
+    routes: [
+        ...helloRoutes('/hello', apiVersions.defaultVersion),
+        ...Object.keys(apiVersions.versions).flatMap((version) =>
+            helloRoutes(`/v${version}/hello`, version)
+        ),
+    ],
+};
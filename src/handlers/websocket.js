@@ -0,0 +1,357 @@
+/**
+ * WebSocket Lambda Handlers
+ * Routes of the WebSocket API and the health broadcaster. Clients connect
+ * with `?token=<JWT>` (checked by the authorizer on $connect) and send JSON
+ * messages whose `action` selects the route:
+ *
+ *   { "action": "greet", "id": "1", "recipient": "Ada", "tone": "formal" }
+ *   { "action": "subscribe", "topic": "health" }
+ *   { "action": "unsubscribe", "topic": "health" }
+ *
+ * Replies and pushed updates are JSON messages with a `type` (greeting,
+ * subscribed, unsubscribed, health or error) and the `id` of the request
+ * they answer, when it had one. Errors carry RFC 7807 problem details.
+ *
+ * Subscribers get the current health status right away and then every
+ * change the broadcaster sees; both use the readiness check of
+ * src/handlers/health.js.
+ */
+
+const { invocationLogger } = require('../lib/logger');
+const { getConfig } = require('../lib/config');
+const { validateSchema } = require('../lib/schema');
+const { HttpError, ValidationError, NotFoundError } = require('../lib/errors');
+const { toProblem } = require('../lib/problem');
+const { TOPICS, getConnectionRegistry } = require('../lib/connections');
+const { managementEndpoint, getManagementClient } = require('../lib/websocket');
+const { composeGreeting, apiMetadata } = require('./hello');
+const { evaluateReadiness, summarizeChecks } = require('./health');
+
+const ACTIONS = ['greet', 'subscribe', 'unsubscribe'];
+// Routes that run while the connection is opening or closing, so nothing
+// can be sent to it
+const LIFECYCLE_ROUTES = ['$connect', '$disconnect'];
+const MESSAGE_FIELDS = {
+    action: { type: 'string' },
+    id: { type: 'string', minLength: 1, maxLength: 128 },
+};
+const { HelloRequest } = apiMetadata.schemas;
+
+// Body of each action's message
+const MESSAGE_SCHEMAS = {
+    greet: {
+        ...HelloRequest,
+        properties: { ...HelloRequest.properties, ...MESSAGE_FIELDS },
+    },
+    subscribe: {
+        type: 'object',
+        required: ['topic'],
+        additionalProperties: false,
+        properties: { ...MESSAGE_FIELDS, topic: { type: 'string', enum: TOPICS } },
+    },
+};
+MESSAGE_SCHEMAS.unsubscribe = MESSAGE_SCHEMAS.subscribe;
+
+/**
+ * Parse and validate the body of a message for an action
+ * @param {string} body - Message body
+ * @param {string} action - greet, subscribe or unsubscribe
+ * @returns {Object} - Message
+ * @throws {ValidationError} - When the body is not JSON or not valid for the action
+ */
+function parseMessage(body, action) {
+    let message;
+    try {
+        message = JSON.parse(body);
+    } catch {
+        throw new ValidationError('Message must be valid JSON', [
+            { field: 'body', in: 'body', message: 'Message must be valid JSON' },
+        ]);
+    }
+
+    const errors = validateSchema(MESSAGE_SCHEMAS[action], message).map((violation) => {
+        const field = violation.path.join('.');
+        return {
+            field: field || 'body',
+            in: 'body',
+            message: field
+                ? `Message field '${field}' ${violation.message}`
+                : `Message ${violation.message}`,
+        };
+    });
+    if (errors.length > 0) {
+        throw new ValidationError(errors[0].message, errors);
+    }
+    return message;
+}
+
+/**
+ * Readiness as pushed to subscribers. Probe details follow the
+ * features.verboseHealth flag, as on GET /health.
+ * @param {Object} readiness - Result of evaluateReadiness
+ * @param {Object} settings - Configuration snapshot
+ * @returns {Object} - health message
+ */
+const healthMessage = ({ status, checks }, settings) => ({
+    type: 'health',
+    status,
+    checks: settings.isEnabled('verboseHealth') ? checks : summarizeChecks(checks),
+    timestamp: new Date().toISOString(),
+});
+
+// Route logic by route key; each returns the messages to send back
+const ROUTES = {
+    /**
+     * Register the connection the authorizer allowed
+     * @param {Object} ctx - Invocation context
+     */
+    async $connect({ event, connectionId, registry }) {
+        const { connectedAt, authorizer } = event.requestContext;
+        await registry.add({
+            connectionId,
+            connectedAt: new Date(connectedAt || Date.now()).toISOString(),
+            ...(authorizer?.principalId && { principalId: authorizer.principalId }),
+        });
+        return [];
+    },
+
+    /**
+     * @param {Object} ctx - Invocation context
+     */
+    async $disconnect({ connectionId, registry }) {
+        await registry.remove(connectionId);
+        return [];
+    },
+
+    /**
+     * Compose a greeting as POST /hello does
+     * @param {Object} ctx - Invocation context
+     * @returns {Promise<Object[]>} - greeting message
+     */
+    async greet({ event, settings }) {
+        const { action: _action, id, ...request } = parseMessage(event.body, 'greet');
+        const greeting = composeGreeting(request, {
+            overrides: settings.get('greeting.overrides'),
+        });
+        return [
+            {
+                type: 'greeting',
+                ...(id && { id }),
+                ...greeting,
+                timestamp: new Date().toISOString(),
+            },
+        ];
+    },
+
+    /**
+     * Follow a topic and receive its current state
+     * @param {Object} ctx - Invocation context
+     * @returns {Promise<Object[]>} - subscribed message, then the current health
+     * @throws {NotFoundError} - When the connection is not registered
+     */
+    async subscribe({ event, connectionId, registry, settings, evaluate }) {
+        const { id, topic } = parseMessage(event.body, 'subscribe');
+        if (!(await registry.subscribe(connectionId, topic))) {
+            throw new NotFoundError('Connection is not registered; reconnect to subscribe');
+        }
+        const readiness = await evaluate();
+        await registry.recordDelivery(connectionId, readiness.status);
+        return [
+            { type: 'subscribed', ...(id && { id }), topic },
+            healthMessage(readiness, settings),
+        ];
+    },
+
+    /**
+     * Stop following a topic; unsubscribing twice is not an error
+     * @param {Object} ctx - Invocation context
+     * @returns {Promise<Object[]>} - unsubscribed message
+     */
+    async unsubscribe({ event, connectionId, registry }) {
+        const { id, topic } = parseMessage(event.body, 'unsubscribe');
+        await registry.unsubscribe(connectionId, topic);
+        return [{ type: 'unsubscribed', ...(id && { id }), topic }];
+    },
+
+    /**
+     * Messages without a known action
+     * @param {Object} ctx - Invocation context
+     * @throws {ValidationError} - Always
+     */
+    async $default({ event }) {
+        let action;
+        try {
+            action = JSON.parse(event.body)?.action;
+        } catch {
+            // Reported as an unknown action
+        }
+        const message =
+            typeof action === 'string'
+                ? `Unknown action '${action}'; use one of: ${ACTIONS.join(', ')}`
+                : `Message field 'action' is required; use one of: ${ACTIONS.join(', ')}`;
+        throw new ValidationError(message, [{ field: 'action', in: 'body', message }]);
+    },
+};
+
+/**
+ * @param {string} body - Message body
+ * @returns {string|undefined} - The message's `id`, when it has a valid one
+ */
+function requestedId(body) {
+    try {
+        const { id } = JSON.parse(body);
+        return typeof id === 'string' && id.length <= 128 ? id : undefined;
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * Create the WebSocket route handler
+ * @param {Object} options
+ * @param {Object} options.registry - Connection registry; the shared one when omitted
+ * @param {Object} options.management - Management client; derived from the event when omitted
+ * @param {Function} options.evaluate - Readiness check, () => {status, checks}
+ * @returns {Function} - Lambda handler, async (event, context) => { statusCode }
+ */
+const createWebSocketHandler =
+    ({ registry, management, evaluate = evaluateReadiness } = {}) =>
+    async (event, context) => {
+        const { routeKey, connectionId, requestId } = event.requestContext;
+        const log = invocationLogger(context).child({ requestId, connectionId });
+        const route = ROUTES[routeKey] || ROUTES.$default;
+        const ctx = {
+            event,
+            connectionId,
+            registry: registry || getConnectionRegistry(),
+            settings: await getConfig().load(),
+            evaluate,
+        };
+
+        let replies;
+        let statusCode = 200;
+        try {
+            replies = await route(ctx);
+            log.info('WebSocket route completed', { routeKey });
+        } catch (error) {
+            const isClientError = error instanceof HttpError && error.statusCode < 500;
+            log.log(isClientError ? 'WARN' : 'ERROR', 'WebSocket route failed', {
+                routeKey,
+                error: error.message,
+                ...(!isClientError && { stack: error.stack }),
+            });
+            const id = requestedId(event.body);
+            replies = LIFECYCLE_ROUTES.includes(routeKey)
+                ? []
+                : [{ type: 'error', ...(id && { id }), error: toProblem(error, { requestId }) }];
+            statusCode = isClientError ? error.statusCode : 500;
+        }
+
+        if (replies.length > 0) {
+            const client = management || getManagementClient(managementEndpoint(event));
+            for (const reply of replies) {
+                if (!(await deliver(client, ctx, reply, log))) {
+                    break;
+                }
+            }
+        }
+        return { statusCode };
+    };
+
+/**
+ * Send a reply to the connection of a message. A connection that is gone is
+ * removed from the registry, as the health broadcaster does; other failures
+ * are logged, since the route already ran.
+ * @param {Object} client - Management client
+ * @param {Object} ctx - Route context
+ * @param {Object} reply - Message to send
+ * @param {Object} log - Request logger
+ * @returns {Promise<boolean>} - False when the connection is gone
+ */
+async function deliver(client, ctx, reply, log) {
+    try {
+        if (await client.post(ctx.connectionId, reply)) {
+            return true;
+        }
+        log.info('WebSocket connection gone before the reply', { type: reply.type });
+        await ctx.registry.remove(ctx.connectionId);
+        return false;
+    } catch (error) {
+        log.warn('WebSocket reply not delivered', { type: reply.type, error: error.message });
+        return true;
+    }
+}
+
+/**
+ * Create the health broadcaster, which pushes the readiness status to health
+ * subscribers whenever it differs from the status they were last sent.
+ * Connections that are gone are removed from the registry.
+ * @param {Object} options
+ * @param {Object} options.registry - Connection registry; the shared one when omitted
+ * @param {Object} options.management - Management client; from WEBSOCKET_ENDPOINT when omitted
+ * @param {Function} options.evaluate - Readiness check, () => {status, checks}
+ * @returns {Function} - Lambda handler, async (event, context) => summary
+ */
+const createHealthBroadcaster =
+    ({ registry, management, evaluate = evaluateReadiness } = {}) =>
+    async (event, context) => {
+        const log = invocationLogger(context);
+        const connections = registry || getConnectionRegistry();
+        const subscribers = await connections.subscribers('health');
+        if (subscribers.length === 0) {
+            log.debug('No health subscribers');
+            return { subscribers: 0, sent: 0, gone: 0, failed: 0 };
+        }
+
+        const readiness = await evaluate();
+        const message = healthMessage(readiness, await getConfig().load());
+        const client = management || getManagementClient(managementEndpoint());
+        const changed = subscribers.filter(({ lastStatus }) => lastStatus !== readiness.status);
+
+        // Failed deliveries keep the old lastStatus, so the next run retries them
+        const outcomes = await Promise.all(
+            changed.map(async ({ connectionId }) => {
+                try {
+                    if (await client.post(connectionId, message)) {
+                        await connections.recordDelivery(connectionId, readiness.status);
+                        return 'sent';
+                    }
+                    await connections.remove(connectionId);
+                    return 'gone';
+                } catch (error) {
+                    log.warn('Health update not delivered', { connectionId, error: error.message });
+                    return 'failed';
+                }
+            })
+        );
+
+        const count = (outcome) => outcomes.filter((value) => value === outcome).length;
+        const summary = {
+            status: readiness.status,
+            subscribers: subscribers.length,
+            sent: count('sent'),
+            gone: count('gone'),
+            failed: count('failed'),
+        };
+        log.info('Health broadcast completed', summary);
+        return summary;
+    };
+
+/**
+ * Lambda handler for every route of the WebSocket API
+ * @param {Object} event - API Gateway WebSocket event
+ * @param {Object} context - Lambda context
+ * @returns {Promise<{statusCode: number}>}
+ */
+exports.handler = createWebSocketHandler();
+
+/**
+ * Lambda handler for the scheduled health broadcast
+ * @param {Object} event - EventBridge scheduled event
+ * @param {Object} context - Lambda context
+ * @returns {Promise<Object>} - Subscribers, and updates sent, gone and failed
+ */
+exports.broadcastHealth = createHealthBroadcaster();
+
+exports.createWebSocketHandler = createWebSocketHandler;
+exports.createHealthBroadcaster = createHealthBroadcaster;
@@ -0,0 +1,214 @@
+/**
+ * OpenAPI Drift
+ * Compares the document generated from route metadata with the template's
+ * DefinitionBody, which API Gateway routes and request validation use.
+ * Only the contract is compared: operations, parameters, request bodies,
+ * response statuses, JSON schemas and security. Descriptions, examples,
+ * headers and the text formats of content negotiation are documentation
+ * and may differ. OpenAPI 3.0 `nullable` is read as a 3.1 type array.
+ */
+
+const METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+const JSON_MEDIA_TYPE = /^application\/(.+\+)?json$/;
+// Keywords that change which values a schema accepts
+const SCHEMA_KEYWORDS = [
+    '$ref',
+    'type',
+    'format',
+    'enum',
+    'const',
+    'pattern',
+    'minLength',
+    'maxLength',
+    'minimum',
+    'maximum',
+    'minItems',
+    'maxItems',
+    'required',
+    'properties',
+    'additionalProperties',
+    'items',
+    'allOf',
+    'anyOf',
+    'oneOf',
+];
+
+/**
+ * Reduce a schema to its validation keywords with a stable key order
+ * @param {*} schema - Schema or part of one
+ * @returns {*} - Normalized schema
+ */
+function normalizeSchema(schema) {
+    if (Array.isArray(schema)) {
+        return schema.map(normalizeSchema);
+    }
+    if (!schema || typeof schema !== 'object') {
+        return schema;
+    }
+
+    const result = {};
+    for (const keyword of SCHEMA_KEYWORDS.filter((key) => key in schema).sort()) {
+        if (keyword === 'properties') {
+            result.properties = Object.fromEntries(
+                Object.keys(schema.properties)
+                    .sort()
+                    .map((name) => [name, normalizeSchema(schema.properties[name])])
+            );
+        } else if (keyword === 'required') {
+            result.required = [...schema.required].sort();
+        } else {
+            result[keyword] = normalizeSchema(schema[keyword]);
+        }
+    }
+    if (schema.nullable === true && typeof result.type === 'string') {
+        result.type = [result.type, 'null'];
+    }
+    return result;
+}
+
+/**
+ * @param {Object} content - Content map
+ * @returns {Object} - JSON media type => normalized schema
+ */
+function jsonContent(content = {}) {
+    return Object.fromEntries(
+        Object.keys(content)
+            .filter((mediaType) => JSON_MEDIA_TYPE.test(mediaType))
+            .sort()
+            .map((mediaType) => [mediaType, normalizeSchema(content[mediaType].schema)])
+    );
+}
+
+/**
+ * Project a document onto the parts that make up the contract
+ * @param {Object} document - OpenAPI document
+ * @returns {{operations: Object, schemas: Object}} - Comparable projection
+ */
+function project(document) {
+    const operations = {};
+    for (const [path, pathItem] of Object.entries(document.paths || {})) {
+        for (const method of METHODS.filter((name) => pathItem[name])) {
+            const operation = pathItem[method];
+            const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])];
+            operations[`${method.toUpperCase()} ${path}`] = {
+                parameters: Object.fromEntries(
+                    parameters.map((parameter) => [
+                        `${parameter.in} parameter '${parameter.name}'`,
+                        {
+                            required: Boolean(parameter.required),
+                            schema: normalizeSchema(parameter.schema),
+                        },
+                    ])
+                ),
+                requestBody: operation.requestBody && {
+                    required: Boolean(operation.requestBody.required),
+                    content: jsonContent(operation.requestBody.content),
+                },
+                responses: Object.fromEntries(
+                    Object.entries(operation.responses || {}).map(([status, response]) => [
+                        status,
+                        jsonContent(response.content),
+                    ])
+                ),
+                security: (operation.security || []).flatMap(Object.keys).sort(),
+            };
+        }
+    }
+
+    const schemas = Object.fromEntries(
+        Object.entries(document.components?.schemas || {}).map(([name, schema]) => [
+            name,
+            normalizeSchema(schema),
+        ])
+    );
+    return { operations, schemas };
+}
+
+/**
+ * @param {*} a - JSON value
+ * @param {*} b - JSON value
+ * @returns {boolean} - Whether both serialize the same way
+ */
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Compare two maps entry by entry
+ * @param {Object} generated - Entries of the generated document
+ * @param {Object} declared - Entries of the DefinitionBody
+ * @param {Function} describe - (name, problem) => drift message
+ * @param {Function} compare - (name, generated, declared) => drift messages of a shared entry
+ * @returns {string[]} - Drift messages
+ */
+function compareEntries(generated = {}, declared = {}, describe, compare) {
+    const drift = [];
+    for (const name of Object.keys(generated)) {
+        if (!(name in declared)) {
+            drift.push(describe(name, 'is missing from the DefinitionBody'));
+        }
+    }
+    for (const name of Object.keys(declared)) {
+        if (!(name in generated)) {
+            drift.push(describe(name, 'is missing from the route metadata'));
+        } else {
+            drift.push(...compare(name, generated[name], declared[name]));
+        }
+    }
+    return drift;
+}
+
+/**
+ * @param {string} name - Operation name, e.g. 'GET /hello'
+ * @param {Object} generated - Projected operation of the generated document
+ * @param {Object} declared - Projected operation of the DefinitionBody
+ * @returns {string[]} - Drift messages
+ */
+function compareOperation(name, generated, declared) {
+    const differs = (part) => (key, a, b) => (same(a, b) ? [] : [`${name}: ${part(key)} differs`]);
+    const missing = (problem) => (key, where) => `${name}: ${problem(key)} ${where}`;
+
+    return [
+        ...compareEntries(
+            generated.parameters,
+            declared.parameters,
+            missing((key) => key),
+            differs((key) => key)
+        ),
+        ...(same(generated.requestBody, declared.requestBody)
+            ? []
+            : [`${name}: request body differs`]),
+        ...compareEntries(
+            generated.responses,
+            declared.responses,
+            missing((status) => `response ${status}`),
+            differs((status) => `response ${status}`)
+        ),
+        ...(same(generated.security, declared.security) ? [] : [`${name}: security differs`]),
+    ];
+}
+
+/**
+ * List the differences between the generated document and the DefinitionBody
+ * @param {Object} generated - Document built from route metadata
+ * @param {Object} declared - DefinitionBody, as bundled by scripts/build-openapi.js
+ * @returns {string[]} - Drift messages, empty when both describe the same contract
+ */
+const findDrift = (generated, declared) => {
+    const actual = project(generated);
+    const expected = project(declared);
+    return [
+        ...compareEntries(
+            actual.operations,
+            expected.operations,
+            (name, where) => `${name} ${where}`,
+            compareOperation
+        ),
+        ...compareEntries(
+            actual.schemas,
+            expected.schemas,
+            (name, where) => `Schema ${name} ${where}`,
+            (name, a, b) => (same(a, b) ? [] : [`Schema ${name} differs`])
+        ),
+    ];
+};
+
+module.exports = { normalizeSchema, findDrift };
@@ -0,0 +1,167 @@
+/**
+ * API Reference Page
+ * Renders an OpenAPI document as one self-contained HTML page: styles are
+ * inline and nothing is loaded from elsewhere, so the page works behind
+ * the API's own Content-Security-Policy and offline once saved.
+ */
+
+const { escapeMarkup } = require('../serializers');
+
+const STYLE = [
+    'body { font: 15px/1.5 system-ui, sans-serif; margin: 0 auto; max-width: 960px;',
+    '  padding: 1rem 2rem; color: #1f2328; }',
+    'h1 { margin-bottom: 0; }',
+    'h2 { border-bottom: 1px solid #d0d7de; margin-top: 2.5rem; }',
+    'code, pre { font: 13px/1.4 ui-monospace, monospace; }',
+    'pre { background: #f6f8fa; border-radius: 6px; overflow-x: auto; padding: .75rem; }',
+    'details { border: 1px solid #d0d7de; border-radius: 6px; margin: .5rem 0;',
+    '  padding: 0 .75rem; }',
+    'details[open] { padding-bottom: .75rem; }',
+    'summary { cursor: pointer; padding: .5rem 0; }',
+    'table { border-collapse: collapse; width: 100%; }',
+    'th, td { border-bottom: 1px solid #d0d7de; padding: .35rem .5rem; text-align: left;',
+    '  vertical-align: top; }',
+    '.method { border-radius: 4px; color: #fff; display: inline-block; font-weight: 600;',
+    '  min-width: 4.5rem; text-align: center; }',
+    '.get { background: #1f6feb; } .post { background: #1a7f37; } .put { background: #9a6700; }',
+    '.delete { background: #cf222e; } .options { background: #6e7781; }',
+    '.lock { color: #9a6700; font-size: 13px; }',
+].join('\n');
+
+/**
+ * Render a JSON value, linking schema references to their definitions
+ * @param {*} value - Schema or example
+ * @returns {string} - <pre> element
+ */
+function renderJson(value) {
+    const text = escapeMarkup(JSON.stringify(value, null, 2)).replace(
+        /&quot;#\/components\/schemas\/([\w.-]+)&quot;/g,
+        (match, name) => `<a href="#schema-${name}">${match}</a>`
+    );
+    return `<pre>${text}</pre>`;
+}
+
+/**
+ * @param {Object[]} parameters - Parameter objects
+ * @returns {string} - Parameter table, or nothing without parameters
+ */
+function renderParameters(parameters = []) {
+    if (parameters.length === 0) {
+        return '';
+    }
+    const rows = parameters
+        .map(
+            (parameter) => `<tr>
+<td><code>${escapeMarkup(parameter.name)}</code>${parameter.required ? ' (required)' : ''}</td>
+<td>${escapeMarkup(parameter.in)}</td>
+<td>${escapeMarkup(parameter.description || '')}</td>
+<td><code>${escapeMarkup(JSON.stringify(parameter.schema || {}))}</code></td>
+</tr>`
+        )
+        .join('\n');
+    return `<h4>Parameters</h4>
+<table><tr><th>Name</th><th>In</th><th>Description</th><th>Schema</th></tr>
+${rows}</table>`;
+}
+
+/**
+ * @param {Object} media - Media type object
+ * @returns {string} - Schema and example of a JSON body
+ */
+function renderMedia(media) {
+    return [
+        renderJson(media.schema),
+        media.example ? `<p>Example</p>${renderJson(media.example)}` : '',
+    ].join('\n');
+}
+
+/**
+ * @param {Object} responses - Status => Response object
+ * @returns {string} - One block per response
+ */
+function renderResponses(responses) {
+    return Object.entries(responses)
+        .map(([status, response]) => {
+            const content = response.content || {};
+            const mediaTypes = Object.keys(content);
+            const json = content['application/json'];
+            const headers = Object.keys(response.headers || {});
+            const list = (label, names) =>
+                names.length > 0
+                    ? `<p>${label}: <code>${names.map(escapeMarkup).join(', ')}</code></p>`
+                    : '';
+            return `<h4>${escapeMarkup(status)} ${escapeMarkup(response.description)}</h4>
+${list('Formats', mediaTypes)}
+${list('Headers', headers)}
+${json ? renderMedia(json) : ''}`;
+        })
+        .join('\n');
+}
+
+/**
+ * @param {string} method - Lower-case HTTP method
+ * @param {string} path - Path template
+ * @param {Object} operation - Operation object
+ * @returns {string} - Collapsible operation block
+ */
+function renderOperation(method, path, operation) {
+    const requestBody = operation.requestBody?.content?.['application/json'];
+    return `<details id="${escapeMarkup(operation.operationId || `${method}-${path}`)}">
+<summary><span class="method ${method}">${method.toUpperCase()}</span>
+<code>${escapeMarkup(path)}</code> ${escapeMarkup(operation.summary || '')}
+${operation.security ? '<span class="lock">bearer token</span>' : ''}</summary>
+${operation.description ? `<p>${escapeMarkup(operation.description)}</p>` : ''}
+${renderParameters(operation.parameters)}
+${requestBody ? `<h4>Request body</h4>${renderMedia(requestBody)}` : ''}
+${renderResponses(operation.responses)}
+</details>`;
+}
+
+/**
+ * Render the reference page of an OpenAPI document
+ * @param {Object} document - OpenAPI document
+ * @param {Object} options
+ * @param {string} options.specUrl - Link to the JSON document, relative to the page
+ * @returns {string} - HTML document
+ */
+const renderDocsPage = (document, { specUrl = 'openapi.json' } = {}) => {
+    const title = `${document.info.title} ${document.info.version}`;
+    const operations = Object.entries(document.paths)
+        .map(([path, pathItem]) =>
+            Object.entries(pathItem)
+                .map(([method, operation]) => renderOperation(method, path, operation))
+                .join('\n')
+        )
+        .join('\n');
+    const schemas = Object.entries(document.components?.schemas || {})
+        .map(
+            ([name, schema]) =>
+                `<h3 id="schema-${escapeMarkup(name)}">${escapeMarkup(name)}</h3>\n${renderJson(schema)}`
+        )
+        .join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeMarkup(title)}</title>
+<style>
+${STYLE}
+</style>
+</head>
+<body>
+<h1>${escapeMarkup(title)}</h1>
+<p>${escapeMarkup(document.info.description || '')}</p>
+<p>Base URL <code>${escapeMarkup(document.servers?.[0]?.url || '/')}</code> &middot;
+<a href="${escapeMarkup(specUrl)}">OpenAPI ${escapeMarkup(document.openapi)} document</a></p>
+<h2>Operations</h2>
+${operations}
+<h2>Schemas</h2>
+${schemas}
+</body>
+</html>
+`;
+};
+
+module.exports = { renderDocsPage };
@@ -0,0 +1,309 @@
+/**
+ * API Documentation
+ * Builds the API's OpenAPI 3.1 document from the route metadata handler
+ * modules export as `apiMetadata`:
+ *
+ *   {
+ *       schemas: { Name: JSON Schema },
+ *       routes: [{
+ *           method, path, operationId, summary, description, tags,
+ *           authenticated - Requires the JWT bearer token
+ *           parameters    - Parameter objects
+ *           requestBody   - { schema, example }
+ *           responses     - Status => { description, headers, mediaType, schema,
+ *                                     example, negotiated, problem }
+ *           errors        - Status => description, answered with problem details
+ *       }]
+ *   }
+ *
+ * Headers map a name to a description, or to { description, schema }.
+ * Bodies are application/json unless `mediaType` says otherwise. Responses
+ * marked `negotiated` are also offered in the other formats of the content
+ * negotiation stage; those marked `problem` may be problem details instead.
+ * The template's DefinitionBody must describe the same contract; see
+ * drift.js.
+ */
+
+const { supportedMediaTypes } = require('../serializers');
+const { renderDocsPage } = require('./html');
+const { findDrift } = require('./drift');
+
+const SECURITY_SCHEME = 'JwtAuthorizer';
+
+/**
+ * @param {string} name - Schema name under components.schemas
+ * @returns {Object} - Reference object
+ */
+const schemaRef = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// Errors every authenticated, rate-limited route can answer with
+const COMMON_ERRORS = {
+    401: 'Missing or invalid bearer token',
+    403: 'Origin not allowed, or token lacks a required scope',
+    406: 'None of the requested formats are supported',
+    429: "Rate limit exceeded for the caller's tier",
+    500: 'Unexpected error',
+};
+
+// Answered by the deadline stage when the invocation runs out of time
+const DEADLINE_ERRORS = {
+    504: 'The request could not be completed before the function timed out',
+};
+
+// Quota headers added by the rate limit stage
+const RATE_LIMIT_HEADERS = {
+    'RateLimit-Limit': {
+        description: "Requests allowed by the caller's quota",
+        schema: { type: 'integer' },
+    },
+    'RateLimit-Remaining': {
+        description: 'Requests left in the current quota',
+        schema: { type: 'integer' },
+    },
+    'RateLimit-Reset': {
+        description: 'Seconds until the quota is fully restored',
+        schema: { type: 'integer' },
+    },
+};
+
+// RFC 7807 problem details, shared by every error response
+const PROBLEM_SCHEMAS = {
+    Problem: {
+        type: 'object',
+        required: ['type', 'title', 'status', 'detail', 'requestId'],
+        properties: {
+            type: {
+                type: 'string',
+                description: 'Problem type URI (urn:hello-world-api:problem:<slug>)',
+            },
+            title: { type: 'string' },
+            status: { type: 'integer' },
+            detail: { type: 'string' },
+            instance: { type: 'string' },
+            requestId: { type: 'string' },
+            errors: {
+                description: 'Every violated field, for validation errors',
+                type: 'array',
+                items: schemaRef('FieldError'),
+            },
+            supportedTypes: {
+                description: 'Media types the endpoint can produce, for 406 responses',
+                type: 'array',
+                items: { type: 'string' },
+            },
+            stack: {
+                description: 'Stack trace of server errors, only in dev',
+                type: 'string',
+            },
+        },
+        example: {
+            type: 'urn:hello-world-api:problem:validation-error',
+            title: 'Validation Failed',
+            status: 400,
+            detail: "Query parameter 'name' must be at most 50 characters",
+            instance: '/hello',
+            requestId: 'c6af9ac6-7b61-11e6-9a41-93e8deadbeef',
+            errors: [
+                {
+                    field: 'name',
+                    in: 'query',
+                    message: "Query parameter 'name' must be at most 50 characters",
+                },
+            ],
+        },
+    },
+    FieldError: {
+        type: 'object',
+        required: ['field', 'in', 'message'],
+        properties: {
+            field: { type: 'string' },
+            in: { type: 'string', enum: ['query', 'header', 'path', 'body'] },
+            message: { type: 'string' },
+        },
+    },
+};
+
+/**
+ * Metadata of the CORS preflight of a path, answered by the cors stage
+ * @param {string} path - Path template
+ * @param {Object} options
+ * @param {string[]} options.tags - Operation tags
+ * @returns {Object} - Route metadata
+ */
+const preflightRoute = (path, { tags } = {}) => ({
+    method: 'OPTIONS',
+    path,
+    summary: 'CORS preflight',
+    tags,
+    responses: { 204: { description: 'Preflight accepted' } },
+    errors: { 403: 'Origin not allowed' },
+});
+
+/**
+ * @param {Object} headers - Header name => description or { description, schema }
+ * @returns {Object|undefined} - Header objects
+ */
+function toHeaders(headers) {
+    if (!headers) {
+        return undefined;
+    }
+    return Object.fromEntries(
+        Object.entries(headers).map(([name, header]) => {
+            const { description, schema = { type: 'string' } } =
+                typeof header === 'string' ? { description: header } : header;
+            return [name, { description, schema }];
+        })
+    );
+}
+
+/**
+ * @param {Object} response - Response metadata
+ * @returns {Object|undefined} - Content map of the response
+ */
+function toContent({ mediaType = 'application/json', schema, example, negotiated, problem }) {
+    if (!schema) {
+        return undefined;
+    }
+    const content = { [mediaType]: { schema, ...(example && { example }) } };
+    if (negotiated) {
+        for (const format of supportedMediaTypes()) {
+            if (!content[format]) {
+                // XML mirrors the JSON structure; text and HTML are renderings of it
+                content[format] = {
+                    schema: format === 'application/xml' ? schema : { type: 'string' },
+                };
+            }
+        }
+    }
+    if (problem) {
+        content['application/problem+json'] = { schema: schemaRef('Problem') };
+    }
+    return content;
+}
+
+/**
+ * Build the Operation object of a route
+ * @param {Object} route - Route metadata
+ * @returns {Object} - Operation object
+ */
+function toOperation(route) {
+    const responses = {};
+    for (const [status, response] of Object.entries(route.responses || {})) {
+        responses[status] = {
+            description: response.description,
+            headers: toHeaders(response.headers),
+            content: toContent(response),
+        };
+    }
+    for (const [status, description] of Object.entries(route.errors || {})) {
+        responses[status] = {
+            description,
+            headers:
+                status === '429'
+                    ? toHeaders({
+                          'Retry-After': {
+                              description: 'Seconds to wait before retrying',
+                              schema: { type: 'integer' },
+                          },
+                      })
+                    : undefined,
+            content: { 'application/problem+json': { schema: schemaRef('Problem') } },
+        };
+    }
+
+    return {
+        operationId: route.operationId,
+        summary: route.summary,
+        description: route.description,
+        tags: route.tags,
+        security: route.authenticated ? [{ [SECURITY_SCHEME]: [] }] : undefined,
+        parameters: route.parameters?.length > 0 ? route.parameters : undefined,
+        requestBody: route.requestBody && {
+            required: true,
+            content: {
+                'application/json': {
+                    schema: route.requestBody.schema,
+                    ...(route.requestBody.example && { example: route.requestBody.example }),
+                },
+            },
+        },
+        responses,
+    };
+}
+
+/**
+ * Drop undefined members so the document serializes the same way it compares
+ * @param {*} value - Document part
+ * @returns {*} - Copy without undefined members
+ */
+function compact(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Build the OpenAPI 3.1 document of the API
+ * @param {Object} options
+ * @param {Object[]} options.modules - apiMetadata of each handler module, in path order
+ * @param {string} options.title - API title
+ * @param {string} options.version - Deployed release
+ * @param {string} options.serverUrl - Base URL of the stage
+ * @returns {Object} - OpenAPI document
+ * @throws {Error} - When two modules declare the same schema or operation
+ */
+const buildOpenApiDocument = ({ modules, title, version, serverUrl }) => {
+    const schemas = { ...PROBLEM_SCHEMAS };
+    const paths = {};
+
+    for (const metadata of modules) {
+        for (const [name, schema] of Object.entries(metadata.schemas || {})) {
+            if (schemas[name]) {
+                throw new Error(`Schema ${name} is declared twice`);
+            }
+            schemas[name] = schema;
+        }
+        for (const route of metadata.routes) {
+            const method = route.method.toLowerCase();
+            paths[route.path] = paths[route.path] || {};
+            if (paths[route.path][method]) {
+                throw new Error(`Operation ${route.method} ${route.path} is declared twice`);
+            }
+            paths[route.path][method] = toOperation(route);
+        }
+    }
+
+    return compact({
+        openapi: '3.1.0',
+        info: {
+            title,
+            version,
+            description:
+                'Greetings, a greetings catalog and health checks. Errors are ' +
+                'RFC 7807 problem details (application/problem+json).',
+        },
+        servers: [{ url: serverUrl }],
+        paths,
+        components: {
+            securitySchemes: {
+                [SECURITY_SCHEME]: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    bearerFormat: 'JWT',
+                    description: 'Access token from the configured identity provider',
+                },
+            },
+            schemas,
+        },
+    });
+};
+
+module.exports = {
+    COMMON_ERRORS,
+    DEADLINE_ERRORS,
+    RATE_LIMIT_HEADERS,
+    PROBLEM_SCHEMAS,
+    schemaRef,
+    preflightRoute,
+    buildOpenApiDocument,
+    renderDocsPage,
+    findDrift,
+};
@@ -0,0 +1,92 @@
+/**
+ * Authorizer Context
+ * Build and read the principal that the JWT Lambda authorizer attaches to
+ * API Gateway requests
+ */
+
+const { ForbiddenError } = require('./errors');
+
+/**
+ * Build an API Gateway authorizer response
+ * @param {string} principalId - Authenticated subject
+ * @param {string} effect - 'Allow' or 'Deny'
+ * @param {string} resource - Method ARN the policy applies to
+ * @param {Object} context - Flat map of string/number/boolean values passed to the backend
+ * @returns {Object} - Authorizer response
+ */
+const buildPolicy = (principalId, effect, resource, context) => ({
+    principalId,
+    policyDocument: {
+        Version: '2012-10-17',
+        Statement: [
+            {
+                Action: 'execute-api:Invoke',
+                Effect: effect,
+                Resource: resource,
+            },
+        ],
+    },
+    ...(context && { context }),
+});
+
+/**
+ * Widen a method ARN to every method and path of its API stage. API Gateway
+ * caches an authorizer's policy per token and reuses it on every route the
+ * authorizer protects, so a policy scoped to the first route's ARN would deny
+ * the same token on the next route until the cache entry expired.
+ * @param {string} methodArn - e.g. arn:aws:execute-api:us-east-1:123456789012:abc123/dev/GET/hello
+ * @returns {string} - e.g. arn:aws:execute-api:us-east-1:123456789012:abc123/dev/*
+ */
+const stageResource = (methodArn) => {
+    const [apiArn, stage] = String(methodArn).split('/');
+    return `${apiArn}/${stage}/*`;
+};
+
+/**
+ * Read the principal the authorizer attached to a request
+ * @param {Object} request - Request from normalizeRequest
+ * @returns {{subject: string, scopes: string[], clientId: string, tier: string}|undefined}
+ */
+const getPrincipal = (request) => {
+    const authorizer = request?.authorizer;
+    const subject = authorizer?.sub || authorizer?.principalId;
+    if (!subject) {
+        return undefined;
+    }
+
+    return {
+        subject,
+        scopes: String(authorizer.scope || '')
+            .split(' ')
+            .filter(Boolean),
+        clientId: authorizer.clientId || undefined,
+        tier: authorizer.tier || undefined,
+    };
+};
+
+/**
+ * Expose the authorizer principal as `ctx.principal`
+ * @returns {Function} - Middleware stage
+ */
+const authContext = () => async (ctx, next) => {
+    ctx.principal = getPrincipal(ctx.request);
+    await next();
+};
+
+/**
+ * Reject callers whose token lacks any of the given scopes with a 403. The
+ * authorizer only enforces the scopes every route needs, so routes that need
+ * more check them here. Place it after authContext.
+ * @param {string[]} scopes - Scopes the route requires
+ * @returns {Function} - Middleware stage
+ */
+const requireScopes = (scopes) => async (ctx, next) => {
+    const granted = ctx.principal?.scopes || [];
+    const missing = scopes.filter((scope) => !granted.includes(scope));
+    if (missing.length > 0) {
+        throw new ForbiddenError(`Missing required scope: ${missing.join(' ')}`);
+    }
+    await next();
+};
+
+module.exports = { buildPolicy, stageResource, getPrincipal, authContext, requireScopes };
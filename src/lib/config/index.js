@@ -0,0 +1,324 @@
+/**
+ * Runtime Configuration
+ * Typed settings and feature flags that can change without a redeploy. Each
+ * value comes from the first source that has a valid one:
+ *   1. SSM Parameter Store, below CONFIG_SSM_PREFIX (/greeting/overrides => greeting.overrides)
+ *   2. The local JSON file (CONFIG_FILE, default src/config/settings.json), per environment
+ *   3. The defaults in SETTINGS
+ * Loaded values are cached across warm invocations for CONFIG_TTL_SECONDS.
+ *
+ * Environment variables:
+ *   CONFIG_SSM_PREFIX     - Parameter path, e.g. /hello-world-api/dev; SSM is skipped when unset
+ *   CONFIG_FILE           - JSON file of { "<environment>": { "<setting>": value } }
+ *   CONFIG_TTL_SECONDS    - Seconds loaded values are reused (default 60)
+ *   CONFIG_SSM_TIMEOUT_MS - Time a Parameter Store read may take (default 1000)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../logger');
+const { createSsmClient } = require('./ssm-client');
+
+const DEFAULT_FILE = path.join(__dirname, '..', '..', 'config', 'settings.json');
+const DEFAULT_TTL_SECONDS = 60;
+// The config stage runs before the invocation deadline exists, so a hung
+// Parameter Store read is bounded here and the previous values are used
+const DEFAULT_SSM_TIMEOUT_MS = 1000;
+const FEATURE_PREFIX = 'features.';
+
+/**
+ * Convert a raw value to a setting type. SSM values are always strings;
+ * file values may already have the right type.
+ */
+const PARSERS = {
+    string: (value) => String(value),
+    number: (value) => {
+        const number = typeof value === 'number' ? value : Number(value);
+        if (value === '' || !Number.isFinite(number)) {
+            throw new Error('must be a number');
+        }
+        return number;
+    },
+    boolean: (value) => {
+        if (value === true || value === 'true') {
+            return true;
+        }
+        if (value === false || value === 'false') {
+            return false;
+        }
+        throw new Error('must be true or false');
+    },
+    // Comma-separated, as SSM StringList parameters are
+    list: (value) =>
+        (Array.isArray(value) ? value : String(value).split(','))
+            .map((item) => String(item).trim())
+            .filter(Boolean),
+    json: (value) => (typeof value === 'string' ? JSON.parse(value) : value),
+};
+
+/**
+ * Known settings. Settings without a default are undefined until configured,
+ * so their readers can fall back to what they used before, such as an
+ * environment variable. Feature flags (features.*) are booleans; unknown
+ * flags are off.
+ */
+const SETTINGS = {
+    'greeting.overrides': {
+        type: 'json',
+        default: {},
+        description: 'Locale => message key => template, replacing src/locales entries',
+    },
+    'cors.allowedOrigins': {
+        type: 'list',
+        description: 'Origins allowed to call the API; CORS_ALLOWED_ORIGINS when unset',
+    },
+    'graphql.maxDepth': {
+        type: 'number',
+        default: 15,
+        description: 'Deepest field level a POST /graphql query may select',
+    },
+    'graphql.maxComplexity': {
+        type: 'number',
+        default: 200,
+        description: 'Highest total field cost of a POST /graphql query',
+    },
+    'features.verboseHealth': {
+        type: 'boolean',
+        default: true,
+        description: 'Include probe errors and details in readiness responses',
+    },
+    'features.graphqlIntrospection': {
+        type: 'boolean',
+        default: true,
+        description: 'Answer __schema and __type queries on POST /graphql',
+    },
+};
+
+/**
+ * @param {string} key - Setting name
+ * @returns {Object|undefined} - Setting definition; feature flags are always known
+ */
+function definitionOf(key) {
+    if (SETTINGS[key]) {
+        return SETTINGS[key];
+    }
+    return key.startsWith(FEATURE_PREFIX) ? { type: 'boolean', default: false } : undefined;
+}
+
+/**
+ * Read every parameter below the prefix, following pagination
+ * @param {Object} client - Parameter client implementing getParametersByPath
+ * @param {string} prefix - Parameter path
+ * @param {AbortSignal} signal - Aborts the remaining pages
+ * @returns {Promise<Object>} - Setting name => raw value
+ */
+async function readParameters(client, prefix, signal) {
+    const base = prefix.replace(/\/+$/, '');
+    const values = {};
+    let nextToken;
+    do {
+        signal.throwIfAborted();
+        const page = await client.getParametersByPath({ path: base, nextToken, signal });
+        for (const { name, value } of page.parameters) {
+            const key = name
+                .slice(base.length + 1)
+                .split('/')
+                .filter(Boolean)
+                .join('.');
+            values[key] = value;
+        }
+        nextToken = page.nextToken;
+    } while (nextToken);
+    return values;
+}
+
+/**
+ * Create a configuration store
+ * @param {Object} options
+ * @param {string} options.prefix - SSM parameter path; SSM is skipped when empty
+ * @param {Object} options.client - Parameter client (see ssm-client.js); created lazily
+ * @param {string} options.file - Local JSON fallback file
+ * @param {string} options.environment - Section of the file to read
+ * @param {number} options.ttlMs - How long loaded values are reused
+ * @param {number} options.timeoutMs - How long reading Parameter Store may take, across pages
+ * @param {Function} options.now - Clock, for tests
+ * @returns {Object} - Store with load and invalidate
+ */
+const createConfig = ({
+    prefix = process.env.CONFIG_SSM_PREFIX,
+    client,
+    file = process.env.CONFIG_FILE || DEFAULT_FILE,
+    environment = process.env.ENVIRONMENT || 'dev',
+    ttlMs = (Number(process.env.CONFIG_TTL_SECONDS) || DEFAULT_TTL_SECONDS) * 1000,
+    timeoutMs = Number(process.env.CONFIG_SSM_TIMEOUT_MS) || DEFAULT_SSM_TIMEOUT_MS,
+    now = Date.now,
+} = {}) => {
+    let parameterClient = client;
+    let cache;
+    let pending;
+    // Last values read from SSM, kept while SSM is unreachable
+    let lastParameters = {};
+
+    const loadParameters = async () => {
+        if (!prefix) {
+            return {};
+        }
+        const signal = AbortSignal.timeout(timeoutMs);
+        try {
+            parameterClient = parameterClient || createSsmClient();
+            lastParameters = await readParameters(parameterClient, prefix, signal);
+        } catch (error) {
+            logger.warn('Failed to load SSM parameters', {
+                prefix,
+                error: signal.aborted ? `No response within ${timeoutMs}ms` : error.message,
+            });
+        }
+        return lastParameters;
+    };
+
+    const loadFile = () => {
+        try {
+            const sections = JSON.parse(fs.readFileSync(file, 'utf8'));
+            return sections[environment] || {};
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn('Failed to load config file', { file, error: error.message });
+            }
+            return {};
+        }
+    };
+
+    const resolve = (sources) => {
+        const keys = new Set([
+            ...Object.keys(SETTINGS),
+            ...sources.flatMap(({ values }) =>
+                Object.keys(values).filter((key) => key.startsWith(FEATURE_PREFIX))
+            ),
+        ]);
+        const values = {};
+        const origins = {};
+        for (const key of keys) {
+            const definition = definitionOf(key);
+            for (const { name, values: raw } of sources) {
+                if (raw[key] === undefined) {
+                    continue;
+                }
+                try {
+                    values[key] = PARSERS[definition.type](raw[key]);
+                    origins[key] = name;
+                    break;
+                } catch (error) {
+                    logger.warn('Ignoring invalid setting', {
+                        setting: key,
+                        source: name,
+                        error: error.message,
+                    });
+                }
+            }
+            if (!(key in origins)) {
+                values[key] = definition.default;
+                origins[key] = 'default';
+            }
+        }
+        return createSnapshot(values, origins);
+    };
+
+    const refresh = () => {
+        // Concurrent invocations share one in-flight load
+        pending =
+            pending ||
+            loadParameters()
+                .then((parameters) => {
+                    cache = {
+                        snapshot: resolve([
+                            { name: 'ssm', values: parameters },
+                            { name: 'file', values: loadFile() },
+                        ]),
+                        loadedAt: now(),
+                    };
+                    return cache.snapshot;
+                })
+                .finally(() => {
+                    pending = undefined;
+                });
+        return pending;
+    };
+
+    return {
+        /**
+         * @returns {Promise<Object>} - Snapshot of every setting, reloaded once the TTL passes
+         */
+        async load() {
+            if (cache && now() - cache.loadedAt < ttlMs) {
+                return cache.snapshot;
+            }
+            return refresh();
+        },
+
+        /**
+         * Drop the cached values so the next load reads the sources again
+         */
+        invalidate() {
+            cache = undefined;
+        },
+    };
+};
+
+/**
+ * @param {Object} values - Setting name => typed value
+ * @param {Object} origins - Setting name => 'ssm', 'file' or 'default'
+ * @returns {Object} - Immutable snapshot with get, isEnabled, values and origins
+ */
+function createSnapshot(values, origins) {
+    return Object.freeze({
+        values: Object.freeze(values),
+        origins: Object.freeze(origins),
+
+        /**
+         * @param {string} key - Setting name, e.g. 'cors.allowedOrigins'
+         * @returns {*} - Typed value
+         * @throws {Error} - For settings that are not defined in SETTINGS
+         */
+        get(key) {
+            if (!definitionOf(key)) {
+                throw new Error(`Unknown setting '${key}'`);
+            }
+            return key in values ? values[key] : definitionOf(key).default;
+        },
+
+        /**
+         * @param {string} flag - Feature flag without the prefix, e.g. 'verboseHealth'
+         * @returns {boolean} - Whether the flag is on
+         */
+        isEnabled(flag) {
+            return values[`${FEATURE_PREFIX}${flag}`] === true;
+        },
+    });
+}
+
+// Shared by every invocation of the container so the cache survives
+let sharedConfig;
+
+/**
+ * @returns {Object} - Configuration store created from the environment on first use
+ */
+const getConfig = () => {
+    sharedConfig = sharedConfig || createConfig();
+    return sharedConfig;
+};
+
+/**
+ * Load the configuration for the request and expose it as `ctx.config`.
+ * Place it before the stages that read settings, such as cors.
+ * @param {Object} options
+ * @param {Object} options.store - Configuration store; the shared one when omitted
+ * @returns {Function} - Middleware stage
+ */
+const config =
+    ({ store } = {}) =>
+    async (ctx, next) => {
+        ctx.config = await (store || getConfig()).load();
+        await next();
+    };
+
+module.exports = { SETTINGS, createConfig, getConfig, config };
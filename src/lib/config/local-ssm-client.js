@@ -0,0 +1,65 @@
+/**
+ * Local SSM Parameter Client
+ * In-memory stand-in for Parameter Store with the same interface as
+ * ssm-client.js, for tests and local development. Pages hold at most 10
+ * parameters, as in Parameter Store, so callers must follow nextToken.
+ */
+
+const PAGE_SIZE = 10;
+
+/**
+ * Create an in-memory parameter client
+ * @param {Object} options
+ * @param {Object} options.parameters - Parameter name => value
+ * @returns {Object} - Client implementing getParametersByPath, putParameter,
+ *   deleteParameter and calls (the number of pages read)
+ */
+const createLocalSsmClient = ({ parameters = {} } = {}) => {
+    const store = new Map(Object.entries(parameters));
+
+    const client = {
+        calls: 0,
+
+        /**
+         * @param {Object} options
+         * @param {string} options.path - Path, e.g. /hello-world-api/dev
+         * @param {string} options.nextToken - Token of the page to read
+         * @returns {Promise<{parameters: Object[], nextToken: string|undefined}>} - One page
+         */
+        async getParametersByPath({ path, nextToken }) {
+            client.calls += 1;
+            const base = path.endsWith('/') ? path : `${path}/`;
+            const matching = [...store.keys()].filter((name) => name.startsWith(base)).sort();
+            const start = Number(nextToken || 0);
+            const page = matching.slice(start, start + PAGE_SIZE);
+            return {
+                parameters: page.map((name) => ({
+                    name,
+                    value: store.get(name),
+                    type: 'String',
+                })),
+                nextToken:
+                    start + PAGE_SIZE < matching.length ? String(start + PAGE_SIZE) : undefined,
+            };
+        },
+
+        /**
+         * @param {string} name - Parameter name
+         * @param {string} value - Parameter value
+         */
+        putParameter(name, value) {
+            store.set(name, value);
+        },
+
+        /**
+         * @param {string} name - Parameter name
+         */
+        deleteParameter(name) {
+            store.delete(name);
+        },
+    };
+
+    return client;
+};
+
+module.exports = { createLocalSsmClient };
@@ -0,0 +1,57 @@
+/**
+ * SSM Parameter Client
+ * Reads parameters under a path from AWS Systems Manager Parameter Store.
+ * The config loader only depends on getParametersByPath, so tests and local
+ * runs can swap in the in-memory client from local-ssm-client.js.
+ *
+ * Set SSM_ENDPOINT (e.g. http://localhost:4566) to use a local emulator.
+ */
+
+/**
+ * Create a Parameter Store client
+ * @param {Object} options
+ * @param {Object} options.client - SSMClient; created lazily when omitted
+ * @returns {Object} - Client implementing getParametersByPath
+ */
+const createSsmClient = ({ client } = {}) => {
+    const sdk = require('@aws-sdk/client-ssm');
+    const ssm =
+        client ||
+        new sdk.SSMClient({
+            ...(process.env.SSM_ENDPOINT && { endpoint: process.env.SSM_ENDPOINT }),
+        });
+
+    return {
+        /**
+         * Read one page of the parameters below a path, at any depth.
+         * SecureString values are decrypted.
+         * @param {Object} options
+         * @param {string} options.path - Path, e.g. /hello-world-api/dev
+         * @param {string} options.nextToken - Token of the page to read
+         * @param {AbortSignal} options.signal - Aborts the request
+         * @returns {Promise<{parameters: Object[], nextToken: string|undefined}>} - Parameters
+         *   with name, value and type
+         */
+        async getParametersByPath({ path, nextToken, signal }) {
+            const { Parameters = [], NextToken } = await ssm.send(
+                new sdk.GetParametersByPathCommand({
+                    Path: path,
+                    Recursive: true,
+                    WithDecryption: true,
+                    NextToken: nextToken,
+                }),
+                { abortSignal: signal }
+            );
+            return {
+                parameters: Parameters.map(({ Name, Value, Type }) => ({
+                    name: Name,
+                    value: Value,
+                    type: Type,
+                })),
+                nextToken: NextToken,
+            };
+        },
+    };
+};
+
+module.exports = { createSsmClient };
@@ -0,0 +1,171 @@
+/**
+ * DynamoDB Connection Registry
+ * Connections shared by the route handler and the health broadcaster.
+ * Subscribers are found through a sparse index on `topic`, which only
+ * subscribed connections carry.
+ *
+ * Table layout: partition key `connectionId` (S), global secondary index
+ * `topic-index` with partition key `topic` (S), TTL attribute `expiresAt` (N).
+ * Set DYNAMODB_ENDPOINT (e.g. http://localhost:8000) to use DynamoDB Local.
+ */
+
+// API Gateway closes WebSocket connections after 2 hours; the TTL removes
+// connections whose $disconnect was missed
+const CONNECTION_TTL_SECONDS = 2 * 60 * 60;
+const TOPIC_INDEX = 'topic-index';
+
+/**
+ * @param {Object} item - DynamoDB item
+ * @returns {Object} - Connection
+ */
+function fromItem(item) {
+    return {
+        connectionId: item.connectionId.S,
+        connectedAt: item.connectedAt.S,
+        ...(item.principalId && { principalId: item.principalId.S }),
+        ...(item.topic && { topic: item.topic.S }),
+        ...(item.lastStatus && { lastStatus: item.lastStatus.S }),
+    };
+}
+
+/**
+ * Create a DynamoDB-backed connection registry
+ * @param {Object} options
+ * @param {string} options.tableName - Table name
+ * @param {Object} options.client - DynamoDBClient; created lazily when omitted
+ * @returns {Object} - Registry implementing add, remove, subscribe, unsubscribe,
+ *   subscribers and recordDelivery
+ */
+const createDynamoDbRegistry = ({ tableName, client }) => {
+    const sdk = require('@aws-sdk/client-dynamodb');
+    const dynamoDb =
+        client ||
+        new sdk.DynamoDBClient({
+            ...(process.env.DYNAMODB_ENDPOINT && { endpoint: process.env.DYNAMODB_ENDPOINT }),
+        });
+
+    /**
+     * Send a conditional update
+     * @param {Object} input - UpdateItemCommand input without the table name
+     * @returns {Promise<boolean>} - False when the condition failed
+     */
+    const conditionally = async (input) => {
+        try {
+            await dynamoDb.send(new sdk.UpdateItemCommand({ TableName: tableName, ...input }));
+            return true;
+        } catch (error) {
+            if (error.name === 'ConditionalCheckFailedException') {
+                return false;
+            }
+            throw error;
+        }
+    };
+
+    return {
+        /**
+         * @param {Object} connection - connectionId, connectedAt and principalId
+         */
+        async add(connection) {
+            const connectedAt = Date.parse(connection.connectedAt);
+            await dynamoDb.send(
+                new sdk.PutItemCommand({
+                    TableName: tableName,
+                    Item: {
+                        connectionId: { S: connection.connectionId },
+                        connectedAt: { S: connection.connectedAt },
+                        expiresAt: {
+                            N: String(Math.floor(connectedAt / 1000) + CONNECTION_TTL_SECONDS),
+                        },
+                        ...(connection.principalId && {
+                            principalId: { S: connection.principalId },
+                        }),
+                    },
+                })
+            );
+        },
+
+        /**
+         * @param {string} connectionId - Connection to forget
+         */
+        async remove(connectionId) {
+            await dynamoDb.send(
+                new sdk.DeleteItemCommand({
+                    TableName: tableName,
+                    Key: { connectionId: { S: connectionId } },
+                })
+            );
+        },
+
+        /**
+         * Follow a topic, replacing the topic followed so far
+         * @param {string} connectionId - Connection ID
+         * @param {string} topic - Topic name
+         * @returns {Promise<boolean>} - False when the connection is unknown
+         */
+        subscribe(connectionId, topic) {
+            return conditionally({
+                Key: { connectionId: { S: connectionId } },
+                UpdateExpression: 'SET #topic = :topic REMOVE lastStatus',
+                ConditionExpression: 'attribute_exists(connectionId)',
+                ExpressionAttributeNames: { '#topic': 'topic' },
+                ExpressionAttributeValues: { ':topic': { S: topic } },
+            });
+        },
+
+        /**
+         * @param {string} connectionId - Connection ID
+         * @param {string} topic - Topic name
+         * @returns {Promise<boolean>} - False when the connection did not follow the topic
+         */
+        unsubscribe(connectionId, topic) {
+            return conditionally({
+                Key: { connectionId: { S: connectionId } },
+                UpdateExpression: 'REMOVE #topic, lastStatus',
+                ConditionExpression: '#topic = :topic',
+                ExpressionAttributeNames: { '#topic': 'topic' },
+                ExpressionAttributeValues: { ':topic': { S: topic } },
+            });
+        },
+
+        /**
+         * @param {string} topic - Topic name
+         * @returns {Promise<Object[]>} - Connections following the topic
+         */
+        async subscribers(topic) {
+            const connections = [];
+            let startKey;
+            do {
+                const { Items = [], LastEvaluatedKey } = await dynamoDb.send(
+                    new sdk.QueryCommand({
+                        TableName: tableName,
+                        IndexName: TOPIC_INDEX,
+                        KeyConditionExpression: '#topic = :topic',
+                        ExpressionAttributeNames: { '#topic': 'topic' },
+                        ExpressionAttributeValues: { ':topic': { S: topic } },
+                        ...(startKey && { ExclusiveStartKey: startKey }),
+                    })
+                );
+                connections.push(...Items.map(fromItem));
+                startKey = LastEvaluatedKey;
+            } while (startKey);
+            return connections;
+        },
+
+        /**
+         * Remember the status last sent to a connection. Connections removed
+         * in the meantime are not recreated.
+         * @param {string} connectionId - Connection ID
+         * @param {string} status - Status last sent to the connection
+         */
+        async recordDelivery(connectionId, status) {
+            await conditionally({
+                Key: { connectionId: { S: connectionId } },
+                UpdateExpression: 'SET lastStatus = :status',
+                ConditionExpression: 'attribute_exists(connectionId)',
+                ExpressionAttributeValues: { ':status': { S: status } },
+            });
+        },
+    };
+};
+
+module.exports = { CONNECTION_TTL_SECONDS, createDynamoDbRegistry };
@@ -0,0 +1,52 @@
+/**
+ * WebSocket Connections
+ * Registry of the open WebSocket API connections and what each one follows,
+ * shared by the route handler and the health broadcaster. A registry
+ * implements:
+ *   add(connection)                      => stores a new connection
+ *   remove(connectionId)                 => forgets a connection
+ *   subscribe(connectionId, topic)       => false when the connection is unknown
+ *   unsubscribe(connectionId, topic)     => false when it did not follow the topic
+ *   subscribers(topic)                   => connections following the topic
+ *   recordDelivery(connectionId, status) => remembers the status last sent
+ * Connections have connectionId, connectedAt, principalId (when authorized)
+ * and, while subscribed, topic and lastStatus. A connection follows one topic
+ * at a time.
+ *
+ * Environment variables:
+ *   CONNECTIONS_TABLE - DynamoDB table of connections; when unset connections
+ *                       are kept in memory per Lambda container
+ */
+
+const { createMemoryRegistry } = require('./memory-registry');
+const { createDynamoDbRegistry } = require('./dynamodb-registry');
+
+// Topics a connection can subscribe to
+const TOPICS = ['health'];
+
+/**
+ * @returns {Object} - DynamoDB registry when CONNECTIONS_TABLE is set, else in-memory
+ */
+function createDefaultRegistry() {
+    return process.env.CONNECTIONS_TABLE
+        ? createDynamoDbRegistry({ tableName: process.env.CONNECTIONS_TABLE })
+        : createMemoryRegistry();
+}
+
+// Kept across warm invocations
+let sharedRegistry;
+
+/**
+ * @returns {Object} - Registry created from the environment on first use
+ */
+const getConnectionRegistry = () => {
+    sharedRegistry = sharedRegistry || createDefaultRegistry();
+    return sharedRegistry;
+};
+
+module.exports = {
+    TOPICS,
+    getConnectionRegistry,
+    createMemoryRegistry,
+    createDynamoDbRegistry,
+};
@@ -0,0 +1,86 @@
+/**
+ * In-Memory Connection Registry
+ * Connections kept in the Lambda container. The route handler and the
+ * broadcaster run in different containers when deployed, so use it for tests
+ * and local development only; deployed stacks should use the DynamoDB
+ * registry.
+ */
+
+/**
+ * Create an in-memory connection registry
+ * @returns {Object} - Registry implementing add, remove, subscribe, unsubscribe,
+ *   subscribers and recordDelivery
+ */
+const createMemoryRegistry = () => {
+    const connections = new Map();
+
+    return {
+        /**
+         * @param {Object} connection - connectionId, connectedAt and principalId
+         */
+        async add(connection) {
+            connections.set(connection.connectionId, { ...connection });
+        },
+
+        /**
+         * @param {string} connectionId - Connection to forget
+         */
+        async remove(connectionId) {
+            connections.delete(connectionId);
+        },
+
+        /**
+         * Follow a topic, replacing the topic followed so far
+         * @param {string} connectionId - Connection ID
+         * @param {string} topic - Topic name
+         * @returns {Promise<boolean>} - False when the connection is unknown
+         */
+        async subscribe(connectionId, topic) {
+            const connection = connections.get(connectionId);
+            if (!connection) {
+                return false;
+            }
+            delete connection.lastStatus;
+            connection.topic = topic;
+            return true;
+        },
+
+        /**
+         * @param {string} connectionId - Connection ID
+         * @param {string} topic - Topic name
+         * @returns {Promise<boolean>} - False when the connection did not follow the topic
+         */
+        async unsubscribe(connectionId, topic) {
+            const connection = connections.get(connectionId);
+            if (connection?.topic !== topic) {
+                return false;
+            }
+            delete connection.topic;
+            delete connection.lastStatus;
+            return true;
+        },
+
+        /**
+         * @param {string} topic - Topic name
+         * @returns {Promise<Object[]>} - Connections following the topic
+         */
+        async subscribers(topic) {
+            return [...connections.values()]
+                .filter((connection) => connection.topic === topic)
+                .map((connection) => ({ ...connection }));
+        },
+
+        /**
+         * @param {string} connectionId - Connection ID
+         * @param {string} status - Status last sent to the connection
+         */
+        async recordDelivery(connectionId, status) {
+            const connection = connections.get(connectionId);
+            if (connection) {
+                connection.lastStatus = status;
+            }
+        },
+    };
+};
+
+module.exports = { createMemoryRegistry };
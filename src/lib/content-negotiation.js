@@ -0,0 +1,121 @@
+/**
+ * Content Negotiation
+ * Pick a response format from the Accept header and serialize the response
+ * body with the matching serializer
+ */
+
+const { appendVary } = require('./middleware');
+const { NotAcceptableError } = require('./errors');
+const { problemResponse, problemContentType, isProblemResponse } = require('./problem');
+const { getHeader } = require('./request');
+const { getSerializer, supportedMediaTypes } = require('./serializers');
+
+/**
+ * Parse an Accept header into media ranges
+ * @param {string} header - e.g. 'text/html, application/*;q=0.8'
+ * @returns {Array<{type: string, subtype: string, q: number}>} - Media ranges
+ */
+const parseAccept = (header) => {
+    if (!header) {
+        return [];
+    }
+
+    return header
+        .split(',')
+        .map((part) => {
+            const [range, ...params] = part.trim().split(';');
+            const [type, subtype] = range.trim().toLowerCase().split('/');
+            const qParam = params.find((param) => param.trim().toLowerCase().startsWith('q='));
+            const q = qParam ? Number(qParam.trim().slice(2)) : 1;
+            return { type, subtype, q };
+        })
+        .filter(
+            ({ type, subtype, q }) => type && subtype && Number.isFinite(q) && q >= 0 && q <= 1
+        );
+};
+
+/**
+ * Choose the best available media type for an Accept header. Each candidate
+ * takes the q-value of the most specific range that matches it; ties go to
+ * the earlier candidate.
+ * @param {string} header - Accept header value
+ * @param {string[]} available - Candidate media types in preference order
+ * @returns {string|undefined} - Chosen media type, or undefined for a 406
+ */
+const selectMediaType = (header, available) => {
+    const ranges = parseAccept(header);
+    if (ranges.length === 0) {
+        return available[0];
+    }
+
+    let best;
+    let bestQ = 0;
+    for (const mediaType of available) {
+        const [type, subtype] = mediaType.split('/');
+        let match;
+        for (const range of ranges) {
+            const specificity =
+                range.type === type && range.subtype === subtype
+                    ? 2
+                    : range.type === type && range.subtype === '*'
+                      ? 1
+                      : range.type === '*' && range.subtype === '*'
+                        ? 0
+                        : -1;
+            if (specificity >= 0 && (!match || specificity > match.specificity)) {
+                match = { specificity, q: range.q };
+            }
+        }
+        if (match && match.q > bestQ) {
+            best = mediaType;
+            bestQ = match.q;
+        }
+    }
+    return best;
+};
+
+/**
+ * Negotiate the response format on the way in and serialize the body on the
+ * way out. Requests that accept none of the formats get a 406 listing the
+ * supported media types without running the route. Problem details are
+ * sent as application/problem+json or application/problem+xml.
+ * @param {Object} options
+ * @param {string[]} options.formats - Offered media types, in preference order
+ * @param {string} options.xmlRoot - Root element for XML responses
+ * @param {string} options.htmlTitle - Page title for HTML responses
+ * @returns {Function} - Middleware stage
+ */
+const contentNegotiation =
+    ({ formats = supportedMediaTypes(), xmlRoot = 'response', htmlTitle = 'Response' } = {}) =>
+    async (ctx, next) => {
+        const mediaType = selectMediaType(getHeader(ctx.request, 'Accept'), formats);
+
+        if (!mediaType) {
+            // No format the client accepts, so the problem is sent as JSON
+            const response = problemResponse(new NotAcceptableError(formats), ctx);
+            ctx.response = {
+                ...response,
+                headers: { ...response.headers, Vary: 'Accept' },
+                body: JSON.stringify(response.body),
+            };
+            return;
+        }
+
+        ctx.mediaType = mediaType;
+        await next();
+
+        const serializer = getSerializer(mediaType);
+        const { body } = ctx.response;
+        if (body !== undefined && typeof body !== 'string') {
+            const isProblem = isProblemResponse(ctx.response);
+            ctx.response.body = isProblem
+                ? serializer.serialize(body, { root: 'problem', title: body.title })
+                : serializer.serialize(body, { root: xmlRoot, title: htmlTitle });
+            ctx.response.headers['Content-Type'] = isProblem
+                ? problemContentType(serializer.contentType)
+                : serializer.contentType;
+        }
+        appendVary(ctx.response.headers, 'Accept');
+    };
+
+module.exports = { parseAccept, selectMediaType, contentNegotiation };
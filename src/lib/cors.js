@@ -0,0 +1,171 @@
+/**
+ * CORS
+ * Origin allowlist matching and preflight handling driven by per-environment
+ * configuration. The cors.allowedOrigins runtime setting (src/lib/config),
+ * when loaded, replaces CORS_ALLOWED_ORIGINS.
+ *
+ * Environment variables:
+ *   CORS_ALLOWED_ORIGINS   - Comma-separated origins. Supports '*' and
+ *                            wildcard subdomains such as https://*.example.com
+ *   CORS_ALLOW_CREDENTIALS - 'true' to allow credentialed requests
+ *   CORS_MAX_AGE           - Seconds browsers may cache a preflight result
+ */
+
+const { appendVary } = require('./middleware');
+const { ForbiddenError } = require('./errors');
+const { problemResponse } = require('./problem');
+const { getHeader } = require('./request');
+
+const DEFAULT_ALLOW_HEADERS = [
+    'Content-Type',
+    'X-Amz-Date',
+    'Authorization',
+    'X-Api-Key',
+    'X-Amz-Security-Token',
+    'X-Correlation-Id',
+    'traceparent',
+    'tracestate',
+];
+
+/**
+ * Read the CORS configuration from the environment
+ * @param {Object} env - Environment variables
+ * @returns {{allowedOrigins: string[], allowCredentials: boolean, maxAge: number|undefined}}
+ */
+const loadCorsConfig = (env = process.env) => {
+    const maxAge = Number.parseInt(env.CORS_MAX_AGE, 10);
+    return {
+        allowedOrigins: (env.CORS_ALLOWED_ORIGINS || '*')
+            .split(',')
+            .map((origin) => origin.trim())
+            .filter(Boolean),
+        allowCredentials: env.CORS_ALLOW_CREDENTIALS === 'true',
+        maxAge: Number.isNaN(maxAge) ? undefined : maxAge,
+    };
+};
+
+/**
+ * Check an origin against one allowlist entry. A '*.' label in the entry
+ * matches one or more subdomain labels but not the bare parent domain.
+ * @param {string} origin - Origin header value
+ * @param {string} pattern - Allowlist entry
+ * @returns {boolean} - True when the origin is allowed by the entry
+ */
+function originMatches(origin, pattern) {
+    if (pattern === '*') {
+        return true;
+    }
+    if (!pattern.includes('*.')) {
+        return origin.toLowerCase() === pattern.toLowerCase();
+    }
+
+    const [prefix, suffix] = pattern.toLowerCase().split('*.');
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    const regex = new RegExp(`^${escape(prefix)}([a-z0-9-]+\\.)+${escape(suffix)}$`);
+    return regex.test(origin.toLowerCase());
+}
+
+/**
+ * Decide the Access-Control-Allow-Origin value for a request
+ * @param {string|undefined} origin - Origin header value
+ * @param {Object} config - CORS configuration
+ * @returns {string|undefined} - '*', the echoed origin, or undefined when not allowed
+ */
+const resolveAllowedOrigin = (origin, config) => {
+    const { allowedOrigins, allowCredentials } = config;
+
+    // Credentialed responses must name the origin; '*' is only usable without them
+    if (allowedOrigins.includes('*') && !allowCredentials) {
+        return '*';
+    }
+    if (!origin) {
+        return undefined;
+    }
+    return allowedOrigins.some((pattern) => originMatches(origin, pattern)) ? origin : undefined;
+};
+
+/**
+ * Answer preflight requests, reject disallowed origins with a 403 and add
+ * CORS headers to every other response. Place it after the config stage so
+ * allowlist changes in Parameter Store apply without a redeploy.
+ * @param {Object} options
+ * @param {string[]} options.methods - Methods the route accepts
+ * @param {string[]} options.allowHeaders - Request headers browsers may send
+ * @param {string[]} options.exposeHeaders - Response headers browsers may read
+ * @returns {Function} - Middleware stage
+ */
+const cors =
+    ({
+        methods = ['GET', 'OPTIONS'],
+        allowHeaders = DEFAULT_ALLOW_HEADERS,
+        exposeHeaders = ['X-Request-Id', 'X-Correlation-Id', 'X-Trace-Id'],
+    } = {}) =>
+    async (ctx, next) => {
+        const config = loadCorsConfig();
+        const allowedOrigins = ctx.config?.get('cors.allowedOrigins');
+        if (allowedOrigins) {
+            config.allowedOrigins = allowedOrigins;
+        }
+        const origin = getHeader(ctx.request, 'Origin');
+        const allowedOrigin = resolveAllowedOrigin(origin, config);
+
+        const headers = {};
+        if (allowedOrigin) {
+            headers['Access-Control-Allow-Origin'] = allowedOrigin;
+            if (allowedOrigin !== '*' && config.allowCredentials) {
+                headers['Access-Control-Allow-Credentials'] = 'true';
+            }
+        }
+        if (allowedOrigin !== '*') {
+            appendVary(headers, 'Origin');
+        }
+
+        if (origin && !allowedOrigin) {
+            // Rejected before content negotiation runs, so the problem is sent as JSON
+            const response = problemResponse(
+                new ForbiddenError(`Origin ${origin} is not allowed`),
+                ctx
+            );
+            ctx.response = {
+                ...response,
+                headers: { ...headers, ...response.headers },
+                body: JSON.stringify(response.body),
+            };
+            return;
+        }
+
+        if (ctx.request?.method === 'OPTIONS') {
+            ctx.response = {
+                statusCode: 204,
+                headers: {
+                    ...headers,
+                    'Access-Control-Allow-Methods': methods.join(','),
+                    'Access-Control-Allow-Headers': allowHeaders.join(','),
+                    ...(config.maxAge !== undefined && {
+                        'Access-Control-Max-Age': String(config.maxAge),
+                    }),
+                },
+            };
+            return;
+        }
+
+        await next();
+
+        if (exposeHeaders.length > 0 && allowedOrigin) {
+            headers['Access-Control-Expose-Headers'] = exposeHeaders.join(',');
+        }
+        for (const [name, value] of Object.entries(headers)) {
+            if (name === 'Vary') {
+                appendVary(ctx.response.headers, value);
+            } else {
+                ctx.response.headers[name] = value;
+            }
+        }
+    };
+
+module.exports = {
+    DEFAULT_ALLOW_HEADERS,
+    loadCorsConfig,
+    resolveAllowedOrigin,
+    cors,
+};
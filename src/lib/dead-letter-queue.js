@@ -0,0 +1,113 @@
+/**
+ * Dead-Letter Queue
+ * Where the batch processor moves messages that can never succeed, such as
+ * invalid greeting jobs, so they are kept for inspection without waiting
+ * for the source queue's redrive policy to give up on them. A queue
+ * implements:
+ *   send(record, reason) => copies the SQS record's body and attributes to the queue
+ *
+ * Environment variables:
+ *   DEAD_LETTER_QUEUE_URL - SQS queue URL; when unset messages are kept in
+ *                           memory per Lambda container
+ *
+ * Set SQS_ENDPOINT (e.g. http://localhost:4566) to use a local emulator.
+ */
+
+/**
+ * Create an SQS-backed dead-letter queue
+ * @param {Object} options
+ * @param {string} options.queueUrl - Queue URL
+ * @param {Object} options.client - SQSClient; created lazily when omitted
+ * @returns {Object} - Queue implementing send
+ */
+const createSqsDeadLetterQueue = ({ queueUrl, client }) => {
+    const sdk = require('@aws-sdk/client-sqs');
+    const sqs =
+        client ||
+        new sdk.SQSClient({
+            ...(process.env.SQS_ENDPOINT && { endpoint: process.env.SQS_ENDPOINT }),
+        });
+
+    return {
+        /**
+         * Copy a record to the queue, keeping its body and message attributes
+         * @param {Object} record - SQS record from the event source
+         * @param {string} reason - Why the message was dead-lettered
+         */
+        async send(record, reason) {
+            await sqs.send(
+                new sdk.SendMessageCommand({
+                    QueueUrl: queueUrl,
+                    MessageBody: record.body,
+                    MessageAttributes: {
+                        ...toMessageAttributes(record.messageAttributes),
+                        SourceMessageId: { DataType: 'String', StringValue: record.messageId },
+                        DeadLetterReason: { DataType: 'String', StringValue: reason },
+                    },
+                })
+            );
+        },
+    };
+};
+
+/**
+ * Convert the message attributes of an SQS event record to SendMessage input
+ * @param {Object} attributes - Name => { dataType, stringValue, binaryValue }
+ * @returns {Object} - Name => { DataType, StringValue, BinaryValue }
+ */
+function toMessageAttributes(attributes = {}) {
+    return Object.fromEntries(
+        Object.entries(attributes).map(([name, { dataType, stringValue, binaryValue }]) => [
+            name,
+            {
+                DataType: dataType,
+                ...(stringValue !== undefined && { StringValue: stringValue }),
+                ...(binaryValue !== undefined && {
+                    BinaryValue: Buffer.from(binaryValue, 'base64'),
+                }),
+            },
+        ])
+    );
+}
+
+/**
+ * Create an in-memory dead-letter queue, for tests and local development
+ * @returns {Object} - Queue implementing send, plus list for inspection
+ */
+const createMemoryDeadLetterQueue = () => {
+    const messages = [];
+
+    return {
+        /**
+         * @param {Object} record - SQS record from the event source
+         * @param {string} reason - Why the message was dead-lettered
+         */
+        async send(record, reason) {
+            messages.push({ messageId: record.messageId, body: record.body, reason });
+        },
+
+        /**
+         * @returns {Object[]} - Messages in send order
+         */
+        list() {
+            return messages.map((message) => ({ ...message }));
+        },
+    };
+};
+
+// Kept across warm invocations
+let sharedQueue;
+
+/**
+ * @returns {Object} - SQS queue when DEAD_LETTER_QUEUE_URL is set, else in-memory
+ */
+const getDeadLetterQueue = () => {
+    sharedQueue =
+        sharedQueue ||
+        (process.env.DEAD_LETTER_QUEUE_URL
+            ? createSqsDeadLetterQueue({ queueUrl: process.env.DEAD_LETTER_QUEUE_URL })
+            : createMemoryDeadLetterQueue());
+    return sharedQueue;
+};
+
+module.exports = { getDeadLetterQueue, createSqsDeadLetterQueue, createMemoryDeadLetterQueue };
@@ -0,0 +1,141 @@
+/**
+ * Invocation Deadline
+ * Gives each request the time Lambda has left, from
+ * `context.getRemainingTimeInMillis()`, minus a reserve for writing the
+ * response. Downstream work runs in named steps that receive an AbortSignal;
+ * when the budget runs out the signal aborts, the step in progress is logged
+ * and the request ends with a 504 problem instead of the runtime killing
+ * the function (which API Gateway reports as a bare 502).
+ */
+
+const { logger } = require('./logger');
+const { GatewayTimeoutError } = require('./errors');
+
+// Time kept back to log, serialize and return the 504 before Lambda stops
+const DEFAULT_RESERVE_MS = 250;
+
+/**
+ * Create the deadline of one invocation
+ * @param {Object} options
+ * @param {number} options.remainingMs - Time left in the invocation; no deadline when undefined
+ * @param {number} options.reserveMs - Time kept back for the response
+ * @param {Function} options.now - Clock, for tests
+ * @returns {Object} - Deadline with signal, remainingMs, step, steps and expire
+ */
+const createDeadline = ({ remainingMs, reserveMs = DEFAULT_RESERVE_MS, now = Date.now } = {}) => {
+    const startedAt = now();
+    const expiresAt = Number.isFinite(remainingMs) ? startedAt + remainingMs - reserveMs : Infinity;
+    const controller = new AbortController();
+    const steps = [];
+
+    return {
+        /** Aborted once the budget runs out */
+        signal: controller.signal,
+
+        /**
+         * @returns {number} - Milliseconds left in the budget; Infinity without a deadline
+         */
+        remainingMs() {
+            return Math.max(0, expiresAt - now());
+        },
+
+        /**
+         * Run downstream work as a named step, so an expired deadline can say
+         * where the time went
+         * @param {string} name - Step name, e.g. 'load greeting'
+         * @param {Function} work - async (signal) => result; pass the signal to I/O calls
+         * @returns {Promise<*>} - Result of the work
+         * @throws {GatewayTimeoutError} - When the deadline has already passed
+         */
+        async step(name, work) {
+            if (controller.signal.aborted) {
+                throw new GatewayTimeoutError(undefined, controller.signal.reason);
+            }
+            const entry = { name, startedAt: now() };
+            steps.push(entry);
+            try {
+                return await work(controller.signal);
+            } finally {
+                entry.durationMs = now() - entry.startedAt;
+            }
+        },
+
+        /**
+         * @returns {{completed: Object[], inProgress: string|undefined}} - Durations of the
+         *   finished steps and the name of the step still running, if any
+         */
+        steps() {
+            return {
+                completed: steps
+                    .filter((entry) => entry.durationMs !== undefined)
+                    .map(({ name, durationMs }) => ({ name, durationMs })),
+                inProgress: steps.find((entry) => entry.durationMs === undefined)?.name,
+            };
+        },
+
+        /**
+         * Abort the signal, e.g. when the budget runs out
+         * @param {Error} reason - Reason the signal carries
+         */
+        expire(reason) {
+            controller.abort(reason);
+        },
+
+        /** Milliseconds from creation to expiry; Infinity without a deadline */
+        budgetMs: expiresAt - startedAt,
+    };
+};
+
+/**
+ * Bound the rest of the pipeline by the invocation deadline and expose it
+ * as `ctx.deadline`. Place it inside errorHandler so the 504 becomes a
+ * problem response with the request ID. Without a Lambda context (tests,
+ * direct calls) there is no deadline and steps just run.
+ * @param {Object} options
+ * @param {number} options.reserveMs - Time kept back for the response
+ * @returns {Function} - Middleware stage
+ */
+const deadline =
+    ({ reserveMs = DEFAULT_RESERVE_MS } = {}) =>
+    async (ctx, next) => {
+        const getRemaining = ctx.context?.getRemainingTimeInMillis;
+        ctx.deadline = createDeadline({
+            remainingMs:
+                typeof getRemaining === 'function' ? getRemaining.call(ctx.context) : undefined,
+            reserveMs,
+        });
+        if (!Number.isFinite(ctx.deadline.budgetMs)) {
+            await next();
+            return;
+        }
+
+        let timer;
+        const expired = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const error = new GatewayTimeoutError();
+                ctx.deadline.expire(error);
+                reject(error);
+            }, ctx.deadline.remainingMs());
+        });
+        const work = next();
+        // The pipeline may still settle after the deadline; its outcome is dropped
+        work.catch(() => {});
+
+        try {
+            await Promise.race([work, expired]);
+        } catch (error) {
+            if (ctx.deadline.signal.aborted && error === ctx.deadline.signal.reason) {
+                const { completed, inProgress } = ctx.deadline.steps();
+                (ctx.logger || logger).warn('Invocation deadline exceeded', {
+                    budgetMs: ctx.deadline.budgetMs,
+                    step: inProgress,
+                    completedSteps: completed,
+                });
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    };
+
+module.exports = { DEFAULT_RESERVE_MS, createDeadline, deadline };
@@ -0,0 +1,218 @@
+/**
+ * HTTP Errors
+ * Errors thrown by route logic that carry the status code they map to and
+ * the RFC 7807 problem type they are reported as
+ */
+
+const http = require('http');
+
+// Problem type URIs are `${PROBLEM_TYPE_PREFIX}<slug>`; the slugs are listed
+// in the README
+const PROBLEM_TYPE_PREFIX = 'urn:hello-world-api:problem:';
+
+/**
+ * Base class for errors that should surface to the client with a specific
+ * HTTP status instead of a generic 500. Used directly it is reported with
+ * the `about:blank` problem type.
+ */
+class HttpError extends Error {
+    /**
+     * @param {number} statusCode - HTTP status code
+     * @param {string} message - Client-facing description of the problem
+     * @param {Object} options
+     * @param {Object} options.headers - Response headers to send with the error
+     * @param {string} options.type - Problem type slug
+     * @param {string} options.title - Short summary of the problem type
+     * @param {Object} options.extensions - Extra members for the problem body
+     * @param {Error} options.cause - Underlying error, logged but never sent
+     */
+    constructor(statusCode, message, { headers = {}, type, title, extensions = {}, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.statusCode = statusCode;
+        this.headers = headers;
+        this.type = type ? `${PROBLEM_TYPE_PREFIX}${type}` : 'about:blank';
+        this.title = title || http.STATUS_CODES[statusCode];
+        this.extensions = extensions;
+    }
+}
+
+/**
+ * The request was malformed or failed validation
+ */
+class ValidationError extends HttpError {
+    /**
+     * @param {string} message - Client-facing description
+     * @param {{field: string, in: string, message: string}[]} errors - Every violated field
+     */
+    constructor(message, errors = []) {
+        super(400, message, {
+            type: 'validation-error',
+            title: 'Validation Failed',
+            extensions: errors.length > 0 ? { errors } : {},
+        });
+        this.errors = errors;
+    }
+}
+
+/**
+ * The request lacks valid credentials
+ */
+class UnauthorizedError extends HttpError {
+    constructor(message = 'Unauthorized') {
+        super(401, message, { type: 'unauthorized' });
+    }
+}
+
+/**
+ * The caller is authenticated but not allowed to perform the request
+ */
+class ForbiddenError extends HttpError {
+    constructor(message) {
+        super(403, message, { type: 'forbidden' });
+    }
+}
+
+/**
+ * The requested resource does not exist
+ */
+class NotFoundError extends HttpError {
+    constructor(message = 'Resource not found') {
+        super(404, message, { type: 'not-found' });
+    }
+}
+
+/**
+ * None of the media types the client accepts can be produced
+ */
+class NotAcceptableError extends HttpError {
+    /**
+     * @param {string[]} supportedTypes - Media types the endpoint can produce
+     */
+    constructor(supportedTypes) {
+        super(406, `Supported formats: ${supportedTypes.join(', ')}`, {
+            type: 'not-acceptable',
+            extensions: { supportedTypes },
+        });
+    }
+}
+
+/**
+ * The request conflicts with the current state of the resource
+ */
+class ConflictError extends HttpError {
+    constructor(message) {
+        super(409, message, { type: 'conflict' });
+    }
+}
+
+/**
+ * The resource existed but is permanently gone, e.g. a retired API version
+ */
+class GoneError extends HttpError {
+    /**
+     * @param {string} message - Client-facing description
+     * @param {Object} headers - Headers pointing to a replacement, e.g. Link
+     */
+    constructor(message, headers = {}) {
+        super(410, message, { headers, type: 'gone' });
+    }
+}
+
+/**
+ * A conditional request's If-Match does not name the current version
+ */
+class PreconditionFailedError extends HttpError {
+    constructor(message = 'The resource has changed since it was read') {
+        super(412, message, { type: 'precondition-failed' });
+    }
+}
+
+/**
+ * A request that could overwrite a concurrent change did not say which
+ * version it was based on
+ */
+class PreconditionRequiredError extends HttpError {
+    constructor(message = 'This request must be conditional; send If-Match') {
+        super(428, message, { type: 'precondition-required' });
+    }
+}
+
+/**
+ * An Idempotency-Key was sent again with a different request
+ */
+class IdempotencyKeyReusedError extends HttpError {
+    constructor(message = 'This Idempotency-Key was used for a different request') {
+        super(422, message, { type: 'idempotency-key-reused', title: 'Idempotency Key Reused' });
+    }
+}
+
+/**
+ * The client exceeded its rate limit
+ */
+class TooManyRequestsError extends HttpError {
+    /**
+     * @param {string} message - Client-facing description
+     * @param {Object} headers - Retry-After and RateLimit-* headers
+     */
+    constructor(message = 'Too many requests', headers = {}) {
+        super(429, message, { headers, type: 'rate-limited', title: 'Rate Limit Exceeded' });
+    }
+}
+
+/**
+ * An unexpected failure inside the service. Unknown exceptions are reported
+ * as this error so their messages never reach the client.
+ */
+class InternalError extends HttpError {
+    constructor(message = 'An error occurred while processing your request', cause) {
+        super(500, message, { type: 'internal-error', cause });
+    }
+}
+
+/**
+ * A service this API depends on failed or returned an invalid response
+ */
+class UpstreamError extends HttpError {
+    constructor(message = 'An upstream service failed', cause) {
+        super(502, message, { type: 'upstream-failure', title: 'Upstream Failure', cause });
+    }
+}
+
+/**
+ * The service cannot handle requests right now
+ */
+class ServiceUnavailableError extends HttpError {
+    constructor(message = 'Service unavailable', cause) {
+        super(503, message, { type: 'service-unavailable', cause });
+    }
+}
+
+/**
+ * The request could not be completed before the invocation deadline
+ */
+class GatewayTimeoutError extends HttpError {
+    constructor(message = 'The request could not be completed in time', cause) {
+        super(504, message, { type: 'deadline-exceeded', title: 'Deadline Exceeded', cause });
+    }
+}
+
+module.exports = {
+    PROBLEM_TYPE_PREFIX,
+    HttpError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    NotAcceptableError,
+    ConflictError,
+    GoneError,
+    PreconditionFailedError,
+    PreconditionRequiredError,
+    IdempotencyKeyReusedError,
+    TooManyRequestsError,
+    InternalError,
+    UpstreamError,
+    ServiceUnavailableError,
+    GatewayTimeoutError,
+};
@@ -0,0 +1,242 @@
+/**
+ * Event Formats
+ * Lambda receives HTTP requests as REST API (payload v1), HTTP API (payload
+ * v2) or Application Load Balancer events. Handlers work on one normalized
+ * request shape and their responses are converted back into the shape the
+ * invoking service expects.
+ */
+
+const http = require('http');
+
+const EVENT_FORMATS = {
+    REST: 'v1',
+    HTTP: 'v2',
+    ALB: 'alb',
+};
+
+/**
+ * Work out which service produced an event
+ * @param {Object} event - Lambda event
+ * @returns {string} - One of EVENT_FORMATS
+ */
+const detectFormat = (event) => {
+    if (event?.requestContext?.elb) {
+        return EVENT_FORMATS.ALB;
+    }
+    if (event?.version === '2.0') {
+        return EVENT_FORMATS.HTTP;
+    }
+    return EVENT_FORMATS.REST;
+};
+
+/**
+ * Collapse multi-value maps into single values. Headers are joined with
+ * commas as HTTP allows; other values keep the last entry, as API Gateway
+ * does for queryStringParameters.
+ * @param {Object} multiValues - Name => values
+ * @param {boolean} join - Join values with commas instead of keeping the last
+ * @returns {Object} - Name => value
+ */
+function collapse(multiValues, join) {
+    return Object.fromEntries(
+        Object.entries(multiValues || {}).map(([name, values]) => [
+            name,
+            join ? values.join(',') : values[values.length - 1],
+        ])
+    );
+}
+
+/**
+ * ALB passes query strings as they appear in the URL
+ * @param {string} value - URL-encoded value
+ * @returns {string} - Decoded value, or the raw value when it is malformed
+ */
+function decodeQueryValue(value) {
+    try {
+        return decodeURIComponent(value.replace(/\+/g, ' '));
+    } catch {
+        return value;
+    }
+}
+
+/**
+ * @param {string[]} pairs - Cookie strings, e.g. ['theme=dark', 'lang=fr']
+ * @returns {Object} - Cookie name => value; the first occurrence of a name wins
+ */
+function parseCookies(pairs) {
+    const cookies = {};
+    for (const pair of pairs) {
+        const separator = pair.indexOf('=');
+        if (separator > 0) {
+            const name = pair.slice(0, separator).trim();
+            if (!(name in cookies)) {
+                cookies[name] = pair.slice(separator + 1).trim();
+            }
+        }
+    }
+    return cookies;
+}
+
+/**
+ * @param {Object} headers - Request headers
+ * @param {string} name - Header name
+ * @returns {string|undefined} - Value of the header, matched case-insensitively
+ */
+function findHeader(headers, name) {
+    const key = Object.keys(headers).find((header) => header.toLowerCase() === name);
+    return key === undefined ? undefined : headers[key];
+}
+
+/**
+ * Flatten the authorizer output of an HTTP API event to the context shape a
+ * REST API token authorizer produces
+ * @param {Object} authorizer - requestContext.authorizer of a v2 event
+ * @returns {Object|undefined} - Authorizer context
+ */
+function httpApiAuthorizer(authorizer) {
+    if (authorizer?.lambda) {
+        return authorizer.lambda;
+    }
+    const jwt = authorizer?.jwt;
+    if (jwt) {
+        return {
+            ...jwt.claims,
+            scope: jwt.claims?.scope || (jwt.scopes || []).join(' '),
+            clientId: jwt.claims?.client_id,
+        };
+    }
+    return undefined;
+}
+
+/**
+ * Convert an event of any supported format into the request shape the
+ * middleware works on
+ * @param {Object} event - REST API, HTTP API or ALB event
+ * @returns {Object} - Request with format, method, path, headers, query (name => value),
+ *   cookies (name => value), pathParameters, body, isBase64Encoded, sourceIp, requestId,
+ *   apiKey and authorizer (context object)
+ */
+const normalizeRequest = (event) => {
+    const format = detectFormat(event);
+    const requestContext = event?.requestContext || {};
+
+    if (format === EVENT_FORMATS.HTTP) {
+        const headers = event.headers || {};
+        return {
+            format,
+            method: requestContext.http?.method,
+            path: event.rawPath,
+            headers,
+            query: event.queryStringParameters || {},
+            cookies: parseCookies(event.cookies || []),
+            pathParameters: event.pathParameters || {},
+            body: event.body ?? null,
+            isBase64Encoded: Boolean(event.isBase64Encoded),
+            sourceIp: requestContext.http?.sourceIp,
+            requestId: requestContext.requestId,
+            apiKey: undefined,
+            authorizer: httpApiAuthorizer(requestContext.authorizer),
+        };
+    }
+
+    const multiValue = Boolean(event?.multiValueHeaders) && !event?.headers;
+    const headers = event?.headers || collapse(event?.multiValueHeaders, true);
+    const cookieHeader = findHeader(headers, 'cookie');
+    const common = {
+        format,
+        method: event?.httpMethod,
+        path: event?.path,
+        headers,
+        cookies: parseCookies(cookieHeader ? cookieHeader.split(';') : []),
+        body: event?.body ?? null,
+        isBase64Encoded: Boolean(event?.isBase64Encoded),
+    };
+
+    if (format === EVENT_FORMATS.ALB) {
+        const rawQuery =
+            event.queryStringParameters || collapse(event.multiValueQueryStringParameters, false);
+        const forwardedFor = findHeader(headers, 'x-forwarded-for');
+        return {
+            ...common,
+            query: Object.fromEntries(
+                Object.entries(rawQuery).map(([name, value]) => [
+                    decodeQueryValue(name),
+                    decodeQueryValue(value),
+                ])
+            ),
+            pathParameters: {},
+            // ALB appends the address it saw to whatever the client sent, so
+            // only the last entry can be trusted
+            sourceIp: forwardedFor ? forwardedFor.split(',').pop().trim() : undefined,
+            requestId: undefined,
+            apiKey: undefined,
+            authorizer: undefined,
+            multiValue,
+        };
+    }
+
+    return {
+        ...common,
+        query: event?.queryStringParameters || {},
+        pathParameters: event?.pathParameters || {},
+        sourceIp: requestContext.identity?.sourceIp,
+        requestId: requestContext.requestId,
+        apiKey: requestContext.identity?.apiKey || undefined,
+        authorizer: requestContext.authorizer || undefined,
+    };
+};
+
+/**
+ * Convert a handler response into the response format of the service that
+ * sent the request. Cookies may be given as a `cookies` array, as HTTP APIs
+ * expect, and are sent as Set-Cookie headers to the other services.
+ * @param {Object} response - Proxy response ({statusCode, headers, body, cookies})
+ * @param {Object} request - Request from normalizeRequest
+ * @returns {Object} - Response for the invoking service
+ */
+const formatResponse = (response, request) => {
+    const { cookies = [], ...rest } = response;
+
+    if (request.format === EVENT_FORMATS.HTTP) {
+        return { ...rest, ...(cookies.length > 0 && { cookies }) };
+    }
+
+    if (request.format === EVENT_FORMATS.ALB) {
+        const alb = {
+            statusCode: rest.statusCode,
+            statusDescription:
+                `${rest.statusCode} ${http.STATUS_CODES[rest.statusCode] || ''}`.trim(),
+            isBase64Encoded: Boolean(rest.isBase64Encoded),
+            body: rest.body ?? '',
+        };
+        const headers = Object.fromEntries(
+            Object.entries(rest.headers || {}).map(([name, value]) => [name, String(value)])
+        );
+        // Target groups with multi-value headers enabled only read multiValueHeaders
+        if (request.multiValue) {
+            alb.multiValueHeaders = Object.fromEntries(
+                Object.entries(headers).map(([name, value]) => [name, [value]])
+            );
+            if (cookies.length > 0) {
+                alb.multiValueHeaders['Set-Cookie'] = cookies;
+            }
+        } else {
+            alb.headers = headers;
+            if (cookies.length > 0) {
+                // Without multi-value headers ALB can only send one cookie
+                alb.headers['Set-Cookie'] = cookies[cookies.length - 1];
+            }
+        }
+        return alb;
+    }
+
+    if (cookies.length > 0) {
+        return {
+            ...rest,
+            multiValueHeaders: { ...rest.multiValueHeaders, 'Set-Cookie': cookies },
+        };
+    }
+    return rest;
+};
+
+module.exports = { EVENT_FORMATS, detectFormat, normalizeRequest, formatResponse };
@@ -0,0 +1,161 @@
+/**
+ * GraphQL Query Limits
+ * A validation rule for graphql-js that measures the depth and complexity of
+ * each operation, so queries that nest too deeply or select too much are
+ * refused before any resolver runs. Each field costs its
+ * `extensions.complexity` (1 unless the schema says otherwise) plus the cost
+ * of its selections, which a list field pays once per item it may return:
+ * its `extensions.listSize`, or DEFAULT_LIST_SIZE. Introspection lists count
+ * once and __typename is free, so introspecting the schema stays cheap.
+ * Fragments are measured once however often they are spread, so repeated
+ * spreads cannot make the measurement itself expensive.
+ *
+ * Run it after the specified rules: it assumes the document is valid.
+ */
+
+const {
+    GraphQLError,
+    Kind,
+    SchemaMetaFieldDef,
+    TypeMetaFieldDef,
+    TypeNameMetaFieldDef,
+    getNamedType,
+    getNullableType,
+    isIntrospectionType,
+    isListType,
+} = require('graphql');
+
+// Items assumed for a list field that does not declare its listSize
+const DEFAULT_LIST_SIZE = 10;
+
+/**
+ * Find the definition of a selected field, including the meta fields
+ * @param {Object} schema - GraphQLSchema
+ * @param {Object} parentType - Type the field is selected on
+ * @param {string} name - Field name
+ * @returns {Object} - GraphQLField
+ */
+const getFieldDef = (schema, parentType, name) => {
+    if (name === TypeNameMetaFieldDef.name) {
+        return TypeNameMetaFieldDef;
+    }
+    if (parentType === schema.getQueryType()) {
+        if (name === SchemaMetaFieldDef.name) {
+            return SchemaMetaFieldDef;
+        }
+        if (name === TypeMetaFieldDef.name) {
+            return TypeMetaFieldDef;
+        }
+    }
+    return parentType.getFields()[name];
+};
+
+/**
+ * Measure an operation of a valid document
+ * @param {Object} schema - GraphQLSchema
+ * @param {Object} document - Parsed document
+ * @param {Object} operation - OperationDefinition node to measure
+ * @returns {{depth: number, complexity: number}} - Deepest field level (root
+ *   fields are at depth 1) and total cost of the selected fields
+ */
+const measureOperation = (schema, document, operation) => {
+    const fragments = new Map(
+        document.definitions
+            .filter((definition) => definition.kind === Kind.FRAGMENT_DEFINITION)
+            .map((fragment) => [fragment.name.value, fragment])
+    );
+    const measuredFragments = new Map();
+
+    const measureField = (selection, parentType) => {
+        const field = getFieldDef(schema, parentType, selection.name.value);
+        const child = selection.selectionSet
+            ? measureSelectionSet(selection.selectionSet, getNamedType(field.type))
+            : { depth: 0, complexity: 0 };
+        const items = isListType(getNullableType(field.type))
+            ? (field.extensions?.listSize ??
+              (isIntrospectionType(parentType) ? 1 : DEFAULT_LIST_SIZE))
+            : 1;
+        const own = field === TypeNameMetaFieldDef ? 0 : (field.extensions?.complexity ?? 1);
+        return { depth: child.depth + 1, complexity: own + items * child.complexity };
+    };
+
+    const measureSelectionSet = (selectionSet, parentType) => {
+        let depth = 0;
+        let complexity = 0;
+        for (const selection of selectionSet.selections) {
+            let cost;
+            if (selection.kind === Kind.FIELD) {
+                cost = measureField(selection, parentType);
+            } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+                const typeCondition = selection.typeCondition
+                    ? schema.getType(selection.typeCondition.name.value)
+                    : parentType;
+                cost = measureSelectionSet(selection.selectionSet, typeCondition);
+            } else {
+                cost = measureFragment(selection.name.value);
+            }
+            depth = Math.max(depth, cost.depth);
+            complexity += cost.complexity;
+        }
+        return { depth, complexity };
+    };
+
+    const measureFragment = (name) => {
+        if (!measuredFragments.has(name)) {
+            const fragment = fragments.get(name);
+            measuredFragments.set(
+                name,
+                measureSelectionSet(
+                    fragment.selectionSet,
+                    schema.getType(fragment.typeCondition.name.value)
+                )
+            );
+        }
+        return measuredFragments.get(name);
+    };
+
+    return measureSelectionSet(operation.selectionSet, schema.getRootType(operation.operation));
+};
+
+/**
+ * Create a validation rule refusing operations over the limits
+ * @param {Object} options
+ * @param {number} options.maxDepth - Deepest field level allowed
+ * @param {number} options.maxComplexity - Highest total cost allowed
+ * @param {Function} options.onMeasured - Called with the cost and node of each operation
+ * @returns {Function} - ValidationRule
+ */
+const queryLimits =
+    ({ maxDepth = Infinity, maxComplexity = Infinity, onMeasured = () => {} } = {}) =>
+    (context) => ({
+        OperationDefinition(node) {
+            const schema = context.getSchema();
+            // An operation type the schema lacks cannot run, so it costs nothing
+            if (!schema.getRootType(node.operation)) {
+                return false;
+            }
+            const { depth, complexity } = measureOperation(schema, context.getDocument(), node);
+            onMeasured({ depth, complexity }, node);
+            if (depth > maxDepth) {
+                context.reportError(
+                    new GraphQLError(
+                        `Query depth ${depth} exceeds the maximum allowed depth of ${maxDepth}.`,
+                        { nodes: [node], extensions: { code: 'QUERY_DEPTH_EXCEEDED' } }
+                    )
+                );
+            }
+            if (complexity > maxComplexity) {
+                context.reportError(
+                    new GraphQLError(
+                        `Query complexity ${complexity} exceeds the maximum allowed complexity ` +
+                            `of ${maxComplexity}.`,
+                        { nodes: [node], extensions: { code: 'QUERY_COMPLEXITY_EXCEEDED' } }
+                    )
+                );
+            }
+            // The selections were measured above
+            return false;
+        },
+    });
+
+module.exports = { DEFAULT_LIST_SIZE, measureOperation, queryLimits };
@@ -0,0 +1,63 @@
+/**
+ * DynamoDB Greeting Result Sink
+ * Results of batch greeting jobs, keyed by the SQS message ID so a
+ * redelivered message overwrites its earlier result instead of adding one.
+ *
+ * Table layout: partition key `id` (S), TTL attribute `expiresAt` (N).
+ * Set DYNAMODB_ENDPOINT (e.g. http://localhost:8000) to use DynamoDB Local.
+ */
+
+// Results are kept for 30 days
+const RESULT_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+/**
+ * @param {Object} result - Generated greeting
+ * @param {number} expiresAt - Epoch seconds after which TTL deletes the item
+ * @returns {Object} - DynamoDB item
+ */
+function toItem(result, expiresAt) {
+    return {
+        id: { S: result.id },
+        message: { S: result.message },
+        recipient: { S: result.recipient },
+        tone: { S: result.tone },
+        locale: { S: result.locale },
+        createdAt: { S: result.createdAt },
+        expiresAt: { N: String(expiresAt) },
+        ...(result.reference && { reference: { S: result.reference } }),
+    };
+}
+
+/**
+ * Create a DynamoDB-backed result sink
+ * @param {Object} options
+ * @param {string} options.tableName - Table name
+ * @param {Object} options.client - DynamoDBClient; created lazily when omitted
+ * @param {Function} options.now - Clock in milliseconds, for tests
+ * @returns {Object} - Sink implementing write
+ */
+const createDynamoDbSink = ({ tableName, client, now = Date.now }) => {
+    const sdk = require('@aws-sdk/client-dynamodb');
+    const dynamoDb =
+        client ||
+        new sdk.DynamoDBClient({
+            ...(process.env.DYNAMODB_ENDPOINT && { endpoint: process.env.DYNAMODB_ENDPOINT }),
+        });
+
+    return {
+        /**
+         * Store a result, replacing any earlier result with the same ID
+         * @param {Object} result - Generated greeting
+         */
+        async write(result) {
+            await dynamoDb.send(
+                new sdk.PutItemCommand({
+                    TableName: tableName,
+                    Item: toItem(result, Math.floor(now() / 1000) + RESULT_TTL_SECONDS),
+                })
+            );
+        },
+    };
+};
+
+module.exports = { RESULT_TTL_SECONDS, createDynamoDbSink };
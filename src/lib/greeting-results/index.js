@@ -0,0 +1,37 @@
+/**
+ * Greeting Results
+ * Where the batch processor writes the greetings it generates. A sink
+ * implements:
+ *   write(result) => stores the result, replacing one with the same id
+ * Results have id (the SQS message ID), reference (the job's own ID, when
+ * given), message, recipient, tone, locale and createdAt.
+ *
+ * Environment variables:
+ *   GREETING_RESULTS_TABLE - DynamoDB table of results; when unset results are
+ *                            kept in memory per Lambda container
+ */
+
+const { createMemorySink } = require('./memory-sink');
+const { createDynamoDbSink } = require('./dynamodb-sink');
+
+/**
+ * @returns {Object} - DynamoDB sink when GREETING_RESULTS_TABLE is set, else in-memory
+ */
+function createDefaultSink() {
+    return process.env.GREETING_RESULTS_TABLE
+        ? createDynamoDbSink({ tableName: process.env.GREETING_RESULTS_TABLE })
+        : createMemorySink();
+}
+
+// Kept across warm invocations
+let sharedSink;
+
+/**
+ * @returns {Object} - Sink created from the environment on first use
+ */
+const getResultSink = () => {
+    sharedSink = sharedSink || createDefaultSink();
+    return sharedSink;
+};
+
+module.exports = { getResultSink, createMemorySink, createDynamoDbSink };
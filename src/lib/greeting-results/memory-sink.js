@@ -0,0 +1,33 @@
+/**
+ * In-Memory Greeting Result Sink
+ * Results kept in the Lambda container and lost when it is recycled, so
+ * use it for tests and local development; deployed stacks should use the
+ * DynamoDB sink.
+ */
+
+/**
+ * Create an in-memory result sink
+ * @returns {Object} - Sink implementing write, plus list for inspection
+ */
+const createMemorySink = () => {
+    const results = new Map();
+
+    return {
+        /**
+         * Store a result, replacing any earlier result with the same ID
+         * @param {Object} result - Generated greeting
+         */
+        async write(result) {
+            results.set(result.id, structuredClone(result));
+        },
+
+        /**
+         * @returns {Object[]} - Stored results in write order
+         */
+        list() {
+            return [...results.values()].map((result) => structuredClone(result));
+        },
+    };
+};
+
+module.exports = { createMemorySink };
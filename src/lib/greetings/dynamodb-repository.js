@@ -0,0 +1,169 @@
+/**
+ * DynamoDB Greeting Repository
+ * Greetings shared by every Lambda container. Writes are conditional on the
+ * stored version, so concurrent updates cannot overwrite each other.
+ *
+ * Table layout: partition key `id` (S).
+ * Set DYNAMODB_ENDPOINT (e.g. http://localhost:8000) to use DynamoDB Local.
+ */
+
+/**
+ * @param {Object} greeting - Greeting
+ * @returns {Object} - DynamoDB item
+ */
+function toItem(greeting) {
+    return {
+        id: { S: greeting.id },
+        message: { S: greeting.message },
+        locale: { S: greeting.locale },
+        version: { N: String(greeting.version) },
+        createdAt: { S: greeting.createdAt },
+        updatedAt: { S: greeting.updatedAt },
+    };
+}
+
+/**
+ * @param {Object} item - DynamoDB item
+ * @returns {Object} - Greeting
+ */
+function fromItem(item) {
+    return {
+        id: item.id.S,
+        message: item.message.S,
+        locale: item.locale.S,
+        version: Number(item.version.N),
+        createdAt: item.createdAt.S,
+        updatedAt: item.updatedAt.S,
+    };
+}
+
+/**
+ * Create a DynamoDB-backed greeting repository
+ * @param {Object} options
+ * @param {string} options.tableName - Table name
+ * @param {Object} options.client - DynamoDBClient; created lazily when omitted
+ * @returns {Object} - Repository implementing get, list, create, update and remove
+ */
+const createDynamoDbRepository = ({ tableName, client }) => {
+    const sdk = require('@aws-sdk/client-dynamodb');
+    const dynamoDb =
+        client ||
+        new sdk.DynamoDBClient({
+            ...(process.env.DYNAMODB_ENDPOINT && { endpoint: process.env.DYNAMODB_ENDPOINT }),
+        });
+
+    /**
+     * Send a conditional write
+     * @param {Object} command - PutItemCommand or DeleteItemCommand
+     * @returns {Promise<boolean>} - False when the condition failed
+     */
+    const conditionally = async (command) => {
+        try {
+            await dynamoDb.send(command);
+            return true;
+        } catch (error) {
+            if (error.name === 'ConditionalCheckFailedException') {
+                return false;
+            }
+            throw error;
+        }
+    };
+
+    return {
+        /**
+         * @param {string} id - Greeting ID
+         * @param {Object} options
+         * @param {AbortSignal} options.signal - Aborts the read, e.g. at the invocation deadline
+         * @returns {Promise<Object|undefined>} - Greeting
+         */
+        async get(id, { signal } = {}) {
+            const { Item } = await dynamoDb.send(
+                new sdk.GetItemCommand({
+                    TableName: tableName,
+                    Key: { id: { S: id } },
+                    ConsistentRead: true,
+                }),
+                { abortSignal: signal }
+            );
+            return Item ? fromItem(Item) : undefined;
+        },
+
+        /**
+         * List greetings in table order. A page can be shorter than the limit
+         * while more greetings follow; lastKey says whether to continue.
+         * @param {Object} options
+         * @param {number} options.limit - Greetings per page
+         * @param {Object} options.startAfter - Key of the last greeting of the previous page
+         * @returns {Promise<{items: Object[], lastKey: Object|undefined}>} - Page and the key
+         *   to continue after, when there may be more
+         */
+        async list({ limit, startAfter }) {
+            const { Items = [], LastEvaluatedKey } = await dynamoDb.send(
+                new sdk.ScanCommand({
+                    TableName: tableName,
+                    Limit: limit,
+                    ...(startAfter && { ExclusiveStartKey: { id: { S: startAfter.id } } }),
+                })
+            );
+            return {
+                items: Items.map(fromItem),
+                lastKey: LastEvaluatedKey ? { id: LastEvaluatedKey.id.S } : undefined,
+            };
+        },
+
+        /**
+         * @param {Object} greeting - Greeting with id, version 1 and timestamps
+         * @returns {Promise<boolean>} - False when the ID is taken
+         */
+        create(greeting) {
+            return conditionally(
+                new sdk.PutItemCommand({
+                    TableName: tableName,
+                    Item: toItem(greeting),
+                    ConditionExpression: 'attribute_not_exists(id)',
+                })
+            );
+        },
+
+        /**
+         * Replace a greeting if it is still at the expected version
+         * @param {Object} greeting - New state, with the incremented version
+         * @param {Object} options
+         * @param {number} options.expectedVersion - Version the change was based on
+         * @returns {Promise<boolean>} - False when the greeting is gone or has changed
+         */
+        update(greeting, { expectedVersion }) {
+            return conditionally(
+                new sdk.PutItemCommand({
+                    TableName: tableName,
+                    Item: toItem(greeting),
+                    ConditionExpression: 'version = :version',
+                    ExpressionAttributeValues: { ':version': { N: String(expectedVersion) } },
+                })
+            );
+        },
+
+        /**
+         * Delete a greeting, optionally only at the expected version
+         * @param {string} id - Greeting ID
+         * @param {Object} options
+         * @param {number} options.expectedVersion - Version to require; any when omitted
+         * @returns {Promise<boolean>} - False when the greeting is gone or has changed
+         */
+        remove(id, { expectedVersion } = {}) {
+            const versioned = expectedVersion !== undefined;
+            return conditionally(
+                new sdk.DeleteItemCommand({
+                    TableName: tableName,
+                    Key: { id: { S: id } },
+                    ConditionExpression: versioned ? 'version = :version' : 'attribute_exists(id)',
+                    ...(versioned && {
+                        ExpressionAttributeValues: { ':version': { N: String(expectedVersion) } },
+                    }),
+                })
+            );
+        },
+    };
+};
+
+module.exports = { createDynamoDbRepository };
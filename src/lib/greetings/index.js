@@ -0,0 +1,112 @@
+/**
+ * Greetings
+ * Catalog of stored greetings behind a repository interface, with cursor
+ * encoding and version-based entity tags for optimistic concurrency.
+ *
+ * A repository implements:
+ *   get(id, {signal})                        => greeting or undefined
+ *   list({limit, startAfter})                => {items, lastKey}
+ *   create(greeting)                         => false when the ID is taken
+ *   update(greeting, {expectedVersion})      => false when gone or changed
+ *   remove(id, {expectedVersion})            => false when gone or changed
+ * Greetings have id, message, locale, version, createdAt and updatedAt.
+ *
+ * Environment variables:
+ *   GREETINGS_TABLE - DynamoDB table of greetings; when unset greetings are
+ *                     kept in memory per Lambda container
+ */
+
+const { ValidationError } = require('../errors');
+const { createMemoryRepository } = require('./memory-repository');
+const { createDynamoDbRepository } = require('./dynamodb-repository');
+
+// Substituted for {name} when a stored greeting is served without a name
+const DEFAULT_NAME = 'World';
+
+/**
+ * @returns {Object} - DynamoDB repository when GREETINGS_TABLE is set, else in-memory
+ */
+function createDefaultRepository() {
+    return process.env.GREETINGS_TABLE
+        ? createDynamoDbRepository({ tableName: process.env.GREETINGS_TABLE })
+        : createMemoryRepository();
+}
+
+// Kept across warm invocations, and shared by the handlers of one container
+let sharedRepository;
+
+/**
+ * @returns {Object} - Repository created from the environment on first use
+ */
+const getGreetingRepository = () => {
+    sharedRepository = sharedRepository || createDefaultRepository();
+    return sharedRepository;
+};
+
+/**
+ * Encode a repository key as an opaque pagination cursor
+ * @param {Object|undefined} key - lastKey from a repository list
+ * @returns {string|undefined} - Cursor for the next page
+ */
+const encodeCursor = (key) => key && Buffer.from(JSON.stringify(key)).toString('base64url');
+
+/**
+ * @param {string|undefined} cursor - Cursor from a previous page
+ * @returns {Object|undefined} - Repository key to start after
+ * @throws {ValidationError} - When the cursor was not produced by encodeCursor
+ */
+const decodeCursor = (cursor) => {
+    if (cursor === undefined) {
+        return undefined;
+    }
+    try {
+        const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof key?.id === 'string') {
+            return { id: key.id };
+        }
+    } catch {
+        // Reported below
+    }
+    const message = "Query parameter 'cursor' is not a valid cursor";
+    throw new ValidationError(message, [{ field: 'cursor', in: 'query', message }]);
+};
+
+/**
+ * @param {Object} greeting - Stored greeting
+ * @returns {string} - Strong entity tag of the greeting's version
+ */
+const greetingETag = (greeting) => `"${greeting.version}"`;
+
+/**
+ * Check an If-Match header against a greeting. Weak tags never match, as
+ * If-Match requires the strong comparison.
+ * @param {string} header - If-Match value, e.g. '"3"', '"2", "3"' or '*'
+ * @param {Object} greeting - Current greeting
+ * @returns {boolean} - Whether the client's version is current
+ */
+const matchesIfMatch = (header, greeting) => {
+    if (header.trim() === '*') {
+        return true;
+    }
+    return header.split(',').some((tag) => tag.trim() === greetingETag(greeting));
+};
+
+/**
+ * Render a stored greeting for a caller
+ * @param {Object} greeting - Stored greeting
+ * @param {string|undefined} name - Name to greet
+ * @returns {string} - Message with {name} replaced
+ */
+const renderGreeting = (greeting, name) =>
+    greeting.message.replace(/\{name\}/g, () => name || DEFAULT_NAME);
+
+module.exports = {
+    getGreetingRepository,
+    encodeCursor,
+    decodeCursor,
+    greetingETag,
+    matchesIfMatch,
+    renderGreeting,
+    createMemoryRepository,
+    createDynamoDbRepository,
+};
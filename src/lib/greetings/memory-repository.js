@@ -0,0 +1,92 @@
+/**
+ * In-Memory Greeting Repository
+ * Greetings kept in the Lambda container. Each container has its own copy,
+ * so use it for tests and local development; deployed stacks should use the
+ * DynamoDB repository.
+ */
+
+/**
+ * Create an in-memory greeting repository
+ * @param {Object} options
+ * @param {Object[]} options.greetings - Greetings to start with
+ * @returns {Object} - Repository implementing get, list, create, update and remove
+ */
+const createMemoryRepository = ({ greetings = [] } = {}) => {
+    const items = new Map(greetings.map((greeting) => [greeting.id, { ...greeting }]));
+
+    return {
+        /**
+         * @param {string} id - Greeting ID
+         * @param {Object} options
+         * @param {AbortSignal} options.signal - Rejects the read once aborted
+         * @returns {Promise<Object|undefined>} - Greeting
+         */
+        async get(id, { signal } = {}) {
+            signal?.throwIfAborted();
+            const item = items.get(id);
+            return item && { ...item };
+        },
+
+        /**
+         * List greetings in ID order
+         * @param {Object} options
+         * @param {number} options.limit - Greetings per page
+         * @param {Object} options.startAfter - Key of the last greeting of the previous page
+         * @returns {Promise<{items: Object[], lastKey: Object|undefined}>} - Page and the key
+         *   to continue after, when there may be more
+         */
+        async list({ limit, startAfter }) {
+            const ids = [...items.keys()].sort().filter((id) => !startAfter || id > startAfter.id);
+            const page = ids.slice(0, limit).map((id) => ({ ...items.get(id) }));
+            return {
+                items: page,
+                lastKey: ids.length > limit ? { id: page[page.length - 1].id } : undefined,
+            };
+        },
+
+        /**
+         * @param {Object} greeting - Greeting with id, version 1 and timestamps
+         * @returns {Promise<boolean>} - False when the ID is taken
+         */
+        async create(greeting) {
+            if (items.has(greeting.id)) {
+                return false;
+            }
+            items.set(greeting.id, { ...greeting });
+            return true;
+        },
+
+        /**
+         * Replace a greeting if it is still at the expected version
+         * @param {Object} greeting - New state, with the incremented version
+         * @param {Object} options
+         * @param {number} options.expectedVersion - Version the change was based on
+         * @returns {Promise<boolean>} - False when the greeting is gone or has changed
+         */
+        async update(greeting, { expectedVersion }) {
+            if (items.get(greeting.id)?.version !== expectedVersion) {
+                return false;
+            }
+            items.set(greeting.id, { ...greeting });
+            return true;
+        },
+
+        /**
+         * Delete a greeting, optionally only at the expected version
+         * @param {string} id - Greeting ID
+         * @param {Object} options
+         * @param {number} options.expectedVersion - Version to require; any when omitted
+         * @returns {Promise<boolean>} - False when the greeting is gone or has changed
+         */
+        async remove(id, { expectedVersion } = {}) {
+            const item = items.get(id);
+            if (!item || (expectedVersion !== undefined && item.version !== expectedVersion)) {
+                return false;
+            }
+            items.delete(id);
+            return true;
+        },
+    };
+};
+
+module.exports = { createMemoryRepository };
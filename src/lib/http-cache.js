@@ -0,0 +1,175 @@
+/**
+ * HTTP Caching
+ * Cache-Control headers from a per-route policy, ETags computed from the
+ * response body and conditional GET (If-None-Match, If-Modified-Since)
+ * answered with 304 Not Modified. Policies are configured per route in
+ * src/config/cache-policies.json.
+ *
+ * Policy fields:
+ *   noStore              - Never cache; no validators are sent
+ *   visibility           - 'public' (shared caches such as the CDN) or 'private'
+ *   maxAge               - Seconds a response stays fresh
+ *   staleWhileRevalidate - Seconds a stale response may be served while revalidating
+ *   etag                 - 'strong' or 'weak'; omit for no ETag
+ *   volatileFields       - Top-level body fields left out of the ETag, e.g. timestamps.
+ *                          Responses that differ in these are only equivalent, so use
+ *                          weak ETags with them.
+ */
+
+const crypto = require('crypto');
+const { getHeader } = require('./request');
+const defaultPolicies = require('../config/cache-policies.json');
+
+const NO_STORE = 'no-cache, no-store, must-revalidate';
+
+// Representation headers a 304 carries no body for
+const BODY_HEADERS = ['Content-Type', 'Content-Length'];
+
+/**
+ * Find the policy for a route, falling back to the defaults
+ * @param {Object} policies - Cache policy configuration
+ * @param {string} route - Route name, e.g. 'GET /hello'
+ * @returns {Object} - Policy
+ */
+const resolveCachePolicy = (policies, route) => policies.routes?.[route] || policies.defaults;
+
+/**
+ * @param {Object} policy - Cache policy
+ * @returns {string} - Cache-Control header value
+ */
+const cacheControl = (policy) => {
+    if (policy.noStore) {
+        return NO_STORE;
+    }
+    return (
+        [
+            policy.visibility,
+            policy.maxAge !== undefined && `max-age=${policy.maxAge}`,
+            policy.staleWhileRevalidate !== undefined &&
+                `stale-while-revalidate=${policy.staleWhileRevalidate}`,
+        ]
+            .filter(Boolean)
+            .join(', ') || 'no-cache'
+    );
+};
+
+/**
+ * Compute an entity tag for a response. The body is hashed without its
+ * volatile fields, together with the headers that select the representation.
+ * @param {*} body - Response body before serialization
+ * @param {Object} options
+ * @param {boolean} options.weak - Produce a weak tag (W/"...")
+ * @param {string[]} options.volatileFields - Top-level fields left out of the hash
+ * @param {string[]} options.variants - Values that distinguish representations,
+ *   e.g. the media type and language
+ * @returns {string} - Quoted entity tag
+ */
+const computeETag = (body, { weak = false, volatileFields = [], variants = [] } = {}) => {
+    let stable = body;
+    if (body && typeof body === 'object' && !Array.isArray(body)) {
+        stable = Object.fromEntries(
+            Object.entries(body).filter(([field]) => !volatileFields.includes(field))
+        );
+    }
+    const digest = crypto
+        .createHash('sha256')
+        .update(JSON.stringify([variants, stable ?? null]))
+        .digest('base64url')
+        .slice(0, 27);
+    return `${weak ? 'W/' : ''}"${digest}"`;
+};
+
+/**
+ * Check an If-None-Match header against an entity tag using the weak
+ * comparison GET requests call for
+ * @param {string} header - If-None-Match value, e.g. 'W/"abc", "def"' or '*'
+ * @param {string} etag - Current entity tag
+ * @returns {boolean} - Whether the client's copy is current
+ */
+const matchesETag = (header, etag) => {
+    if (header.trim() === '*') {
+        return true;
+    }
+    const opaque = (tag) => tag.trim().replace(/^W\//, '');
+    return header.split(',').some((tag) => opaque(tag) === opaque(etag));
+};
+
+/**
+ * Decide whether the client's cached copy is still current. If-None-Match
+ * takes precedence; If-Modified-Since only applies without it.
+ * @param {Object} request - Request from normalizeRequest
+ * @param {Object} headers - Response headers with ETag and Last-Modified
+ * @returns {boolean} - Whether a 304 can be sent
+ */
+const isNotModified = (request, headers) => {
+    const ifNoneMatch = getHeader(request, 'If-None-Match');
+    if (ifNoneMatch !== undefined) {
+        return headers.ETag !== undefined && matchesETag(ifNoneMatch, headers.ETag);
+    }
+
+    const since = Date.parse(getHeader(request, 'If-Modified-Since') || '');
+    const lastModified = Date.parse(headers['Last-Modified'] || '');
+    return Number.isFinite(since) && Number.isFinite(lastModified) && lastModified <= since;
+};
+
+/**
+ * Apply the route's cache policy. Successful GET responses get Cache-Control
+ * and, when configured, an ETag; conditional requests for an unchanged
+ * response get a 304 without a body. Other responses are marked no-store so
+ * errors are never cached. Routes can set a Last-Modified header to support
+ * If-Modified-Since.
+ *
+ * With an ETag policy, place it after the contentNegotiation stage: the ETag
+ * needs the body before serialization and the negotiated media type. A
+ * no-store policy can go first so every response, including 406s and CORS
+ * preflights, is covered.
+ * @param {Object} options
+ * @param {string} options.route - Route name used to look up the policy
+ * @param {Object} options.policies - Cache policy configuration
+ * @returns {Function} - Middleware stage
+ */
+const httpCache = ({ route, policies = defaultPolicies }) => {
+    const policy = resolveCachePolicy(policies, route);
+
+    return async (ctx, next) => {
+        await next();
+
+        const { headers } = ctx.response;
+        const method = ctx.request?.method;
+        const cacheable =
+            !policy.noStore &&
+            ctx.response.statusCode === 200 &&
+            (method === 'GET' || method === 'HEAD');
+
+        if (!cacheable) {
+            headers['Cache-Control'] = policy.noStore ? NO_STORE : 'no-store';
+            return;
+        }
+
+        headers['Cache-Control'] = cacheControl(policy);
+        if (policy.etag) {
+            headers.ETag = computeETag(ctx.response.body, {
+                weak: policy.etag === 'weak',
+                volatileFields: policy.volatileFields,
+                variants: [ctx.mediaType, headers['Content-Language']],
+            });
+        }
+
+        if (isNotModified(ctx.request, headers)) {
+            ctx.response.statusCode = 304;
+            ctx.response.body = '';
+            for (const header of BODY_HEADERS) {
+                delete headers[header];
+            }
+        }
+    };
+};
+
+module.exports = {
+    resolveCachePolicy,
+    cacheControl,
+    computeETag,
+    matchesETag,
+    isNotModified,
+    httpCache,
+};
@@ -0,0 +1,146 @@
+/**
+ * Internationalisation
+ * Message catalog backed by src/locales/*.json plus locale negotiation from
+ * an explicit tag or an Accept-Language header
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LOCALE = 'en';
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+const LOCALE_PATTERN = /^[A-Za-z]{1,8}(-[A-Za-z0-9]{1,8})*$/;
+
+/**
+ * Load every locale file shipped with the function
+ * @returns {Object} - Map of locale tag to message table
+ */
+function loadCatalog() {
+    const catalog = {};
+    for (const file of fs.readdirSync(LOCALES_DIR)) {
+        if (path.extname(file) === '.json') {
+            const locale = path.basename(file, '.json').toLowerCase();
+            catalog[locale] = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'));
+        }
+    }
+    return catalog;
+}
+
+const catalog = loadCatalog();
+
+/**
+ * Add or extend the messages for a locale
+ * @param {string} locale - Locale tag, e.g. 'pt-BR'
+ * @param {Object} messages - Message key/template pairs
+ */
+const registerMessages = (locale, messages) => {
+    const tag = locale.toLowerCase();
+    catalog[tag] = { ...catalog[tag], ...messages };
+};
+
+/**
+ * @returns {string[]} - Locale tags with a message table
+ */
+const availableLocales = () => Object.keys(catalog);
+
+/**
+ * Render a message, falling back to the default locale for missing keys
+ * @param {string} locale - Resolved locale tag
+ * @param {string} key - Message key
+ * @param {Object} params - Values substituted for {placeholders}
+ * @param {Object} overrides - Locale => message key => template, checked
+ *   before the catalog (e.g. the greeting.overrides setting)
+ * @returns {string} - Rendered message
+ */
+const translate = (locale, key, params = {}, overrides = {}) => {
+    const tag = locale.toLowerCase();
+    const template =
+        overrides[tag]?.[key] ??
+        catalog[tag]?.[key] ??
+        overrides[DEFAULT_LOCALE]?.[key] ??
+        catalog[DEFAULT_LOCALE]?.[key];
+    if (template === undefined) {
+        throw new Error(`Missing message '${key}' for locale '${locale}'`);
+    }
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+        params[name] === undefined ? match : String(params[name])
+    );
+};
+
+/**
+ * Parse an Accept-Language header into tags ordered by preference
+ * @param {string} header - e.g. 'fr-CA,fr;q=0.9,en;q=0.5'
+ * @returns {Array<{tag: string, q: number}>} - Highest q-value first
+ */
+const parseAcceptLanguage = (header) => {
+    if (!header) {
+        return [];
+    }
+
+    return header
+        .split(',')
+        .map((part, index) => {
+            const [tag, ...params] = part.trim().split(';');
+            const qParam = params.find((param) => param.trim().startsWith('q='));
+            const q = qParam ? Number(qParam.trim().slice(2)) : 1;
+            return { tag: tag.trim().toLowerCase(), q, index };
+        })
+        .filter(({ tag, q }) => tag && Number.isFinite(q) && q > 0 && q <= 1)
+        .sort((a, b) => b.q - a.q || a.index - b.index)
+        .map(({ tag, q }) => ({ tag, q }));
+};
+
+/**
+ * Find the catalog locale that best serves a requested tag. An exact match
+ * wins, then the primary language subtag ('fr-CA' is served by 'fr').
+ * @param {string} tag - Requested locale tag
+ * @returns {string|undefined} - Catalog locale
+ */
+function matchLocale(tag) {
+    if (!tag || (tag !== '*' && !LOCALE_PATTERN.test(tag))) {
+        return undefined;
+    }
+    if (tag === '*') {
+        return DEFAULT_LOCALE;
+    }
+
+    const wanted = tag.toLowerCase();
+    if (catalog[wanted]) {
+        return wanted;
+    }
+    const primary = wanted.split('-')[0];
+    return catalog[primary] ? primary : undefined;
+}
+
+/**
+ * Resolve the locale for a request. An explicit `lang` wins when it is
+ * supported; otherwise Accept-Language is negotiated by q-value.
+ * @param {Object} options
+ * @param {string} options.lang - Explicit locale from the query string
+ * @param {string} options.acceptLanguage - Accept-Language header value
+ * @returns {string} - Resolved catalog locale
+ */
+const negotiateLocale = ({ lang, acceptLanguage } = {}) => {
+    const explicit = matchLocale(lang);
+    if (explicit) {
+        return explicit;
+    }
+
+    for (const { tag } of parseAcceptLanguage(acceptLanguage)) {
+        const match = matchLocale(tag);
+        if (match) {
+            return match;
+        }
+    }
+
+    return DEFAULT_LOCALE;
+};
+
+module.exports = {
+    DEFAULT_LOCALE,
+    registerMessages,
+    availableLocales,
+    translate,
+    parseAcceptLanguage,
+    negotiateLocale,
+};
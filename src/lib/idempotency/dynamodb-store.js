@@ -0,0 +1,128 @@
+/**
+ * DynamoDB Idempotency Store
+ * Idempotency keys shared by every Lambda container. Keys are claimed with a
+ * conditional write, so only one of several concurrent retries is processed.
+ *
+ * Table layout: partition key `pk` (S), TTL attribute `expiresAt` (N).
+ * Set DYNAMODB_ENDPOINT (e.g. http://localhost:8000) to use DynamoDB Local.
+ */
+
+/**
+ * @param {string} key - Idempotency key
+ * @param {Object} record - Idempotency record
+ * @returns {Object} - DynamoDB item
+ */
+function toItem(key, record) {
+    return {
+        pk: { S: key },
+        requestHash: { S: record.requestHash },
+        status: { S: record.status },
+        expiresAt: { N: String(record.expiresAt) },
+        ...(record.response && { response: { S: JSON.stringify(record.response) } }),
+    };
+}
+
+/**
+ * @param {Object} item - DynamoDB item
+ * @returns {Object} - Idempotency record
+ */
+function fromItem(item) {
+    return {
+        requestHash: item.requestHash.S,
+        status: item.status.S,
+        expiresAt: Number(item.expiresAt.N),
+        ...(item.response && { response: JSON.parse(item.response.S) }),
+    };
+}
+
+/**
+ * Create a DynamoDB-backed idempotency store
+ * @param {Object} options
+ * @param {string} options.tableName - Table name
+ * @param {Object} options.client - DynamoDBClient; created lazily when omitted
+ * @param {Function} options.now - Clock in milliseconds, for tests
+ * @returns {Object} - Store implementing get, create, put and remove
+ */
+const createDynamoDbStore = ({ tableName, client, now = Date.now }) => {
+    const sdk = require('@aws-sdk/client-dynamodb');
+    const dynamoDb =
+        client ||
+        new sdk.DynamoDBClient({
+            ...(process.env.DYNAMODB_ENDPOINT && { endpoint: process.env.DYNAMODB_ENDPOINT }),
+        });
+
+    const nowSeconds = () => Math.floor(now() / 1000);
+
+    return {
+        /**
+         * @param {string} key - Idempotency key
+         * @returns {Promise<Object|undefined>} - Unexpired record
+         */
+        async get(key) {
+            const { Item } = await dynamoDb.send(
+                new sdk.GetItemCommand({
+                    TableName: tableName,
+                    Key: { pk: { S: key } },
+                    ConsistentRead: true,
+                })
+            );
+            // TTL deletion runs in the background, so expired items can still be read
+            if (!Item || Number(Item.expiresAt.N) <= nowSeconds()) {
+                return undefined;
+            }
+            return fromItem(Item);
+        },
+
+        /**
+         * Claim a key for a request being processed
+         * @param {string} key - Idempotency key
+         * @param {Object} record - In-progress record
+         * @returns {Promise<boolean>} - False when an unexpired record holds the key
+         */
+        async create(key, record) {
+            try {
+                await dynamoDb.send(
+                    new sdk.PutItemCommand({
+                        TableName: tableName,
+                        Item: toItem(key, record),
+                        ConditionExpression: 'attribute_not_exists(pk) OR expiresAt <= :now',
+                        ExpressionAttributeValues: { ':now': { N: String(nowSeconds()) } },
+                    })
+                );
+                return true;
+            } catch (error) {
+                if (error.name === 'ConditionalCheckFailedException') {
+                    return false;
+                }
+                throw error;
+            }
+        },
+
+        /**
+         * @param {string} key - Idempotency key
+         * @param {Object} record - Record replacing the current one
+         */
+        async put(key, record) {
+            await dynamoDb.send(
+                new sdk.PutItemCommand({
+                    TableName: tableName,
+                    Item: toItem(key, record),
+                })
+            );
+        },
+
+        /**
+         * @param {string} key - Idempotency key
+         */
+        async remove(key) {
+            await dynamoDb.send(
+                new sdk.DeleteItemCommand({
+                    TableName: tableName,
+                    Key: { pk: { S: key } },
+                })
+            );
+        },
+    };
+};
+
+module.exports = { createDynamoDbStore };
@@ -0,0 +1,215 @@
+/**
+ * Idempotency
+ * Idempotency-Key support for routes that must not run twice for one client
+ * retry. The first request with a key claims it, runs, and saves its
+ * response with a hash of the request; a retry with the same key and body
+ * gets the saved response again. Requests without the header are not
+ * affected.
+ *
+ * A store implements:
+ *   get(key)             => unexpired record or undefined
+ *   create(key, record)  => false when an unexpired record holds the key
+ *   put(key, record)
+ *   remove(key)
+ * Records have requestHash, status (in-progress or completed), expiresAt in
+ * epoch seconds and, once completed, the saved response.
+ *
+ * Environment variables:
+ *   IDEMPOTENCY_TABLE - DynamoDB table of keys; when unset keys are kept in
+ *                       memory per Lambda container
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../logger');
+const {
+    ValidationError,
+    ConflictError,
+    IdempotencyKeyReusedError,
+    ServiceUnavailableError,
+} = require('../errors');
+const { getHeader } = require('../request');
+const { createMemoryStore } = require('./memory-store');
+const { createDynamoDbStore } = require('./dynamodb-store');
+
+const HEADER = 'Idempotency-Key';
+// Printable ASCII without spaces, e.g. a UUID
+const KEY_PATTERN = /^[!-~]{1,255}$/;
+const IN_PROGRESS = 'in-progress';
+const COMPLETED = 'completed';
+// Responses are replayed for a day, which covers client retry schedules
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+// A claim outlives the function timeout, so a key whose invocation timed out
+// or crashed becomes usable again afterwards
+const DEFAULT_LOCK_SECONDS = 30;
+
+/**
+ * Copy a JSON value with object keys sorted, so equal bodies hash equally
+ * however their fields were ordered
+ * @param {*} value - Parsed JSON value
+ * @returns {*} - Canonical copy
+ */
+function canonicalize(value) {
+    if (Array.isArray(value)) {
+        return value.map(canonicalize);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(
+            Object.keys(value)
+                .sort()
+                .map((field) => [field, canonicalize(value[field])])
+        );
+    }
+    return value;
+}
+
+/**
+ * Fingerprint the parts of a request that decide its result
+ * @param {Object} request - Request from normalizeRequest
+ * @param {*} body - Parsed JSON body
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashRequest = (request, body) =>
+    crypto
+        .createHash('sha256')
+        .update(JSON.stringify([request?.method, request?.path, canonicalize(body ?? null)]))
+        .digest('hex');
+
+/**
+ * @returns {Object} - DynamoDB store when IDEMPOTENCY_TABLE is set, else in-memory
+ */
+function createDefaultStore() {
+    return process.env.IDEMPOTENCY_TABLE
+        ? createDynamoDbStore({ tableName: process.env.IDEMPOTENCY_TABLE })
+        : createMemoryStore();
+}
+
+/**
+ * Answer a request whose key is already held by another one
+ * @param {Object} record - Record holding the key; undefined when it expired meanwhile
+ * @param {string} requestHash - Hash of the current request
+ * @returns {Object} - Saved response, marked as replayed
+ * @throws {IdempotencyKeyReusedError} - When the key was used for a different request
+ * @throws {ConflictError} - When the first request has not finished
+ */
+function replay(record, requestHash) {
+    if (record && record.requestHash !== requestHash) {
+        throw new IdempotencyKeyReusedError();
+    }
+    if (record?.status !== COMPLETED) {
+        throw new ConflictError(
+            `A request with this ${HEADER} is still being processed; retry later`
+        );
+    }
+    return {
+        ...record.response,
+        headers: { ...record.response.headers, 'Idempotent-Replayed': 'true' },
+    };
+}
+
+/**
+ * Process each Idempotency-Key once. Place it after requestValidation: the
+ * body it hashes is the validated `ctx.state.body`, and the response it
+ * saves is the route's, before serialization, so replays are negotiated
+ * like any other response. Keys are scoped to the route and the caller.
+ *
+ * Only successful runs are saved; when the route throws, or finishes after
+ * the invocation deadline already answered 504, the claim is released so
+ * the client can retry with the same key. When the store
+ * cannot be reached the request fails with a 503 rather than risk running
+ * twice.
+ * @param {Object} options
+ * @param {string} options.route - Route name, part of the stored key
+ * @param {Object} options.store - Idempotency store; created from the environment when omitted
+ * @param {number} options.ttlSeconds - How long saved responses are replayed
+ * @param {number} options.lockSeconds - How long an unfinished claim holds its key
+ * @param {Function} options.now - Clock in milliseconds, for tests
+ * @returns {Function} - Middleware stage
+ */
+const idempotency = ({
+    route,
+    store,
+    ttlSeconds = DEFAULT_TTL_SECONDS,
+    lockSeconds = DEFAULT_LOCK_SECONDS,
+    now = Date.now,
+} = {}) => {
+    // Kept across warm invocations so in-memory keys survive between requests
+    let keyStore = store;
+
+    return async (ctx, next) => {
+        const key = getHeader(ctx.request, HEADER);
+        if (key === undefined) {
+            await next();
+            return;
+        }
+        if (!KEY_PATTERN.test(key)) {
+            const message = `Header '${HEADER}' must be 1-255 printable characters without spaces`;
+            throw new ValidationError(message, [{ field: HEADER, in: 'header', message }]);
+        }
+
+        const log = ctx.logger || logger;
+        const storeKey = `${route}|${ctx.principal?.subject || 'anonymous'}|${key}`;
+        const requestHash = hashRequest(ctx.request, ctx.state?.body);
+        const expiresIn = (seconds) => Math.floor(now() / 1000) + seconds;
+
+        let claimed;
+        let existing;
+        try {
+            keyStore = keyStore || createDefaultStore();
+            claimed = await keyStore.create(storeKey, {
+                requestHash,
+                status: IN_PROGRESS,
+                expiresAt: expiresIn(lockSeconds),
+            });
+            existing = claimed ? undefined : await keyStore.get(storeKey);
+        } catch (error) {
+            throw new ServiceUnavailableError(`${HEADER} could not be checked`, error);
+        }
+
+        if (!claimed) {
+            ctx.response = replay(existing, requestHash);
+            log.info('Replayed idempotent response', { route });
+            return;
+        }
+
+        const release = () =>
+            keyStore.remove(storeKey).catch((removeError) => {
+                log.warn('Idempotency key could not be released', {
+                    route,
+                    error: removeError.message,
+                });
+            });
+
+        try {
+            await next();
+        } catch (error) {
+            await release();
+            throw error;
+        }
+        if (ctx.deadline?.signal.aborted) {
+            // The client already got a 504; saving this late response would
+            // replay it instead of running the retry
+            await release();
+            return;
+        }
+
+        const { statusCode, headers, body } = ctx.response;
+        try {
+            await keyStore.put(storeKey, {
+                requestHash,
+                status: COMPLETED,
+                response: { statusCode, headers, body },
+                expiresAt: expiresIn(ttlSeconds),
+            });
+        } catch (error) {
+            // The response is still sent; retries get 409 until the claim expires
+            log.warn('Idempotent response could not be saved', { route, error: error.message });
+        }
+    };
+};
+
+module.exports = {
+    hashRequest,
+    idempotency,
+    createMemoryStore,
+    createDynamoDbStore,
+};
@@ -0,0 +1,67 @@
+/**
+ * In-Memory Idempotency Store
+ * Idempotency keys kept in the Lambda container. A retry that reaches
+ * another container is not recognised, so use it for tests and local
+ * development; deployed stacks should use the DynamoDB store.
+ */
+
+/**
+ * Create an in-memory idempotency store
+ * @param {Object} options
+ * @param {Function} options.now - Clock in milliseconds, for tests
+ * @returns {Object} - Store implementing get, create, put and remove
+ */
+const createMemoryStore = ({ now = Date.now } = {}) => {
+    const records = new Map();
+
+    const read = (key) => {
+        const record = records.get(key);
+        if (record && record.expiresAt * 1000 <= now()) {
+            records.delete(key);
+            return undefined;
+        }
+        return record;
+    };
+
+    return {
+        /**
+         * @param {string} key - Idempotency key
+         * @returns {Promise<Object|undefined>} - Unexpired record
+         */
+        async get(key) {
+            const record = read(key);
+            return record && structuredClone(record);
+        },
+
+        /**
+         * Claim a key for a request being processed
+         * @param {string} key - Idempotency key
+         * @param {Object} record - In-progress record
+         * @returns {Promise<boolean>} - False when an unexpired record holds the key
+         */
+        async create(key, record) {
+            if (read(key)) {
+                return false;
+            }
+            records.set(key, structuredClone(record));
+            return true;
+        },
+
+        /**
+         * @param {string} key - Idempotency key
+         * @param {Object} record - Record replacing the current one
+         */
+        async put(key, record) {
+            records.set(key, structuredClone(record));
+        },
+
+        /**
+         * @param {string} key - Idempotency key
+         */
+        async remove(key) {
+            records.delete(key);
+        },
+    };
+};
+
+module.exports = { createMemoryStore };
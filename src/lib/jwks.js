@@ -0,0 +1,128 @@
+/**
+ * JWKS Provider
+ * Loads a JSON Web Key Set from a URL or a local file and caches it across
+ * warm invocations
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { UnauthorizedError } = require('./errors');
+
+const DEFAULT_CACHE_TTL_MS = 10 * 60 * 1000;
+const DEFAULT_MIN_REFRESH_INTERVAL_MS = 30 * 1000;
+// A hung JWKS endpoint must not hold the authorizer until its Lambda timeout
+const DEFAULT_TIMEOUT_MS = 2000;
+
+/**
+ * Create a provider that resolves signing keys by key ID
+ * @param {Object} options
+ * @param {string} options.url - JWKS endpoint, e.g. https://issuer/.well-known/jwks.json
+ * @param {string} options.file - Path to a local JWKS file, used when no URL is set
+ * @param {number} options.cacheTtlMs - How long a fetched key set stays fresh
+ * @param {number} options.minRefreshIntervalMs - Minimum time between refetches
+ *     triggered by an unknown key ID, so bogus kids cannot flood the issuer
+ * @param {number} options.timeoutMs - How long a JWKS request may take
+ * @param {Function} options.fetchImpl - fetch implementation, for tests
+ * @param {Function} options.now - Clock, for tests
+ * @returns {{getKey: Function}} - Provider
+ */
+const createJwksProvider = ({
+    url,
+    file,
+    cacheTtlMs = DEFAULT_CACHE_TTL_MS,
+    minRefreshIntervalMs = DEFAULT_MIN_REFRESH_INTERVAL_MS,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    fetchImpl = globalThis.fetch,
+    now = Date.now,
+}) => {
+    if (!url && !file) {
+        throw new Error('A JWKS url or file is required');
+    }
+
+    let cache;
+    let pending;
+
+    const load = async () => {
+        if (url) {
+            let response;
+            try {
+                response = await fetchImpl(url, { signal: AbortSignal.timeout(timeoutMs) });
+            } catch (error) {
+                if (error.name === 'TimeoutError') {
+                    throw new Error(`JWKS request timed out after ${timeoutMs}ms`);
+                }
+                throw error;
+            }
+            if (!response.ok) {
+                throw new Error(`JWKS request failed with status ${response.status}`);
+            }
+            return response.json();
+        }
+        return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    };
+
+    const refresh = () => {
+        // Concurrent callers share one in-flight load
+        pending =
+            pending ||
+            load()
+                .then((jwks) => {
+                    cache = { keys: indexKeys(jwks), fetchedAt: now() };
+                    return cache;
+                })
+                .finally(() => {
+                    pending = undefined;
+                });
+        return pending;
+    };
+
+    return {
+        /**
+         * Resolve the public key for a key ID, refetching the key set once
+         * when the ID is unknown so issuer key rotation is picked up
+         * @param {string} kid - Key ID from the token header
+         * @returns {Promise<Object>} - { jwk, keyObject }
+         * @throws {UnauthorizedError} - When no signing key has the ID
+         * @throws {Error} - When the key set cannot be loaded
+         */
+        async getKey(kid) {
+            if (!cache || now() - cache.fetchedAt >= cacheTtlMs) {
+                await refresh();
+            }
+            if (!cache.keys.has(kid) && now() - cache.fetchedAt >= minRefreshIntervalMs) {
+                await refresh();
+            }
+
+            const key = cache.keys.get(kid);
+            if (!key) {
+                throw new UnauthorizedError(`No signing key found for kid '${kid}'`);
+            }
+            return key;
+        },
+    };
+};
+
+/**
+ * Index the signing keys of a JWKS by key ID
+ * @param {Object} jwks - { keys: [...] }
+ * @returns {Map<string, Object>} - kid => { jwk, keyObject }
+ */
+function indexKeys(jwks) {
+    if (!Array.isArray(jwks?.keys)) {
+        throw new Error('JWKS document has no keys array');
+    }
+
+    const keys = new Map();
+    for (const jwk of jwks.keys) {
+        if (!jwk.kid || (jwk.use && jwk.use !== 'sig')) {
+            continue;
+        }
+        keys.set(jwk.kid, {
+            jwk,
+            keyObject: crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+        });
+    }
+    return keys;
+}
+
+module.exports = { createJwksProvider };
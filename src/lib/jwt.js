@@ -0,0 +1,142 @@
+/**
+ * JWT Verification
+ * Verifies RS256/ES256 signed JSON Web Tokens against a JWKS provider and
+ * validates the registered claims
+ */
+
+const crypto = require('crypto');
+const { UnauthorizedError, ForbiddenError } = require('./errors');
+
+// Algorithm => expected JWK key type and signature options
+const ALGORITHMS = {
+    RS256: { kty: 'RSA', digest: 'sha256', dsaEncoding: undefined },
+    ES256: { kty: 'EC', digest: 'sha256', dsaEncoding: 'ieee-p1363' },
+};
+
+/**
+ * Decode a base64url JSON segment
+ * @param {string} segment - Token segment
+ * @returns {Object} - Parsed JSON
+ */
+function decodeSegment(segment) {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * Split a compact JWS into its parts without verifying it
+ * @param {string} token - Compact serialized JWT
+ * @returns {{header: Object, payload: Object, signingInput: string, signature: Buffer}}
+ * @throws {UnauthorizedError} - When the token is malformed
+ */
+const decodeToken = (token) => {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+        throw new UnauthorizedError('Malformed token');
+    }
+
+    try {
+        return {
+            header: decodeSegment(parts[0]),
+            payload: decodeSegment(parts[1]),
+            signingInput: `${parts[0]}.${parts[1]}`,
+            signature: Buffer.from(parts[2], 'base64url'),
+        };
+    } catch {
+        throw new UnauthorizedError('Malformed token');
+    }
+};
+
+/**
+ * Read the scopes granted by a token from `scope` (space-delimited) or
+ * `scp` (array or string)
+ * @param {Object} payload - Token claims
+ * @returns {string[]} - Granted scopes
+ */
+const getScopes = (payload) => {
+    const raw = payload.scope ?? payload.scp ?? [];
+    return Array.isArray(raw) ? raw : String(raw).split(' ').filter(Boolean);
+};
+
+/**
+ * Verify a token's signature and claims
+ * @param {string} token - Compact serialized JWT
+ * @param {Object} options
+ * @param {Object} options.jwks - Provider with getKey(kid)
+ * @param {string} options.issuer - Expected `iss`; required
+ * @param {string} options.audience - Expected `aud` (string or array claim); required
+ * @param {string[]} options.requiredScopes - Scopes the token must grant
+ * @param {string[]} options.algorithms - Accepted signing algorithms
+ * @param {number} options.clockToleranceSec - Allowed clock skew for exp/nbf
+ * @param {Function} options.now - Clock in milliseconds, for tests
+ * @returns {Promise<Object>} - Verified claims
+ * @throws {UnauthorizedError} - When the token is invalid
+ * @throws {ForbiddenError} - When the token lacks a required scope
+ * @throws {Error} - When the issuer or audience is not configured, or the key set
+ *   cannot be loaded
+ */
+const verifyToken = async (
+    token,
+    {
+        jwks,
+        issuer,
+        audience,
+        requiredScopes = [],
+        algorithms = Object.keys(ALGORITHMS),
+        clockToleranceSec = 30,
+        now = Date.now,
+    }
+) => {
+    // Skipping either check would accept tokens minted for other issuers or APIs
+    if (!issuer || !audience) {
+        throw new Error('An expected JWT issuer and audience are required');
+    }
+
+    const { header, payload, signingInput, signature } = decodeToken(token);
+
+    const algorithm = ALGORITHMS[header.alg];
+    if (!algorithm || !algorithms.includes(header.alg)) {
+        throw new UnauthorizedError(`Unsupported algorithm '${header.alg}'`);
+    }
+
+    // An unknown key ID is a token problem; failing to load the key set is not,
+    // and propagates as is
+    const key = await jwks.getKey(header.kid);
+    if (key.jwk.kty !== algorithm.kty || (key.jwk.alg && key.jwk.alg !== header.alg)) {
+        throw new UnauthorizedError(`Key '${header.kid}' cannot verify ${header.alg}`);
+    }
+
+    const valid = crypto.verify(
+        algorithm.digest,
+        Buffer.from(signingInput),
+        { key: key.keyObject, dsaEncoding: algorithm.dsaEncoding },
+        signature
+    );
+    if (!valid) {
+        throw new UnauthorizedError('Invalid signature');
+    }
+
+    const nowSec = Math.floor(now() / 1000);
+    if (typeof payload.exp !== 'number' || payload.exp + clockToleranceSec <= nowSec) {
+        throw new UnauthorizedError('Token expired');
+    }
+    if (typeof payload.nbf === 'number' && payload.nbf - clockToleranceSec > nowSec) {
+        throw new UnauthorizedError('Token not yet valid');
+    }
+    if (payload.iss !== issuer) {
+        throw new UnauthorizedError('Unexpected issuer');
+    }
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes(audience)) {
+        throw new UnauthorizedError('Unexpected audience');
+    }
+
+    const granted = getScopes(payload);
+    const missing = requiredScopes.filter((scope) => !granted.includes(scope));
+    if (missing.length > 0) {
+        throw new ForbiddenError(`Missing required scopes: ${missing.join(' ')}`);
+    }
+
+    return payload;
+};
+
+module.exports = { decodeToken, getScopes, verifyToken };
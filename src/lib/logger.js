@@ -0,0 +1,223 @@
+/**
+ * Structured Logger
+ * Emits single-line JSON log records that CloudWatch Logs Insights can query.
+ * Records below the configured level are dropped, sensitive fields are
+ * redacted and child loggers carry request-scoped fields.
+ *
+ * Environment variables:
+ *   LOG_LEVEL             - Lowest level written: DEBUG, INFO (default), WARN or ERROR
+ *   LOG_DEBUG_SAMPLE_RATE - Share of invocations (0-1) logged at DEBUG regardless of LOG_LEVEL
+ *   LOG_REDACT_FIELDS     - Comma-separated field names redacted in addition to the defaults
+ */
+
+const LEVELS = {
+    DEBUG: 10,
+    INFO: 20,
+    WARN: 30,
+    ERROR: 40,
+};
+
+const DEFAULT_LEVEL = 'INFO';
+
+const REDACTED = '[REDACTED]';
+
+// Matched case-insensitively against field names at any depth
+const DEFAULT_REDACT_FIELDS = [
+    'authorization',
+    'cookie',
+    'set-cookie',
+    'x-api-key',
+    'apiKey',
+    'token',
+    'accessToken',
+    'idToken',
+    'refreshToken',
+    'password',
+    'secret',
+    'clientSecret',
+    'sourceIp',
+    'x-forwarded-for',
+];
+
+// Frames kept below the message line of a logged stack trace
+const MAX_STACK_FRAMES = 10;
+
+// The first invocation in an execution environment is a cold start
+let coldStart = true;
+
+/**
+ * @param {string} level - Level name in any case
+ * @returns {string|undefined} - Upper-case level name, or undefined when unknown
+ */
+function parseLevel(level) {
+    const name = String(level || '').toUpperCase();
+    return name in LEVELS ? name : undefined;
+}
+
+/**
+ * @param {string[]} fields - Extra field names
+ * @returns {Set<string>} - Lower-case names of every field to redact
+ */
+function redactedFieldSet(fields) {
+    const extra = (process.env.LOG_REDACT_FIELDS || '').split(',');
+    return new Set(
+        [...DEFAULT_REDACT_FIELDS, ...fields, ...extra]
+            .map((field) => field.trim().toLowerCase())
+            .filter(Boolean)
+    );
+}
+
+/**
+ * Keep the message line and the innermost frames of a stack trace
+ * @param {string} stack - Error stack
+ * @returns {string} - Trimmed stack
+ */
+function trimStack(stack) {
+    const lines = stack.split('\n');
+    if (lines.length <= MAX_STACK_FRAMES + 1) {
+        return stack;
+    }
+    return [
+        ...lines.slice(0, MAX_STACK_FRAMES + 1),
+        `    ... ${lines.length - MAX_STACK_FRAMES - 1} more frames`,
+    ].join('\n');
+}
+
+/**
+ * Copy a value with redacted fields replaced and stacks trimmed
+ * @param {*} value - Value to log
+ * @param {Set<string>} fields - Lower-case field names to redact
+ * @param {string} key - Field name of the value
+ * @returns {*} - Value safe to log
+ */
+function sanitize(value, fields, key = '') {
+    if (fields.has(key.toLowerCase()) && value !== undefined && value !== null) {
+        return REDACTED;
+    }
+    if (key === 'stack' && typeof value === 'string') {
+        return trimStack(value);
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => sanitize(item, fields));
+    }
+    if (value instanceof Error) {
+        return sanitize({ name: value.name, message: value.message, stack: value.stack }, fields);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(
+            Object.entries(value).map(([name, field]) => [name, sanitize(field, fields, name)])
+        );
+    }
+    return value;
+}
+
+/**
+ * Create a logger. Options left undefined are read from the environment
+ * when each record is written.
+ * @param {Object} options
+ * @param {string} options.level - Lowest level written
+ * @param {Object} options.context - Fields added to every record
+ * @param {string[]} options.redact - Field names redacted in addition to the defaults
+ * @param {number} options.sampleRate - Share of `child(..., { sampleDebug: true })` loggers
+ *   that log at DEBUG
+ * @param {Function} options.random - Random number source, for tests
+ * @returns {Object} - Logger with debug, info, warn, error, log, isLevelEnabled and child
+ */
+const createLogger = ({
+    level,
+    context = {},
+    redact = [],
+    sampleRate,
+    random = Math.random,
+} = {}) => {
+    const currentLevel = () =>
+        parseLevel(level) || parseLevel(process.env.LOG_LEVEL) || DEFAULT_LEVEL;
+
+    const logger = {
+        /**
+         * @param {string} recordLevel - Level name
+         * @returns {boolean} - Whether records at this level are written
+         */
+        isLevelEnabled(recordLevel) {
+            return LEVELS[parseLevel(recordLevel)] >= LEVELS[currentLevel()];
+        },
+
+        /**
+         * Write a structured log line
+         * @param {string} recordLevel - Log level (DEBUG, INFO, WARN, ERROR)
+         * @param {string} message - Human readable message
+         * @param {Object} data - Additional fields merged into the record
+         */
+        log(recordLevel, message, data = {}) {
+            if (!logger.isLevelEnabled(recordLevel)) {
+                return;
+            }
+            console.log(
+                JSON.stringify({
+                    timestamp: new Date().toISOString(),
+                    level: parseLevel(recordLevel),
+                    message,
+                    ...sanitize({ ...context, ...data }, redactedFieldSet(redact)),
+                })
+            );
+        },
+
+        debug: (message, data) => logger.log('DEBUG', message, data),
+        info: (message, data) => logger.log('INFO', message, data),
+        warn: (message, data) => logger.log('WARN', message, data),
+        error: (message, data) => logger.log('ERROR', message, data),
+
+        /**
+         * Create a logger that adds fields to every record of this one
+         * @param {Object} fields - Fields added to every record
+         * @param {Object} options
+         * @param {boolean} options.sampleDebug - Log at DEBUG when this child is sampled
+         * @returns {Object} - Child logger
+         */
+        child(fields = {}, { sampleDebug = false } = {}) {
+            const rate = sampleRate ?? Number(process.env.LOG_DEBUG_SAMPLE_RATE || 0);
+            const sampled = sampleDebug && random() < rate;
+            return createLogger({
+                level: sampled ? 'DEBUG' : level,
+                context: { ...context, ...fields },
+                redact,
+                sampleRate,
+                random,
+            });
+        },
+    };
+
+    return logger;
+};
+
+// Used where no request-scoped logger is available
+const logger = createLogger();
+
+/**
+ * Create the logger for one Lambda invocation. It adds the function name and
+ * version and the cold start flag to every record, and logs at DEBUG for a
+ * LOG_DEBUG_SAMPLE_RATE share of invocations.
+ * @param {Object} context - Lambda context
+ * @returns {Object} - Invocation logger
+ */
+const invocationLogger = (context = {}) => {
+    const isColdStart = coldStart;
+    coldStart = false;
+    return logger.child(
+        {
+            functionName: context.functionName || process.env.AWS_LAMBDA_FUNCTION_NAME,
+            functionVersion: context.functionVersion || process.env.AWS_LAMBDA_FUNCTION_VERSION,
+            coldStart: isColdStart,
+        },
+        { sampleDebug: true }
+    );
+};
+
+module.exports = {
+    LEVELS,
+    REDACTED,
+    DEFAULT_REDACT_FIELDS,
+    createLogger,
+    logger,
+    invocationLogger,
+};
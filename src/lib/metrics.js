@@ -0,0 +1,247 @@
+/**
+ * Custom Metrics
+ * Records metrics as CloudWatch Embedded Metric Format (EMF) log lines.
+ * CloudWatch Logs extracts the metrics from the function's log stream, so no
+ * PutMetricData calls or extra permissions are needed.
+ *
+ * Environment variables:
+ *   METRICS_NAMESPACE - CloudWatch namespace (default HelloWorldApi)
+ *   ENVIRONMENT       - Value of the Environment dimension
+ */
+
+const { logger } = require('./logger');
+
+const DEFAULT_NAMESPACE = 'HelloWorldApi';
+
+// CloudWatch limits for one EMF directive
+const MAX_METRICS_PER_DIRECTIVE = 100;
+const MAX_VALUES_PER_METRIC = 100;
+
+const UNITS = new Set([
+    'Seconds',
+    'Microseconds',
+    'Milliseconds',
+    'Bytes',
+    'Kilobytes',
+    'Megabytes',
+    'Gigabytes',
+    'Terabytes',
+    'Bits',
+    'Kilobits',
+    'Megabits',
+    'Gigabits',
+    'Terabits',
+    'Percent',
+    'Count',
+    'Bytes/Second',
+    'Kilobytes/Second',
+    'Megabytes/Second',
+    'Gigabytes/Second',
+    'Terabytes/Second',
+    'Bits/Second',
+    'Kilobits/Second',
+    'Megabits/Second',
+    'Gigabits/Second',
+    'Terabits/Second',
+    'Count/Second',
+    'None',
+]);
+
+// The first invocation in an execution environment is a cold start
+let coldStart = true;
+
+/**
+ * Create a metrics batch for one invocation. Metrics recorded with the same
+ * name and extra dimensions are combined into one entry with a list of
+ * values; flush() writes the batch as a single EMF log line.
+ * @param {Object} options
+ * @param {string} options.namespace - CloudWatch namespace
+ * @param {Object} options.dimensions - Dimension name => value applied to every metric
+ * @param {Function} options.now - Clock, for tests
+ * @returns {Object} - Metrics batch with addMetric, setProperty, serialize and flush
+ */
+const createMetrics = ({
+    namespace = process.env.METRICS_NAMESPACE || DEFAULT_NAMESPACE,
+    dimensions = {},
+    now = Date.now,
+} = {}) => {
+    // Keyed by extra dimension names, then metric name
+    let groups = new Map();
+    let properties = {};
+
+    const metrics = {
+        /**
+         * Record a metric value
+         * @param {string} name - Metric name
+         * @param {number} value - Value
+         * @param {string} unit - CloudWatch unit
+         * @param {Object} extraDimensions - Dimensions for this metric only, e.g. { Locale: 'fr' }.
+         *   Values are shared by the whole batch, so use each name with one value per flush.
+         * @throws {Error} - When the value is not a finite number or the unit is unknown
+         */
+        addMetric(name, value, unit = 'Count', extraDimensions = {}) {
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                throw new Error(`Metric ${name} must be a finite number`);
+            }
+            if (!UNITS.has(unit)) {
+                throw new Error(`Metric ${name} has unknown unit ${unit}`);
+            }
+
+            const dimensionNames = Object.keys(extraDimensions).sort();
+            const groupKey = dimensionNames.join(',');
+            if (!groups.has(groupKey)) {
+                groups.set(groupKey, { dimensionNames, values: {}, metrics: new Map() });
+            }
+            const group = groups.get(groupKey);
+            Object.assign(group.values, extraDimensions);
+
+            const existing = group.metrics.get(name);
+            if (existing && existing.unit !== unit) {
+                throw new Error(`Metric ${name} is already recorded in ${existing.unit}`);
+            }
+            group.metrics.set(name, {
+                unit,
+                values: [...(existing?.values || []), value],
+            });
+        },
+
+        /**
+         * Attach a searchable field that is not a dimension, e.g. the request ID
+         * @param {string} key - Field name
+         * @param {*} value - Field value
+         */
+        setProperty(key, value) {
+            properties[key] = value;
+        },
+
+        /**
+         * @returns {Object[]} - EMF log records, empty when nothing was recorded. All
+         *   metrics share one record, with a directive per set of extra dimensions,
+         *   unless CloudWatch's limits of 100 metrics per directive and 100 values per
+         *   metric require more.
+         */
+        serialize() {
+            // One entry per chunk of at most MAX_VALUES_PER_METRIC values
+            const entries = [];
+            for (const [groupKey, group] of groups) {
+                for (const [name, metric] of group.metrics) {
+                    for (let i = 0; i < metric.values.length; i += MAX_VALUES_PER_METRIC) {
+                        const values = metric.values.slice(i, i + MAX_VALUES_PER_METRIC);
+                        entries.push({ groupKey, name, unit: metric.unit, values });
+                    }
+                }
+            }
+
+            // Metric values are top-level fields, so a name appears once per record
+            const batches = [];
+            for (const entry of entries) {
+                let batch = batches.find(
+                    (candidate) =>
+                        !candidate.some(({ name }) => name === entry.name) &&
+                        candidate.filter(({ groupKey }) => groupKey === entry.groupKey).length <
+                            MAX_METRICS_PER_DIRECTIVE
+                );
+                if (!batch) {
+                    batch = [];
+                    batches.push(batch);
+                }
+                batch.push(entry);
+            }
+
+            return batches.map((batch) => {
+                const groupKeys = [...new Set(batch.map(({ groupKey }) => groupKey))];
+                const record = {
+                    _aws: {
+                        Timestamp: now(),
+                        CloudWatchMetrics: groupKeys.map((groupKey) => ({
+                            Namespace: namespace,
+                            Dimensions: [
+                                [
+                                    ...Object.keys(dimensions),
+                                    ...groups.get(groupKey).dimensionNames,
+                                ],
+                            ],
+                            Metrics: batch
+                                .filter((entry) => entry.groupKey === groupKey)
+                                .map(({ name, unit }) => ({ Name: name, Unit: unit })),
+                        })),
+                    },
+                    ...properties,
+                    ...dimensions,
+                };
+                for (const groupKey of groupKeys) {
+                    Object.assign(record, groups.get(groupKey).values);
+                }
+                for (const { name, values } of batch) {
+                    record[name] = values.length === 1 ? values[0] : values;
+                }
+                return record;
+            });
+        },
+
+        /**
+         * Write the recorded metrics to stdout and start a new batch
+         */
+        flush() {
+            for (const record of metrics.serialize()) {
+                console.log(JSON.stringify(record));
+            }
+            groups = new Map();
+            properties = {};
+        },
+    };
+
+    return metrics;
+};
+
+/**
+ * Record request metrics for a route and expose the batch as `ctx.metrics`
+ * so later stages and the route can add their own. Place it first so the
+ * latency covers every stage. Records:
+ *   - Latency (Milliseconds) for every request
+ *   - ColdStart (Count) on the first request of an execution environment
+ *   - Errors (Count, by ErrorClass) for errors that no errorHandler caught
+ * All use the Environment and Route dimensions; the request ID, trace ID
+ * and status code are added as properties.
+ * @param {Object} options
+ * @param {string} options.route - Value of the Route dimension, e.g. 'GET /hello'
+ * @returns {Function} - Middleware stage
+ */
+const metrics =
+    ({ route }) =>
+    async (ctx, next) => {
+        // Monotonic clock: latency is unaffected by wall clock changes
+        const startTime = performance.now();
+        ctx.metrics = createMetrics({
+            dimensions: { Environment: process.env.ENVIRONMENT || 'dev', Route: route },
+        });
+
+        try {
+            await next();
+        } catch (error) {
+            // Only errors that no errorHandler caught get here
+            ctx.metrics.addMetric('Errors', 1, 'Count', { ErrorClass: error?.name || 'Error' });
+            throw error;
+        } finally {
+            try {
+                ctx.metrics.addMetric(
+                    'Latency',
+                    Math.round(performance.now() - startTime),
+                    'Milliseconds'
+                );
+                if (coldStart) {
+                    ctx.metrics.addMetric('ColdStart', 1, 'Count');
+                    coldStart = false;
+                }
+                ctx.metrics.setProperty('requestId', ctx.requestId);
+                ctx.metrics.setProperty('traceId', ctx.trace?.traceId);
+                ctx.metrics.setProperty('statusCode', ctx.response?.statusCode);
+                ctx.metrics.flush();
+            } catch (error) {
+                // Metrics must never fail a request
+                (ctx.logger || logger).warn('Failed to emit metrics', { error: error.message });
+            }
+        }
+    };
+
+module.exports = { UNITS, createMetrics, metrics };
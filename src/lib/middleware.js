@@ -0,0 +1,263 @@
+/**
+ * Handler Middleware Pipeline
+ * Wraps route business logic in composable stages so every Lambda handler
+ * shares the same request-ID extraction, header injection, error mapping,
+ * timing and logging behaviour
+ */
+
+const { randomUUID } = require('crypto');
+const { logger, invocationLogger } = require('./logger');
+const { HttpError } = require('./errors');
+const { normalizeRequest, formatResponse } = require('./events');
+const { getHeader } = require('./request');
+const { problemResponse } = require('./problem');
+
+// Caller-supplied correlation IDs are echoed in headers and logs, so only
+// short tokens without whitespace or control characters are accepted
+const CORRELATION_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Build a Lambda handler from route logic and an ordered list of stages.
+ *
+ * Stages run outermost-first. Each stage receives the invocation context and
+ * a `next` function that runs the remaining stages and finally the route.
+ * After `next` resolves, `ctx.response` holds the response produced further
+ * down the pipeline and may be decorated before it is returned.
+ *
+ * The handler accepts REST API, HTTP API and ALB events. Stages read the
+ * normalized `ctx.request` and the response is shaped for the event's format
+ * once every stage has run. `ctx.logger` starts as the invocation logger and
+ * is replaced with a request-scoped child by the requestId stage.
+ *
+ * Errors that escape every stage, such as an event that cannot be normalized
+ * or a failure in a stage outside errorHandler, are logged and answered with
+ * problem details carrying the request ID instead of failing the invocation,
+ * which API Gateway would turn into a bare 502.
+ *
+ * @param {Function} route - async (ctx) => ({ statusCode, headers, body, cookies })
+ * @param {Function[]} stages - Middleware stages, async (ctx, next) => void
+ * @returns {Function} - Lambda handler, async (event, context) => response
+ */
+const createHandler =
+    (route, stages = []) =>
+    async (event, context = {}) => {
+        const ctx = {
+            event,
+            request: undefined,
+            context,
+            logger: invocationLogger(context),
+            requestId: 'unknown',
+            response: undefined,
+            state: {},
+        };
+
+        const dispatch = async (index) => {
+            if (index === stages.length) {
+                const response = normalizeResponse(await route(ctx));
+                // A route that finishes after the deadline stage gave up must not
+                // replace the 504 already chosen
+                if (!ctx.deadline?.signal.aborted) {
+                    ctx.response = response;
+                }
+                return;
+            }
+            await stages[index](ctx, () => dispatch(index + 1));
+        };
+
+        try {
+            ctx.request = normalizeRequest(event);
+            await dispatch(0);
+        } catch (error) {
+            ctx.response = unhandledErrorResponse(error, ctx);
+        }
+        // Events that could not be normalized are answered in the REST API format
+        return formatResponse(ctx.response, ctx.request || {});
+    };
+
+/**
+ * Log an error that escaped every stage and answer it with problem details.
+ * HttpErrors keep their status; anything else is an internal error.
+ * @param {Error} error - Thrown error
+ * @param {Object} ctx - Middleware invocation context
+ * @returns {Object} - Proxy response with a JSON-encoded problem body
+ */
+function unhandledErrorResponse(error, ctx) {
+    if (ctx.requestId === 'unknown') {
+        ctx.requestId = ctx.request?.requestId || ctx.context.awsRequestId || 'unknown';
+    }
+    const isClientError = error instanceof HttpError && error.statusCode < 500;
+    ctx.logger.log(isClientError ? 'WARN' : 'ERROR', 'Unhandled error in handler pipeline', {
+        error: error?.message,
+        ...(isClientError ? {} : { stack: error?.stack }),
+    });
+
+    const response = normalizeResponse(problemResponse(error, ctx));
+    response.headers['X-Request-Id'] = ctx.requestId;
+    response.body = JSON.stringify(response.body);
+    return response;
+}
+
+/**
+ * Ensure a route result has the fields every stage relies on
+ * @param {Object} response - Partial proxy response
+ * @returns {Object} - Response with statusCode and headers populated
+ */
+function normalizeResponse(response = {}) {
+    return {
+        ...response,
+        statusCode: response.statusCode || 200,
+        headers: { ...response.headers },
+    };
+}
+
+/**
+ * Add a request header name to the Vary response header, keeping any
+ * names already listed
+ * @param {Object} headers - Response headers, modified in place
+ * @param {string} field - Request header name the response varies on
+ */
+function appendVary(headers, field) {
+    const existing = headers.Vary ? headers.Vary.split(',').map((name) => name.trim()) : [];
+    if (!existing.some((name) => name.toLowerCase() === field.toLowerCase())) {
+        existing.push(field);
+    }
+    headers.Vary = existing.join(', ');
+}
+
+/**
+ * Extract the API Gateway request ID and the caller's X-Correlation-Id, or
+ * create a correlation ID when none is given, and echo both as response
+ * headers. Events without a request ID (ALB, direct invocations) use the
+ * Lambda request ID. Later stages log through `ctx.logger`, which carries
+ * both IDs.
+ * @returns {Function} - Middleware stage
+ */
+const requestId = () => async (ctx, next) => {
+    ctx.requestId = ctx.request?.requestId || ctx.context?.awsRequestId || 'unknown';
+    const correlationId = getHeader(ctx.request, 'X-Correlation-Id');
+    ctx.correlationId = CORRELATION_ID_PATTERN.test(correlationId || '')
+        ? correlationId
+        : randomUUID();
+    ctx.logger = (ctx.logger || logger).child({
+        requestId: ctx.requestId,
+        correlationId: ctx.correlationId,
+    });
+    await next();
+    ctx.response.headers['X-Request-Id'] = ctx.requestId;
+    ctx.response.headers['X-Correlation-Id'] = ctx.correlationId;
+};
+
+/**
+ * Serialize object bodies to JSON once every other stage has run
+ * @returns {Function} - Middleware stage
+ */
+const jsonBody = () => async (ctx, next) => {
+    await next();
+    const { body } = ctx.response;
+    if (body !== undefined && typeof body !== 'string') {
+        ctx.response.body = JSON.stringify(body);
+    }
+};
+
+/**
+ * Add a fixed set of headers to the response. Headers already set further
+ * down the pipeline take precedence.
+ * @param {Object} headers - Header name/value pairs
+ * @returns {Function} - Middleware stage
+ */
+const responseHeaders = (headers) => async (ctx, next) => {
+    await next();
+    ctx.response.headers = { ...headers, ...ctx.response.headers };
+};
+
+/**
+ * Catch anything thrown further down the pipeline, log it and map it to a
+ * response. Client errors (an HttpError below 500) are logged as WARN
+ * without a stack trace, and headers carried by an HttpError are added to
+ * the response. When the metrics stage runs, each error is also counted as
+ * an Errors metric with an ErrorClass dimension.
+ * @param {Object} options
+ * @param {string} options.message - Log message for the ERROR record
+ * @param {Function} options.toResponse - (error, ctx) => proxy response
+ * @returns {Function} - Middleware stage
+ */
+const errorHandler =
+    ({ message, toResponse }) =>
+    async (ctx, next) => {
+        try {
+            await next();
+        } catch (error) {
+            const isClientError = error instanceof HttpError && error.statusCode < 500;
+            (ctx.logger || logger).log(isClientError ? 'WARN' : 'ERROR', message, {
+                error: error.message,
+                ...(isClientError ? {} : { stack: error.stack }),
+            });
+            ctx.metrics?.addMetric('Errors', 1, 'Count', { ErrorClass: error?.name || 'Error' });
+            ctx.response = normalizeResponse(toResponse(error, ctx));
+            if (error instanceof HttpError) {
+                Object.assign(ctx.response.headers, error.headers);
+            }
+        }
+    };
+
+/**
+ * Measure time spent in the remaining stages and the route
+ * @param {Object} options
+ * @param {string} options.header - Response header reporting the duration
+ * @returns {Function} - Middleware stage
+ */
+const timing =
+    ({ header = 'X-Processing-Time' } = {}) =>
+    async (ctx, next) => {
+        const startTime = Date.now();
+        await next();
+        ctx.processingTime = Date.now() - startTime;
+        if (header) {
+            ctx.response.headers[header] = `${ctx.processingTime}ms`;
+        }
+    };
+
+/**
+ * Log the incoming request and the completed response. Headers and query
+ * parameters are logged at DEBUG, with credentials redacted.
+ * @param {Object} options
+ * @param {string} options.requestMessage - Message logged before the route runs
+ * @param {string} options.responseMessage - Message logged after the route succeeds
+ * @param {Function} options.requestFields - (ctx) => extra fields for the request record
+ * @param {Function} options.responseFields - (ctx) => extra fields for the response record
+ * @returns {Function} - Middleware stage
+ */
+const logging =
+    ({
+        requestMessage,
+        responseMessage,
+        requestFields = () => ({}),
+        responseFields = () => ({}),
+    }) =>
+    async (ctx, next) => {
+        const log = ctx.logger || logger;
+        log.info(requestMessage, {
+            path: ctx.request?.path,
+            method: ctx.request?.method,
+            ...requestFields(ctx),
+        });
+        log.debug('Request details', {
+            headers: ctx.request?.headers,
+            query: ctx.request?.query,
+        });
+
+        await next();
+
+        log.info(responseMessage, responseFields(ctx));
+    };
+
+module.exports = {
+    createHandler,
+    appendVary,
+    requestId,
+    jsonBody,
+    responseHeaders,
+    errorHandler,
+    timing,
+    logging,
+};
@@ -0,0 +1,227 @@
+/**
+ * OpenAPI Validation
+ * Validates requests and responses against the OpenAPI document declared
+ * as the API's DefinitionBody in template.yaml. The document is bundled as
+ * src/config/openapi.json; regenerate it with `npm run openapi` after
+ * editing the template.
+ */
+
+const { ValidationError } = require('./errors');
+const { getHeader, getQueryParam } = require('./request');
+const { resolveRef, validateSchema } = require('./schema');
+const defaultDocument = require('../config/openapi.json');
+
+const LOCATION_LABELS = {
+    query: 'Query parameter',
+    header: 'Header',
+    path: 'Path parameter',
+};
+
+/**
+ * Find an operation in the document
+ * @param {string} path - Path template, e.g. '/hello'
+ * @param {string} method - HTTP method
+ * @param {Object} document - OpenAPI document
+ * @returns {Object} - Operation object with path-level parameters merged in
+ * @throws {Error} - When the document does not declare the operation
+ */
+const getOperation = (path, method, document = defaultDocument) => {
+    const pathItem = document.paths?.[path];
+    const operation = pathItem?.[method.toLowerCase()];
+    if (!operation) {
+        throw new Error(`OpenAPI document has no operation ${method.toUpperCase()} ${path}`);
+    }
+
+    // Operation parameters override path-level ones with the same name and location
+    const resolve = (parameter) =>
+        parameter.$ref ? resolveRef(document, parameter.$ref) : parameter;
+    const parameters = new Map();
+    for (const parameter of [...(pathItem.parameters || []), ...(operation.parameters || [])]) {
+        const resolved = resolve(parameter);
+        parameters.set(`${resolved.in}:${resolved.name}`, resolved);
+    }
+
+    return { ...operation, parameters: [...parameters.values()] };
+};
+
+/**
+ * Convert a string parameter to the type its schema declares. Values that
+ * do not convert are returned unchanged and fail the type check.
+ * @param {string} value - Raw parameter value
+ * @param {Object} schema - Parameter schema
+ * @param {Object} document - OpenAPI document, for $ref
+ * @returns {*} - Coerced value
+ */
+function coerce(value, schema, document) {
+    const type = schema.$ref ? resolveRef(document, schema.$ref).type : schema.type;
+    if ((type === 'integer' || type === 'number') && /^-?\d+(\.\d+)?$/.test(value)) {
+        return Number(value);
+    }
+    if (type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+}
+
+/**
+ * @param {Object} request - Request from normalizeRequest
+ * @param {Object} parameter - Parameter object
+ * @returns {string|undefined} - Raw value
+ */
+function readParameter(request, parameter) {
+    switch (parameter.in) {
+        case 'query':
+            return getQueryParam(request, parameter.name);
+        case 'header':
+            return getHeader(request, parameter.name);
+        case 'path':
+            return request?.pathParameters?.[parameter.name] ?? undefined;
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * Decode and parse a JSON request body
+ * @param {Object} request - Request from normalizeRequest
+ * @returns {{value: *}|{error: string}|undefined} - Parsed body or parse error;
+ *   undefined when the body is empty
+ */
+function readJsonBody(request) {
+    if (request?.body === undefined || request.body === null || request.body === '') {
+        return undefined;
+    }
+    const text = request.isBase64Encoded
+        ? Buffer.from(request.body, 'base64').toString('utf8')
+        : request.body;
+    try {
+        return { value: JSON.parse(text) };
+    } catch {
+        return { error: 'Request body must be valid JSON' };
+    }
+}
+
+/**
+ * Validate a request's parameters and JSON body against an operation
+ * @param {Object} request - Request from normalizeRequest
+ * @param {Object} operation - Operation from getOperation
+ * @param {Object} document - OpenAPI document, for $ref
+ * @returns {{errors: Object[], body: *}} - Violations ({field, in, message}) and the parsed body
+ */
+const validateRequest = (request, operation, document = defaultDocument) => {
+    const errors = [];
+
+    for (const parameter of operation.parameters) {
+        const label = `${LOCATION_LABELS[parameter.in]} '${parameter.name}'`;
+        const raw = readParameter(request, parameter);
+        if (raw === undefined) {
+            if (parameter.required) {
+                errors.push({
+                    field: parameter.name,
+                    in: parameter.in,
+                    message: `${label} is required`,
+                });
+            }
+            continue;
+        }
+        if (!parameter.schema) {
+            continue;
+        }
+
+        const value = coerce(raw, parameter.schema, document);
+        for (const violation of validateSchema(parameter.schema, value, { root: document })) {
+            const field = [parameter.name, ...violation.path].join('.');
+            const where =
+                violation.path.length > 0 ? `${LOCATION_LABELS[parameter.in]} '${field}'` : label;
+            errors.push({ field, in: parameter.in, message: `${where} ${violation.message}` });
+        }
+    }
+
+    let body;
+    const requestBody = operation.requestBody;
+    const bodySchema = requestBody?.content?.['application/json']?.schema;
+    if (requestBody) {
+        const parsed = readJsonBody(request);
+        if (!parsed) {
+            if (requestBody.required) {
+                errors.push({ field: 'body', in: 'body', message: 'Request body is required' });
+            }
+        } else if (parsed.error) {
+            errors.push({ field: 'body', in: 'body', message: parsed.error });
+        } else {
+            body = parsed.value;
+            const violations = bodySchema
+                ? validateSchema(bodySchema, body, { root: document })
+                : [];
+            for (const violation of violations) {
+                const field = violation.path.join('.');
+                errors.push({
+                    field: field || 'body',
+                    in: 'body',
+                    message: field
+                        ? `Request body field '${field}' ${violation.message}`
+                        : `Request body ${violation.message}`,
+                });
+            }
+        }
+    }
+
+    return { errors, body };
+};
+
+/**
+ * Check a handler response against the responses an operation declares.
+ * Used by tests to keep handlers and the published contract in step.
+ * @param {Object} response - API Gateway Lambda Proxy Output Format
+ * @param {Object} operation - Operation from getOperation
+ * @param {Object} document - OpenAPI document, for $ref
+ * @returns {string[]} - Violations, empty when the response conforms
+ */
+const validateResponse = (response, operation, document = defaultDocument) => {
+    const declared =
+        operation.responses?.[String(response.statusCode)] || operation.responses?.default;
+    if (!declared) {
+        return [`Status ${response.statusCode} is not declared`];
+    }
+
+    const contentType = (response.headers?.['Content-Type'] || '').split(';')[0].trim();
+    const schema = declared.content?.[contentType]?.schema;
+    if (declared.content && !declared.content[contentType]) {
+        return [`Content-Type '${contentType}' is not declared for status ${response.statusCode}`];
+    }
+    if (!schema || !/^application\/(.+\+)?json$/.test(contentType)) {
+        return [];
+    }
+
+    const body = typeof response.body === 'string' ? JSON.parse(response.body) : response.body;
+    return validateSchema(schema, body, { root: document }).map((violation) =>
+        violation.path.length > 0
+            ? `Response field '${violation.path.join('.')}' ${violation.message}`
+            : `Response body ${violation.message}`
+    );
+};
+
+/**
+ * Reject requests that do not match the operation's parameters or request
+ * body with a 400 listing every violation. A parsed JSON body is exposed as
+ * `ctx.state.body`.
+ * @param {Object} options
+ * @param {string} options.path - Path template in the document
+ * @param {string} options.method - HTTP method
+ * @param {Object} options.document - OpenAPI document; defaults to the bundled one
+ * @returns {Function} - Middleware stage
+ */
+const requestValidation = ({ path, method, document = defaultDocument }) => {
+    const operation = getOperation(path, method, document);
+
+    return async (ctx, next) => {
+        const { errors, body } = validateRequest(ctx.request, operation, document);
+        if (errors.length > 0) {
+            throw new ValidationError(errors.map((error) => error.message).join('; '), errors);
+        }
+        ctx.state.body = body;
+        await next();
+    };
+};
+
+module.exports = { getOperation, validateRequest, validateResponse, requestValidation };
@@ -0,0 +1,236 @@
+/**
+ * Health Probes
+ * Registry of dependency checks that run in parallel, each with its own
+ * timeout and critical/non-critical classification, plus factories for the
+ * probes this service commonly needs
+ */
+
+const PROBE_STATUSES = ['healthy', 'warning', 'unhealthy'];
+const DEFAULT_TIMEOUT_MS = 1000;
+
+/**
+ * Create an empty probe registry
+ * @returns {Object} - Registry with register, unregister, list and run
+ */
+const createProbeRegistry = () => {
+    const probes = new Map();
+
+    return {
+        /**
+         * Register a probe, replacing any probe with the same name
+         * @param {string} name - Key the result is reported under in `checks`
+         * @param {Function} check - async ({ signal }) => status string or { status, ...details }
+         * @param {Object} options
+         * @param {number} options.timeoutMs - Time budget before the probe counts as failed
+         * @param {boolean} options.critical - Whether a failure makes the service unavailable
+         */
+        register(name, check, { timeoutMs = DEFAULT_TIMEOUT_MS, critical = true } = {}) {
+            probes.set(name, { name, check, timeoutMs, critical });
+        },
+
+        /**
+         * @param {string} name - Probe to remove
+         */
+        unregister(name) {
+            probes.delete(name);
+        },
+
+        /**
+         * @returns {Object[]} - Registered probe definitions
+         */
+        list() {
+            return [...probes.values()];
+        },
+
+        /**
+         * Run every registered probe in parallel
+         * @param {Object} options
+         * @param {Object} options.tracer - Tracer that records a span per probe (see tracing.js)
+         * @returns {Promise<Object>} - Probe results keyed by name
+         */
+        async run({ tracer } = {}) {
+            const results = await Promise.all(
+                [...probes.values()].map((probe) =>
+                    tracer ? tracedProbe(probe, tracer) : runProbe(probe)
+                )
+            );
+            return Object.fromEntries(results.map((result) => [result.name, result.outcome]));
+        },
+    };
+};
+
+/**
+ * Run a single probe under its timeout. Failures and timeouts are captured
+ * as an unhealthy result rather than thrown.
+ * @param {Object} probe - Probe definition from the registry
+ * @param {Object} traceHeaders - Headers a probe calling a dependency should send
+ * @returns {Promise<{name: string, outcome: Object}>} - Probe result
+ */
+async function runProbe({ name, check, timeoutMs, critical }, traceHeaders) {
+    const controller = new AbortController();
+    const startTime = Date.now();
+    let timer;
+
+    const timeout = new Promise((_resolve, reject) => {
+        timer = setTimeout(() => {
+            controller.abort();
+            reject(new Error(`Probe timed out after ${timeoutMs}ms`));
+        }, timeoutMs);
+    });
+
+    let outcome;
+    try {
+        const result = await Promise.race([
+            check({ signal: controller.signal, traceHeaders }),
+            timeout,
+        ]);
+        const { status, ...details } = typeof result === 'string' ? { status: result } : result;
+        if (!PROBE_STATUSES.includes(status)) {
+            throw new Error(`Probe returned invalid status '${status}'`);
+        }
+        outcome = { status, critical, latencyMs: Date.now() - startTime, ...details };
+    } catch (error) {
+        outcome = {
+            status: 'unhealthy',
+            critical,
+            latencyMs: Date.now() - startTime,
+            error: error.message,
+        };
+    } finally {
+        clearTimeout(timer);
+    }
+
+    return { name, outcome };
+}
+
+/**
+ * Run a probe inside a span named after it. Unhealthy results mark the span
+ * as failed.
+ * @param {Object} probe - Probe definition from the registry
+ * @param {Object} tracer - Tracer from createTracer
+ * @returns {Promise<{name: string, outcome: Object}>} - Probe result
+ */
+function tracedProbe(probe, tracer) {
+    return tracer.trace(`probe ${probe.name}`, async (span) => {
+        const result = await runProbe(probe, span.headers());
+        span.setAttributes({ critical: probe.critical, status: result.outcome.status });
+        if (result.outcome.error) {
+            span.setError(result.outcome.error);
+        }
+        return result;
+    });
+}
+
+/**
+ * Combine probe results into the service status. Any critical failure makes
+ * the service unhealthy (503); non-critical failures only degrade it (200).
+ * @param {Object} checks - Probe results keyed by name
+ * @returns {{status: string, statusCode: number}} - Aggregate status
+ */
+const aggregateStatus = (checks) => {
+    const failures = Object.values(checks).filter((check) => check.status === 'unhealthy');
+
+    if (failures.some((check) => check.critical)) {
+        return { status: 'unhealthy', statusCode: 503 };
+    }
+    if (failures.length > 0) {
+        return { status: 'degraded', statusCode: 200 };
+    }
+    return { status: 'healthy', statusCode: 200 };
+};
+
+/**
+ * Probe heap usage against the configured Lambda memory
+ * @param {Object} options
+ * @param {number} options.memoryMb - Function memory size in MB
+ * @returns {Function} - Probe check
+ */
+const memoryProbe =
+    ({ memoryMb = 128 } = {}) =>
+    async () => {
+        const used = process.memoryUsage();
+        const maxMemory = memoryMb * 1024 * 1024;
+        const percentUsed = (used.heapUsed / maxMemory) * 100;
+
+        if (percentUsed > 90) {
+            return 'unhealthy';
+        } else if (percentUsed > 70) {
+            return 'warning';
+        }
+        return 'healthy';
+    };
+
+/**
+ * Probe that a DynamoDB table exists and is ACTIVE
+ * @param {Object} options
+ * @param {string} options.tableName - Table to describe
+ * @param {Object} options.client - DynamoDBClient; created lazily when omitted
+ * @returns {Function} - Probe check
+ */
+const dynamoDbTableProbe = ({ tableName, client }) => {
+    let dynamoDb = client;
+
+    return async ({ signal }) => {
+        const { DynamoDBClient, DescribeTableCommand } = require('@aws-sdk/client-dynamodb');
+        dynamoDb = dynamoDb || new DynamoDBClient({});
+
+        const { Table } = await dynamoDb.send(new DescribeTableCommand({ TableName: tableName }), {
+            abortSignal: signal,
+        });
+        return {
+            status: Table?.TableStatus === 'ACTIVE' ? 'healthy' : 'unhealthy',
+            tableStatus: Table?.TableStatus,
+        };
+    };
+};
+
+/**
+ * Probe a downstream HTTP endpoint
+ * @param {Object} options
+ * @param {string} options.url - URL to request
+ * @param {string} options.method - HTTP method
+ * @param {Function} options.fetchImpl - fetch implementation, for tests
+ * @returns {Function} - Probe check; the request continues the readiness check's trace
+ */
+const httpProbe =
+    ({ url, method = 'GET', fetchImpl = globalThis.fetch }) =>
+    async ({ signal, traceHeaders }) => {
+        const response = await fetchImpl(url, {
+            method,
+            signal,
+            ...(traceHeaders && { headers: traceHeaders }),
+        });
+        return {
+            status: response.ok ? 'healthy' : 'unhealthy',
+            httpStatus: response.status,
+        };
+    };
+
+/**
+ * Probe that a configuration source loads and contains the required keys
+ * @param {Object} options
+ * @param {Function} options.load - async () => configuration object
+ * @param {string[]} options.requiredKeys - Keys that must be present
+ * @returns {Function} - Probe check
+ */
+const configProbe =
+    ({ load, requiredKeys = [] }) =>
+    async () => {
+        const config = await load();
+        const missing = requiredKeys.filter(
+            (key) => config?.[key] === undefined || config?.[key] === ''
+        );
+        if (missing.length > 0) {
+            throw new Error(`Missing configuration: ${missing.join(', ')}`);
+        }
+        return 'healthy';
+    };
+
+module.exports = {
+    createProbeRegistry,
+    aggregateStatus,
+    memoryProbe,
+    dynamoDbTableProbe,
+    httpProbe,
+    configProbe,
+};
@@ -0,0 +1,95 @@
+/**
+ * Problem Details
+ * Serializes errors as RFC 7807 problem details. Every handler reports
+ * errors through these helpers so clients see one error format.
+ */
+
+const { HttpError, InternalError } = require('./errors');
+
+const PROBLEM_JSON = 'application/problem+json';
+const PROBLEM_XML = 'application/problem+xml';
+
+/**
+ * @returns {boolean} - Whether stack traces may be sent; only in dev
+ */
+function stacksEnabled() {
+    return (process.env.ENVIRONMENT || 'dev') === 'dev';
+}
+
+/**
+ * Build the problem details object for an error
+ * @param {Error} error - Thrown error
+ * @param {Object} ctx - Middleware invocation context
+ * @param {Object} options
+ * @param {Function} options.fallback - (error) => HttpError used for errors that are
+ *   not HttpErrors; defaults to an InternalError with a generic detail
+ * @returns {Object} - Problem details with type, title, status, detail, instance and requestId
+ */
+const toProblem = (error, ctx, { fallback = () => new InternalError() } = {}) => {
+    const problem = error instanceof HttpError ? error : fallback(error);
+    const isServerError = problem.statusCode >= 500;
+
+    return {
+        type: problem.type,
+        title: problem.title,
+        status: problem.statusCode,
+        detail: problem.message,
+        instance: ctx.request?.path,
+        requestId: ctx.requestId,
+        ...problem.extensions,
+        ...(isServerError && stacksEnabled() && { stack: (error.cause || error).stack }),
+    };
+};
+
+/**
+ * Build a proxy response carrying problem details. The body is left as an
+ * object so content negotiation can render it; stages that short-circuit
+ * before negotiation should JSON-encode it themselves.
+ * @param {Error} error - Thrown error
+ * @param {Object} ctx - Middleware invocation context
+ * @param {Object} options - Options for toProblem
+ * @returns {Object} - Proxy response with the application/problem+json content type
+ */
+const problemResponse = (error, ctx, options) => {
+    const body = toProblem(error, ctx, options);
+    return {
+        statusCode: body.status,
+        headers: {
+            'Content-Type': PROBLEM_JSON,
+            ...(error instanceof HttpError && error.headers),
+        },
+        body,
+    };
+};
+
+/**
+ * Content type for a problem rendered in a negotiated media type. JSON and
+ * XML have problem-specific types; other formats keep their own.
+ * @param {string} contentType - Content type of the negotiated serializer
+ * @returns {string} - Content type for the problem response
+ */
+const problemContentType = (contentType) => {
+    const mediaType = contentType.split(';')[0].trim();
+    if (mediaType === 'application/json') {
+        return PROBLEM_JSON;
+    }
+    if (mediaType === 'application/xml') {
+        return PROBLEM_XML;
+    }
+    return contentType;
+};
+
+/**
+ * @param {Object} response - Proxy response
+ * @returns {boolean} - Whether the response carries problem details
+ */
+const isProblemResponse = (response) => response?.headers?.['Content-Type'] === PROBLEM_JSON;
+
+module.exports = {
+    PROBLEM_JSON,
+    PROBLEM_XML,
+    toProblem,
+    problemResponse,
+    problemContentType,
+    isProblemResponse,
+};
@@ -0,0 +1,111 @@
+/**
+ * DynamoDB Counter Store
+ * Rate limit state shared by every Lambda container, using atomic counters
+ * and conditional writes. Items expire through the table's TTL attribute.
+ *
+ * Table layout: partition key `pk` (S), TTL attribute `expiresAt` (N).
+ * Set DYNAMODB_ENDPOINT (e.g. http://localhost:8000) to use DynamoDB Local.
+ */
+
+/**
+ * Create a DynamoDB-backed counter store
+ * @param {Object} options
+ * @param {string} options.tableName - Table name
+ * @param {Object} options.client - DynamoDBClient; created lazily when omitted
+ * @returns {Object} - Store implementing increment, get and put
+ */
+const createDynamoDbStore = ({ tableName, client }) => {
+    const sdk = require('@aws-sdk/client-dynamodb');
+    const dynamoDb =
+        client ||
+        new sdk.DynamoDBClient({
+            ...(process.env.DYNAMODB_ENDPOINT && { endpoint: process.env.DYNAMODB_ENDPOINT }),
+        });
+
+    return {
+        /**
+         * Atomically add one to a counter
+         * @param {string} key - Counter key
+         * @param {Object} options
+         * @param {number} options.expiresAt - Expiry in epoch seconds, set on creation
+         * @returns {Promise<number>} - Count after the increment
+         */
+        async increment(key, { expiresAt }) {
+            const { Attributes } = await dynamoDb.send(
+                new sdk.UpdateItemCommand({
+                    TableName: tableName,
+                    Key: { pk: { S: key } },
+                    UpdateExpression:
+                        'ADD #count :one SET expiresAt = if_not_exists(expiresAt, :expiresAt)',
+                    ExpressionAttributeNames: { '#count': 'count' },
+                    ExpressionAttributeValues: {
+                        ':one': { N: '1' },
+                        ':expiresAt': { N: String(expiresAt) },
+                    },
+                    ReturnValues: 'UPDATED_NEW',
+                })
+            );
+            return Number(Attributes.count.N);
+        },
+
+        /**
+         * @param {string} key - State key
+         * @returns {Promise<{value: Object, version: number}|undefined>}
+         */
+        async get(key) {
+            const { Item } = await dynamoDb.send(
+                new sdk.GetItemCommand({
+                    TableName: tableName,
+                    Key: { pk: { S: key } },
+                    ConsistentRead: true,
+                })
+            );
+            if (!Item?.state) {
+                return undefined;
+            }
+            return { value: JSON.parse(Item.state.S), version: Number(Item.version.N) };
+        },
+
+        /**
+         * Write state if it has not changed since it was read
+         * @param {string} key - State key
+         * @param {Object} value - New state
+         * @param {Object} options
+         * @param {number} options.expectedVersion - Version from get(); undefined when absent
+         * @param {number} options.expiresAt - Expiry in epoch seconds
+         * @returns {Promise<boolean>} - False when another writer got there first
+         */
+        async put(key, value, { expectedVersion, expiresAt }) {
+            const isNew = expectedVersion === undefined;
+            try {
+                await dynamoDb.send(
+                    new sdk.PutItemCommand({
+                        TableName: tableName,
+                        Item: {
+                            pk: { S: key },
+                            state: { S: JSON.stringify(value) },
+                            version: { N: String((expectedVersion || 0) + 1) },
+                            expiresAt: { N: String(expiresAt) },
+                        },
+                        ConditionExpression: isNew
+                            ? 'attribute_not_exists(pk)'
+                            : 'version = :version',
+                        ...(!isNew && {
+                            ExpressionAttributeValues: {
+                                ':version': { N: String(expectedVersion) },
+                            },
+                        }),
+                    })
+                );
+                return true;
+            } catch (error) {
+                if (error.name === 'ConditionalCheckFailedException') {
+                    return false;
+                }
+                throw error;
+            }
+        },
+    };
+};
+
+module.exports = { createDynamoDbStore };
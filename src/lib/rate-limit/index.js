@@ -0,0 +1,225 @@
+/**
+ * Rate Limiting
+ * Per-client fixed-window and token-bucket limits with a pluggable counter
+ * store. Limits are configured per route and client tier in
+ * src/config/rate-limits.json.
+ *
+ * Environment variables:
+ *   RATE_LIMIT_TABLE - DynamoDB table for shared counters; when unset counts
+ *                      are kept in memory per Lambda container
+ */
+
+const { logger } = require('../logger');
+const { TooManyRequestsError } = require('../errors');
+const { createMemoryStore } = require('./memory-store');
+const { createDynamoDbStore } = require('./dynamodb-store');
+const defaultLimits = require('../../config/rate-limits.json');
+
+// Attempts at a token-bucket compare-and-set before giving up
+const MAX_CAS_ATTEMPTS = 5;
+
+/**
+ * Count a request against a fixed window
+ * @param {Object} store - Counter store
+ * @param {string} key - Client key
+ * @param {{limit: number, windowSeconds: number}} policy - Window policy
+ * @param {number} nowMs - Current time in milliseconds
+ * @returns {Promise<Object>} - Decision with allowed, limit, remaining, resetSeconds and retryAfter
+ */
+async function fixedWindow(store, key, { limit, windowSeconds }, nowMs) {
+    const windowMs = windowSeconds * 1000;
+    const windowStart = Math.floor(nowMs / windowMs) * windowMs;
+    const resetAt = windowStart + windowMs;
+
+    const count = await store.increment(`${key}#${windowStart / 1000}`, {
+        expiresAt: resetAt / 1000,
+    });
+    const resetSeconds = Math.ceil((resetAt - nowMs) / 1000);
+
+    return {
+        allowed: count <= limit,
+        limit,
+        remaining: Math.max(0, limit - count),
+        resetSeconds,
+        retryAfter: resetSeconds,
+    };
+}
+
+/**
+ * Take a token from a bucket that refills continuously
+ * @param {Object} store - Counter store
+ * @param {string} key - Client key
+ * @param {{capacity: number, refillPerSecond: number}} policy - Bucket policy
+ * @param {number} nowMs - Current time in milliseconds
+ * @returns {Promise<Object>} - Decision with allowed, limit, remaining, resetSeconds and retryAfter
+ * @throws {Error} - When concurrent writers keep winning the compare-and-set
+ */
+async function tokenBucket(store, key, { capacity, refillPerSecond }, nowMs) {
+    for (let attempt = 0; attempt < MAX_CAS_ATTEMPTS; attempt++) {
+        const current = await store.get(key);
+        const state = current?.value || { tokens: capacity, updatedAt: nowMs };
+
+        const elapsedSeconds = Math.max(0, nowMs - state.updatedAt) / 1000;
+        const available = Math.min(capacity, state.tokens + elapsedSeconds * refillPerSecond);
+        const allowed = available >= 1;
+        const tokens = allowed ? available - 1 : available;
+        const decision = {
+            allowed,
+            limit: capacity,
+            remaining: Math.floor(tokens),
+            resetSeconds: Math.ceil((capacity - tokens) / refillPerSecond),
+            retryAfter: Math.ceil((1 - tokens) / refillPerSecond),
+        };
+
+        if (!allowed) {
+            return decision;
+        }
+
+        // Once the bucket would be full again the item carries no information,
+        // so let it expire
+        const written = await store.put(
+            key,
+            { tokens, updatedAt: nowMs },
+            {
+                expectedVersion: current?.version,
+                expiresAt: Math.ceil(nowMs / 1000) + decision.resetSeconds,
+            }
+        );
+        if (written) {
+            return decision;
+        }
+    }
+    throw new Error(`Token bucket update for '${key}' kept conflicting`);
+}
+
+const ALGORITHMS = {
+    'fixed-window': fixedWindow,
+    'token-bucket': tokenBucket,
+};
+
+/**
+ * Describe a policy for the RateLimit-Policy header
+ * @param {Object} policy - Configured policy
+ * @returns {string} - Quota and window, e.g. `100;w=60`
+ */
+function describePolicy(policy) {
+    if (policy.algorithm === 'token-bucket') {
+        return `${policy.capacity};w=${Math.ceil(policy.capacity / policy.refillPerSecond)}`;
+    }
+    return `${policy.limit};w=${policy.windowSeconds}`;
+}
+
+/**
+ * Identify the client a request counts against: the JWT subject, or the
+ * source IP for callers without one. The X-Api-Key header is ignored: the
+ * API has no usage plan, so nothing validates it, and a fresh value per
+ * request would otherwise get a fresh counter.
+ * @param {Object} ctx - Middleware invocation context
+ * @returns {{key: string, tier: string}} - Counter key and client tier
+ */
+const resolveClient = (ctx) => {
+    if (ctx.principal?.subject) {
+        return { key: `sub:${ctx.principal.subject}`, tier: ctx.principal.tier || 'standard' };
+    }
+    return { key: `ip:${ctx.request?.sourceIp || 'unknown'}`, tier: 'anonymous' };
+};
+
+/**
+ * Find the policy for a route and tier, falling back to the default tiers
+ * and then to the standard tier
+ * @param {Object} limits - Rate limit configuration
+ * @param {string} route - Route name, e.g. 'GET /hello'
+ * @param {string} tier - Client tier
+ * @returns {Object} - Policy
+ */
+const resolvePolicy = (limits, route, tier) => {
+    const tiers = limits.routes?.[route] || limits.defaults;
+    return tiers[tier] || tiers.standard;
+};
+
+/**
+ * Count a request against a policy
+ * @param {Object} store - Counter store
+ * @param {string} key - Counter key
+ * @param {Object} policy - Policy with an `algorithm` of fixed-window or token-bucket
+ * @param {number} nowMs - Current time in milliseconds
+ * @returns {Promise<Object>} - Decision
+ */
+const consume = (store, key, policy, nowMs) => {
+    const algorithm = ALGORITHMS[policy.algorithm];
+    if (!algorithm) {
+        throw new Error(`Unknown rate limit algorithm '${policy.algorithm}'`);
+    }
+    return algorithm(store, key, policy, nowMs);
+};
+
+/**
+ * @returns {Object} - DynamoDB store when RATE_LIMIT_TABLE is set, else in-memory
+ */
+function createDefaultStore() {
+    return process.env.RATE_LIMIT_TABLE
+        ? createDynamoDbStore({ tableName: process.env.RATE_LIMIT_TABLE })
+        : createMemoryStore();
+}
+
+/**
+ * Reject clients that exceed their limit with a 429 and report the quota in
+ * RateLimit-* headers. Store failures are logged and the request is let
+ * through, so an outage of the counter table does not take the API down.
+ * @param {Object} options
+ * @param {string} options.route - Route name used to look up limits
+ * @param {Object} options.limits - Rate limit configuration
+ * @param {Object} options.store - Counter store; created from the environment when omitted
+ * @returns {Function} - Middleware stage
+ */
+const rateLimit = ({ route, limits = defaultLimits, store } = {}) => {
+    // Kept across warm invocations so in-memory counts survive between requests
+    let counterStore = store;
+
+    return async (ctx, next) => {
+        const { key, tier } = resolveClient(ctx);
+        const policy = resolvePolicy(limits, route, tier);
+
+        let decision;
+        try {
+            counterStore = counterStore || createDefaultStore();
+            decision = await consume(counterStore, `${route}|${key}`, policy, Date.now());
+        } catch (error) {
+            (ctx.logger || logger).warn('Rate limit check failed', {
+                route,
+                error: error.message,
+            });
+            await next();
+            return;
+        }
+
+        const headers = {
+            'RateLimit-Limit': String(decision.limit),
+            'RateLimit-Remaining': String(decision.remaining),
+            'RateLimit-Reset': String(decision.resetSeconds),
+            'RateLimit-Policy': describePolicy(policy),
+        };
+
+        if (!decision.allowed) {
+            throw new TooManyRequestsError(
+                `Rate limit exceeded, retry in ${decision.retryAfter} seconds`,
+                { ...headers, 'Retry-After': String(decision.retryAfter) }
+            );
+        }
+
+        await next();
+
+        ctx.response.headers = { ...headers, ...ctx.response.headers };
+    };
+};
+
+module.exports = {
+    fixedWindow,
+    tokenBucket,
+    resolveClient,
+    resolvePolicy,
+    consume,
+    rateLimit,
+    createMemoryStore,
+    createDynamoDbStore,
+};
@@ -0,0 +1,98 @@
+/**
+ * In-Memory Counter Store
+ * Rate limit state kept in the Lambda container. Counts are per container,
+ * so use it for tests and local development; deployed stacks should use the
+ * DynamoDB store.
+ */
+
+// Expired items are swept on writes at most this often, so a warm container
+// does not keep a counter for every client it has ever seen
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Create an in-memory counter store
+ * @param {Object} options
+ * @param {Function} options.now - Clock in milliseconds, for tests
+ * @returns {Object} - Store implementing increment, get and put, plus size for inspection
+ */
+const createMemoryStore = ({ now = Date.now } = {}) => {
+    const items = new Map();
+    let nextSweepAt = 0;
+
+    const sweep = () => {
+        const nowMs = now();
+        if (nowMs < nextSweepAt) {
+            return;
+        }
+        nextSweepAt = nowMs + SWEEP_INTERVAL_MS;
+        for (const [key, item] of items) {
+            if (item.expiresAt * 1000 <= nowMs) {
+                items.delete(key);
+            }
+        }
+    };
+
+    const read = (key) => {
+        const item = items.get(key);
+        if (item && item.expiresAt * 1000 <= now()) {
+            items.delete(key);
+            return undefined;
+        }
+        return item;
+    };
+
+    return {
+        /**
+         * Atomically add one to a counter
+         * @param {string} key - Counter key
+         * @param {Object} options
+         * @param {number} options.expiresAt - Expiry in epoch seconds, set on creation
+         * @returns {Promise<number>} - Count after the increment
+         */
+        async increment(key, { expiresAt }) {
+            sweep();
+            const item = read(key) || { value: 0, version: 0, expiresAt };
+            item.value += 1;
+            item.version += 1;
+            items.set(key, item);
+            return item.value;
+        },
+
+        /**
+         * @param {string} key - State key
+         * @returns {Promise<{value: Object, version: number}|undefined>}
+         */
+        async get(key) {
+            const item = read(key);
+            return item && { value: item.value, version: item.version };
+        },
+
+        /**
+         * Write state if it has not changed since it was read
+         * @param {string} key - State key
+         * @param {Object} value - New state
+         * @param {Object} options
+         * @param {number} options.expectedVersion - Version from get(); undefined when absent
+         * @param {number} options.expiresAt - Expiry in epoch seconds
+         * @returns {Promise<boolean>} - False when another writer got there first
+         */
+        async put(key, value, { expectedVersion, expiresAt }) {
+            sweep();
+            const current = read(key);
+            if (current?.version !== expectedVersion) {
+                return false;
+            }
+            items.set(key, { value, version: (expectedVersion || 0) + 1, expiresAt });
+            return true;
+        },
+
+        /**
+         * @returns {number} - Items held, including expired ones not yet swept
+         */
+        size() {
+            return items.size;
+        },
+    };
+};
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,30 @@
+/**
+ * Request Helpers
+ * Read headers and query parameters from normalized requests (see events.js)
+ */
+
+/**
+ * Look up a header case-insensitively
+ * @param {Object} request - Request from normalizeRequest
+ * @param {string} name - Header name
+ * @returns {string|undefined} - Header value
+ */
+const getHeader = (request, name) => {
+    const headers = request?.headers || {};
+    const wanted = name.toLowerCase();
+    const key = Object.keys(headers).find((header) => header.toLowerCase() === wanted);
+    return key === undefined ? undefined : headers[key];
+};
+
+/**
+ * Read a single query string parameter
+ * @param {Object} request - Request from normalizeRequest
+ * @param {string} name - Parameter name
+ * @returns {string|undefined} - Parameter value
+ */
+const getQueryParam = (request, name) => {
+    const value = request?.query?.[name];
+    return value === null ? undefined : value;
+};
+
+module.exports = { getHeader, getQueryParam };
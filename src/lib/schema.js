@@ -0,0 +1,173 @@
+/**
+ * Schema Validation
+ * Validates values against the subset of OpenAPI 3.0 schema objects used in
+ * template.yaml: $ref, allOf, type, nullable, enum, string, number, array and
+ * object constraints, and the date-time format. Every violation is reported,
+ * not just the first.
+ */
+
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i;
+
+/**
+ * Look up a local reference such as `#/components/schemas/Greeting`
+ * @param {Object} root - Document the reference points into
+ * @param {string} ref - JSON pointer reference
+ * @returns {Object} - Referenced schema
+ * @throws {Error} - When the reference cannot be resolved
+ */
+const resolveRef = (root, ref) => {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Only local references are supported: ${ref}`);
+    }
+    const target = ref
+        .slice(2)
+        .split('/')
+        .reduce((node, segment) => node?.[segment.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+    if (target === undefined) {
+        throw new Error(`Unresolvable reference: ${ref}`);
+    }
+    return target;
+};
+
+/**
+ * @param {*} value - Any value
+ * @returns {string} - JSON type name, with 'integer' for whole numbers
+ */
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (Number.isInteger(value)) {
+        return 'integer';
+    }
+    return typeof value;
+}
+
+/**
+ * @param {string} expected - Schema type
+ * @param {string} actual - Value type from typeOf
+ * @returns {boolean} - Whether the value satisfies the type
+ */
+function matchesType(expected, actual) {
+    return expected === actual || (expected === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - Schema object
+ * @param {*} value - Value to validate
+ * @param {Object} options
+ * @param {Object} options.root - Document used to resolve $ref
+ * @param {string[]} options.path - Location of the value, used in error paths
+ * @returns {{path: string[], message: string}[]} - Violations, empty when valid
+ */
+const validateSchema = (schema, value, { root = {}, path = [] } = {}) => {
+    if (schema.$ref) {
+        return validateSchema(resolveRef(root, schema.$ref), value, { root, path });
+    }
+
+    const errors = [];
+    const fail = (message, at = path) => errors.push({ path: at, message });
+
+    for (const part of schema.allOf || []) {
+        errors.push(...validateSchema(part, value, { root, path }));
+    }
+
+    if (value === null && schema.nullable) {
+        return errors;
+    }
+
+    const actual = typeOf(value);
+    if (schema.type && !matchesType(schema.type, actual)) {
+        fail(`must be of type ${schema.type}`);
+        return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (actual === 'string') {
+        // Lengths count code points so astral characters count once
+        const length = [...value].length;
+        if (schema.minLength !== undefined && length < schema.minLength) {
+            fail(`must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && length > schema.maxLength) {
+            fail(`must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+            fail(`must match pattern ${schema.pattern}`);
+        }
+        if (
+            schema.format === 'date-time' &&
+            !(DATE_TIME_PATTERN.test(value) && !Number.isNaN(Date.parse(value)))
+        ) {
+            fail('must be a date-time');
+        }
+    }
+
+    if (actual === 'integer' || actual === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail(`must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            fail(`must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (actual === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(`must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail(`must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(
+                    ...validateSchema(schema.items, item, {
+                        root,
+                        path: [...path, String(index)],
+                    })
+                );
+            });
+        }
+    }
+
+    if (actual === 'object') {
+        const properties = schema.properties || {};
+        for (const name of schema.required || []) {
+            if (!Object.hasOwn(value, name) || value[name] === undefined) {
+                fail('is required', [...path, name]);
+            }
+        }
+        for (const [name, item] of Object.entries(value)) {
+            if (item === undefined) {
+                continue;
+            }
+            const itemPath = [...path, name];
+            // Own properties only: `constructor` or `__proto__` must not
+            // resolve to Object.prototype members and pass as declared
+            if (Object.hasOwn(properties, name)) {
+                errors.push(...validateSchema(properties[name], item, { root, path: itemPath }));
+            } else if (schema.additionalProperties === false) {
+                fail('is not allowed', itemPath);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(
+                    ...validateSchema(schema.additionalProperties, item, {
+                        root,
+                        path: itemPath,
+                    })
+                );
+            }
+        }
+    }
+
+    return errors;
+};
+
+module.exports = { resolveRef, validateSchema };
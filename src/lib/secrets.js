@@ -0,0 +1,60 @@
+/**
+ * Secrets Manager Client
+ * Reads secret values from AWS Secrets Manager. Credentials that only one
+ * function may read live here rather than below the shared config path,
+ * which every function can read.
+ *
+ * Set SECRETS_MANAGER_ENDPOINT (e.g. http://localhost:4566) to use a local emulator.
+ */
+
+const DEFAULT_TIMEOUT_MS = 2000;
+
+/**
+ * Create a Secrets Manager client
+ * @param {Object} options
+ * @param {Object} options.client - SecretsManagerClient; created lazily when omitted
+ * @param {number} options.timeoutMs - How long a read may take
+ * @returns {Object} - Client implementing getSecretString
+ */
+const createSecretsClient = ({ client, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) => {
+    const sdk = require('@aws-sdk/client-secrets-manager');
+    const secretsManager =
+        client ||
+        new sdk.SecretsManagerClient({
+            ...(process.env.SECRETS_MANAGER_ENDPOINT && {
+                endpoint: process.env.SECRETS_MANAGER_ENDPOINT,
+            }),
+        });
+
+    return {
+        /**
+         * Read the current value of a string secret
+         * @param {string} secretId - Secret ARN or name
+         * @returns {Promise<string>} - Secret value
+         * @throws {Error} - When the secret cannot be read or has no string value
+         */
+        async getSecretString(secretId) {
+            const { SecretString } = await secretsManager.send(
+                new sdk.GetSecretValueCommand({ SecretId: secretId }),
+                { abortSignal: AbortSignal.timeout(timeoutMs) }
+            );
+            if (typeof SecretString !== 'string') {
+                throw new Error(`Secret ${secretId} has no string value`);
+            }
+            return SecretString;
+        },
+    };
+};
+
+// Shared across warm invocations so the SDK client is created once
+let sharedClient;
+
+/**
+ * @returns {Object} - Shared Secrets Manager client
+ */
+const getSecretsClient = () => {
+    sharedClient = sharedClient || createSecretsClient();
+    return sharedClient;
+};
+
+module.exports = { createSecretsClient, getSecretsClient };
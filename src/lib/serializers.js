@@ -0,0 +1,183 @@
+/**
+ * Response Serializers
+ * Render a response payload as JSON, plain text, XML or HTML. Any handler
+ * can reuse these through the content negotiation stage.
+ */
+
+/**
+ * Escape text for use inside XML/HTML element content or attributes
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped text
+ */
+const escapeMarkup = (value) =>
+    String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+
+/**
+ * Render a scalar the same way in every text-based format
+ * @param {*} value - Scalar value
+ * @returns {string} - Text form
+ */
+const scalarText = (value) => (value === null || value === undefined ? '' : String(value));
+
+const isObject = (value) => value !== null && typeof value === 'object';
+
+/**
+ * Flatten a payload into `key: value` lines with dotted paths for nesting
+ * @param {*} payload - Response payload
+ * @returns {string} - Plain text document
+ */
+function toText(payload) {
+    if (!isObject(payload)) {
+        return `${scalarText(payload)}\n`;
+    }
+
+    const lines = [];
+    const walk = (value, prefix) => {
+        if (isObject(value)) {
+            for (const [key, child] of Object.entries(value)) {
+                walk(child, prefix ? `${prefix}.${key}` : key);
+            }
+            return;
+        }
+        lines.push(`${prefix}: ${scalarText(value)}`);
+    };
+    walk(payload, '');
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Turn an object key into a valid XML element name
+ * @param {string} key - Object key
+ * @returns {string} - Element name
+ */
+function xmlName(key) {
+    const name = String(key).replace(/[^A-Za-z0-9_.-]/g, '_');
+    return /^[A-Za-z_]/.test(name) ? name : `_${name}`;
+}
+
+/**
+ * Render a payload as an XML document. Arrays become repeated <item>
+ * elements.
+ * @param {*} payload - Response payload
+ * @param {Object} options
+ * @param {string} options.root - Root element name
+ * @returns {string} - XML document
+ */
+function toXml(payload, { root = 'response' } = {}) {
+    const element = (name, value) => {
+        if (Array.isArray(value)) {
+            return `<${name}>${value.map((item) => element('item', item)).join('')}</${name}>`;
+        }
+        if (isObject(value)) {
+            const children = Object.entries(value)
+                .map(([key, child]) => element(xmlName(key), child))
+                .join('');
+            return `<${name}>${children}</${name}>`;
+        }
+        return `<${name}>${escapeMarkup(scalarText(value))}</${name}>`;
+    };
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${element(xmlName(root), payload)}\n`;
+}
+
+/**
+ * Render a payload as a minimal, self-contained HTML page using nested
+ * definition lists
+ * @param {*} payload - Response payload
+ * @param {Object} options
+ * @param {string} options.title - Page title
+ * @returns {string} - HTML document
+ */
+function toHtml(payload, { title = 'Response' } = {}) {
+    const render = (value) => {
+        if (Array.isArray(value)) {
+            return `<ol>${value.map((item) => `<li>${render(item)}</li>`).join('')}</ol>`;
+        }
+        if (isObject(value)) {
+            const entries = Object.entries(value)
+                .map(([key, child]) => `<dt>${escapeMarkup(key)}</dt><dd>${render(child)}</dd>`)
+                .join('');
+            return `<dl>${entries}</dl>`;
+        }
+        return escapeMarkup(scalarText(value));
+    };
+
+    return [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        `<head><meta charset="utf-8"><title>${escapeMarkup(title)}</title></head>`,
+        `<body><h1>${escapeMarkup(title)}</h1>${render(payload)}</body>`,
+        '</html>',
+        '',
+    ].join('\n');
+}
+
+/**
+ * Serializers keyed by media type, in server preference order. Each entry
+ * provides the Content-Type header value and a render function.
+ */
+const serializers = new Map([
+    [
+        'application/json',
+        {
+            contentType: 'application/json',
+            serialize: (payload) => JSON.stringify(payload),
+        },
+    ],
+    [
+        'text/plain',
+        {
+            contentType: 'text/plain; charset=utf-8',
+            serialize: toText,
+        },
+    ],
+    [
+        'application/xml',
+        {
+            contentType: 'application/xml; charset=utf-8',
+            serialize: toXml,
+        },
+    ],
+    [
+        'text/html',
+        {
+            contentType: 'text/html; charset=utf-8',
+            serialize: toHtml,
+        },
+    ],
+]);
+
+/**
+ * Register or replace the serializer for a media type
+ * @param {string} mediaType - e.g. 'text/csv'
+ * @param {Object} serializer - { contentType, serialize(payload, options) }
+ */
+const registerSerializer = (mediaType, serializer) => {
+    serializers.set(mediaType.toLowerCase(), serializer);
+};
+
+/**
+ * @param {string} mediaType - Media type without parameters
+ * @returns {Object|undefined} - Registered serializer
+ */
+const getSerializer = (mediaType) => serializers.get(mediaType.toLowerCase());
+
+/**
+ * @returns {string[]} - Registered media types in preference order
+ */
+const supportedMediaTypes = () => [...serializers.keys()];
+
+module.exports = {
+    escapeMarkup,
+    toText,
+    toXml,
+    toHtml,
+    registerSerializer,
+    getSerializer,
+    supportedMediaTypes,
+};
@@ -0,0 +1,280 @@
+/**
+ * Trace Context
+ * Continues the caller's trace from W3C `traceparent`/`tracestate` or AWS
+ * X-Ray `X-Amzn-Trace-Id` headers, gives each invocation its own span ID and
+ * records timed spans as structured log records. Nothing is sent to an X-Ray
+ * daemon, so tracing works the same offline and in tests.
+ *
+ * Trace IDs are kept in the 32 hex digit W3C form. New IDs start with the
+ * epoch seconds, as X-Ray requires, so they convert both ways.
+ */
+
+const { randomBytes } = require('crypto');
+const { logger } = require('./logger');
+const { getHeader } = require('./request');
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const XRAY_ROOT_PATTERN = /^1-([0-9a-f]{8})-([0-9a-f]{24})$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+const MAX_TRACESTATE_LENGTH = 512;
+
+/**
+ * @returns {string} - New 16 hex digit span ID
+ */
+const createSpanId = () => randomBytes(8).toString('hex');
+
+/**
+ * @param {Date} date - Start time of the trace
+ * @returns {string} - New 32 hex digit trace ID that X-Ray also accepts
+ */
+const createTraceId = (date = new Date()) =>
+    Math.floor(date.getTime() / 1000)
+        .toString(16)
+        .padStart(8, '0') + randomBytes(12).toString('hex');
+
+/**
+ * Parse a W3C traceparent header
+ * @param {string} value - e.g. 00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01
+ * @returns {{traceId: string, parentId: string, sampled: boolean}|undefined} - Undefined
+ *   when the header is absent or invalid
+ */
+const parseTraceparent = (value) => {
+    const match = TRACEPARENT_PATTERN.exec(
+        String(value || '')
+            .trim()
+            .toLowerCase()
+    );
+    if (!match) {
+        return undefined;
+    }
+    const [, version, traceId, parentId, flags] = match;
+    if (version === 'ff' || traceId === INVALID_TRACE_ID || parentId === INVALID_SPAN_ID) {
+        return undefined;
+    }
+    return { traceId, parentId, sampled: (parseInt(flags, 16) & 1) === 1 };
+};
+
+/**
+ * Parse an X-Ray trace header
+ * @param {string} value - e.g.
+ *   Root=1-5759e988-bd862e3fe1be46a994272793;Parent=53995c3f42cd8ad8;Sampled=1
+ * @returns {{traceId: string, parentId: string|undefined, sampled: boolean}|undefined} -
+ *   Undefined when the header is absent or has no valid Root
+ */
+const parseXRayHeader = (value) => {
+    const fields = Object.fromEntries(
+        String(value || '')
+            .split(';')
+            .map((field) => {
+                const separator = field.indexOf('=');
+                return [field.slice(0, separator).trim(), field.slice(separator + 1).trim()];
+            })
+    );
+    const root = XRAY_ROOT_PATTERN.exec((fields.Root || '').toLowerCase());
+    if (!root) {
+        return undefined;
+    }
+    const parentId = /^[0-9a-f]{16}$/.test(fields.Parent || '') ? fields.Parent : undefined;
+    return { traceId: root[1] + root[2], parentId, sampled: fields.Sampled === '1' };
+};
+
+/**
+ * Read the trace context of a request. traceparent wins over X-Amzn-Trace-Id,
+ * which wins over the trace header Lambda sets for the invocation; without
+ * any of them a new trace is started.
+ * @param {Object} request - Request from normalizeRequest
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Trace context with traceId, parentId, spanId (this invocation's
+ *   span), sampled and traceState
+ */
+const extractTraceContext = (request, env = process.env) => {
+    const traceparent = parseTraceparent(getHeader(request, 'traceparent'));
+    const incoming =
+        traceparent ||
+        parseXRayHeader(getHeader(request, 'X-Amzn-Trace-Id')) ||
+        parseXRayHeader(env._X_AMZN_TRACE_ID);
+    const traceState = getHeader(request, 'tracestate');
+
+    return {
+        traceId: incoming?.traceId || createTraceId(),
+        parentId: incoming?.parentId,
+        spanId: createSpanId(),
+        sampled: incoming ? incoming.sampled : true,
+        // tracestate is only meaningful alongside the traceparent it came with
+        traceState:
+            traceparent && traceState && traceState.length <= MAX_TRACESTATE_LENGTH
+                ? traceState.trim()
+                : undefined,
+    };
+};
+
+/**
+ * Headers that continue a trace in a downstream call
+ * @param {Object} trace - Trace context
+ * @param {string} spanId - Span making the call
+ * @returns {Object} - traceparent, tracestate and X-Amzn-Trace-Id headers
+ */
+const traceHeaders = (trace, spanId = trace.spanId) => ({
+    traceparent: `00-${trace.traceId}-${spanId}-${trace.sampled ? '01' : '00'}`,
+    ...(trace.traceState && { tracestate: trace.traceState }),
+    'X-Amzn-Trace-Id':
+        `Root=1-${trace.traceId.slice(0, 8)}-${trace.traceId.slice(8)};` +
+        `Parent=${spanId};Sampled=${trace.sampled ? 1 : 0}`,
+});
+
+/**
+ * Create a tracer that records spans as child spans of an invocation
+ * @param {Object} options
+ * @param {Object} options.trace - Trace context from extractTraceContext
+ * @param {Object} options.logger - Logger the span records are written to
+ * @param {Function} options.now - Monotonic clock in milliseconds, for tests
+ * @returns {Object} - Tracer with startSpan and trace
+ */
+const createTracer = ({ trace, logger: spanLogger = logger, now = () => performance.now() }) => {
+    const tracer = {
+        /**
+         * Start timing a unit of work. Call end() once it finishes.
+         * @param {string} name - Span name, e.g. 'probe memory'
+         * @param {Object} attributes - Fields describing the work
+         * @param {Object} options
+         * @param {string} options.parentSpanId - Parent span; the invocation span by default
+         * @param {string} options.spanId - ID of the span; a new one by default
+         * @returns {Object} - Span with spanId, setAttributes, setError, headers and end
+         */
+        startSpan(
+            name,
+            attributes = {},
+            { parentSpanId = trace.spanId, spanId = createSpanId() } = {}
+        ) {
+            const startTime = now();
+            const startedAt = new Date().toISOString();
+            const fields = { ...attributes };
+            let error;
+            let ended = false;
+
+            return {
+                spanId,
+
+                /**
+                 * @param {Object} values - Fields merged into the span's attributes
+                 */
+                setAttributes(values) {
+                    Object.assign(fields, values);
+                },
+
+                /**
+                 * Mark the span as failed
+                 * @param {Error|string} cause - Error or message
+                 */
+                setError(cause) {
+                    error = cause instanceof Error ? cause.message : String(cause);
+                },
+
+                /**
+                 * @returns {Object} - Headers that make a downstream call a child of this span
+                 */
+                headers() {
+                    return traceHeaders(trace, spanId);
+                },
+
+                /**
+                 * Write the span as a log record. Later calls do nothing.
+                 */
+                end() {
+                    if (ended) {
+                        return;
+                    }
+                    ended = true;
+                    spanLogger.info('Span ended', {
+                        span: {
+                            name,
+                            traceId: trace.traceId,
+                            spanId,
+                            parentSpanId,
+                            startTime: startedAt,
+                            durationMs: Math.round((now() - startTime) * 1000) / 1000,
+                            status: error === undefined ? 'ok' : 'error',
+                            ...(error !== undefined && { error }),
+                            attributes: fields,
+                        },
+                    });
+                },
+            };
+        },
+
+        /**
+         * Run work inside a span. A thrown error marks the span as failed and
+         * is rethrown.
+         * @param {string} name - Span name
+         * @param {Function} work - async (span) => result
+         * @param {Object} attributes - Fields describing the work
+         * @returns {Promise<*>} - Result of the work
+         */
+        async trace(name, work, attributes = {}) {
+            const span = tracer.startSpan(name, attributes);
+            try {
+                return await work(span);
+            } catch (error) {
+                span.setError(error);
+                throw error;
+            } finally {
+                span.end();
+            }
+        },
+    };
+
+    return tracer;
+};
+
+/**
+ * Continue the caller's trace for the request. Exposes the trace context as
+ * `ctx.trace` and a tracer as `ctx.tracer`, adds the trace and span IDs to
+ * `ctx.logger` records and returns the trace ID in the X-Trace-Id header.
+ * The whole request is recorded as a span named after the route. Place it
+ * after the requestId stage so span records carry the request ID.
+ * @param {Object} options
+ * @param {string} options.route - Name of the request span, e.g. 'GET /hello'
+ * @returns {Function} - Middleware stage
+ */
+const tracing =
+    ({ route }) =>
+    async (ctx, next) => {
+        ctx.trace = extractTraceContext(ctx.request);
+        ctx.logger = (ctx.logger || logger).child({
+            traceId: ctx.trace.traceId,
+            spanId: ctx.trace.spanId,
+        });
+        ctx.tracer = createTracer({ trace: ctx.trace, logger: ctx.logger });
+
+        // The request span is the parent of every other span of the invocation
+        const span = ctx.tracer.startSpan(
+            route,
+            {},
+            {
+                spanId: ctx.trace.spanId,
+                parentSpanId: ctx.trace.parentId,
+            }
+        );
+        try {
+            await next();
+            ctx.response.headers['X-Trace-Id'] = ctx.trace.traceId;
+            span.setAttributes({ statusCode: ctx.response.statusCode });
+        } catch (error) {
+            span.setError(error);
+            throw error;
+        } finally {
+            span.end();
+        }
+    };
+
+module.exports = {
+    createSpanId,
+    createTraceId,
+    parseTraceparent,
+    parseXRayHeader,
+    extractTraceContext,
+    traceHeaders,
+    createTracer,
+    tracing,
+};
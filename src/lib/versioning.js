@@ -0,0 +1,154 @@
+/**
+ * API Versioning
+ * Registry of API versions (src/config/api-versions.json) and a stage that
+ * picks the version of each request. The path decides (/v2/hello); on
+ * unversioned paths the Accept-Version header, then a version parameter of
+ * the Accept media type (application/json; version=2), and otherwise the
+ * registry's default version apply.
+ *
+ * Deprecated versions are answered with Deprecation, Sunset and Link
+ * headers; retired versions with 410 Gone.
+ */
+
+const { appendVary } = require('./middleware');
+const { ValidationError, NotFoundError, GoneError } = require('./errors');
+const { getHeader } = require('./request');
+const defaultRegistry = require('../config/api-versions.json');
+
+const PATH_VERSION_PATTERN = /\/v(\d+)(?=\/|$)/;
+const VERSION_PATTERN = /^v?(\d+)$/;
+
+/**
+ * Read the version parameter of the first Accept media range that has one
+ * @param {string|undefined} header - Accept header value
+ * @returns {string|undefined} - Raw version parameter
+ */
+function acceptVersion(header) {
+    for (const range of (header || '').split(',')) {
+        const param = range
+            .split(';')
+            .slice(1)
+            .map((part) => part.trim().split('='))
+            .find(([name]) => name.trim().toLowerCase() === 'version');
+        if (param) {
+            return (param[1] || '').trim().replace(/^"|"$/g, '');
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Decide which version a request asks for
+ * @param {Object} request - Request from normalizeRequest
+ * @param {Object} registry - Version registry
+ * @returns {string} - Registered version, e.g. '2'
+ * @throws {NotFoundError} - When the path names an unknown version
+ * @throws {ValidationError} - When Accept-Version or Accept names an unknown version
+ */
+const resolveVersion = (request, registry = defaultRegistry) => {
+    const fromPath = PATH_VERSION_PATTERN.exec(request?.path || '');
+    if (fromPath) {
+        if (!registry.versions[fromPath[1]]) {
+            throw new NotFoundError(`API version ${fromPath[1]} does not exist`);
+        }
+        return fromPath[1];
+    }
+
+    const sources = [
+        ['Accept-Version', getHeader(request, 'Accept-Version')],
+        ['Accept', acceptVersion(getHeader(request, 'Accept'))],
+    ];
+    for (const [field, value] of sources) {
+        if (value === undefined) {
+            continue;
+        }
+        const version = VERSION_PATTERN.exec(value.trim())?.[1];
+        if (!version || !registry.versions[version]) {
+            const supported = Object.keys(registry.versions).join(', ');
+            const message = `Unsupported API version '${value}'; supported versions: ${supported}`;
+            throw new ValidationError(message, [{ field, in: 'header', message }]);
+        }
+        return version;
+    }
+
+    return registry.defaultVersion;
+};
+
+/**
+ * Headers announcing a version's deprecation and replacement
+ * @param {Object} entry - Registry entry of the version
+ * @param {string} path - Unversioned route path, e.g. '/hello'
+ * @returns {Object} - Deprecation (RFC 9745), Sunset (RFC 8594) and Link
+ *   headers; empty for current versions
+ */
+const deprecationHeaders = (entry, path) => {
+    if (entry.status === 'current') {
+        return {};
+    }
+
+    const headers = {};
+    if (entry.deprecatedAt) {
+        headers.Deprecation = `@${Math.floor(Date.parse(entry.deprecatedAt) / 1000)}`;
+    }
+    if (entry.sunsetAt) {
+        headers.Sunset = new Date(entry.sunsetAt).toUTCString();
+    }
+    const links = [
+        entry.successor && `</v${entry.successor}${path}>; rel="successor-version"`,
+        entry.link && `<${entry.link}>; rel="deprecation"`,
+    ].filter(Boolean);
+    if (links.length > 0) {
+        headers.Link = links.join(', ');
+    }
+    return headers;
+};
+
+/**
+ * Resolve the API version into `ctx.apiVersion` and report it in the
+ * Api-Version header. Place it after the errorHandler stage so unknown
+ * and retired versions are answered as problems.
+ * @param {Object} options
+ * @param {string} options.path - Unversioned route path, for successor links
+ * @param {Object} options.registry - Version registry
+ * @returns {Function} - Middleware stage
+ */
+const apiVersioning =
+    ({ path, registry = defaultRegistry }) =>
+    async (ctx, next) => {
+        const version = resolveVersion(ctx.request, registry);
+        const entry = registry.versions[version];
+        const headers = { 'Api-Version': version, ...deprecationHeaders(entry, path) };
+
+        if (entry.status === 'retired') {
+            const replacement = entry.successor ? `; use version ${entry.successor}` : '';
+            throw new GoneError(`API version ${version} has been retired${replacement}`, headers);
+        }
+
+        ctx.apiVersion = version;
+        await next();
+
+        ctx.response.headers = { ...headers, ...ctx.response.headers };
+        if (!PATH_VERSION_PATTERN.test(ctx.request?.path || '')) {
+            appendVary(ctx.response.headers, 'Accept-Version');
+        }
+    };
+
+/**
+ * Build a route that runs the implementation of the request's version
+ * @param {Object} implementations - Version => route logic
+ * @returns {Function} - Route for createHandler
+ */
+const versionedRoute = (implementations) => (ctx) => {
+    const implementation = implementations[ctx.apiVersion];
+    if (!implementation) {
+        throw new Error(`No implementation registered for API version ${ctx.apiVersion}`);
+    }
+    return implementation(ctx);
+};
+
+module.exports = {
+    resolveVersion,
+    deprecationHeaders,
+    apiVersioning,
+    versionedRoute,
+};
@@ -0,0 +1,100 @@
+/**
+ * WebSocket Management API
+ * Sends messages to, and closes, WebSocket API connections through the API
+ * Gateway Management API of the stage that accepted them
+ *
+ * Environment variables:
+ *   WEBSOCKET_ENDPOINT - Management API endpoint, e.g.
+ *                        https://abc123.execute-api.ap-southeast-2.amazonaws.com/dev;
+ *                        required outside WebSocket route invocations
+ */
+
+/**
+ * Management API endpoint of the stage that delivered a WebSocket event
+ * @param {Object} event - WebSocket API event; optional
+ * @returns {string|undefined} - WEBSOCKET_ENDPOINT, or the endpoint derived from the event
+ */
+const managementEndpoint = (event) => {
+    if (process.env.WEBSOCKET_ENDPOINT) {
+        return process.env.WEBSOCKET_ENDPOINT;
+    }
+    const { domainName, stage } = event?.requestContext || {};
+    return domainName && stage ? `https://${domainName}/${stage}` : undefined;
+};
+
+/**
+ * Create a management client for one stage
+ * @param {Object} options
+ * @param {string} options.endpoint - Management API endpoint
+ * @param {Object} options.client - ApiGatewayManagementApiClient; created lazily when omitted
+ * @returns {Object} - Client with post and disconnect
+ */
+const createManagementClient = ({ endpoint, client }) => {
+    const sdk = require('@aws-sdk/client-apigatewaymanagementapi');
+    const api = client || new sdk.ApiGatewayManagementApiClient({ endpoint });
+
+    /**
+     * Send a command to a connection
+     * @param {Object} command - PostToConnectionCommand or DeleteConnectionCommand
+     * @returns {Promise<boolean>} - False when the connection is gone (410)
+     */
+    const toConnection = async (command) => {
+        try {
+            await api.send(command);
+            return true;
+        } catch (error) {
+            if (error.name === 'GoneException') {
+                return false;
+            }
+            throw error;
+        }
+    };
+
+    return {
+        endpoint,
+
+        /**
+         * Send a message as a JSON text frame
+         * @param {string} connectionId - Connection ID
+         * @param {Object} message - Message
+         * @returns {Promise<boolean>} - False when the connection is gone
+         */
+        post(connectionId, message) {
+            return toConnection(
+                new sdk.PostToConnectionCommand({
+                    ConnectionId: connectionId,
+                    Data: Buffer.from(JSON.stringify(message)),
+                })
+            );
+        },
+
+        /**
+         * Close a connection
+         * @param {string} connectionId - Connection ID
+         * @returns {Promise<boolean>} - False when the connection was already gone
+         */
+        disconnect(connectionId) {
+            return toConnection(new sdk.DeleteConnectionCommand({ ConnectionId: connectionId }));
+        },
+    };
+};
+
+// One client per endpoint, kept across warm invocations
+const sharedClients = new Map();
+
+/**
+ * @param {string} endpoint - Management API endpoint
+ * @returns {Object} - Management client created on first use
+ * @throws {Error} - When there is no endpoint
+ */
+const getManagementClient = (endpoint) => {
+    if (!endpoint) {
+        throw new Error('WEBSOCKET_ENDPOINT is not set');
+    }
+    if (!sharedClients.has(endpoint)) {
+        sharedClients.set(endpoint, createManagementClient({ endpoint }));
+    }
+    return sharedClients.get(endpoint);
+};
+
+module.exports = { managementEndpoint, createManagementClient, getManagementClient };
@@ -0,0 +1,32 @@
+/**
+ * Fixture handlers for the local API emulator tests
+ */
+
+// Returns the event, the Lambda context and the environment it ran with, or
+// the request body as binary when ?format=binary
+exports.handler = async (event, context) => {
+    if (event.queryStringParameters?.format === 'binary') {
+        return {
+            statusCode: 200,
+            headers: { 'Content-Type': 'application/octet-stream' },
+            body: event.body,
+            isBase64Encoded: event.isBase64Encoded,
+        };
+    }
+    return {
+        statusCode: 200,
+        headers: { 'Content-Type': 'application/json' },
+        multiValueHeaders: { 'Set-Cookie': ['a=1', 'b=2'] },
+        body: JSON.stringify({
+            event,
+            context: { ...context, remainingMs: context.getRemainingTimeInMillis() },
+            env: { GREETING: process.env.GREETING, EXTRA: process.env.EXTRA },
+        }),
+    };
+};
+
+exports.fail = async () => {
+    throw new Error('Handler failed');
+};
+
+exports.slow = () => new Promise(() => {});
@@ -0,0 +1,99 @@
+/**
+ * Test key helper
+ * Generates signing keys, builds JWKS documents and signs JWTs so the
+ * authorizer can be tested without an identity provider.
+ *
+ * Run directly to regenerate the committed fixtures:
+ *   node tests/helpers/keys.js
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+const PUBLIC_JWKS_FILE = path.join(FIXTURES_DIR, 'jwks.json');
+const PRIVATE_JWKS_FILE = path.join(FIXTURES_DIR, 'jwks.private.json');
+
+/**
+ * Generate a signing key pair
+ * @param {string} alg - 'RS256' or 'ES256'
+ * @param {string} kid - Key ID
+ * @returns {{kid: string, alg: string, privateJwk: Object, publicJwk: Object}}
+ */
+const generateSigningKey = (alg, kid) => {
+    const { privateKey } =
+        alg === 'ES256'
+            ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+            : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+    return fromPrivateJwk({ ...privateKey.export({ format: 'jwk' }), kid, alg, use: 'sig' });
+};
+
+/**
+ * Rebuild a signing key from a private JWK
+ * @param {Object} privateJwk - Private JWK including kid and alg
+ * @returns {{kid: string, alg: string, privateJwk: Object, publicJwk: Object}}
+ */
+function fromPrivateJwk(privateJwk) {
+    const { kid, alg, use } = privateJwk;
+    const publicKey = crypto.createPublicKey({ key: privateJwk, format: 'jwk' });
+    return {
+        kid,
+        alg,
+        privateJwk,
+        publicJwk: { ...publicKey.export({ format: 'jwk' }), kid, alg, use },
+    };
+}
+
+/**
+ * @param {Object[]} keys - Signing keys
+ * @returns {Object} - Public JWKS document
+ */
+const toJwks = (keys) => ({ keys: keys.map((key) => key.publicJwk) });
+
+/**
+ * Sign a JWT
+ * @param {Object} claims - Payload claims
+ * @param {Object} key - Signing key from generateSigningKey
+ * @param {Object} header - Header fields overriding the defaults
+ * @returns {string} - Compact serialized JWT
+ */
+const signToken = (claims, key, header = {}) => {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const protectedHeader = { alg: key.alg, typ: 'JWT', kid: key.kid, ...header };
+    const signingInput = `${encode(protectedHeader)}.${encode(claims)}`;
+    const signature = crypto.sign('sha256', Buffer.from(signingInput), {
+        key: crypto.createPrivateKey({ key: key.privateJwk, format: 'jwk' }),
+        dsaEncoding: key.alg === 'ES256' ? 'ieee-p1363' : undefined,
+    });
+    return `${signingInput}.${signature.toString('base64url')}`;
+};
+
+/**
+ * Load the committed fixture keys
+ * @returns {{rsa: Object, ec: Object}} - Signing keys matching tests/fixtures/jwks.json
+ */
+const loadFixtureKeys = () => {
+    const { keys } = JSON.parse(fs.readFileSync(PRIVATE_JWKS_FILE, 'utf8'));
+    const [rsa, ec] = keys.map(fromPrivateJwk);
+    return { rsa, ec };
+};
+
+if (require.main === module) {
+    const keys = [generateSigningKey('RS256', 'test-rsa'), generateSigningKey('ES256', 'test-ec')];
+    fs.writeFileSync(PUBLIC_JWKS_FILE, `${JSON.stringify(toJwks(keys), null, 4)}\n`);
+    fs.writeFileSync(
+        PRIVATE_JWKS_FILE,
+        `${JSON.stringify({ keys: keys.map((key) => key.privateJwk) }, null, 4)}\n`
+    );
+    console.log(`Wrote ${PUBLIC_JWKS_FILE} and ${PRIVATE_JWKS_FILE}`);
+}
+
+module.exports = {
+    PUBLIC_JWKS_FILE,
+    generateSigningKey,
+    toJwks,
+    signToken,
+    loadFixtureKeys,
+};
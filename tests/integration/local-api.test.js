@@ -0,0 +1,267 @@
+/**
+ * Integration tests that call the API over HTTP through the local API
+ * Gateway emulator
+ *
+ * Run with:
+ *   npm run test:integration
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalApi } = require('../../scripts/local-api');
+const { runCanary } = require('../../src/handlers/canary');
+const { signToken, loadFixtureKeys, PUBLIC_JWKS_FILE } = require('../helpers/keys');
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'local-api');
+
+jest.setTimeout(15000);
+
+describe('Local API', () => {
+    describe('template.yaml', () => {
+        const { rsa } = loadFixtureKeys();
+        const token = signToken(
+            {
+                sub: 'user-123',
+                iss: 'https://issuer.example.com',
+                aud: 'hello-world-api',
+                exp: Math.floor(Date.now() / 1000) + 300,
+                scope: 'greetings:read',
+                tier: 'premium',
+            },
+            rsa
+        );
+
+        let api;
+        let baseUrl;
+        beforeAll(async () => {
+            api = createLocalApi({
+                envVars: {
+                    AuthorizerFunction: {
+                        JWKS_FILE: PUBLIC_JWKS_FILE,
+                        JWT_ISSUER: 'https://issuer.example.com',
+                        JWT_AUDIENCE: 'hello-world-api',
+                    },
+                },
+            });
+            baseUrl = await api.listen(0);
+        });
+        afterAll(() => api.close());
+
+        it('should serve GET /hello to callers with a valid token', async () => {
+            const response = await fetch(`${baseUrl}/hello?name=Ada&lang=fr`, {
+                headers: { Authorization: `Bearer ${token}` },
+            });
+
+            expect(response.status).toBe(200);
+            expect(response.headers.get('content-type')).toContain('application/json');
+            expect(response.headers.get('ratelimit-policy')).toContain('200');
+            expect(response.headers.get('x-request-id')).toMatch(/^[0-9a-f-]{36}$/);
+            expect((await response.json()).message).toBe('Bonjour, Ada !');
+        });
+
+        it('should serve each API version on its own path', async () => {
+            const headers = { Authorization: `Bearer ${token}` };
+            const v1 = await fetch(`${baseUrl}/v1/hello`, { headers });
+            const v2 = await fetch(`${baseUrl}/v2/hello`, { headers });
+
+            expect(v1.headers.get('api-version')).toBe('1');
+            expect(v1.headers.get('link')).toBe('</v2/hello>; rel="successor-version"');
+            expect(v2.headers.get('api-version')).toBe('2');
+            expect((await v2.json()).apiVersion).toBe('2');
+        });
+
+        it('should replay POST /hello for a repeated Idempotency-Key', async () => {
+            const post = (body) =>
+                fetch(`${baseUrl}/hello`, {
+                    method: 'POST',
+                    headers: {
+                        Authorization: `Bearer ${token}`,
+                        'Content-Type': 'application/json',
+                        'Idempotency-Key': 'integration-replay',
+                    },
+                    body: JSON.stringify(body),
+                });
+
+            const first = await post({ recipient: 'Ada', tone: 'formal' });
+            const retry = await post({ recipient: 'Ada', tone: 'formal' });
+            const reused = await post({ recipient: 'Grace' });
+
+            expect(first.status).toBe(200);
+            expect(retry.headers.get('idempotent-replayed')).toBe('true');
+            expect((await retry.json()).id).toBe((await first.json()).id);
+            expect(reused.status).toBe(422);
+        });
+
+        it('should answer GraphQL queries on POST /graphql', async () => {
+            const response = await fetch(`${baseUrl}/graphql`, {
+                method: 'POST',
+                headers: {
+                    Authorization: `Bearer ${token}`,
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    query: '{ hello(name: "Ada", locale: "fr") { message } liveness { status } }',
+                }),
+            });
+
+            expect(response.status).toBe(200);
+            expect(await response.json()).toEqual({
+                data: { hello: { message: 'Bonjour, Ada !' }, liveness: { status: 'healthy' } },
+            });
+        });
+
+        it('should reject requests without a token with a problem from the gateway', async () => {
+            const response = await fetch(`${baseUrl}/hello`);
+
+            expect(response.status).toBe(401);
+            expect(response.headers.get('content-type')).toBe('application/problem+json');
+            expect(await response.json()).toMatchObject({
+                type: 'urn:hello-world-api:problem:unauthorized',
+                instance: '/dev/hello',
+            });
+        });
+
+        it('should answer CORS preflights and health checks without a token', async () => {
+            const preflight = await fetch(`${baseUrl}/hello`, {
+                method: 'OPTIONS',
+                headers: {
+                    Origin: 'https://app.example.com',
+                    'Access-Control-Request-Method': 'GET',
+                },
+            });
+            const live = await fetch(`${baseUrl}/health/live`);
+
+            expect(preflight.status).toBe(204);
+            expect(preflight.headers.get('access-control-allow-origin')).toBe('*');
+            expect(live.status).toBe(200);
+            expect((await live.json()).status).toBe('healthy');
+        });
+
+        it('should serve the OpenAPI document and reference page without a token', async () => {
+            const document = await fetch(`${baseUrl}/openapi.json`);
+            const page = await fetch(`${baseUrl}/docs`);
+
+            expect(document.status).toBe(200);
+            expect((await document.json()).paths['/hello'].get.security).toEqual([
+                { JwtAuthorizer: [] },
+            ]);
+            expect(page.status).toBe(200);
+            expect(page.headers.get('content-type')).toBe('text/html; charset=utf-8');
+            expect(await page.text()).toContain('href="openapi.json"');
+        });
+
+        it('should pass the canary checks', async () => {
+            // Generous budget: the first request to each function starts its worker
+            const results = await runCanary({ baseUrl, token, latencyBudgetMs: 5000 });
+
+            expect(results).toEqual([
+                expect.objectContaining({ check: 'hello', passed: true, failures: [] }),
+                expect.objectContaining({ check: 'health', passed: true, failures: [] }),
+            ]);
+        });
+
+        it('should return 403 for routes the template does not declare', async () => {
+            const response = await fetch(`${baseUrl}/missing`);
+
+            expect(response.status).toBe(403);
+            expect((await response.json()).detail).toBe('Missing Authentication Token');
+        });
+    });
+
+    describe('Fixture template', () => {
+        let api;
+        let baseUrl;
+        beforeAll(async () => {
+            api = createLocalApi({
+                templateFile: path.join(FIXTURE_DIR, 'template.yaml'),
+                parameterOverrides: { Greeting: 'bonjour' },
+                envVars: { EchoFunction: { EXTRA: 'from env-vars' } },
+            });
+            baseUrl = await api.listen(0);
+        });
+        afterAll(() => api.close());
+
+        it('should pass a proxy event, context and environment to the handler', async () => {
+            const response = await fetch(`${baseUrl}/echo/a/b?x=1`, { method: 'DELETE' });
+            const { event, context, env } = await response.json();
+
+            expect(response.status).toBe(200);
+            expect(response.headers.get('set-cookie')).toBe('a=1, b=2');
+            expect(event).toMatchObject({
+                resource: '/echo/{proxy+}',
+                httpMethod: 'DELETE',
+                pathParameters: { proxy: 'a/b' },
+                queryStringParameters: { x: '1' },
+                requestContext: { stage: 'test', path: '/test/echo/a/b' },
+            });
+            expect(context.functionName).toBe('EchoFunction');
+            expect(context.remainingMs).toBeGreaterThan(0);
+            expect(context.remainingMs).toBeLessThanOrEqual(1000);
+            expect(env).toEqual({ GREETING: 'bonjour', EXTRA: 'from env-vars' });
+        });
+
+        it('should pass text bodies as is and binary media types base64-encoded', async () => {
+            const text = await fetch(`${baseUrl}/items/1`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: '{"a":1}',
+            });
+            const binary = await fetch(`${baseUrl}/echo/file?format=binary`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/octet-stream' },
+                body: Buffer.from([0, 1, 255]),
+            });
+
+            expect((await text.json()).event).toMatchObject({
+                body: '{"a":1}',
+                isBase64Encoded: false,
+            });
+            expect([...Buffer.from(await binary.arrayBuffer())]).toEqual([0, 1, 255]);
+        });
+
+        it('should return 502 when the handler throws or times out', async () => {
+            const failed = await fetch(`${baseUrl}/fail`);
+            const timedOut = await fetch(`${baseUrl}/slow`);
+
+            expect(failed.status).toBe(502);
+            expect(await failed.json()).toEqual({ message: 'Internal server error' });
+            expect(timedOut.status).toBe(502);
+        });
+    });
+
+    describe('Reloading', () => {
+        let workDir;
+        let api;
+        beforeAll(() => {
+            workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-api-'));
+            fs.cpSync(FIXTURE_DIR, workDir, { recursive: true });
+        });
+        afterAll(async () => {
+            await api?.close();
+            fs.rmSync(workDir, { recursive: true, force: true });
+        });
+
+        it('should run the current source after a handler file changes', async () => {
+            api = createLocalApi({
+                templateFile: path.join(workDir, 'template.yaml'),
+                watch: true,
+            });
+            const baseUrl = await api.listen(0);
+            expect((await fetch(`${baseUrl}/fail`)).status).toBe(502);
+
+            const handlerFile = path.join(workDir, 'src', 'echo.js');
+            fs.appendFileSync(
+                handlerFile,
+                "exports.fail = async () => ({ statusCode: 200, body: 'fixed' });\n"
+            );
+
+            let status;
+            for (let attempt = 0; attempt < 50 && status !== 200; attempt++) {
+                await new Promise((resolve) => setTimeout(resolve, 100));
+                status = (await fetch(`${baseUrl}/fail`)).status;
+            }
+            expect(status).toBe(200);
+        });
+    });
+});
@@ -0,0 +1,220 @@
+/**
+ * Unit tests for the generated OpenAPI document, reference page and drift check
+ */
+
+const { loadTemplate } = require('../../scripts/template');
+const { extractOpenApi } = require('../../scripts/build-openapi');
+const {
+    COMMON_ERRORS,
+    schemaRef,
+    preflightRoute,
+    buildOpenApiDocument,
+    renderDocsPage,
+    findDrift,
+} = require('../../src/lib/api-docs');
+const { normalizeSchema } = require('../../src/lib/api-docs/drift');
+const { buildApiDocument } = require('../../src/handlers/docs');
+
+const metadata = {
+    schemas: {
+        Item: {
+            type: 'object',
+            required: ['id'],
+            properties: { id: { type: 'string' }, note: { type: 'string', nullable: true } },
+        },
+    },
+    routes: [
+        preflightRoute('/items', { tags: ['Items'] }),
+        {
+            method: 'POST',
+            path: '/items',
+            operationId: 'createItem',
+            summary: 'Create an item',
+            tags: ['Items'],
+            authenticated: true,
+            parameters: [
+                { name: 'dryRun', in: 'query', required: false, schema: { type: 'boolean' } },
+            ],
+            requestBody: { schema: schemaRef('Item'), example: { id: 'a' } },
+            responses: {
+                201: {
+                    description: 'Created',
+                    headers: {
+                        Location: 'Path of the item',
+                        'RateLimit-Limit': { description: 'Quota', schema: { type: 'integer' } },
+                    },
+                    schema: schemaRef('Item'),
+                    example: { id: 'a' },
+                    negotiated: true,
+                },
+            },
+            errors: { ...COMMON_ERRORS, 400: 'Invalid <item>' },
+        },
+    ],
+};
+
+const buildDocument = (modules = [metadata]) =>
+    buildOpenApiDocument({
+        modules,
+        title: 'Items API',
+        version: '1.2.3',
+        serverUrl: '/test',
+    });
+
+describe('API Documentation', () => {
+    // Mock console.log to prevent cluttering test output
+    const originalConsoleLog = console.log;
+    beforeAll(() => {
+        console.log = jest.fn();
+    });
+    afterAll(() => {
+        console.log = originalConsoleLog;
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('buildOpenApiDocument', () => {
+        it('should build an OpenAPI 3.1 document with shared components', () => {
+            const document = buildDocument();
+
+            expect(document.openapi).toBe('3.1.0');
+            expect(document.info).toMatchObject({ title: 'Items API', version: '1.2.3' });
+            expect(document.servers).toEqual([{ url: '/test' }]);
+            expect(document.components.securitySchemes.JwtAuthorizer).toMatchObject({
+                type: 'http',
+                scheme: 'bearer',
+            });
+            expect(Object.keys(document.components.schemas)).toEqual([
+                'Problem',
+                'FieldError',
+                'Item',
+            ]);
+        });
+
+        it('should describe parameters, bodies, examples and negotiated formats', () => {
+            const operation = buildDocument().paths['/items'].post;
+
+            expect(operation.security).toEqual([{ JwtAuthorizer: [] }]);
+            expect(operation.parameters[0].name).toBe('dryRun');
+            expect(operation.requestBody).toEqual({
+                required: true,
+                content: {
+                    'application/json': { schema: schemaRef('Item'), example: { id: 'a' } },
+                },
+            });
+
+            const created = operation.responses['201'];
+            expect(created.headers.Location).toEqual({
+                description: 'Path of the item',
+                schema: { type: 'string' },
+            });
+            expect(created.headers['RateLimit-Limit'].schema).toEqual({ type: 'integer' });
+            expect(created.content['application/json'].example).toEqual({ id: 'a' });
+            expect(Object.keys(created.content)).toEqual([
+                'application/json',
+                'text/plain',
+                'application/xml',
+                'text/html',
+            ]);
+        });
+
+        it('should answer errors with problem details', () => {
+            const { responses } = buildDocument().paths['/items'].post;
+
+            expect(responses['400']).toEqual({
+                description: 'Invalid <item>',
+                content: { 'application/problem+json': { schema: schemaRef('Problem') } },
+            });
+            expect(responses['429'].headers['Retry-After'].schema).toEqual({ type: 'integer' });
+        });
+
+        it('should describe CORS preflights without security', () => {
+            const operation = buildDocument().paths['/items'].options;
+
+            expect(operation.security).toBeUndefined();
+            expect(Object.keys(operation.responses)).toEqual(['204', '403']);
+        });
+
+        it('should reject schemas and operations declared twice', () => {
+            expect(() =>
+                buildDocument([metadata, { schemas: metadata.schemas, routes: [] }])
+            ).toThrow('Schema Item is declared twice');
+            expect(() => buildDocument([metadata, { routes: [metadata.routes[1]] }])).toThrow(
+                'Operation POST /items is declared twice'
+            );
+        });
+    });
+
+    describe('renderDocsPage', () => {
+        it('should render every operation and schema on one page', () => {
+            const html = renderDocsPage(buildDocument());
+
+            expect(html).toMatch(/^<!DOCTYPE html>/);
+            expect(html).toContain('<title>Items API 1.2.3</title>');
+            expect(html).toContain('<details id="createItem">');
+            expect(html).toContain('<h3 id="schema-Item">Item</h3>');
+            expect(html).toContain('<a href="#schema-Item">');
+            expect(html).toContain('<a href="openapi.json">');
+        });
+
+        it('should escape text from the document', () => {
+            const html = renderDocsPage(buildDocument());
+
+            expect(html).toContain('400 Invalid &lt;item&gt;');
+            expect(html).not.toContain('<item>');
+        });
+
+        it('should load no external resources', () => {
+            const html = renderDocsPage(buildDocument());
+
+            expect(html).not.toMatch(/<script|<link|src=/);
+        });
+    });
+
+    describe('findDrift', () => {
+        it('should find no drift between the route metadata and template.yaml', () => {
+            expect(findDrift(buildApiDocument(), extractOpenApi(loadTemplate()))).toEqual([]);
+        });
+
+        it('should ignore documentation and read nullable as a type array', () => {
+            const declared = buildDocument();
+            declared.openapi = '3.0.1';
+            declared.paths['/items'].post.summary = 'Other summary';
+            declared.paths['/items'].post.responses['201'].content = {
+                'application/json': { schema: schemaRef('Item') },
+            };
+            declared.components.schemas.Item.properties.note.description = 'Free text';
+
+            expect(findDrift(buildDocument(), declared)).toEqual([]);
+            expect(normalizeSchema({ type: 'string', nullable: true })).toEqual({
+                type: ['string', 'null'],
+            });
+        });
+
+        it('should report operations, parameters, responses and schemas that differ', () => {
+            const declared = buildDocument();
+            const operation = declared.paths['/items'].post;
+            delete declared.paths['/items'].options;
+            operation.parameters[0].required = true;
+            operation.parameters.push({ name: 'trace', in: 'header', schema: { type: 'string' } });
+            delete operation.responses['429'];
+            operation.responses['201'].content['application/json'].schema = { type: 'object' };
+            operation.security = [];
+            declared.components.schemas.Item.required = ['id', 'note'];
+            declared.components.schemas.Extra = { type: 'string' };
+
+            expect(findDrift(buildDocument(), declared)).toEqual([
+                'OPTIONS /items is missing from the DefinitionBody',
+                "POST /items: query parameter 'dryRun' differs",
+                "POST /items: header parameter 'trace' is missing from the route metadata",
+                'POST /items: response 429 is missing from the DefinitionBody',
+                'POST /items: response 201 differs',
+                'POST /items: security differs',
+                'Schema Item differs',
+                'Schema Extra is missing from the route metadata',
+            ]);
+        });
+    });
+});
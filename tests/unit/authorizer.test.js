@@ -0,0 +1,214 @@
+/**
+ * Unit tests for the JWT token authorizer
+ */
+
+const { signToken, loadFixtureKeys, PUBLIC_JWKS_FILE } = require('../helpers/keys');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+describe('JWT Authorizer', () => {
+    // Mock console.log to prevent cluttering test output
+    const originalConsoleLog = console.log;
+    beforeAll(() => {
+        console.log = jest.fn();
+    });
+    afterAll(() => {
+        console.log = originalConsoleLog;
+    });
+
+    const { rsa, ec } = loadFixtureKeys();
+    const methodArn = 'arn:aws:execute-api:us-east-1:123456789012:abc123/dev/GET/hello';
+    const stageArn = 'arn:aws:execute-api:us-east-1:123456789012:abc123/dev/*';
+    const claims = () => ({
+        sub: 'user-123',
+        iss: 'https://issuer.example.com',
+        aud: 'hello-world-api',
+        exp: Math.floor(Date.now() / 1000) + 300,
+        scope: 'greetings:read',
+        client_id: 'frontend',
+    });
+
+    let handler;
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.resetModules();
+        process.env.JWKS_FILE = PUBLIC_JWKS_FILE;
+        process.env.JWT_ISSUER = 'https://issuer.example.com';
+        process.env.JWT_AUDIENCE = 'hello-world-api';
+        process.env.JWT_REQUIRED_SCOPES = 'greetings:read';
+        ({ handler } = require('../../src/handlers/authorizer'));
+    });
+
+    afterEach(() => {
+        delete process.env.JWKS_FILE;
+        delete process.env.JWT_ISSUER;
+        delete process.env.JWT_AUDIENCE;
+        delete process.env.JWT_REQUIRED_SCOPES;
+    });
+
+    const authorize = (token) =>
+        handler({ type: 'TOKEN', authorizationToken: `Bearer ${token}`, methodArn });
+
+    it('should allow valid tokens and pass subject and scopes as context', async () => {
+        const result = await authorize(signToken(claims(), rsa));
+
+        expect(result).toEqual({
+            principalId: 'user-123',
+            policyDocument: {
+                Version: '2012-10-17',
+                Statement: [{ Action: 'execute-api:Invoke', Effect: 'Allow', Resource: stageArn }],
+            },
+            context: { sub: 'user-123', scope: 'greetings:read', clientId: 'frontend' },
+        });
+    });
+
+    it('should return a policy that a cached token can reuse on other routes', async () => {
+        // API Gateway evaluates the cached policy of the first call on later calls
+        // with the same token, whatever route they hit
+        const covers = (resource, arn) =>
+            new RegExp(`^${resource.split('*').map(escapeRegExp).join('.*')}$`).test(arn);
+        const token = signToken(claims(), rsa);
+        const cached = await authorize(token);
+
+        for (const route of ['GET/hello', 'POST/graphql', 'DELETE/greetings/42']) {
+            const arn = `arn:aws:execute-api:us-east-1:123456789012:abc123/dev/${route}`;
+            expect(covers(cached.policyDocument.Statement[0].Resource, arn)).toBe(true);
+        }
+        expect(
+            covers(
+                cached.policyDocument.Statement[0].Resource,
+                'arn:aws:execute-api:us-east-1:123456789012:abc123/prod/GET/hello'
+            )
+        ).toBe(false);
+    });
+
+    it('should deny under-scoped tokens on every route of the stage', async () => {
+        const result = await authorize(signToken({ ...claims(), scope: 'profile' }, rsa));
+
+        expect(result.policyDocument.Statement[0].Resource).toBe(stageArn);
+    });
+
+    it('should pass the rate limit tier claim as context', async () => {
+        const result = await authorize(signToken({ ...claims(), tier: 'premium' }, rsa));
+
+        expect(result.context.tier).toBe('premium');
+    });
+
+    it('should allow ES256 tokens', async () => {
+        const result = await authorize(signToken(claims(), ec));
+
+        expect(result.policyDocument.Statement[0].Effect).toBe('Allow');
+    });
+
+    it('should deny tokens missing a required scope', async () => {
+        const result = await authorize(signToken({ ...claims(), scope: 'profile' }, rsa));
+
+        expect(result.principalId).toBe('user-123');
+        expect(result.policyDocument.Statement[0].Effect).toBe('Deny');
+        expect(result.context).toBeUndefined();
+
+        const warnLog = JSON.parse(console.log.mock.calls[0][0]);
+        expect(warnLog.message).toBe('Token denied');
+        expect(warnLog.error).toBe('Missing required scopes: greetings:read');
+    });
+
+    it('should throw Unauthorized for invalid tokens', async () => {
+        await expect(authorize(signToken({ ...claims(), exp: 0 }, rsa))).rejects.toThrow(
+            'Unauthorized'
+        );
+
+        const warnLog = JSON.parse(console.log.mock.calls[0][0]);
+        expect(warnLog.level).toBe('WARN');
+        expect(warnLog.error).toBe('Token expired');
+    });
+
+    it('should throw Unauthorized without a bearer token', async () => {
+        await expect(
+            handler({ type: 'TOKEN', authorizationToken: 'Basic dXNlcjpwYXNz', methodArn })
+        ).rejects.toThrow('Unauthorized');
+        await expect(handler({ type: 'TOKEN', methodArn })).rejects.toThrow('Unauthorized');
+    });
+
+    it('should read the token query parameter of WebSocket $connect requests', async () => {
+        const connectArn = 'arn:aws:execute-api:us-east-1:123456789012:ws123/dev/$connect';
+        const request = (queryStringParameters) =>
+            handler({ type: 'REQUEST', methodArn: connectArn, queryStringParameters });
+
+        const result = await request({ token: signToken(claims(), rsa) });
+
+        expect(result.principalId).toBe('user-123');
+        expect(result.policyDocument.Statement[0]).toMatchObject({
+            Effect: 'Allow',
+            Resource: 'arn:aws:execute-api:us-east-1:123456789012:ws123/dev/*',
+        });
+        await expect(request({})).rejects.toThrow('Unauthorized');
+        await expect(request(null)).rejects.toThrow('Unauthorized');
+    });
+
+    it('should deny tokens for another audience or without one', async () => {
+        await expect(authorize(signToken({ ...claims(), aud: 'other-api' }, rsa))).rejects.toThrow(
+            'Unauthorized'
+        );
+        await expect(authorize(signToken({ ...claims(), aud: undefined }, rsa))).rejects.toThrow(
+            'Unauthorized'
+        );
+    });
+
+    it.each(['JWT_ISSUER', 'JWT_AUDIENCE'])(
+        'should reject every token when %s is not configured',
+        async (variable) => {
+            delete process.env[variable];
+
+            // Even a token whose claims would otherwise be accepted
+            await expect(authorize(signToken(claims(), rsa))).rejects.toThrow('Unauthorized');
+            await expect(
+                authorize(signToken({ ...claims(), aud: undefined, iss: undefined }, rsa))
+            ).rejects.toThrow('Unauthorized');
+
+            const errorLog = JSON.parse(console.log.mock.calls[0][0]);
+            expect(errorLog.level).toBe('ERROR');
+            expect(errorLog.error).toBe('An expected JWT issuer and audience are required');
+        }
+    );
+
+    it('should log configuration problems as errors', async () => {
+        delete process.env.JWKS_FILE;
+
+        await expect(authorize(signToken(claims(), rsa))).rejects.toThrow('Unauthorized');
+
+        const errorLog = JSON.parse(console.log.mock.calls[0][0]);
+        expect(errorLog.level).toBe('ERROR');
+        expect(errorLog.error).toBe('A JWKS url or file is required');
+    });
+
+    it('should log JWKS outages as errors and unknown keys as warnings', async () => {
+        delete process.env.JWKS_FILE;
+        process.env.JWKS_URL = 'https://issuer.example.com/jwks.json';
+        const fetchMock = jest
+            .spyOn(globalThis, 'fetch')
+            .mockResolvedValue({ ok: false, status: 503 });
+
+        try {
+            await expect(authorize(signToken(claims(), rsa))).rejects.toThrow('Unauthorized');
+        } finally {
+            fetchMock.mockRestore();
+            delete process.env.JWKS_URL;
+        }
+        process.env.JWKS_FILE = PUBLIC_JWKS_FILE;
+        jest.resetModules();
+        ({ handler } = require('../../src/handlers/authorizer'));
+        await expect(authorize(signToken(claims(), rsa, { kid: 'unknown-kid' }))).rejects.toThrow(
+            'Unauthorized'
+        );
+
+        const [outage, unknownKey] = console.log.mock.calls.map(([line]) => JSON.parse(line));
+        expect(outage).toMatchObject({
+            level: 'ERROR',
+            error: 'JWKS request failed with status 503',
+        });
+        expect(unknownKey).toMatchObject({
+            level: 'WARN',
+            error: "No signing key found for kid 'unknown-kid'",
+        });
+    });
+});
@@ -0,0 +1,362 @@
+/**
+ * Unit tests for the synthetic canary, run against a local HTTP server
+ */
+
+const http = require('http');
+const { GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
+const { handler, runCanary, runCheck, mintToken, CHECKS } = require('../../src/handlers/canary');
+const { createSecretsClient, getSecretsClient } = require('../../src/lib/secrets');
+
+const HELLO_BODY = {
+    message: 'Hello, World!',
+    timestamp: '2026-01-01T12:00:00.000Z',
+    requestId: 'c6af9ac6-7b61-11e6-9a41-93e8deadbeef',
+};
+const HEALTH_BODY = { status: 'healthy', timestamp: '2026-01-01T12:00:00.000Z' };
+
+describe('Canary', () => {
+    // Mock console.log to prevent cluttering test output
+    const originalConsoleLog = console.log;
+    beforeAll(() => {
+        console.log = jest.fn();
+    });
+    afterAll(() => {
+        console.log = originalConsoleLog;
+    });
+
+    // Path => { status, body, delayMs } the server answers with
+    let routes;
+    let requests;
+    let server;
+    let baseUrl;
+    beforeAll(async () => {
+        server = http.createServer(async (request, response) => {
+            let received = '';
+            for await (const chunk of request) {
+                received += chunk;
+            }
+            requests.push({
+                path: request.url,
+                authorization: request.headers.authorization,
+                ...(received && { body: received }),
+            });
+            const { status = 200, body, delayMs = 0 } = routes[request.url] || { status: 404 };
+            setTimeout(() => {
+                response.writeHead(status, { 'Content-Type': 'application/json' });
+                response.end(typeof body === 'string' ? body : JSON.stringify(body ?? {}));
+            }, delayMs);
+        });
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+    afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        routes = {
+            '/hello': { body: HELLO_BODY },
+            '/health': { body: HEALTH_BODY },
+        };
+        requests = [];
+    });
+
+    const [helloCheck, healthCheck] = CHECKS;
+    const options = (overrides = {}) => ({
+        baseUrl,
+        token: 'canary-token',
+        latencyBudgetMs: 1000,
+        timeoutMs: 1000,
+        fetchImpl: globalThis.fetch,
+        ...overrides,
+    });
+
+    describe('runCheck', () => {
+        it('should pass a 200 response with the documented body', async () => {
+            const result = await runCheck(helloCheck, options());
+
+            expect(result).toMatchObject({
+                check: 'hello',
+                passed: true,
+                statusCode: 200,
+                failures: [],
+            });
+            expect(result.latencyMs).toBeGreaterThanOrEqual(0);
+        });
+
+        it('should send the token to authenticated endpoints only', async () => {
+            await runCheck(helloCheck, options({ baseUrl: `${baseUrl}/` }));
+            await runCheck(healthCheck, options());
+
+            expect(requests).toEqual([
+                { path: '/hello', authorization: 'Bearer canary-token' },
+                { path: '/health', authorization: undefined },
+            ]);
+        });
+
+        it('should fail unexpected status codes', async () => {
+            routes['/hello'] = { status: 401, body: { title: 'Unauthorized' } };
+
+            const result = await runCheck(helloCheck, options());
+
+            expect(result.passed).toBe(false);
+            expect(result.failures).toEqual(['expected status 200, got 401']);
+        });
+
+        it('should fail missing and malformed body fields', async () => {
+            routes['/hello'] = { body: { message: 'Hello', timestamp: 'yesterday' } };
+            routes['/health'] = { body: 'not json' };
+
+            const hello = await runCheck(helloCheck, options());
+            const health = await runCheck(healthCheck, options());
+
+            expect(hello.failures).toEqual([
+                "field 'timestamp' is malformed",
+                "field 'requestId' is missing",
+            ]);
+            expect(health.failures).toEqual(['body is not a JSON object']);
+        });
+
+        it('should pass a degraded readiness response', async () => {
+            routes['/health'] = { body: { ...HEALTH_BODY, status: 'degraded' } };
+
+            const result = await runCheck(healthCheck, options());
+
+            expect(result).toMatchObject({ passed: true, statusCode: 200, failures: [] });
+        });
+
+        it('should fail readiness statuses the health handler does not report', async () => {
+            routes['/health'] = { body: { ...HEALTH_BODY, status: 'warning' } };
+
+            const result = await runCheck(healthCheck, options());
+
+            expect(result.failures).toEqual(["field 'status' is malformed"]);
+        });
+
+        it('should fail responses over the latency budget', async () => {
+            routes['/health'] = { body: HEALTH_BODY, delayMs: 50 };
+
+            const result = await runCheck(healthCheck, options({ latencyBudgetMs: 20 }));
+
+            expect(result.passed).toBe(false);
+            expect(result.failures[0]).toMatch(/^took \d+ms, over the 20ms budget$/);
+        });
+
+        it('should fail requests that time out or cannot connect', async () => {
+            routes['/health'] = { body: HEALTH_BODY, delayMs: 200 };
+
+            const timedOut = await runCheck(healthCheck, options({ timeoutMs: 50 }));
+            const refused = await runCheck(
+                healthCheck,
+                options({
+                    fetchImpl: async () => {
+                        throw new Error('connect ECONNREFUSED');
+                    },
+                })
+            );
+
+            expect(timedOut.failures).toEqual(['no response within 50ms']);
+            expect(timedOut.statusCode).toBeUndefined();
+            expect(refused.failures).toEqual(['request failed: connect ECONNREFUSED']);
+        });
+    });
+
+    describe('runCanary', () => {
+        it('should run every check in order', async () => {
+            const results = await runCanary(options());
+
+            expect(results.map((result) => [result.check, result.passed])).toEqual([
+                ['hello', true],
+                ['health', true],
+            ]);
+            expect(requests.map((request) => request.path)).toEqual(['/hello', '/health']);
+        });
+    });
+
+    describe('handler', () => {
+        const originalEnv = process.env;
+        beforeEach(() => {
+            process.env = {
+                ...originalEnv,
+                ENVIRONMENT: 'test',
+                CANARY_BASE_URL: baseUrl,
+                CANARY_TOKEN: 'env-token',
+            };
+            delete process.env.CANARY_CLIENT_SECRET_ARN;
+        });
+        afterEach(() => {
+            process.env = originalEnv;
+            jest.restoreAllMocks();
+        });
+
+        const metricRecords = () =>
+            console.log.mock.calls
+                .map(([line]) => JSON.parse(line))
+                .filter((record) => record._aws);
+
+        it('should record success and latency metrics per check', async () => {
+            const outcome = await handler({ 'detail-type': 'Scheduled Event' }, {});
+
+            expect(outcome.passed).toBe(true);
+            expect(requests[0].authorization).toBe('Bearer env-token');
+            const records = metricRecords();
+            expect(records).toHaveLength(2);
+            expect(records[0]).toMatchObject({
+                Environment: 'test',
+                Check: 'hello',
+                CanarySuccess: 1,
+                CanaryFailure: 0,
+                statusCode: 200,
+            });
+            expect(records[0]._aws.CloudWatchMetrics[0].Dimensions).toEqual([
+                ['Environment', 'Check'],
+            ]);
+            expect(records[1].Check).toBe('health');
+            expect(typeof records[1].CanaryLatency).toBe('number');
+        });
+
+        it('should record failures without throwing', async () => {
+            routes['/health'] = { status: 503, body: { status: 'unhealthy' } };
+
+            const outcome = await handler({}, {});
+
+            expect(outcome.passed).toBe(false);
+            expect(metricRecords()[1]).toMatchObject({
+                Check: 'health',
+                CanarySuccess: 0,
+                CanaryFailure: 1,
+                statusCode: 503,
+            });
+        });
+
+        const secretArn = 'arn:aws:secretsmanager:us-east-1:123456789012:secret:canary-client';
+        const storeClient = (client) =>
+            jest.spyOn(getSecretsClient(), 'getSecretString').mockResolvedValue(
+                JSON.stringify({
+                    tokenUrl: `${baseUrl}/oauth2/token`,
+                    clientId: 'canary',
+                    clientSecret: 's3cret/+',
+                    ...client,
+                })
+            );
+        const errorLogs = () =>
+            console.log.mock.calls
+                .map(([line]) => JSON.parse(line))
+                .filter((record) => record.level === 'ERROR');
+
+        it('should mint a token with the client stored in the canary secret', async () => {
+            process.env.CANARY_CLIENT_SECRET_ARN = secretArn;
+            const read = storeClient({ scope: 'hello:read' });
+            routes['/oauth2/token'] = {
+                body: { access_token: 'minted-token', token_type: 'Bearer', expires_in: 3600 },
+            };
+
+            const outcome = await handler({}, {});
+
+            expect(outcome.passed).toBe(true);
+            expect(read).toHaveBeenCalledWith(secretArn);
+            expect(requests[0]).toEqual({
+                path: '/oauth2/token',
+                // The ID and secret are form-encoded before Basic encoding
+                authorization: `Basic ${Buffer.from('canary:s3cret%2F%2B').toString('base64')}`,
+                body: 'grant_type=client_credentials&scope=hello%3Aread',
+            });
+            expect(requests[1]).toEqual({ path: '/hello', authorization: 'Bearer minted-token' });
+        });
+
+        it('should log a refused client and fail the hello check', async () => {
+            process.env.CANARY_CLIENT_SECRET_ARN = secretArn;
+            storeClient();
+            routes['/oauth2/token'] = { status: 401, body: { error: 'invalid_client' } };
+            routes['/hello'] = { status: 401, body: { title: 'Unauthorized' } };
+
+            const outcome = await handler({}, {});
+
+            expect(outcome.results.map((result) => result.passed)).toEqual([false, true]);
+            expect(requests[1]).toEqual({ path: '/hello', authorization: undefined });
+            expect(errorLogs()).toEqual([
+                expect.objectContaining({
+                    message: 'Canary token could not be obtained',
+                    error: 'Token endpoint answered 401 (invalid_client)',
+                }),
+            ]);
+        });
+
+        it('should log an unreadable secret and fail the hello check', async () => {
+            process.env.CANARY_CLIENT_SECRET_ARN = secretArn;
+            jest.spyOn(getSecretsClient(), 'getSecretString').mockRejectedValue(
+                new Error('AccessDeniedException')
+            );
+            routes['/hello'] = { status: 401, body: { title: 'Unauthorized' } };
+
+            const outcome = await handler({}, {});
+
+            expect(outcome.results.map((result) => result.passed)).toEqual([false, true]);
+            expect(requests[0].authorization).toBeUndefined();
+            expect(errorLogs()[0]).toMatchObject({
+                message: 'Canary token could not be obtained',
+                error: 'AccessDeniedException',
+            });
+        });
+
+        it('should require a base URL', async () => {
+            delete process.env.CANARY_BASE_URL;
+
+            await expect(handler({}, {})).rejects.toThrow('CANARY_BASE_URL is not set');
+        });
+    });
+
+    describe('mintToken', () => {
+        it('should request the audience when the client names one', async () => {
+            routes['/oauth2/token'] = { body: { access_token: 'minted-token' } };
+
+            const token = await mintToken({
+                tokenUrl: `${baseUrl}/oauth2/token`,
+                clientId: 'canary',
+                clientSecret: 'secret',
+                audience: 'hello-world-api',
+            });
+
+            expect(token).toBe('minted-token');
+            expect(requests[0].body).toBe('grant_type=client_credentials&audience=hello-world-api');
+        });
+
+        it('should refuse incomplete clients and responses without a token', async () => {
+            routes['/oauth2/token'] = { body: { token_type: 'Bearer' } };
+            const client = {
+                tokenUrl: `${baseUrl}/oauth2/token`,
+                clientId: 'canary',
+                clientSecret: 'secret',
+            };
+
+            await expect(mintToken({ ...client, clientSecret: '' })).rejects.toThrow(
+                'The canary client needs a tokenUrl, clientId and clientSecret'
+            );
+            await expect(mintToken(client)).rejects.toThrow('Token endpoint answered 200');
+            expect(requests).toHaveLength(1);
+        });
+    });
+
+    describe('createSecretsClient', () => {
+        it('should read the string value of a secret', async () => {
+            const client = { send: jest.fn().mockResolvedValue({ SecretString: 'token' }) };
+
+            const value = await createSecretsClient({ client }).getSecretString('canary-token');
+
+            expect(value).toBe('token');
+            const [command, options] = client.send.mock.calls[0];
+            expect(command).toBeInstanceOf(GetSecretValueCommand);
+            expect(command.input).toEqual({ SecretId: 'canary-token' });
+            expect(options.abortSignal).toBeInstanceOf(AbortSignal);
+        });
+
+        it('should reject secrets without a string value', async () => {
+            const client = {
+                send: jest.fn().mockResolvedValue({ SecretBinary: new Uint8Array() }),
+            };
+
+            await expect(
+                createSecretsClient({ client }).getSecretString('canary-token')
+            ).rejects.toThrow('Secret canary-token has no string value');
+        });
+    });
+});
@@ -0,0 +1,315 @@
+/**
+ * Unit tests for runtime configuration and feature flags
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHandler } = require('../../src/lib/middleware');
+const { cors } = require('../../src/lib/cors');
+const { createConfig, config } = require('../../src/lib/config');
+const { createLocalSsmClient } = require('../../src/lib/config/local-ssm-client');
+const { createSsmClient } = require('../../src/lib/config/ssm-client');
+
+describe('Runtime Configuration', () => {
+    // Mock console.log to prevent cluttering test output
+    const originalConsoleLog = console.log;
+    beforeAll(() => {
+        console.log = jest.fn();
+    });
+    afterAll(() => {
+        console.log = originalConsoleLog;
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    const prefix = '/hello-world-api/test';
+    let dir;
+    let file;
+    beforeAll(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+        file = path.join(dir, 'settings.json');
+        fs.writeFileSync(
+            file,
+            JSON.stringify({
+                test: {
+                    'cors.allowedOrigins': ['https://file.example.com'],
+                    'features.verboseHealth': false,
+                    'features.beta': 'yes',
+                },
+                other: { 'features.verboseHealth': true },
+            })
+        );
+    });
+    afterAll(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const store = (options = {}) =>
+        createConfig({
+            prefix,
+            file,
+            environment: 'test',
+            ttlMs: 1000,
+            ...options,
+        });
+
+    const warnings = () =>
+        console.log.mock.calls
+            .map(([line]) => JSON.parse(line))
+            .filter((record) => record.level === 'WARN');
+
+    describe('Layering', () => {
+        it('should prefer Parameter Store, then the file, then the defaults', async () => {
+            const client = createLocalSsmClient({
+                parameters: {
+                    [`${prefix}/features/verboseHealth`]: 'true',
+                    [`${prefix}/greeting/overrides`]: '{"en":{"greeting.anonymous":"Hi!"}}',
+                    '/hello-world-api/prod/features/verboseHealth': 'false',
+                },
+            });
+
+            const settings = await store({ client }).load();
+
+            expect(settings.get('features.verboseHealth')).toBe(true);
+            expect(settings.get('greeting.overrides')).toEqual({
+                en: { 'greeting.anonymous': 'Hi!' },
+            });
+            expect(settings.get('cors.allowedOrigins')).toEqual(['https://file.example.com']);
+            expect(settings.origins).toMatchObject({
+                'features.verboseHealth': 'ssm',
+                'greeting.overrides': 'ssm',
+                'cors.allowedOrigins': 'file',
+            });
+        });
+
+        it('should use the defaults without a prefix or file', async () => {
+            const settings = await createConfig({
+                prefix: '',
+                file: path.join(dir, 'none.json'),
+            }).load();
+
+            expect(settings.get('greeting.overrides')).toEqual({});
+            expect(settings.get('cors.allowedOrigins')).toBeUndefined();
+            expect(settings.isEnabled('verboseHealth')).toBe(true);
+            expect(warnings()).toHaveLength(0);
+        });
+
+        it('should read the section of the environment', async () => {
+            const settings = await store({ prefix: '', environment: 'other' }).load();
+
+            expect(settings.isEnabled('verboseHealth')).toBe(true);
+            expect(settings.origins['features.verboseHealth']).toBe('file');
+        });
+    });
+
+    describe('Typed values', () => {
+        it('should parse lists and booleans from parameter strings', async () => {
+            const client = createLocalSsmClient({
+                parameters: {
+                    [`${prefix}/cors/allowedOrigins`]:
+                        'https://a.example.com, https://b.example.com,',
+                    [`${prefix}/features/newGreeting`]: 'true',
+                },
+            });
+
+            const settings = await store({ client }).load();
+
+            expect(settings.get('cors.allowedOrigins')).toEqual([
+                'https://a.example.com',
+                'https://b.example.com',
+            ]);
+            expect(settings.isEnabled('newGreeting')).toBe(true);
+            expect(settings.isEnabled('unknown')).toBe(false);
+        });
+
+        it('should skip invalid values to the next layer with a warning', async () => {
+            const client = createLocalSsmClient({
+                parameters: {
+                    [`${prefix}/features/verboseHealth`]: 'maybe',
+                    [`${prefix}/greeting/overrides`]: '{not json',
+                },
+            });
+
+            const settings = await store({ client }).load();
+
+            expect(settings.get('features.verboseHealth')).toBe(false);
+            expect(settings.get('greeting.overrides')).toEqual({});
+            expect(settings.isEnabled('beta')).toBe(false);
+            expect(warnings().map((record) => `${record.setting}:${record.source}`)).toEqual([
+                'greeting.overrides:ssm',
+                'features.verboseHealth:ssm',
+                'features.beta:file',
+            ]);
+        });
+
+        it('should reject unknown settings', async () => {
+            const settings = await store({ prefix: '' }).load();
+
+            expect(() => settings.get('greeting.typo')).toThrow("Unknown setting 'greeting.typo'");
+        });
+    });
+
+    describe('Caching', () => {
+        it('should reuse values until the TTL passes', async () => {
+            let now = 0;
+            const client = createLocalSsmClient({
+                parameters: { [`${prefix}/features/verboseHealth`]: 'true' },
+            });
+            const settings = store({ client, now: () => now });
+
+            await settings.load();
+            client.putParameter(`${prefix}/features/verboseHealth`, 'false');
+            now = 999;
+            expect((await settings.load()).isEnabled('verboseHealth')).toBe(true);
+
+            now = 1000;
+            expect((await settings.load()).isEnabled('verboseHealth')).toBe(false);
+            expect(client.calls).toBe(2);
+        });
+
+        it('should share one load between concurrent callers', async () => {
+            const client = createLocalSsmClient();
+            const settings = store({ client });
+
+            const [first, second] = await Promise.all([settings.load(), settings.load()]);
+
+            expect(first).toBe(second);
+            expect(client.calls).toBe(1);
+        });
+
+        it('should reload after invalidate', async () => {
+            const client = createLocalSsmClient();
+            const settings = store({ client });
+
+            await settings.load();
+            settings.invalidate();
+            await settings.load();
+
+            expect(client.calls).toBe(2);
+        });
+
+        it('should follow pagination', async () => {
+            const parameters = {};
+            for (let index = 0; index < 25; index++) {
+                parameters[`${prefix}/features/flag${index}`] = 'true';
+            }
+            const client = createLocalSsmClient({ parameters });
+
+            const settings = await store({ client }).load();
+
+            expect(client.calls).toBe(3);
+            expect(settings.isEnabled('flag24')).toBe(true);
+        });
+    });
+
+    describe('Parameter Store failures', () => {
+        it('should keep the last values read when Parameter Store fails', async () => {
+            let now = 0;
+            const client = createLocalSsmClient({
+                parameters: { [`${prefix}/features/verboseHealth`]: 'true' },
+            });
+            const settings = store({ client, now: () => now });
+            await settings.load();
+
+            client.getParametersByPath = jest.fn().mockRejectedValue(new Error('Throttled'));
+            now = 5000;
+            const snapshot = await settings.load();
+
+            expect(snapshot.isEnabled('verboseHealth')).toBe(true);
+            expect(warnings()).toContainEqual(
+                expect.objectContaining({
+                    message: 'Failed to load SSM parameters',
+                    prefix,
+                    error: 'Throttled',
+                })
+            );
+        });
+
+        it('should stop waiting for Parameter Store after the timeout', async () => {
+            // Like the SDK, the client only gives up when its signal aborts
+            const getParametersByPath = jest.fn(
+                ({ signal }) =>
+                    new Promise((resolve, reject) => {
+                        signal.addEventListener('abort', () => reject(signal.reason));
+                    })
+            );
+
+            const settings = await store({ client: { getParametersByPath }, timeoutMs: 20 }).load();
+
+            expect(settings.origins['features.verboseHealth']).toBe('file');
+            expect(warnings()).toContainEqual(
+                expect.objectContaining({
+                    message: 'Failed to load SSM parameters',
+                    error: 'No response within 20ms',
+                })
+            );
+        });
+
+        it('should fall back to the file when Parameter Store never answered', async () => {
+            const client = {
+                getParametersByPath: jest.fn().mockRejectedValue(new Error('Denied')),
+            };
+
+            const settings = await store({ client }).load();
+
+            expect(settings.isEnabled('verboseHealth')).toBe(false);
+            expect(settings.origins['features.verboseHealth']).toBe('file');
+        });
+    });
+
+    describe('createSsmClient', () => {
+        it('should map GetParametersByPath pages', async () => {
+            const send = jest.fn().mockResolvedValue({
+                Parameters: [{ Name: `${prefix}/features/beta`, Value: 'true', Type: 'String' }],
+                NextToken: 'next',
+            });
+
+            const signal = AbortSignal.timeout(1000);
+
+            const page = await createSsmClient({ client: { send } }).getParametersByPath({
+                path: prefix,
+                signal,
+            });
+
+            expect(send.mock.calls[0][0].input).toEqual({
+                Path: prefix,
+                Recursive: true,
+                WithDecryption: true,
+                NextToken: undefined,
+            });
+            expect(send.mock.calls[0][1]).toEqual({ abortSignal: signal });
+            expect(page).toEqual({
+                parameters: [{ name: `${prefix}/features/beta`, value: 'true', type: 'String' }],
+                nextToken: 'next',
+            });
+        });
+    });
+
+    describe('config stage', () => {
+        it('should apply the allowed origins setting to CORS', async () => {
+            const client = createLocalSsmClient({
+                parameters: { [`${prefix}/cors/allowedOrigins`]: 'https://ssm.example.com' },
+            });
+            const handler = createHandler(
+                async (ctx) => ({ body: ctx.config.values }),
+                [config({ store: store({ client }) }), cors()]
+            );
+
+            const allowed = await handler({
+                httpMethod: 'GET',
+                headers: { Origin: 'https://ssm.example.com' },
+            });
+            const denied = await handler({
+                httpMethod: 'GET',
+                headers: { Origin: 'https://file.example.com' },
+            });
+
+            expect(allowed.statusCode).toBe(200);
+            expect(allowed.headers['Access-Control-Allow-Origin']).toBe('https://ssm.example.com');
+            expect(denied.statusCode).toBe(403);
+        });
+    });
+});
@@ -0,0 +1,137 @@
+/**
+ * Unit tests for the WebSocket connection registries
+ */
+
+const { PutItemCommand, UpdateItemCommand, QueryCommand } = require('@aws-sdk/client-dynamodb');
+const { createMemoryRegistry, createDynamoDbRegistry } = require('../../src/lib/connections');
+
+describe('Connection Registry', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    const connection = (connectionId) => ({
+        connectionId,
+        connectedAt: '2026-01-01T12:00:00.000Z',
+        principalId: 'user-123',
+    });
+
+    describe('createMemoryRegistry', () => {
+        it('should list the subscribers of a topic with the status they were sent', async () => {
+            const registry = createMemoryRegistry();
+            await registry.add(connection('a'));
+            await registry.add(connection('b'));
+
+            expect(await registry.subscribe('a', 'health')).toBe(true);
+            expect(await registry.subscribe('missing', 'health')).toBe(false);
+            await registry.recordDelivery('a', 'degraded');
+            await registry.recordDelivery('missing', 'degraded');
+
+            expect(await registry.subscribers('health')).toEqual([
+                { ...connection('a'), topic: 'health', lastStatus: 'degraded' },
+            ]);
+        });
+
+        it('should forget the topic and the last status on unsubscribe', async () => {
+            const registry = createMemoryRegistry();
+            await registry.add(connection('a'));
+            await registry.subscribe('a', 'health');
+            await registry.recordDelivery('a', 'healthy');
+
+            expect(await registry.unsubscribe('a', 'news')).toBe(false);
+            expect(await registry.unsubscribe('a', 'health')).toBe(true);
+            await registry.subscribe('a', 'health');
+
+            expect((await registry.subscribers('health'))[0].lastStatus).toBeUndefined();
+            await registry.remove('a');
+            expect(await registry.subscribers('health')).toEqual([]);
+        });
+    });
+
+    describe('createDynamoDbRegistry', () => {
+        const conditionFailed = () =>
+            Object.assign(new Error('The conditional request failed'), {
+                name: 'ConditionalCheckFailedException',
+            });
+
+        it('should store connections with a TTL of 2 hours', async () => {
+            const client = { send: jest.fn().mockResolvedValue({}) };
+            const registry = createDynamoDbRegistry({ tableName: 'Connections', client });
+
+            await registry.add(connection('a'));
+
+            const command = client.send.mock.calls[0][0];
+            expect(command).toBeInstanceOf(PutItemCommand);
+            expect(command.input).toEqual({
+                TableName: 'Connections',
+                Item: {
+                    connectionId: { S: 'a' },
+                    connectedAt: { S: '2026-01-01T12:00:00.000Z' },
+                    expiresAt: { N: String(1767268800 + 2 * 60 * 60) },
+                    principalId: { S: 'user-123' },
+                },
+            });
+        });
+
+        it('should subscribe only registered connections', async () => {
+            const client = {
+                send: jest.fn().mockResolvedValueOnce({}).mockRejectedValueOnce(conditionFailed()),
+            };
+            const registry = createDynamoDbRegistry({ tableName: 'Connections', client });
+
+            expect(await registry.subscribe('a', 'health')).toBe(true);
+            expect(await registry.subscribe('gone', 'health')).toBe(false);
+
+            const command = client.send.mock.calls[0][0];
+            expect(command).toBeInstanceOf(UpdateItemCommand);
+            expect(command.input).toMatchObject({
+                Key: { connectionId: { S: 'a' } },
+                UpdateExpression: 'SET #topic = :topic REMOVE lastStatus',
+                ConditionExpression: 'attribute_exists(connectionId)',
+            });
+        });
+
+        it('should query every page of the topic index', async () => {
+            const item = (connectionId) => ({
+                connectionId: { S: connectionId },
+                connectedAt: { S: '2026-01-01T12:00:00.000Z' },
+                topic: { S: 'health' },
+                lastStatus: { S: 'healthy' },
+            });
+            const client = {
+                send: jest
+                    .fn()
+                    .mockResolvedValueOnce({
+                        Items: [item('a')],
+                        LastEvaluatedKey: { connectionId: { S: 'a' }, topic: { S: 'health' } },
+                    })
+                    .mockResolvedValueOnce({ Items: [item('b')] }),
+            };
+            const registry = createDynamoDbRegistry({ tableName: 'Connections', client });
+
+            const subscribers = await registry.subscribers('health');
+
+            expect(subscribers.map((subscriber) => subscriber.connectionId)).toEqual(['a', 'b']);
+            expect(subscribers[0]).toEqual({
+                connectionId: 'a',
+                connectedAt: '2026-01-01T12:00:00.000Z',
+                topic: 'health',
+                lastStatus: 'healthy',
+            });
+            const [first, second] = client.send.mock.calls.map(([command]) => command);
+            expect(first).toBeInstanceOf(QueryCommand);
+            expect(first.input.IndexName).toBe('topic-index');
+            expect(second.input.ExclusiveStartKey).toEqual({
+                connectionId: { S: 'a' },
+                topic: { S: 'health' },
+            });
+        });
+
+        it('should not recreate connections removed before a delivery is recorded', async () => {
+            const client = { send: jest.fn().mockRejectedValue(conditionFailed()) };
+            const registry = createDynamoDbRegistry({ tableName: 'Connections', client });
+
+            await expect(registry.recordDelivery('gone', 'healthy')).resolves.toBeUndefined();
+        });
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * Unit tests for Accept header content negotiation
+ */
+
+const { createHandler } = require('../../src/lib/middleware');
+const {
+    parseAccept,
+    selectMediaType,
+    contentNegotiation,
+} = require('../../src/lib/content-negotiation');
+
+describe('Content Negotiation', () => {
+    const available = ['application/json', 'text/plain', 'application/xml', 'text/html'];
+
+    describe('parseAccept', () => {
+        it('should parse media ranges and q-values', () => {
+            expect(parseAccept('text/html, application/*;q=0.8, */*;q=0.1')).toEqual([
+                { type: 'text', subtype: 'html', q: 1 },
+                { type: 'application', subtype: '*', q: 0.8 },
+                { type: '*', subtype: '*', q: 0.1 },
+            ]);
+        });
+
+        it('should ignore malformed ranges', () => {
+            expect(parseAccept('garbage, text/plain;q=2, text/html')).toEqual([
+                { type: 'text', subtype: 'html', q: 1 },
+            ]);
+        });
+    });
+
+    describe('selectMediaType', () => {
+        it('should default to the first format without an Accept header', () => {
+            expect(selectMediaType(undefined, available)).toBe('application/json');
+        });
+
+        it('should pick the highest q-value', () => {
+            expect(selectMediaType('application/json;q=0.5, text/plain', available)).toBe(
+                'text/plain'
+            );
+        });
+
+        it('should use the most specific matching range', () => {
+            expect(selectMediaType('text/*;q=0.9, text/html;q=0.2', available)).toBe('text/plain');
+        });
+
+        it('should break ties by server preference', () => {
+            expect(selectMediaType('*/*', available)).toBe('application/json');
+            expect(selectMediaType('text/html, application/xml', available)).toBe(
+                'application/xml'
+            );
+        });
+
+        it('should exclude types with q=0', () => {
+            expect(selectMediaType('*/*, application/json;q=0', available)).toBe('text/plain');
+        });
+
+        it('should return undefined when nothing is acceptable', () => {
+            expect(selectMediaType('image/png', available)).toBeUndefined();
+        });
+    });
+
+    describe('contentNegotiation stage', () => {
+        const route = jest.fn(async () => ({ body: { message: 'hi' } }));
+        const handler = createHandler(route, [contentNegotiation({ xmlRoot: 'greeting' })]);
+
+        beforeEach(() => {
+            route.mockClear();
+        });
+
+        it('should serialize the body in the negotiated format', async () => {
+            const response = await handler({ headers: { accept: 'application/xml' } });
+
+            expect(response.headers['Content-Type']).toBe('application/xml; charset=utf-8');
+            expect(response.headers.Vary).toBe('Accept');
+            expect(response.body).toContain('<greeting><message>hi</message></greeting>');
+        });
+
+        it('should answer 406 with the supported formats', async () => {
+            const response = await handler({ headers: { Accept: 'image/png' } });
+
+            expect(response.statusCode).toBe(406);
+            expect(route).not.toHaveBeenCalled();
+            expect(response.headers['Content-Type']).toBe('application/problem+json');
+            const body = JSON.parse(response.body);
+            expect(body.title).toBe('Not Acceptable');
+            expect(body.status).toBe(406);
+            expect(body.supportedTypes).toEqual(available);
+        });
+
+        it('should leave string bodies and their Content-Type alone', async () => {
+            const raw = createHandler(
+                async () => ({ headers: { 'Content-Type': 'image/svg+xml' }, body: '<svg/>' }),
+                [contentNegotiation()]
+            );
+
+            const response = await raw({ headers: { Accept: 'text/plain' } });
+
+            expect(response.headers['Content-Type']).toBe('image/svg+xml');
+            expect(response.body).toBe('<svg/>');
+        });
+    });
+});
@@ -0,0 +1,152 @@
+/**
+ * Unit tests for CORS allowlist matching and preflight handling
+ */
+
+const { createHandler } = require('../../src/lib/middleware');
+const { loadCorsConfig, resolveAllowedOrigin, cors } = require('../../src/lib/cors');
+
+describe('CORS', () => {
+    describe('loadCorsConfig', () => {
+        it('should default to any origin without credentials', () => {
+            expect(loadCorsConfig({})).toEqual({
+                allowedOrigins: ['*'],
+                allowCredentials: false,
+                maxAge: undefined,
+            });
+        });
+
+        it('should parse the allowlist, credentials flag and max age', () => {
+            expect(
+                loadCorsConfig({
+                    CORS_ALLOWED_ORIGINS: ' https://a.example.com , https://*.example.org ,',
+                    CORS_ALLOW_CREDENTIALS: 'true',
+                    CORS_MAX_AGE: '600',
+                })
+            ).toEqual({
+                allowedOrigins: ['https://a.example.com', 'https://*.example.org'],
+                allowCredentials: true,
+                maxAge: 600,
+            });
+        });
+    });
+
+    describe('resolveAllowedOrigin', () => {
+        const config = {
+            allowedOrigins: ['https://app.example.com', 'https://*.example.org'],
+            allowCredentials: true,
+        };
+
+        it('should echo exact matches case-insensitively', () => {
+            expect(resolveAllowedOrigin('https://APP.example.com', config)).toBe(
+                'https://APP.example.com'
+            );
+        });
+
+        it('should match wildcard subdomains at any depth', () => {
+            expect(resolveAllowedOrigin('https://a.example.org', config)).toBe(
+                'https://a.example.org'
+            );
+            expect(resolveAllowedOrigin('https://a.b.example.org', config)).toBe(
+                'https://a.b.example.org'
+            );
+        });
+
+        it('should not let wildcards match the parent domain, other schemes or lookalikes', () => {
+            expect(resolveAllowedOrigin('https://example.org', config)).toBeUndefined();
+            expect(resolveAllowedOrigin('http://a.example.org', config)).toBeUndefined();
+            expect(resolveAllowedOrigin('https://a.example.org.evil.com', config)).toBeUndefined();
+            expect(resolveAllowedOrigin('https://evilexample.org', config)).toBeUndefined();
+        });
+
+        it('should return * for open configurations without credentials', () => {
+            const open = { allowedOrigins: ['*'], allowCredentials: false };
+
+            expect(resolveAllowedOrigin(undefined, open)).toBe('*');
+            expect(resolveAllowedOrigin('https://any.example.net', open)).toBe('*');
+        });
+
+        it('should echo the origin for open configurations with credentials', () => {
+            const open = { allowedOrigins: ['*'], allowCredentials: true };
+
+            expect(resolveAllowedOrigin('https://any.example.net', open)).toBe(
+                'https://any.example.net'
+            );
+        });
+    });
+
+    describe('cors stage', () => {
+        const route = jest.fn(async () => ({ body: 'ok' }));
+        const handler = createHandler(route, [cors({ methods: ['GET', 'OPTIONS'] })]);
+
+        beforeEach(() => {
+            route.mockClear();
+            process.env.CORS_ALLOWED_ORIGINS = 'https://app.example.com';
+            process.env.CORS_ALLOW_CREDENTIALS = 'true';
+            process.env.CORS_MAX_AGE = '300';
+        });
+
+        afterEach(() => {
+            delete process.env.CORS_ALLOWED_ORIGINS;
+            delete process.env.CORS_ALLOW_CREDENTIALS;
+            delete process.env.CORS_MAX_AGE;
+        });
+
+        it('should answer preflight requests without running the route', async () => {
+            const response = await handler({
+                httpMethod: 'OPTIONS',
+                headers: {
+                    origin: 'https://app.example.com',
+                    'access-control-request-method': 'GET',
+                },
+            });
+
+            expect(route).not.toHaveBeenCalled();
+            expect(response.statusCode).toBe(204);
+            expect(response.headers).toEqual({
+                'Access-Control-Allow-Origin': 'https://app.example.com',
+                'Access-Control-Allow-Credentials': 'true',
+                'Access-Control-Allow-Methods': 'GET,OPTIONS',
+                'Access-Control-Allow-Headers':
+                    'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,' +
+                    'X-Correlation-Id,traceparent,tracestate',
+                'Access-Control-Max-Age': '300',
+                Vary: 'Origin',
+            });
+        });
+
+        it('should decorate allowed actual requests', async () => {
+            const response = await handler({
+                httpMethod: 'GET',
+                headers: { Origin: 'https://app.example.com' },
+            });
+
+            expect(route).toHaveBeenCalled();
+            expect(response.headers['Access-Control-Allow-Origin']).toBe('https://app.example.com');
+            expect(response.headers['Access-Control-Expose-Headers']).toBe(
+                'X-Request-Id,X-Correlation-Id,X-Trace-Id'
+            );
+            expect(response.headers.Vary).toBe('Origin');
+        });
+
+        it('should reject disallowed origins for actual and preflight requests', async () => {
+            for (const httpMethod of ['GET', 'OPTIONS']) {
+                const response = await handler({
+                    httpMethod,
+                    headers: { Origin: 'https://other.example.com' },
+                });
+
+                expect(response.statusCode).toBe(403);
+                expect(JSON.parse(response.body).title).toBe('Forbidden');
+            }
+            expect(route).not.toHaveBeenCalled();
+        });
+
+        it('should pass same-origin requests without an Origin header', async () => {
+            const response = await handler({ httpMethod: 'GET' });
+
+            expect(response.statusCode).toBe(200);
+            expect(response.headers['Access-Control-Allow-Origin']).toBeUndefined();
+            expect(response.headers.Vary).toBe('Origin');
+        });
+    });
+});
@@ -0,0 +1,176 @@
+/**
+ * Unit tests for the invocation deadline and its middleware stage
+ */
+
+const { createDeadline, deadline } = require('../../src/lib/deadline');
+const { createHandler, requestId, errorHandler } = require('../../src/lib/middleware');
+const { problemResponse } = require('../../src/lib/problem');
+const { GatewayTimeoutError } = require('../../src/lib/errors');
+
+/**
+ * @param {number} ms - Delay
+ * @param {AbortSignal} signal - Rejects the delay once aborted
+ * @returns {Promise<void>}
+ */
+const sleep = (ms, signal) =>
+    new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        });
+    });
+
+describe('Deadline', () => {
+    // Mock console.log to prevent cluttering test output
+    const originalConsoleLog = console.log;
+    beforeAll(() => {
+        console.log = jest.fn();
+    });
+    afterAll(() => {
+        console.log = originalConsoleLog;
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('createDeadline', () => {
+        it('should keep the reserve back from the remaining time', () => {
+            let time = 1000;
+            const budget = createDeadline({ remainingMs: 3000, reserveMs: 250, now: () => time });
+
+            expect(budget.budgetMs).toBe(2750);
+            time += 750;
+            expect(budget.remainingMs()).toBe(2000);
+            time += 5000;
+            expect(budget.remainingMs()).toBe(0);
+        });
+
+        it('should have no deadline without the remaining time', () => {
+            const budget = createDeadline();
+
+            expect(budget.budgetMs).toBe(Infinity);
+            expect(budget.remainingMs()).toBe(Infinity);
+        });
+
+        it('should time steps and pass them the signal', async () => {
+            let time = 0;
+            const budget = createDeadline({ remainingMs: 1000, now: () => time });
+
+            const result = await budget.step('load', async (signal) => {
+                expect(signal).toBe(budget.signal);
+                time += 40;
+                return 'loaded';
+            });
+            const pending = budget.step('save', () => new Promise(() => {}));
+
+            expect(result).toBe('loaded');
+            expect(budget.steps()).toEqual({
+                completed: [{ name: 'load', durationMs: 40 }],
+                inProgress: 'save',
+            });
+            expect(pending).toBeInstanceOf(Promise);
+        });
+
+        it('should refuse to start steps once expired', async () => {
+            const budget = createDeadline({ remainingMs: 1000 });
+            const work = jest.fn();
+
+            budget.expire(new GatewayTimeoutError());
+
+            await expect(budget.step('late', work)).rejects.toThrow(GatewayTimeoutError);
+            expect(work).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('deadline stage', () => {
+        const event = {
+            httpMethod: 'GET',
+            path: '/hello',
+            requestContext: { requestId: 'deadline-test-1' },
+        };
+        const lambdaContext = (remainingMs) => ({
+            awsRequestId: 'lambda-request-1',
+            getRemainingTimeInMillis: () => remainingMs,
+        });
+        const handlerFor = (route) =>
+            createHandler(route, [
+                requestId(),
+                errorHandler({ message: 'Failed', toResponse: problemResponse }),
+                deadline({ reserveMs: 250 }),
+            ]);
+
+        it('should answer 504 with the request ID when the budget runs out', async () => {
+            let aborted;
+            const handler = handlerFor(async (ctx) => {
+                await ctx.deadline.step('load greeting', (signal) => sleep(10, signal));
+                await ctx.deadline.step('call downstream', async (signal) => {
+                    await sleep(500, signal).catch((error) => {
+                        aborted = error;
+                    });
+                });
+                return { body: 'too late' };
+            });
+
+            const response = await handler(event, lambdaContext(300));
+
+            expect(response.statusCode).toBe(504);
+            expect(response.body).toMatchObject({
+                type: 'urn:hello-world-api:problem:deadline-exceeded',
+                title: 'Deadline Exceeded',
+                status: 504,
+                requestId: 'deadline-test-1',
+            });
+            expect(aborted).toBeInstanceOf(GatewayTimeoutError);
+
+            const records = console.log.mock.calls.map(([line]) => JSON.parse(line));
+            const warning = records.find(
+                (record) => record.message === 'Invocation deadline exceeded'
+            );
+            expect(warning).toMatchObject({
+                level: 'WARN',
+                requestId: 'deadline-test-1',
+                budgetMs: 50,
+                step: 'call downstream',
+                completedSteps: [{ name: 'load greeting', durationMs: expect.any(Number) }],
+            });
+        });
+
+        it('should return the route response within the budget', async () => {
+            const handler = handlerFor(async (ctx) => ({
+                body: await ctx.deadline.step('quick', async () => 'in time'),
+            }));
+
+            const response = await handler(event, lambdaContext(3000));
+
+            expect(response.statusCode).toBe(200);
+            expect(response.body).toBe('in time');
+        });
+
+        it('should pass other errors through unchanged', async () => {
+            const handler = handlerFor(async () => {
+                throw new Error('boom');
+            });
+
+            const response = await handler(event, lambdaContext(3000));
+
+            expect(response.statusCode).toBe(500);
+            expect(
+                console.log.mock.calls.some(([line]) =>
+                    line.includes('Invocation deadline exceeded')
+                )
+            ).toBe(false);
+        });
+
+        it('should run without a deadline when there is no Lambda context', async () => {
+            const handler = handlerFor(async (ctx) => ({
+                body: String(ctx.deadline.remainingMs()),
+            }));
+
+            const response = await handler(event);
+
+            expect(response.body).toBe('Infinity');
+        });
+    });
+});
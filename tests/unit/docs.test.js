@@ -0,0 +1,134 @@
+/**
+ * Unit tests for the API documentation Lambda handler
+ */
+
+const { handler, buildApiDocument } = require('../../src/handlers/docs');
+const { validateResponse, getOperation } = require('../../src/lib/openapi');
+
+describe('API Documentation Handler', () => {
+    // Mock console.log to prevent cluttering test output
+    const originalConsoleLog = console.log;
+    beforeAll(() => {
+        console.log = jest.fn();
+    });
+    afterAll(() => {
+        console.log = originalConsoleLog;
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        delete process.env.ENVIRONMENT;
+        delete process.env.CORS_ALLOWED_ORIGINS;
+    });
+
+    const event = (path, headers = {}, httpMethod = 'GET') => ({
+        httpMethod,
+        path,
+        headers,
+        requestContext: { requestId: 'docs-test-123' },
+    });
+
+    describe('buildApiDocument', () => {
+        it('should cover every route of the handler modules', () => {
+            const document = buildApiDocument();
+
+            expect(Object.keys(document.paths)).toEqual([
+                '/hello',
+                '/v1/hello',
+                '/v2/hello',
+                '/greetings',
+                '/greetings/{id}',
+                '/health',
+                '/health/live',
+                '/health/ready',
+                '/graphql',
+                '/openapi.json',
+                '/docs',
+            ]);
+            expect(
+                document.paths['/v2/hello'].get.responses['200'].content['application/json'].schema
+                    .$ref
+            ).toBe('#/components/schemas/GreetingV2');
+            expect(
+                document.paths['/hello'].get.parameters.map((parameter) => parameter.name)
+            ).toContain('Accept-Version');
+            expect(
+                document.paths['/v1/hello'].get.parameters.map((parameter) => parameter.name)
+            ).not.toContain('Accept-Version');
+        });
+
+        it('should name the stage as the server', () => {
+            process.env.ENVIRONMENT = 'prod';
+
+            const document = buildApiDocument();
+
+            expect(document.info.title).toBe('Hello World API - prod');
+            expect(document.servers).toEqual([{ url: '/prod' }]);
+        });
+    });
+
+    describe('GET /openapi.json', () => {
+        it('should serve the document with a cacheable strong ETag', async () => {
+            const response = await handler(event('/openapi.json'));
+
+            expect(response.statusCode).toBe(200);
+            expect(response.headers['Content-Type']).toBe('application/json');
+            expect(response.headers['Cache-Control']).toBe('public, max-age=300');
+            expect(response.headers.ETag).toMatch(/^"[\w-]+"$/);
+            expect(JSON.parse(response.body).openapi).toBe('3.1.0');
+            expect(validateResponse(response, getOperation('/openapi.json', 'GET'))).toEqual([]);
+        });
+
+        it('should answer a matching If-None-Match with 304', async () => {
+            const first = await handler(event('/openapi.json'));
+
+            const response = await handler(
+                event('/openapi.json', {
+                    'If-None-Match': first.headers.ETag,
+                })
+            );
+
+            expect(response.statusCode).toBe(304);
+            expect(response.body).toBe('');
+        });
+
+        it('should answer CORS preflights', async () => {
+            const response = await handler(
+                event(
+                    '/openapi.json',
+                    {
+                        Origin: 'https://editor.example.com',
+                        'Access-Control-Request-Method': 'GET',
+                    },
+                    'OPTIONS'
+                )
+            );
+
+            expect(response.statusCode).toBe(204);
+            expect(response.headers['Access-Control-Allow-Methods']).toBe('GET,OPTIONS');
+        });
+    });
+
+    describe('GET /docs', () => {
+        it('should serve a self-contained HTML page', async () => {
+            const response = await handler(event('/dev/docs'));
+
+            expect(response.statusCode).toBe(200);
+            expect(response.headers['Content-Type']).toBe('text/html; charset=utf-8');
+            expect(response.headers['Content-Security-Policy']).toContain("default-src 'none'");
+            expect(response.body).toContain('<title>Hello World API - dev 1.0.0</title>');
+            expect(response.body).toContain('id="getHelloV2"');
+            expect(response.body).not.toMatch(/<script|<link/);
+        });
+
+        it('should reject origins outside the allowlist with a problem', async () => {
+            process.env.CORS_ALLOWED_ORIGINS = 'https://app.example.com';
+
+            const response = await handler(event('/docs', { Origin: 'https://evil.example.com' }));
+
+            expect(response.statusCode).toBe(403);
+            expect(response.headers['Content-Type']).toBe('application/problem+json');
+            expect(validateResponse(response, getOperation('/docs', 'GET'))).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,220 @@
+/**
+ * Unit tests for REST API, HTTP API and ALB event normalization
+ */
+
+const {
+    EVENT_FORMATS,
+    detectFormat,
+    normalizeRequest,
+    formatResponse,
+} = require('../../src/lib/events');
+
+describe('Event Formats', () => {
+    const restEvent = {
+        resource: '/hello',
+        path: '/hello',
+        httpMethod: 'GET',
+        headers: { Accept: 'application/json', Cookie: 'theme=dark; lang=fr' },
+        queryStringParameters: { name: 'Ada' },
+        pathParameters: null,
+        body: null,
+        isBase64Encoded: false,
+        requestContext: {
+            requestId: 'rest-1',
+            identity: { sourceIp: '198.51.100.1', apiKey: 'key-1' },
+            authorizer: { principalId: 'user-1', sub: 'user-1', scope: 'greetings:read' },
+        },
+    };
+
+    const httpEvent = {
+        version: '2.0',
+        routeKey: 'GET /hello',
+        rawPath: '/hello',
+        rawQueryString: 'name=Ada&tag=a&tag=b',
+        cookies: ['theme=dark', 'lang=fr'],
+        headers: { accept: 'application/json' },
+        queryStringParameters: { name: 'Ada', tag: 'a,b' },
+        requestContext: {
+            requestId: 'http-1',
+            http: { method: 'GET', path: '/hello', sourceIp: '198.51.100.2' },
+            authorizer: {
+                jwt: { claims: { sub: 'user-2', client_id: 'app' }, scopes: ['greetings:read'] },
+            },
+        },
+        isBase64Encoded: false,
+    };
+
+    const albEvent = {
+        requestContext: { elb: { targetGroupArn: 'arn:aws:elasticloadbalancing:tg' } },
+        httpMethod: 'GET',
+        path: '/hello',
+        queryStringParameters: { name: 'Ada%20Lovelace', 'x%5B%5D': 'a+b' },
+        headers: { accept: 'application/json', 'x-forwarded-for': '203.0.113.9, 198.51.100.3' },
+        body: '',
+        isBase64Encoded: false,
+    };
+
+    describe('detectFormat', () => {
+        it('should tell the three formats apart', () => {
+            expect(detectFormat(restEvent)).toBe(EVENT_FORMATS.REST);
+            expect(detectFormat(httpEvent)).toBe(EVENT_FORMATS.HTTP);
+            expect(detectFormat(albEvent)).toBe(EVENT_FORMATS.ALB);
+            expect(detectFormat(undefined)).toBe(EVENT_FORMATS.REST);
+        });
+    });
+
+    describe('normalizeRequest', () => {
+        it('should read REST API events', () => {
+            expect(normalizeRequest(restEvent)).toEqual({
+                format: 'v1',
+                method: 'GET',
+                path: '/hello',
+                headers: restEvent.headers,
+                query: { name: 'Ada' },
+                cookies: { theme: 'dark', lang: 'fr' },
+                pathParameters: {},
+                body: null,
+                isBase64Encoded: false,
+                sourceIp: '198.51.100.1',
+                requestId: 'rest-1',
+                apiKey: 'key-1',
+                authorizer: restEvent.requestContext.authorizer,
+            });
+        });
+
+        it('should read HTTP API events and flatten JWT authorizer claims', () => {
+            const request = normalizeRequest(httpEvent);
+
+            expect(request).toMatchObject({
+                format: 'v2',
+                method: 'GET',
+                path: '/hello',
+                query: { name: 'Ada', tag: 'a,b' },
+                cookies: { theme: 'dark', lang: 'fr' },
+                sourceIp: '198.51.100.2',
+                requestId: 'http-1',
+            });
+            expect(request.authorizer).toMatchObject({
+                sub: 'user-2',
+                scope: 'greetings:read',
+                clientId: 'app',
+            });
+        });
+
+        it('should read Lambda authorizer context from HTTP API events', () => {
+            const request = normalizeRequest({
+                ...httpEvent,
+                requestContext: {
+                    ...httpEvent.requestContext,
+                    authorizer: { lambda: { sub: 'user-3', tier: 'premium' } },
+                },
+            });
+
+            expect(request.authorizer).toEqual({ sub: 'user-3', tier: 'premium' });
+        });
+
+        it('should decode ALB query strings and take the client IP from X-Forwarded-For', () => {
+            const request = normalizeRequest(albEvent);
+
+            expect(request).toMatchObject({
+                format: 'alb',
+                method: 'GET',
+                path: '/hello',
+                query: { name: 'Ada Lovelace', 'x[]': 'a b' },
+                sourceIp: '198.51.100.3',
+                requestId: undefined,
+                multiValue: false,
+            });
+        });
+
+        it('should ignore X-Forwarded-For entries the client sent', () => {
+            const request = (forwardedFor) =>
+                normalizeRequest({
+                    ...albEvent,
+                    headers: { 'x-forwarded-for': forwardedFor },
+                });
+
+            expect(request('1.2.3.4, 5.6.7.8, 198.51.100.3').sourceIp).toBe('198.51.100.3');
+            expect(request('198.51.100.3').sourceIp).toBe('198.51.100.3');
+        });
+
+        it('should collapse ALB multi-value headers and query strings', () => {
+            const request = normalizeRequest({
+                ...albEvent,
+                headers: undefined,
+                queryStringParameters: undefined,
+                multiValueHeaders: { accept: ['text/html', 'application/json'] },
+                multiValueQueryStringParameters: { name: ['Ada', 'Grace'] },
+            });
+
+            expect(request.headers).toEqual({ accept: 'text/html,application/json' });
+            expect(request.query).toEqual({ name: 'Grace' });
+            expect(request.multiValue).toBe(true);
+        });
+    });
+
+    describe('formatResponse', () => {
+        const response = {
+            statusCode: 200,
+            headers: { 'Content-Type': 'application/json', 'Content-Length': 2 },
+            body: '{}',
+            cookies: ['a=1', 'b=2'],
+        };
+
+        it('should send cookies as Set-Cookie headers to REST APIs', () => {
+            expect(formatResponse(response, normalizeRequest(restEvent))).toEqual({
+                statusCode: 200,
+                headers: response.headers,
+                multiValueHeaders: { 'Set-Cookie': ['a=1', 'b=2'] },
+                body: '{}',
+            });
+        });
+
+        it('should leave REST API responses without cookies unchanged', () => {
+            const plain = { statusCode: 204, headers: {} };
+
+            expect(formatResponse(plain, normalizeRequest(restEvent))).toEqual(plain);
+        });
+
+        it('should pass cookies to HTTP APIs in the cookies field', () => {
+            expect(formatResponse(response, normalizeRequest(httpEvent))).toEqual({
+                statusCode: 200,
+                headers: response.headers,
+                body: '{}',
+                cookies: ['a=1', 'b=2'],
+            });
+        });
+
+        it('should add statusDescription and string headers for ALB', () => {
+            expect(formatResponse(response, normalizeRequest(albEvent))).toEqual({
+                statusCode: 200,
+                statusDescription: '200 OK',
+                isBase64Encoded: false,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Content-Length': '2',
+                    'Set-Cookie': 'b=2',
+                },
+                body: '{}',
+            });
+        });
+
+        it('should answer multi-value ALB requests with multiValueHeaders', () => {
+            const request = normalizeRequest({
+                ...albEvent,
+                headers: undefined,
+                multiValueHeaders: { accept: ['application/json'] },
+            });
+
+            const formatted = formatResponse({ ...response, statusCode: 429 }, request);
+
+            expect(formatted.statusDescription).toBe('429 Too Many Requests');
+            expect(formatted.headers).toBeUndefined();
+            expect(formatted.multiValueHeaders).toEqual({
+                'Content-Type': ['application/json'],
+                'Content-Length': ['2'],
+                'Set-Cookie': ['a=1', 'b=2'],
+            });
+        });
+    });
+});
@@ -0,0 +1,130 @@
+/**
+ * Unit tests for the GraphQL query limits rule
+ */
+
+const {
+    GraphQLSchema,
+    GraphQLObjectType,
+    GraphQLList,
+    GraphQLNonNull,
+    GraphQLString,
+    GraphQLID,
+    parse,
+    validate,
+} = require('graphql');
+const {
+    DEFAULT_LIST_SIZE,
+    measureOperation,
+    queryLimits,
+} = require('../../src/lib/graphql-limits');
+
+describe('GraphQL query limits', () => {
+    const Book = new GraphQLObjectType({
+        name: 'Book',
+        fields: () => ({
+            id: { type: new GraphQLNonNull(GraphQLID) },
+            title: { type: new GraphQLNonNull(GraphQLString) },
+            related: { type: new GraphQLList(Book), extensions: { listSize: 3 } },
+        }),
+    });
+    const library = new GraphQLSchema({
+        query: new GraphQLObjectType({
+            name: 'Query',
+            fields: {
+                book: { type: Book, args: { id: { type: new GraphQLNonNull(GraphQLID) } } },
+                books: {
+                    type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(Book))),
+                    extensions: { complexity: 5 },
+                },
+            },
+        }),
+    });
+
+    /**
+     * Measure the first operation of a document
+     * @param {string} source - Query document
+     * @returns {{depth: number, complexity: number}} - Cost
+     */
+    const measure = (source) => {
+        const document = parse(source);
+        return measureOperation(library, document, document.definitions[0]);
+    };
+
+    describe('measureOperation', () => {
+        it('should charge the selections of list fields once per item', () => {
+            // related declares a listSize of 3; books has none
+            expect(measure('{ book(id: "1") { id title } }')).toEqual({
+                depth: 2,
+                complexity: 3,
+            });
+            expect(measure('{ book(id: "1") { related { id title } } }').complexity).toBe(
+                1 + (1 + 3 * 2)
+            );
+            expect(measure('{ books { related { related { id } } } }')).toEqual({
+                depth: 4,
+                complexity: 5 + DEFAULT_LIST_SIZE * (1 + 3 * (1 + 3 * 1)),
+            });
+        });
+
+        it('should measure each fragment once however often it is spread', () => {
+            const cost = measure(
+                '{ books { ...F } book(id: "1") { ...F } } ' +
+                    'fragment F on Book { related { ...G ...G } } fragment G on Book { id title }'
+            );
+
+            // F is related 1 + 3 items x G twice (2 each) = 13: books 5 + 10 x F, book 1 + F
+            expect(cost).toEqual({ depth: 3, complexity: 149 });
+        });
+
+        it('should count inline fragments and leave __typename free', () => {
+            expect(measure('{ book(id: "1") { __typename ... on Book { title } } }')).toEqual({
+                depth: 2,
+                complexity: 2,
+            });
+        });
+
+        it('should count introspection lists once', () => {
+            const cost = measure('{ __schema { types { name fields { name } } } }');
+
+            expect(cost).toEqual({ depth: 4, complexity: 5 });
+        });
+    });
+
+    describe('queryLimits', () => {
+        const source = '{ books { related { related { title } } } }';
+        const check = (limits) => validate(library, parse(source), [queryLimits(limits)]);
+
+        it('should admit operations within the limits', () => {
+            expect(check({ maxDepth: 4, maxComplexity: 135 })).toEqual([]);
+        });
+
+        it('should refuse operations over the depth and complexity limits', () => {
+            const errors = check({ maxDepth: 3, maxComplexity: 134 });
+
+            expect(errors.map(({ message, extensions }) => [message, extensions.code])).toEqual([
+                ['Query depth 4 exceeds the maximum allowed depth of 3.', 'QUERY_DEPTH_EXCEEDED'],
+                [
+                    'Query complexity 135 exceeds the maximum allowed complexity of 134.',
+                    'QUERY_COMPLEXITY_EXCEEDED',
+                ],
+            ]);
+            expect(errors[0].locations).toEqual([{ line: 1, column: 1 }]);
+        });
+
+        it('should report the cost of every operation', () => {
+            const onMeasured = jest.fn();
+            const document = parse('query A { book(id: "1") { id } } query B { books { id } }');
+
+            validate(library, document, [queryLimits({ onMeasured })]);
+
+            expect(onMeasured).toHaveBeenCalledWith(
+                { depth: 2, complexity: 2 },
+                document.definitions[0]
+            );
+            expect(onMeasured).toHaveBeenCalledWith(
+                { depth: 2, complexity: 15 },
+                document.definitions[1]
+            );
+        });
+    });
+});
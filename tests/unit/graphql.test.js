@@ -0,0 +1,229 @@
+/**
+ * Unit tests for the POST /graphql handler
+ */
+
+const { handler, schema: apiSchema } = require('../../src/handlers/graphql');
+
+/**
+ * Build a POST /graphql event as API Gateway sends it
+ * @param {Object|string} body - Request body; objects are JSON-encoded
+ * @returns {Object} - API Gateway event
+ */
+const graphqlEvent = (body) => ({
+    httpMethod: 'POST',
+    path: '/graphql',
+    headers: { 'Content-Type': 'application/json' },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+    requestContext: {
+        requestId: 'req-graphql',
+        authorizer: { principalId: 'user-123' },
+    },
+});
+
+describe('GraphQL', () => {
+    // Mock console.log to prevent cluttering test output
+    const originalConsoleLog = console.log;
+    beforeAll(() => {
+        console.log = jest.fn();
+    });
+    afterAll(() => {
+        console.log = originalConsoleLog;
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        delete process.env.ENVIRONMENT;
+    });
+
+    describe('handler', () => {
+        beforeEach(() => {
+            // The memory probe reads the real heap, which a long Jest run can push
+            // over the warning threshold
+            jest.spyOn(process, 'memoryUsage').mockReturnValue({
+                heapUsed: 10 * 1024 * 1024,
+                rss: 50 * 1024 * 1024,
+            });
+        });
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('should answer hello and health queries', async () => {
+            const response = await handler(
+                graphqlEvent({
+                    query:
+                        'query Greet($name: String) { hello(name: $name, locale: "fr") ' +
+                        '{ message locale requestId } health { status checks { name status } } ' +
+                        'liveness { status } }',
+                    operationName: 'Greet',
+                    variables: { name: 'Ada' },
+                })
+            );
+            const body = JSON.parse(response.body);
+
+            expect(response.statusCode).toBe(200);
+            expect(response.headers['Content-Type']).toBe('application/json');
+            expect(body).toEqual({
+                data: {
+                    hello: { message: 'Bonjour, Ada !', locale: 'fr', requestId: 'req-graphql' },
+                    health: {
+                        status: 'healthy',
+                        checks: [{ name: 'memory', status: 'healthy' }],
+                    },
+                    liveness: { status: 'healthy' },
+                },
+            });
+        });
+
+        it('should report invalid arguments as field errors', async () => {
+            const response = await handler(
+                graphqlEvent({
+                    query: '{ hello(name: "") { message } liveness { status } }',
+                })
+            );
+            const body = JSON.parse(response.body);
+
+            expect(response.statusCode).toBe(200);
+            expect(body.data).toEqual({ hello: null, liveness: { status: 'healthy' } });
+            expect(body.errors).toEqual([
+                {
+                    message: "Argument 'name' must not be empty",
+                    locations: [{ line: 1, column: 3 }],
+                    path: ['hello'],
+                    extensions: { code: 'VALIDATION_ERROR', status: 400, requestId: 'req-graphql' },
+                },
+            ]);
+        });
+
+        it('should answer queries that cannot run with 400', async () => {
+            const response = await handler(graphqlEvent({ query: '{ hello { nope } }' }));
+            const body = JSON.parse(response.body);
+
+            expect(response.statusCode).toBe(400);
+            expect(body).toEqual({
+                errors: [
+                    {
+                        message: 'Cannot query field "nope" on type "Greeting".',
+                        locations: [{ line: 1, column: 11 }],
+                        extensions: { code: 'GRAPHQL_VALIDATION_FAILED', requestId: 'req-graphql' },
+                    },
+                ],
+            });
+        });
+
+        it.each([
+            ['a syntax error', { query: '{ liveness { status }' }, 'GRAPHQL_PARSE_FAILED'],
+            [
+                'too many tokens',
+                { query: `{ ${'liveness { status } '.repeat(500)}}` },
+                'GRAPHQL_PARSE_FAILED',
+            ],
+            [
+                'a mutation',
+                { query: 'mutation { hello { message } }' },
+                'GRAPHQL_VALIDATION_FAILED',
+            ],
+            [
+                'an unknown operation name',
+                { query: 'query A { liveness { status } }', operationName: 'B' },
+                'OPERATION_RESOLUTION_FAILURE',
+            ],
+            [
+                'a missing variable',
+                { query: 'query ($name: String!) { hello(name: $name) { message } }' },
+                'BAD_USER_INPUT',
+            ],
+        ])('should answer %s with 400', async (_case, request, code) => {
+            const response = await handler(graphqlEvent(request));
+            const body = JSON.parse(response.body);
+
+            expect(response.statusCode).toBe(400);
+            expect(body.data).toBeUndefined();
+            expect(body.errors[0].extensions).toEqual({ code, requestId: 'req-graphql' });
+        });
+
+        it('should refuse queries over the configured complexity', async () => {
+            const fields = Array.from({ length: 20 }, (_, i) => `h${i}: health { status }`);
+
+            const response = await handler(graphqlEvent({ query: `{ ${fields.join(' ')} }` }));
+            const body = JSON.parse(response.body);
+
+            expect(response.statusCode).toBe(400);
+            expect(body.errors[0].extensions.code).toBe('QUERY_COMPLEXITY_EXCEEDED');
+            expect(body.errors[0].message).toBe(
+                'Query complexity 220 exceeds the maximum allowed complexity of 200.'
+            );
+        });
+
+        it('should admit the standard introspection query', async () => {
+            const typeRef = Array.from({ length: 7 }).reduce(
+                (inner) => `kind name ofType { ${inner} }`,
+                'kind name'
+            );
+            const query =
+                '{ __schema { queryType { name } types { kind name ' +
+                'fields(includeDeprecated: true) { name args { name type { ...TypeRef } ' +
+                'defaultValue } type { ...TypeRef } isDeprecated deprecationReason } ' +
+                'enumValues(includeDeprecated: true) { name } } ' +
+                'directives { name locations args { name type { ...TypeRef } } } } } ' +
+                `fragment TypeRef on __Type { ${typeRef} }`;
+
+            const response = await handler(graphqlEvent({ query }));
+            const body = JSON.parse(response.body);
+
+            expect(response.statusCode).toBe(200);
+            expect(body.data.__schema.queryType).toEqual({ name: 'Query' });
+            expect(body.data.__schema.types.map(({ name }) => name)).toEqual(
+                expect.arrayContaining(['Greeting', 'HealthStatus', '__Schema'])
+            );
+        });
+
+        it('should turn introspection off in prod', async () => {
+            // prod turns features.graphqlIntrospection off in src/config/settings.json
+            process.env.ENVIRONMENT = 'prod';
+            let isolated;
+            jest.isolateModules(() => {
+                isolated = require('../../src/handlers/graphql');
+            });
+
+            const response = await isolated.handler(
+                graphqlEvent({
+                    query: '{ __schema { queryType { name } } }',
+                })
+            );
+            const body = JSON.parse(response.body);
+
+            expect(response.statusCode).toBe(400);
+            expect(body.errors[0].extensions.code).toBe('GRAPHQL_VALIDATION_FAILED');
+        });
+
+        it('should answer bodies that are not GraphQL requests with problem details', async () => {
+            const response = await handler(graphqlEvent({ operationName: 'Greet' }));
+            const body = JSON.parse(response.body);
+
+            expect(response.statusCode).toBe(400);
+            expect(response.headers['Content-Type']).toBe('application/problem+json');
+            expect(body.detail).toBe("Request body field 'query' is required");
+        });
+
+        it('should hide unexpected resolver errors', async () => {
+            const hello = apiSchema.getQueryType().getFields().hello;
+            const resolve = hello.resolve;
+            hello.resolve = () => {
+                throw new Error('socket hang up');
+            };
+
+            try {
+                const response = await handler(graphqlEvent({ query: '{ hello { message } }' }));
+                const body = JSON.parse(response.body);
+
+                expect(response.statusCode).toBe(200);
+                expect(body.data).toEqual({ hello: null });
+                expect(body.errors[0].extensions.code).toBe('INTERNAL_ERROR');
+                expect(body.errors[0].message).not.toContain('socket hang up');
+            } finally {
+                hello.resolve = resolve;
+            }
+        });
+    });
+});
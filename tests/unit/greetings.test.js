@@ -0,0 +1,528 @@
+/**
+ * Unit tests for the greetings repositories and the /greetings handlers
+ *
+ * The DynamoDB Local suite runs when DYNAMODB_ENDPOINT is set, e.g.
+ *   docker run -p 8000:8000 amazon/dynamodb-local
+ *   DYNAMODB_ENDPOINT=http://localhost:8000 npx jest tests/unit/greetings.test.js
+ */
+
+const {
+    CreateTableCommand,
+    DeleteItemCommand,
+    DeleteTableCommand,
+    DynamoDBClient,
+    PutItemCommand,
+    ScanCommand,
+} = require('@aws-sdk/client-dynamodb');
+const { handler } = require('../../src/handlers/greetings');
+const { handler: hello } = require('../../src/handlers/hello');
+const {
+    encodeCursor,
+    decodeCursor,
+    matchesIfMatch,
+    renderGreeting,
+    createMemoryRepository,
+    createDynamoDbRepository,
+    getGreetingRepository,
+} = require('../../src/lib/greetings');
+const { ValidationError } = require('../../src/lib/errors');
+
+const greeting = (id, overrides = {}) => ({
+    id,
+    message: `Hello from ${id}, {name}!`,
+    locale: 'en',
+    version: 1,
+    createdAt: '2026-01-01T00:00:00.000Z',
+    updatedAt: '2026-01-01T00:00:00.000Z',
+    ...overrides,
+});
+
+/**
+ * Behaviour every repository adapter must share
+ * @param {Function} createRepository - Returns an empty repository
+ */
+function describeRepositoryContract(createRepository) {
+    let repository;
+    beforeEach(async () => {
+        repository = await createRepository();
+    });
+
+    it('should create greetings once per ID', async () => {
+        expect(await repository.create(greeting('a'))).toBe(true);
+        expect(await repository.create(greeting('a', { message: 'Other' }))).toBe(false);
+        expect(await repository.get('a')).toEqual(greeting('a'));
+        expect(await repository.get('missing')).toBeUndefined();
+    });
+
+    it('should only update the expected version', async () => {
+        await repository.create(greeting('a'));
+
+        const next = greeting('a', { message: 'Hi {name}', version: 2 });
+        expect(await repository.update(next, { expectedVersion: 1 })).toBe(true);
+        expect(await repository.update({ ...next, version: 3 }, { expectedVersion: 1 })).toBe(
+            false
+        );
+        expect((await repository.get('a')).version).toBe(2);
+    });
+
+    it('should remove greetings, checking the version when given', async () => {
+        await repository.create(greeting('a'));
+        await repository.create(greeting('b'));
+
+        expect(await repository.remove('a', { expectedVersion: 2 })).toBe(false);
+        expect(await repository.remove('a', { expectedVersion: 1 })).toBe(true);
+        expect(await repository.remove('b')).toBe(true);
+        expect(await repository.remove('b')).toBe(false);
+        expect(await repository.get('a')).toBeUndefined();
+    });
+
+    it('should page through every greeting', async () => {
+        for (const id of ['a', 'b', 'c', 'd', 'e']) {
+            await repository.create(greeting(id));
+        }
+
+        const seen = [];
+        let startAfter;
+        do {
+            const page = await repository.list({ limit: 2, startAfter });
+            expect(page.items.length).toBeLessThanOrEqual(2);
+            seen.push(...page.items.map((item) => item.id));
+            startAfter = page.lastKey;
+        } while (startAfter);
+
+        expect(seen.sort()).toEqual(['a', 'b', 'c', 'd', 'e']);
+    });
+}
+
+describe('Greetings', () => {
+    // Mock console.log to prevent cluttering test output
+    const originalConsoleLog = console.log;
+    beforeAll(() => {
+        console.log = jest.fn();
+    });
+    afterAll(() => {
+        console.log = originalConsoleLog;
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('helpers', () => {
+        it('should round-trip cursors and reject foreign ones', () => {
+            expect(decodeCursor(encodeCursor({ id: 'abc' }))).toEqual({ id: 'abc' });
+            expect(encodeCursor(undefined)).toBeUndefined();
+            expect(decodeCursor(undefined)).toBeUndefined();
+            expect(() => decodeCursor('not-a-cursor')).toThrow(ValidationError);
+        });
+
+        it('should compare If-Match strongly against the version', () => {
+            const current = greeting('a', { version: 3 });
+
+            expect(matchesIfMatch('"3"', current)).toBe(true);
+            expect(matchesIfMatch('"2", "3"', current)).toBe(true);
+            expect(matchesIfMatch('*', current)).toBe(true);
+            expect(matchesIfMatch('W/"3"', current)).toBe(false);
+            expect(matchesIfMatch('"2"', current)).toBe(false);
+        });
+
+        it('should substitute the name or a default', () => {
+            expect(renderGreeting(greeting('a'), 'Ada')).toBe('Hello from a, Ada!');
+            expect(renderGreeting(greeting('a'))).toBe('Hello from a, World!');
+        });
+    });
+
+    describe('createMemoryRepository', () => {
+        describeRepositoryContract(() => createMemoryRepository());
+
+        it('should list in ID order', async () => {
+            const repository = createMemoryRepository({
+                greetings: [greeting('c'), greeting('a'), greeting('b')],
+            });
+
+            const page = await repository.list({ limit: 2 });
+
+            expect(page.items.map((item) => item.id)).toEqual(['a', 'b']);
+            expect(page.lastKey).toEqual({ id: 'b' });
+            expect(
+                (await repository.list({ limit: 2, startAfter: page.lastKey })).lastKey
+            ).toBeUndefined();
+        });
+
+        it('should reject reads once the signal is aborted', async () => {
+            const repository = createMemoryRepository({ greetings: [greeting('a')] });
+            const controller = new AbortController();
+            controller.abort(new Error('deadline'));
+
+            await expect(repository.get('a', { signal: controller.signal })).rejects.toThrow(
+                'deadline'
+            );
+        });
+    });
+
+    describe('createDynamoDbRepository', () => {
+        const item = {
+            id: { S: 'a' },
+            message: { S: 'Hi' },
+            locale: { S: 'en' },
+            version: { N: '2' },
+            createdAt: { S: '2026-01-01T00:00:00.000Z' },
+            updatedAt: { S: '2026-01-02T00:00:00.000Z' },
+        };
+
+        it('should write updates conditionally on the version', async () => {
+            const client = { send: jest.fn().mockResolvedValue({}) };
+            const repository = createDynamoDbRepository({ tableName: 'Greetings', client });
+
+            await repository.update(greeting('a', { version: 3 }), { expectedVersion: 2 });
+
+            const command = client.send.mock.calls[0][0];
+            expect(command).toBeInstanceOf(PutItemCommand);
+            expect(command.input.ConditionExpression).toBe('version = :version');
+            expect(command.input.Item.version).toEqual({ N: '3' });
+            expect(command.input.ExpressionAttributeValues).toEqual({ ':version': { N: '2' } });
+        });
+
+        it('should report failed conditions as false', async () => {
+            const conflict = Object.assign(new Error('conflict'), {
+                name: 'ConditionalCheckFailedException',
+            });
+            const client = { send: jest.fn().mockRejectedValue(conflict) };
+            const repository = createDynamoDbRepository({ tableName: 'Greetings', client });
+
+            expect(await repository.create(greeting('a'))).toBe(false);
+            expect(await repository.remove('a')).toBe(false);
+            const remove = client.send.mock.calls[1][0];
+            expect(remove).toBeInstanceOf(DeleteItemCommand);
+            expect(remove.input.ConditionExpression).toBe('attribute_exists(id)');
+        });
+
+        it('should pass the abort signal to reads', async () => {
+            const client = { send: jest.fn().mockResolvedValue({ Item: item }) };
+            const repository = createDynamoDbRepository({ tableName: 'Greetings', client });
+            const { signal } = new AbortController();
+
+            expect((await repository.get('a', { signal })).message).toBe('Hi');
+            expect(client.send.mock.calls[0][1]).toEqual({ abortSignal: signal });
+        });
+
+        it('should scan pages from the last key', async () => {
+            const client = {
+                send: jest.fn().mockResolvedValue({
+                    Items: [item],
+                    LastEvaluatedKey: { id: { S: 'a' } },
+                }),
+            };
+            const repository = createDynamoDbRepository({ tableName: 'Greetings', client });
+
+            const page = await repository.list({ limit: 1, startAfter: { id: '0' } });
+
+            expect(page).toEqual({
+                items: [
+                    {
+                        id: 'a',
+                        message: 'Hi',
+                        locale: 'en',
+                        version: 2,
+                        createdAt: '2026-01-01T00:00:00.000Z',
+                        updatedAt: '2026-01-02T00:00:00.000Z',
+                    },
+                ],
+                lastKey: { id: 'a' },
+            });
+            const command = client.send.mock.calls[0][0];
+            expect(command).toBeInstanceOf(ScanCommand);
+            expect(command.input).toEqual({
+                TableName: 'Greetings',
+                Limit: 1,
+                ExclusiveStartKey: { id: { S: '0' } },
+            });
+        });
+    });
+
+    const describeLocal = process.env.DYNAMODB_ENDPOINT ? describe : describe.skip;
+
+    describeLocal('createDynamoDbRepository against DynamoDB Local', () => {
+        let client;
+        let tableName;
+
+        beforeAll(() => {
+            client = new DynamoDBClient({
+                endpoint: process.env.DYNAMODB_ENDPOINT,
+                region: 'us-east-1',
+                credentials: { accessKeyId: 'local', secretAccessKey: 'local' },
+            });
+        });
+
+        afterEach(async () => {
+            await client.send(new DeleteTableCommand({ TableName: tableName }));
+        });
+
+        afterAll(() => {
+            client.destroy();
+        });
+
+        describeRepositoryContract(async () => {
+            tableName = `greetings-test-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+            await client.send(
+                new CreateTableCommand({
+                    TableName: tableName,
+                    AttributeDefinitions: [{ AttributeName: 'id', AttributeType: 'S' }],
+                    KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }],
+                    BillingMode: 'PAY_PER_REQUEST',
+                })
+            );
+            return createDynamoDbRepository({ tableName, client });
+        });
+    });
+
+    describe('handlers', () => {
+        const event = (method, { id, body, headers = {}, query, scope } = {}) => ({
+            httpMethod: method,
+            resource: id === undefined ? '/greetings' : '/greetings/{id}',
+            path: id === undefined ? '/greetings' : `/greetings/${id}`,
+            pathParameters: id === undefined ? null : { id },
+            queryStringParameters: query || null,
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: body === undefined ? null : JSON.stringify(body),
+            requestContext: {
+                requestId: `greetings-${Math.random()}`,
+                authorizer: {
+                    principalId: 'editor-1',
+                    scope: scope ?? 'greetings:read greetings:write',
+                },
+            },
+        });
+
+        const create = async (body = { message: 'Howdy, {name}!' }) => {
+            const response = await handler(event('POST', { body }));
+            return { response, greeting: JSON.parse(response.body) };
+        };
+
+        it('should create a greeting with a Location and version ETag', async () => {
+            const { response, greeting: created } = await create({
+                message: 'Salut, {name} !',
+                locale: 'fr',
+            });
+
+            expect(response.statusCode).toBe(201);
+            expect(response.headers.Location).toBe(`/greetings/${created.id}`);
+            expect(response.headers.ETag).toBe('"1"');
+            expect(created).toMatchObject({ message: 'Salut, {name} !', locale: 'fr', version: 1 });
+
+            const fetched = await handler(event('GET', { id: created.id }));
+            expect(fetched.statusCode).toBe(200);
+            expect(JSON.parse(fetched.body)).toEqual(created);
+            expect(fetched.headers['Cache-Control']).toBe('no-cache, no-store, must-revalidate');
+        });
+
+        it('should validate the body', async () => {
+            const response = await handler(event('POST', { body: { message: '', extra: 1 } }));
+
+            expect(response.statusCode).toBe(400);
+            expect(JSON.parse(response.body).errors.map((error) => error.field)).toEqual(
+                expect.arrayContaining(['message', 'extra'])
+            );
+        });
+
+        it('should require the write scope for changes', async () => {
+            const response = await handler(
+                event('POST', {
+                    body: { message: 'Hi' },
+                    scope: 'greetings:read',
+                })
+            );
+
+            expect(response.statusCode).toBe(403);
+            expect(JSON.parse(response.body).detail).toBe(
+                'Missing required scope: greetings:write'
+            );
+        });
+
+        it('should return 404 for unknown greetings', async () => {
+            const response = await handler(event('GET', { id: 'does-not-exist' }));
+
+            expect(response.statusCode).toBe(404);
+            expect(response.headers['Content-Type']).toBe('application/problem+json');
+        });
+
+        it('should update the If-Match version and reject stale ones', async () => {
+            const { greeting: created } = await create();
+
+            const updated = await handler(
+                event('PUT', {
+                    id: created.id,
+                    headers: { 'If-Match': '"1"' },
+                    body: { message: 'Hey {name}' },
+                })
+            );
+            const stale = await handler(
+                event('PUT', {
+                    id: created.id,
+                    headers: { 'If-Match': '"1"' },
+                    body: { message: 'Lost update' },
+                })
+            );
+
+            expect(updated.statusCode).toBe(200);
+            expect(updated.headers.ETag).toBe('"2"');
+            expect(JSON.parse(updated.body)).toMatchObject({ message: 'Hey {name}', version: 2 });
+            expect(stale.statusCode).toBe(412);
+            expect(JSON.parse(stale.body).type).toBe(
+                'urn:hello-world-api:problem:precondition-failed'
+            );
+        });
+
+        it('should accept the version in the body and require one', async () => {
+            const { greeting: created } = await create();
+
+            const unconditional = await handler(
+                event('PUT', {
+                    id: created.id,
+                    body: { message: 'Hey' },
+                })
+            );
+            const versioned = await handler(
+                event('PUT', {
+                    id: created.id,
+                    body: { message: 'Hey', version: 1 },
+                })
+            );
+
+            expect(unconditional.statusCode).toBe(428);
+            expect(versioned.statusCode).toBe(200);
+        });
+
+        it('should delete greetings, honouring If-Match', async () => {
+            const { greeting: created } = await create();
+
+            const stale = await handler(
+                event('DELETE', {
+                    id: created.id,
+                    headers: { 'If-Match': '"7"' },
+                })
+            );
+            const deleted = await handler(
+                event('DELETE', {
+                    id: created.id,
+                    headers: { 'If-Match': '"1"' },
+                })
+            );
+            const again = await handler(event('DELETE', { id: created.id }));
+
+            expect(stale.statusCode).toBe(412);
+            expect(deleted.statusCode).toBe(204);
+            expect(again.statusCode).toBe(404);
+        });
+
+        it('should return 404 when the greeting is deleted concurrently', async () => {
+            const { greeting: created } = await create();
+            const repository = getGreetingRepository();
+            const remove = repository.remove.bind(repository);
+            jest.spyOn(repository, 'remove').mockImplementationOnce(async (id) => {
+                await remove(id);
+                return false;
+            });
+
+            const response = await handler(
+                event('DELETE', {
+                    id: created.id,
+                    headers: { 'If-Match': '"1"' },
+                })
+            );
+
+            expect(response.statusCode).toBe(404);
+        });
+
+        it('should return 412 when the greeting is changed concurrently', async () => {
+            const { greeting: created } = await create();
+            const repository = getGreetingRepository();
+            const update = repository.update.bind(repository);
+            jest.spyOn(repository, 'remove').mockImplementationOnce(async () => {
+                await update({ ...created, version: 2 }, { expectedVersion: 1 });
+                return false;
+            });
+
+            const response = await handler(
+                event('DELETE', {
+                    id: created.id,
+                    headers: { 'If-Match': '"1"' },
+                })
+            );
+
+            expect(response.statusCode).toBe(412);
+        });
+
+        it('should page with opaque cursors', async () => {
+            for (let index = 0; index < 3; index++) {
+                await create();
+            }
+
+            const ids = [];
+            let cursor;
+            do {
+                const response = await handler(
+                    event('GET', {
+                        query: { limit: '2', ...(cursor && { cursor }) },
+                    })
+                );
+                const page = JSON.parse(response.body);
+                expect(response.statusCode).toBe(200);
+                expect(page.items.length).toBeLessThanOrEqual(2);
+                ids.push(...page.items.map((item) => item.id));
+                cursor = page.nextCursor;
+            } while (cursor);
+
+            expect(new Set(ids).size).toBe(ids.length);
+            expect(ids.length).toBeGreaterThanOrEqual(3);
+        });
+
+        it('should reject invalid cursors and limits', async () => {
+            const badCursor = await handler(event('GET', { query: { cursor: 'abc' } }));
+            const badLimit = await handler(event('GET', { query: { limit: '500' } }));
+
+            expect(badCursor.statusCode).toBe(400);
+            expect(badLimit.statusCode).toBe(400);
+        });
+
+        it('should answer preflights and undeclared methods', async () => {
+            const preflight = await handler({
+                ...event('OPTIONS', { id: 'any' }),
+                headers: { Origin: 'https://app.example.com' },
+            });
+            const patch = await handler(event('PATCH', { id: 'any' }));
+
+            expect(preflight.statusCode).toBe(204);
+            expect(preflight.headers['Access-Control-Allow-Methods']).toBe(
+                'GET,PUT,DELETE,OPTIONS'
+            );
+            expect(preflight.headers['Access-Control-Allow-Headers']).toContain('If-Match');
+            expect(patch.statusCode).toBe(405);
+        });
+
+        it('should serve a stored greeting from GET /hello', async () => {
+            const { greeting: created } = await create({ message: 'Hallo {name}!', locale: 'de' });
+
+            const response = await hello({
+                httpMethod: 'GET',
+                path: '/hello',
+                queryStringParameters: { greetingId: created.id, name: 'Ada' },
+                requestContext: { requestId: 'hello-stored' },
+            });
+            const missing = await hello({
+                httpMethod: 'GET',
+                path: '/hello',
+                queryStringParameters: { greetingId: 'does-not-exist' },
+                requestContext: { requestId: 'hello-missing' },
+            });
+
+            expect(response.statusCode).toBe(200);
+            expect(JSON.parse(response.body).message).toBe('Hallo Ada!');
+            expect(response.headers['Content-Language']).toBe('de');
+            expect(response.headers['Last-Modified']).toBe(
+                new Date(created.updatedAt).toUTCString()
+            );
+            expect(missing.statusCode).toBe(404);
+        });
+    });
+});
@@ -2,7 +2,7 @@
  * Unit tests for Health Check Lambda handler
  */
 
-const { handler } = require('../../src/handlers/health');
+const { handler, live, ready, probes } = require('../../src/handlers/health');
 
 describe('Health Check Handler', () => {
     // Mock console.log to prevent cluttering test output
@@ -20,6 +20,16 @@ describe('Health Check Handler', () => {
         delete process.env.ENVIRONMENT;
         delete process.env.AWS_REGION;
         delete process.env.API_VERSION;
+        delete process.env.CORS_ALLOWED_ORIGINS;
+        // The memory probe reads the real heap, which a long Jest run can push
+        // over the warning threshold; tests that need other readings override it
+        jest.spyOn(process, 'memoryUsage').mockReturnValue({
+            heapUsed: 10 * 1024 * 1024,
+            rss: 50 * 1024 * 1024,
+        });
+    });
+    afterEach(() => {
+        jest.restoreAllMocks();
     });
 
     describe('Successful health checks', () => {
@@ -28,8 +38,8 @@ describe('Health Check Handler', () => {
                 httpMethod: 'GET',
                 path: '/health',
                 requestContext: {
-                    requestId: 'health-test-123'
-                }
+                    requestId: 'health-test-123',
+                },
             };
 
             const response = await handler(event);
@@ -45,9 +55,10 @@ describe('Health Check Handler', () => {
             expect(body.timestamp).toBeDefined();
             expect(body.version).toBe('1.0.0');
             expect(body.checks).toBeDefined();
-            expect(body.checks.lambda).toBe('healthy');
-            expect(body.checks.memory).toBe('healthy');
-            expect(body.checks.environment).toBe('dev');
+            expect(body.checks.memory.status).toBe('healthy');
+            expect(body.checks.memory.critical).toBe(true);
+            expect(body.checks.memory.latencyMs).toBeGreaterThanOrEqual(0);
+            expect(body.environment).toBe('dev');
         });
 
         it('should include environment variables in response', async () => {
@@ -59,22 +70,23 @@ describe('Health Check Handler', () => {
                 httpMethod: 'GET',
                 path: '/health',
                 requestContext: {
-                    requestId: 'health-env-test'
-                }
+                    requestId: 'health-env-test',
+                },
             };
 
             const response = await handler(event);
             const body = JSON.parse(response.body);
 
-            expect(body.checks.environment).toBe('production');
-            expect(body.checks.region).toBe('us-west-2');
+            expect(body.environment).toBe('production');
+            expect(body.region).toBe('us-west-2');
+            expect(body.checks.environment).toBeUndefined();
             expect(body.version).toBe('2.1.0');
         });
 
         it('should handle missing requestContext gracefully', async () => {
             const event = {
                 httpMethod: 'GET',
-                path: '/health'
+                path: '/health',
             };
 
             const response = await handler(event);
@@ -89,8 +101,8 @@ describe('Health Check Handler', () => {
                 httpMethod: 'GET',
                 path: '/health',
                 requestContext: {
-                    requestId: 'health-log-test'
-                }
+                    requestId: 'health-log-test',
+                },
             };
 
             await handler(event);
@@ -104,27 +116,153 @@ describe('Health Check Handler', () => {
         });
     });
 
+    describe('Liveness and readiness', () => {
+        const event = (path) => ({
+            httpMethod: 'GET',
+            path,
+            requestContext: {
+                requestId: 'probe-test',
+            },
+        });
+
+        afterEach(() => {
+            probes.unregister('downstream');
+            probes.unregister('table');
+        });
+
+        it('should report liveness without running probes', async () => {
+            const check = jest.fn(async () => 'unhealthy');
+            probes.register('table', check);
+
+            const response = await live(event('/health/live'));
+
+            expect(response.statusCode).toBe(200);
+            const body = JSON.parse(response.body);
+            expect(body.status).toBe('healthy');
+            expect(body.checks).toBeUndefined();
+            expect(check).not.toHaveBeenCalled();
+        });
+
+        it('should report degraded with 200 for non-critical failures', async () => {
+            probes.register(
+                'downstream',
+                async () => {
+                    throw new Error('connect ECONNREFUSED');
+                },
+                { critical: false }
+            );
+
+            const response = await ready(event('/health/ready'));
+
+            expect(response.statusCode).toBe(200);
+            const body = JSON.parse(response.body);
+            expect(body.status).toBe('degraded');
+            expect(body.checks.downstream).toMatchObject({
+                status: 'unhealthy',
+                critical: false,
+                error: 'connect ECONNREFUSED',
+            });
+
+            const warnLog = console.log.mock.calls
+                .map((call) => JSON.parse(call[0]))
+                .find((entry) => entry.message === 'Health probe failed');
+            expect(warnLog).toMatchObject({ level: 'WARN', probe: 'downstream', critical: false });
+        });
+
+        it('should report unhealthy with 503 for critical failures', async () => {
+            probes.register('downstream', async () => 'unhealthy', { critical: false });
+            probes.register('table', async () => ({
+                status: 'unhealthy',
+                tableStatus: 'DELETING',
+            }));
+
+            const response = await ready(event('/health/ready'));
+
+            expect(response.statusCode).toBe(503);
+            const body = JSON.parse(response.body);
+            expect(body.status).toBe('unhealthy');
+            expect(body.checks.table.tableStatus).toBe('DELETING');
+
+            const record = console.log.mock.calls
+                .map(([line]) => JSON.parse(line))
+                .find((entry) => entry._aws);
+            expect(record).toMatchObject({
+                Route: 'GET /health/ready',
+                HealthChecks: 1,
+                Status: 'unhealthy',
+                statusCode: 503,
+            });
+        });
+
+        it('should fail probes that exceed their timeout', async () => {
+            probes.register('downstream', () => new Promise(() => {}), {
+                critical: false,
+                timeoutMs: 20,
+            });
+
+            const response = await ready(event('/health/ready'));
+
+            const body = JSON.parse(response.body);
+            expect(body.checks.downstream.error).toBe('Probe timed out after 20ms');
+            expect(body.status).toBe('degraded');
+        });
+
+        it("should record probe spans in the caller's trace", async () => {
+            const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+            let probeHeaders;
+            probes.register(
+                'downstream',
+                async ({ traceHeaders }) => {
+                    probeHeaders = traceHeaders;
+                    return 'healthy';
+                },
+                { critical: false }
+            );
+
+            const response = await ready({
+                ...event('/health/ready'),
+                headers: { traceparent: `00-${traceId}-00f067aa0ba902b7-01` },
+            });
+
+            expect(response.headers['X-Trace-Id']).toBe(traceId);
+            const spans = console.log.mock.calls
+                .map(([line]) => JSON.parse(line))
+                .filter((entry) => entry.span)
+                .map((entry) => entry.span);
+            const request = spans.find((span) => span.name === 'GET /health/ready');
+            const probe = spans.find((span) => span.name === 'probe downstream');
+            expect(request).toMatchObject({ traceId, parentSpanId: '00f067aa0ba902b7' });
+            expect(probe).toMatchObject({
+                traceId,
+                parentSpanId: request.spanId,
+                status: 'ok',
+                attributes: { critical: false, status: 'healthy' },
+            });
+            expect(probeHeaders.traceparent).toBe(`00-${traceId}-${probe.spanId}-01`);
+        });
+    });
+
     describe('Memory health checks', () => {
         it('should report healthy when memory usage is low', async () => {
             // Mock process.memoryUsage to return low memory
             const originalMemoryUsage = process.memoryUsage;
             process.memoryUsage = jest.fn(() => ({
                 heapUsed: 10 * 1024 * 1024, // 10MB
-                rss: 50 * 1024 * 1024
+                rss: 50 * 1024 * 1024,
             }));
 
             const event = {
                 httpMethod: 'GET',
                 path: '/health',
                 requestContext: {
-                    requestId: 'memory-low-test'
-                }
+                    requestId: 'memory-low-test',
+                },
             };
 
             const response = await handler(event);
             const body = JSON.parse(response.body);
 
-            expect(body.checks.memory).toBe('healthy');
+            expect(body.checks.memory.status).toBe('healthy');
             expect(body.status).toBe('healthy');
             expect(response.statusCode).toBe(200);
 
@@ -136,21 +274,21 @@ describe('Health Check Handler', () => {
             const originalMemoryUsage = process.memoryUsage;
             process.memoryUsage = jest.fn(() => ({
                 heapUsed: 95 * 1024 * 1024, // 95MB (>70% of 128MB)
-                rss: 100 * 1024 * 1024
+                rss: 100 * 1024 * 1024,
             }));
 
             const event = {
                 httpMethod: 'GET',
                 path: '/health',
                 requestContext: {
-                    requestId: 'memory-warning-test'
-                }
+                    requestId: 'memory-warning-test',
+                },
             };
 
             const response = await handler(event);
             const body = JSON.parse(response.body);
 
-            expect(body.checks.memory).toBe('warning');
+            expect(body.checks.memory.status).toBe('warning');
             expect(body.status).toBe('healthy'); // Still healthy with warning
             expect(response.statusCode).toBe(200);
 
@@ -162,22 +300,22 @@ describe('Health Check Handler', () => {
             const originalMemoryUsage = process.memoryUsage;
             process.memoryUsage = jest.fn(() => ({
                 heapUsed: 120 * 1024 * 1024, // 120MB (>90% of 128MB)
-                rss: 125 * 1024 * 1024
+                rss: 125 * 1024 * 1024,
             }));
 
             const event = {
                 httpMethod: 'GET',
                 path: '/health',
                 requestContext: {
-                    requestId: 'memory-critical-test'
-                }
+                    requestId: 'memory-critical-test',
+                },
             };
 
             const response = await handler(event);
             const body = JSON.parse(response.body);
 
-            expect(body.checks.memory).toBe('unhealthy');
-            expect(body.status).toBe('degraded');
+            expect(body.checks.memory.status).toBe('unhealthy');
+            expect(body.status).toBe('unhealthy');
             expect(response.statusCode).toBe(503);
 
             process.memoryUsage = originalMemoryUsage;
@@ -185,7 +323,7 @@ describe('Health Check Handler', () => {
     });
 
     describe('Error handling', () => {
-        it('should return 503 when health check encounters an error', async () => {
+        it('should report a failing probe with its error', async () => {
             // Mock process.memoryUsage to throw an error
             const originalMemoryUsage = process.memoryUsage;
             process.memoryUsage = jest.fn(() => {
@@ -196,44 +334,65 @@ describe('Health Check Handler', () => {
                 httpMethod: 'GET',
                 path: '/health',
                 requestContext: {
-                    requestId: 'health-error-test'
-                }
+                    requestId: 'probe-error-test',
+                },
             };
 
             const response = await handler(event);
 
             expect(response.statusCode).toBe(503);
-            expect(response.headers['Content-Type']).toBe('application/json');
-            expect(response.headers['Access-Control-Allow-Origin']).toBe('*');
-
             const body = JSON.parse(response.body);
             expect(body.status).toBe('unhealthy');
-            expect(body.error).toBe('Health check encountered an error');
-            expect(body.requestId).toBe('health-error-test');
+            expect(body.checks.memory.status).toBe('unhealthy');
+            expect(body.checks.memory.error).toBe('Memory check failed');
 
             process.memoryUsage = originalMemoryUsage;
         });
 
+        it('should return 503 when health check encounters an error', async () => {
+            jest.spyOn(probes, 'run').mockRejectedValueOnce(new Error('Registry failed'));
+
+            const event = {
+                httpMethod: 'GET',
+                path: '/health',
+                requestContext: {
+                    requestId: 'health-error-test',
+                },
+            };
+
+            const response = await handler(event);
+
+            expect(response.statusCode).toBe(503);
+            expect(response.headers['Content-Type']).toBe('application/problem+json');
+            expect(response.headers['Access-Control-Allow-Origin']).toBe('*');
+            expect(response.headers['Cache-Control']).toBe('no-cache, no-store, must-revalidate');
+
+            const body = JSON.parse(response.body);
+            expect(body.type).toBe('urn:hello-world-api:problem:service-unavailable');
+            expect(body.status).toBe(503);
+            expect(body.detail).toBe('Health check encountered an error');
+            expect(body.instance).toBe('/health');
+            expect(body.requestId).toBe('health-error-test');
+            expect(body.stack).toContain('Registry failed');
+        });
+
         it('should log errors during health check', async () => {
             // Create an error scenario
-            const originalMemoryUsage = process.memoryUsage;
-            process.memoryUsage = jest.fn(() => {
-                throw new Error('Test error');
-            });
+            jest.spyOn(probes, 'run').mockRejectedValueOnce(new Error('Test error'));
 
             const event = {
                 httpMethod: 'GET',
                 path: '/health',
                 requestContext: {
-                    requestId: 'health-error-log'
-                }
+                    requestId: 'health-error-log',
+                },
             };
 
             await handler(event);
 
             // Check error was logged
             const logCalls = console.log.mock.calls;
-            const errorLog = logCalls.find(call => {
+            const errorLog = logCalls.find((call) => {
                 try {
                     const log = JSON.parse(call[0]);
                     return log.level === 'ERROR';
@@ -246,8 +405,77 @@ describe('Health Check Handler', () => {
             const errorLogData = JSON.parse(errorLog[0]);
             expect(errorLogData.message).toBe('Health check failed');
             expect(errorLogData.error).toBe('Test error');
+        });
+    });
 
-            process.memoryUsage = originalMemoryUsage;
+    describe('Response formats', () => {
+        const acceptEvent = (accept) => ({
+            httpMethod: 'GET',
+            path: '/health',
+            headers: { accept },
+            requestContext: {
+                requestId: 'format-test',
+            },
+        });
+
+        it('should render plain text for shell scripts', async () => {
+            const response = await handler(acceptEvent('text/plain'));
+
+            expect(response.statusCode).toBe(200);
+            expect(response.headers['Content-Type']).toBe('text/plain; charset=utf-8');
+            expect(response.body).toContain('status: healthy\n');
+            expect(response.body).toContain('checks.memory.status: healthy\n');
+        });
+
+        it('should render XML with a health root element', async () => {
+            const response = await handler(acceptEvent('application/xml'));
+
+            expect(response.body).toContain('<health><status>healthy</status>');
+            expect(response.body).toContain('<memory><status>healthy</status>');
+        });
+
+        it('should render an HTML status page', async () => {
+            const response = await handler(acceptEvent('text/html,application/xhtml+xml'));
+
+            expect(response.headers['Content-Type']).toBe('text/html; charset=utf-8');
+            expect(response.body).toContain('<title>Service Health</title>');
+            expect(response.headers['Cache-Control']).toBe('no-cache, no-store, must-revalidate');
+        });
+
+        it('should return 406 for unsupported formats', async () => {
+            const response = await handler(acceptEvent('application/pdf'));
+
+            expect(response.statusCode).toBe(406);
+            expect(JSON.parse(response.body).detail).toContain('application/json');
+        });
+    });
+
+    describe('Runtime configuration', () => {
+        it('should leave out probe details when verbose health is off', async () => {
+            // prod turns features.verboseHealth off in src/config/settings.json
+            process.env.ENVIRONMENT = 'prod';
+            let isolated;
+            jest.isolateModules(() => {
+                isolated = require('../../src/handlers/health');
+            });
+            isolated.probes.register(
+                'dependency',
+                async () => {
+                    throw new Error('connect ECONNREFUSED 10.0.0.12:443');
+                },
+                { critical: false }
+            );
+
+            const response = await isolated.ready({ httpMethod: 'GET', path: '/health/ready' });
+            const body = JSON.parse(response.body);
+
+            expect(response.statusCode).toBe(200);
+            expect(body.checks.dependency).toEqual({
+                status: 'unhealthy',
+                critical: false,
+                latencyMs: expect.any(Number),
+            });
+            expect(Object.keys(body.checks.memory)).toEqual(['status', 'critical', 'latencyMs']);
         });
     });
 
@@ -257,8 +485,8 @@ describe('Health Check Handler', () => {
                 httpMethod: 'GET',
                 path: '/health',
                 requestContext: {
-                    requestId: 'cache-test'
-                }
+                    requestId: 'cache-test',
+                },
             };
 
             const response = await handler(event);
@@ -273,14 +501,71 @@ describe('Health Check Handler', () => {
                 httpMethod: 'OPTIONS',
                 path: '/health',
                 requestContext: {
-                    requestId: 'options-test'
-                }
+                    requestId: 'options-test',
+                },
             };
 
             const response = await handler(event);
 
-            expect(response.statusCode).toBe(200);
+            expect(response.statusCode).toBe(204);
             expect(response.headers['Access-Control-Allow-Origin']).toBe('*');
+            expect(response.headers['Access-Control-Allow-Methods']).toBe('GET,OPTIONS');
+        });
+
+        it('should reject preflight requests from disallowed origins', async () => {
+            process.env.CORS_ALLOWED_ORIGINS = 'https://status.example.com';
+
+            const event = {
+                httpMethod: 'OPTIONS',
+                path: '/health',
+                headers: {
+                    Origin: 'https://elsewhere.example.com',
+                    'Access-Control-Request-Method': 'GET',
+                },
+                requestContext: {
+                    requestId: 'options-rejected',
+                },
+            };
+
+            const response = await handler(event);
+
+            expect(response.statusCode).toBe(403);
+            expect(response.headers['Access-Control-Allow-Origin']).toBeUndefined();
+            expect(response.headers.Vary).toBe('Origin');
+        });
+    });
+
+    describe('Event formats', () => {
+        it('should answer readiness checks from an HTTP API', async () => {
+            const response = await ready({
+                version: '2.0',
+                routeKey: 'GET /health/ready',
+                rawPath: '/health/ready',
+                headers: {},
+                requestContext: {
+                    requestId: 'ready-http-api',
+                    http: { method: 'GET', path: '/health/ready', sourceIp: '203.0.113.30' },
+                },
+            });
+
+            expect(response.statusCode).toBe(200);
+            expect(response.headers['X-Request-Id']).toBe('ready-http-api');
+            expect(JSON.parse(response.body).status).toBe('healthy');
+        });
+
+        it('should answer ALB health checks with a status description', async () => {
+            const response = await live({
+                requestContext: { elb: { targetGroupArn: 'arn:aws:elasticloadbalancing:tg' } },
+                httpMethod: 'GET',
+                path: '/health/live',
+                headers: { 'user-agent': 'ELB-HealthChecker/2.0' },
+                body: '',
+                isBase64Encoded: false,
+            });
+
+            expect(response.statusCode).toBe(200);
+            expect(response.statusDescription).toBe('200 OK');
+            expect(response.headers['Content-Type']).toBe('application/json');
         });
     });
-});
\ No newline at end of file
+});
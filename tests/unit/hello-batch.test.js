@@ -0,0 +1,220 @@
+/**
+ * Unit tests for the batch greeting processor, driven by synthetic SQS events
+ */
+
+const { PutItemCommand } = require('@aws-sdk/client-dynamodb');
+const { SendMessageCommand } = require('@aws-sdk/client-sqs');
+const { handler } = require('../../src/handlers/hello-batch');
+const { getResultSink, createDynamoDbSink } = require('../../src/lib/greeting-results');
+const { getDeadLetterQueue, createSqsDeadLetterQueue } = require('../../src/lib/dead-letter-queue');
+
+/**
+ * Build an SQS event as Lambda delivers it
+ * @param {Object[]} messages - { id, body, receiveCount }; object bodies are JSON-encoded
+ * @returns {Object} - SQS event
+ */
+const sqsEvent = (messages) => ({
+    Records: messages.map(({ id, body, receiveCount = 1 }) => ({
+        messageId: id,
+        receiptHandle: `receipt-${id}`,
+        body: typeof body === 'string' ? body : JSON.stringify(body),
+        attributes: {
+            ApproximateReceiveCount: String(receiveCount),
+            SentTimestamp: '1767268800000',
+        },
+        messageAttributes: {},
+        eventSource: 'aws:sqs',
+        eventSourceARN: 'arn:aws:sqs:ap-southeast-2:123456789012:hello-world-greeting-jobs-dev',
+        awsRegion: 'ap-southeast-2',
+    })),
+});
+
+describe('Batch Greeting Handler', () => {
+    // Mock console.log to prevent cluttering test output
+    const originalConsoleLog = console.log;
+    beforeAll(() => {
+        console.log = jest.fn();
+    });
+    afterAll(() => {
+        console.log = originalConsoleLog;
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    const records = () => console.log.mock.calls.map(([line]) => JSON.parse(line));
+    const resultOf = (id) =>
+        getResultSink()
+            .list()
+            .find((result) => result.id === id);
+
+    it('should generate greetings the way POST /hello does', async () => {
+        const response = await handler(
+            sqsEvent([
+                { id: 'm-1', body: { recipient: 'Ada', tone: 'formal', reference: 'user-42' } },
+                { id: 'm-2', body: { recipient: 'Grace', tone: 'enthusiastic', locale: 'fr' } },
+            ]),
+            {}
+        );
+
+        expect(response).toEqual({ batchItemFailures: [] });
+        expect(resultOf('m-1')).toEqual({
+            id: 'm-1',
+            reference: 'user-42',
+            message: 'Good day, Ada.',
+            recipient: 'Ada',
+            tone: 'formal',
+            locale: 'en',
+            createdAt: expect.any(String),
+        });
+        expect(resultOf('m-2')).toMatchObject({ locale: 'fr', tone: 'enthusiastic' });
+        expect(resultOf('m-2').reference).toBeUndefined();
+    });
+
+    const deadLettered = (id) =>
+        getDeadLetterQueue()
+            .list()
+            .find((message) => message.messageId === id);
+
+    it('should send invalid messages to the dead-letter queue instead of retrying them', async () => {
+        const response = await handler(
+            sqsEvent([
+                { id: 'ok', body: { recipient: 'Ada' } },
+                { id: 'not-json', body: '{recipient' },
+                { id: 'bad-tone', body: { recipient: 'Ada', tone: 'rude' }, receiveCount: 3 },
+                { id: 'bad-name', body: { recipient: 'R2-D2!' } },
+            ]),
+            {}
+        );
+
+        expect(response.batchItemFailures).toEqual([]);
+        expect(resultOf('ok').message).toBe('Hi, Ada!');
+        expect(resultOf('bad-tone')).toBeUndefined();
+        expect(deadLettered('ok')).toBeUndefined();
+        expect(deadLettered('not-json')).toEqual({
+            messageId: 'not-json',
+            body: '{recipient',
+            reason: 'Message body must be valid JSON',
+        });
+        expect(deadLettered('bad-tone').reason).toBe(
+            "Message field 'tone' must be one of: friendly, formal, enthusiastic"
+        );
+        expect(deadLettered('bad-name')).toBeDefined();
+
+        const rejected = records().filter((record) => record.message === 'Rejected greeting job');
+        expect(rejected).toHaveLength(3);
+        expect(rejected.find((record) => record.messageId === 'bad-tone')).toMatchObject({
+            level: 'WARN',
+            receiveCount: 3,
+            errors: [
+                {
+                    field: 'tone',
+                    in: 'body',
+                    message: "Message field 'tone' must be one of: friendly, formal, enthusiastic",
+                },
+            ],
+        });
+    });
+
+    it('should report only messages the sink cannot store and count each outcome', async () => {
+        const sink = getResultSink();
+        const write = jest
+            .spyOn(sink, 'write')
+            .mockRejectedValueOnce(new Error('ProvisionedThroughputExceededException'));
+
+        const response = await handler(
+            sqsEvent([
+                { id: 'throttled', body: { recipient: 'Ada' } },
+                { id: 'invalid', body: { tone: 'formal' } },
+                { id: 'stored', body: { recipient: 'Grace' } },
+            ]),
+            {}
+        );
+        write.mockRestore();
+
+        expect(response.batchItemFailures).toEqual([{ itemIdentifier: 'throttled' }]);
+        expect(
+            records().find((record) => record.message === 'Failed to process greeting job')
+        ).toMatchObject({ level: 'ERROR', messageId: 'throttled' });
+        expect(records().find((record) => record._aws)).toMatchObject({
+            GreetingJobsProcessed: 1,
+            GreetingJobsRejected: 1,
+            GreetingJobsFailed: 1,
+        });
+    });
+
+    it('should report invalid messages for redrive when the dead-letter queue fails', async () => {
+        jest.spyOn(getDeadLetterQueue(), 'send').mockRejectedValueOnce(new Error('AccessDenied'));
+
+        const response = await handler(sqsEvent([{ id: 'undeliverable', body: '[]' }]), {});
+        jest.restoreAllMocks();
+
+        expect(response.batchItemFailures).toEqual([{ itemIdentifier: 'undeliverable' }]);
+        expect(
+            records().find((record) => record.message === 'Failed to dead-letter greeting job')
+        ).toMatchObject({ level: 'ERROR', messageId: 'undeliverable', error: 'AccessDenied' });
+    });
+
+    it('should handle an empty batch', async () => {
+        expect(await handler({ Records: [] }, {})).toEqual({ batchItemFailures: [] });
+    });
+
+    describe('createDynamoDbSink', () => {
+        it('should put results keyed by message ID with a TTL', async () => {
+            const client = { send: jest.fn().mockResolvedValue({}) };
+            const sink = createDynamoDbSink({
+                tableName: 'GreetingResults',
+                client,
+                now: () => 1767268800000,
+            });
+
+            await sink.write({
+                id: 'm-1',
+                reference: 'user-42',
+                message: 'Hello, Ada!',
+                recipient: 'Ada',
+                tone: 'friendly',
+                locale: 'en',
+                createdAt: '2026-01-01T12:00:00.000Z',
+            });
+
+            const command = client.send.mock.calls[0][0];
+            expect(command).toBeInstanceOf(PutItemCommand);
+            expect(command.input.TableName).toBe('GreetingResults');
+            expect(command.input.Item).toMatchObject({
+                id: { S: 'm-1' },
+                reference: { S: 'user-42' },
+                expiresAt: { N: String(1767268800 + 30 * 24 * 60 * 60) },
+            });
+        });
+    });
+
+    describe('createSqsDeadLetterQueue', () => {
+        it('should copy the body and attributes with the source ID and reason', async () => {
+            const client = { send: jest.fn().mockResolvedValue({}) };
+            const queue = createSqsDeadLetterQueue({ queueUrl: 'https://sqs/dlq', client });
+            const [record] = sqsEvent([{ id: 'm-1', body: '{recipient' }]).Records;
+            record.messageAttributes = {
+                tenant: { dataType: 'String', stringValue: 'acme' },
+            };
+
+            await queue.send(record, 'Message body must be valid JSON');
+
+            const command = client.send.mock.calls[0][0];
+            expect(command).toBeInstanceOf(SendMessageCommand);
+            expect(command.input).toEqual({
+                QueueUrl: 'https://sqs/dlq',
+                MessageBody: '{recipient',
+                MessageAttributes: {
+                    tenant: { DataType: 'String', StringValue: 'acme' },
+                    SourceMessageId: { DataType: 'String', StringValue: 'm-1' },
+                    DeadLetterReason: {
+                        DataType: 'String',
+                        StringValue: 'Message body must be valid JSON',
+                    },
+                },
+            });
+        });
+    });
+});
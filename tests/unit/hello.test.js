@@ -2,7 +2,11 @@
  * Unit tests for Hello World Lambda handler
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { handler } = require('../../src/handlers/hello');
+const { getConfig } = require('../../src/lib/config');
 
 describe('Hello World Handler', () => {
     // Mock console.log to prevent cluttering test output
@@ -20,6 +24,8 @@ describe('Hello World Handler', () => {
         // Reset environment variables
         delete process.env.API_VERSION;
         delete process.env.ENVIRONMENT;
+        delete process.env.CORS_ALLOWED_ORIGINS;
+        delete process.env.CORS_ALLOW_CREDENTIALS;
     });
 
     describe('Successful responses', () => {
@@ -30,9 +36,9 @@ describe('Hello World Handler', () => {
                 requestContext: {
                     requestId: 'test-request-123',
                     identity: {
-                        sourceIp: '127.0.0.1'
-                    }
-                }
+                        sourceIp: '127.0.0.1',
+                    },
+                },
             };
 
             const response = await handler(event);
@@ -58,8 +64,8 @@ describe('Hello World Handler', () => {
                 httpMethod: 'GET',
                 path: '/hello',
                 requestContext: {
-                    requestId: 'test-request-456'
-                }
+                    requestId: 'test-request-456',
+                },
             };
 
             const response = await handler(event);
@@ -72,7 +78,7 @@ describe('Hello World Handler', () => {
         it('should handle missing requestContext gracefully', async () => {
             const event = {
                 httpMethod: 'GET',
-                path: '/hello'
+                path: '/hello',
             };
 
             const response = await handler(event);
@@ -87,15 +93,14 @@ describe('Hello World Handler', () => {
                 httpMethod: 'GET',
                 path: '/hello',
                 requestContext: {
-                    requestId: 'test-cors'
-                }
+                    requestId: 'test-cors',
+                },
             };
 
             const response = await handler(event);
 
             expect(response.headers['Access-Control-Allow-Origin']).toBe('*');
-            expect(response.headers['Access-Control-Allow-Headers']).toContain('Content-Type');
-            expect(response.headers['Access-Control-Allow-Methods']).toContain('GET');
+            expect(response.headers['Access-Control-Expose-Headers']).toContain('X-Request-Id');
         });
 
         it('should include processing time in headers', async () => {
@@ -103,8 +108,8 @@ describe('Hello World Handler', () => {
                 httpMethod: 'GET',
                 path: '/hello',
                 requestContext: {
-                    requestId: 'test-timing'
-                }
+                    requestId: 'test-timing',
+                },
             };
 
             const response = await handler(event);
@@ -120,9 +125,9 @@ describe('Hello World Handler', () => {
                 requestContext: {
                     requestId: 'test-logging',
                     identity: {
-                        sourceIp: '192.168.1.1'
-                    }
-                }
+                        sourceIp: '192.168.1.1',
+                    },
+                },
             };
 
             await handler(event);
@@ -136,7 +141,208 @@ describe('Hello World Handler', () => {
             expect(firstLog.level).toBe('INFO');
             expect(firstLog.message).toBe('Processing Hello World request');
             expect(firstLog.requestId).toBe('test-logging');
-            expect(firstLog.sourceIp).toBe('192.168.1.1');
+            // Client IPs are personal data and redacted by default
+            expect(firstLog.sourceIp).toBe('[REDACTED]');
+        });
+
+        it('should read the principal from the JWT authorizer context', async () => {
+            const event = {
+                httpMethod: 'GET',
+                path: '/hello',
+                requestContext: {
+                    requestId: 'test-principal',
+                    authorizer: {
+                        principalId: 'user-123',
+                        sub: 'user-123',
+                        scope: 'greetings:read profile',
+                        clientId: 'frontend',
+                    },
+                },
+            };
+
+            const response = await handler(event);
+
+            expect(response.statusCode).toBe(200);
+            const firstLog = JSON.parse(console.log.mock.calls[0][0]);
+            expect(firstLog.subject).toBe('user-123');
+        });
+    });
+
+    describe('Personalized and localized greetings', () => {
+        const helloEvent = (queryStringParameters, headers) => ({
+            httpMethod: 'GET',
+            path: '/hello',
+            queryStringParameters,
+            headers,
+            requestContext: {
+                requestId: 'test-i18n',
+            },
+        });
+
+        it('should greet by name in the default locale', async () => {
+            const response = await handler(helloEvent({ name: 'Ada' }));
+
+            expect(response.statusCode).toBe(200);
+            expect(response.headers['Content-Language']).toBe('en');
+            expect(JSON.parse(response.body).message).toBe('Hello, Ada!');
+        });
+
+        it('should use the lang query parameter', async () => {
+            const response = await handler(helloEvent({ name: 'Ada', lang: 'fr' }));
+
+            expect(response.headers['Content-Language']).toBe('fr');
+            expect(JSON.parse(response.body).message).toBe('Bonjour, Ada !');
+        });
+
+        it('should record the greeting locale as an EMF metric', async () => {
+            await handler(helloEvent({ lang: 'es' }));
+
+            const record = console.log.mock.calls
+                .map(([line]) => JSON.parse(line))
+                .find((entry) => entry._aws);
+            expect(record).toMatchObject({
+                Route: 'GET /hello',
+                Greetings: 1,
+                Locale: 'es',
+                requestId: 'test-i18n',
+                statusCode: 200,
+            });
+            expect(record.Latency).toBeGreaterThanOrEqual(0);
+        });
+
+        it('should negotiate Accept-Language when lang is absent', async () => {
+            const response = await handler(
+                helloEvent(null, { 'accept-language': 'it;q=0.9, de;q=0.8, es;q=0.5' })
+            );
+
+            expect(response.headers['Content-Language']).toBe('de');
+            expect(JSON.parse(response.body).message).toBe('Hallo Welt!');
+        });
+
+        it('should prefer lang over Accept-Language', async () => {
+            const response = await handler(helloEvent({ lang: 'es' }, { 'Accept-Language': 'de' }));
+
+            expect(response.headers['Content-Language']).toBe('es');
+        });
+
+        it('should fall back to Accept-Language for an unsupported lang', async () => {
+            const response = await handler(
+                helloEvent({ lang: 'xx' }, { 'Accept-Language': 'fr-CA' })
+            );
+
+            expect(response.headers['Content-Language']).toBe('fr');
+        });
+
+        it('should accept names with hyphens, apostrophes and other scripts', async () => {
+            for (const name of ['Jean-Luc', "O'Brien", 'J. R.', 'Zoë', '李雷']) {
+                const response = await handler(helloEvent({ name }));
+                expect(response.statusCode).toBe(200);
+                expect(JSON.parse(response.body).message).toBe(`Hello, ${name}!`);
+            }
+        });
+
+        it('should trim surrounding whitespace from names', async () => {
+            const response = await handler(helloEvent({ name: '  Ada  ' }));
+
+            expect(JSON.parse(response.body).message).toBe('Hello, Ada!');
+        });
+
+        it('should reject names that are too long', async () => {
+            const response = await handler(helloEvent({ name: 'a'.repeat(51) }));
+
+            expect(response.statusCode).toBe(400);
+            expect(response.headers['Content-Type']).toBe('application/problem+json');
+            const body = JSON.parse(response.body);
+            expect(body.type).toBe('urn:hello-world-api:problem:validation-error');
+            expect(body.title).toBe('Validation Failed');
+            expect(body.status).toBe(400);
+            expect(body.detail).toContain('at most 50 characters');
+            expect(body.instance).toBe('/hello');
+            expect(body.requestId).toBe('test-i18n');
+            expect(body.errors[0].field).toBe('name');
+        });
+
+        it('should reject empty and malformed names', async () => {
+            for (const name of ['   ', '<script>', 'Ada1', '-Ada']) {
+                const response = await handler(helloEvent({ name }));
+                expect(response.statusCode).toBe(400);
+            }
+        });
+
+        it('should log rejected names as warnings', async () => {
+            await handler(helloEvent({ name: '<script>' }));
+
+            const warnLog = console.log.mock.calls
+                .map((call) => JSON.parse(call[0]))
+                .find((entry) => entry.level === 'WARN');
+            expect(warnLog.message).toBe('Failed to process request');
+            expect(warnLog.stack).toBeUndefined();
+        });
+    });
+
+    describe('Response formats', () => {
+        const acceptEvent = (accept) => ({
+            httpMethod: 'GET',
+            path: '/hello',
+            headers: { Accept: accept },
+            queryStringParameters: { name: 'Ada' },
+            requestContext: {
+                requestId: 'test-format',
+            },
+        });
+
+        it('should render plain text', async () => {
+            const response = await handler(acceptEvent('text/plain'));
+
+            expect(response.statusCode).toBe(200);
+            expect(response.headers['Content-Type']).toBe('text/plain; charset=utf-8');
+            expect(response.body).toContain('message: Hello, Ada!\n');
+            expect(response.body).toContain('requestId: test-format\n');
+        });
+
+        it('should render XML', async () => {
+            const response = await handler(acceptEvent('application/xml'));
+
+            expect(response.headers['Content-Type']).toBe('application/xml; charset=utf-8');
+            expect(response.body).toContain('<greeting><message>Hello, Ada!</message>');
+        });
+
+        it('should render HTML', async () => {
+            const response = await handler(acceptEvent('text/html'));
+
+            expect(response.headers['Content-Type']).toBe('text/html; charset=utf-8');
+            expect(response.body).toContain('<title>Hello World API</title>');
+            expect(response.body).toContain('<dd>Hello, Ada!</dd>');
+        });
+
+        it('should render errors in the negotiated format', async () => {
+            const event = acceptEvent('text/plain');
+            event.queryStringParameters.name = '<b>';
+
+            const response = await handler(event);
+
+            expect(response.statusCode).toBe(400);
+            expect(response.headers['Content-Type']).toBe('text/plain; charset=utf-8');
+            expect(response.body).toContain('title: Validation Failed');
+            expect(response.body).toContain('status: 400');
+        });
+
+        it('should return 406 for unsupported formats', async () => {
+            const response = await handler(acceptEvent('image/png'));
+
+            expect(response.statusCode).toBe(406);
+            expect(response.headers['Content-Type']).toBe('application/problem+json');
+            expect(response.headers['X-Request-Id']).toBe('test-format');
+            expect(response.headers['Access-Control-Allow-Origin']).toBe('*');
+
+            const body = JSON.parse(response.body);
+            expect(body.supportedTypes).toEqual([
+                'application/json',
+                'text/plain',
+                'application/xml',
+                'text/html',
+            ]);
+            expect(body.requestId).toBe('test-format');
         });
     });
 
@@ -152,23 +358,53 @@ describe('Hello World Handler', () => {
                 httpMethod: 'GET',
                 path: '/hello',
                 requestContext: {
-                    requestId: 'test-error'
-                }
+                    requestId: 'test-error',
+                },
             };
 
-            const response = await handler(event);
+            let response;
+            try {
+                response = await handler(event);
+            } finally {
+                // Restore Date.now
+                Date.now = originalDateNow;
+            }
 
             expect(response.statusCode).toBe(500);
-            expect(response.headers['Content-Type']).toBe('application/json');
+            expect(response.headers['Content-Type']).toBe('application/problem+json');
             expect(response.headers['Access-Control-Allow-Origin']).toBe('*');
 
             const body = JSON.parse(response.body);
-            expect(body.error).toBe('Internal Server Error');
-            expect(body.message).toBe('An error occurred while processing your request');
+            expect(body.type).toBe('urn:hello-world-api:problem:internal-error');
+            expect(body.title).toBe('Internal Server Error');
+            expect(body.status).toBe(500);
+            expect(body.detail).toBe('An error occurred while processing your request');
             expect(body.requestId).toBe('test-error');
+            expect(body.stack).toContain('Simulated error');
+        });
+
+        it('should never send stack traces outside dev', async () => {
+            process.env.ENVIRONMENT = 'prod';
+            const originalDateNow = Date.now;
+            Date.now = jest.fn(() => {
+                throw new Error('Simulated error');
+            });
+
+            let response;
+            try {
+                response = await handler({
+                    httpMethod: 'GET',
+                    path: '/hello',
+                    requestContext: { requestId: 'test-error-prod' },
+                });
+            } finally {
+                Date.now = originalDateNow;
+            }
 
-            // Restore Date.now
-            Date.now = originalDateNow;
+            expect(response.statusCode).toBe(500);
+            const body = JSON.parse(response.body);
+            expect(body.stack).toBeUndefined();
+            expect(response.body).not.toContain('Simulated error');
         });
 
         it('should log error details', async () => {
@@ -185,27 +421,59 @@ describe('Hello World Handler', () => {
                 httpMethod: 'OPTIONS',
                 path: '/hello',
                 requestContext: {
-                    requestId: 'test-options'
-                }
+                    requestId: 'test-options',
+                },
             };
 
             const response = await handler(event);
 
-            expect(response.statusCode).toBe(200);
-            expect(response.headers['Access-Control-Allow-Methods']).toBeDefined();
-            expect(response.headers['Access-Control-Allow-Headers']).toBeDefined();
+            expect(response.statusCode).toBe(204);
+            expect(response.headers['Access-Control-Allow-Methods']).toContain('GET');
+            expect(response.headers['Access-Control-Allow-Headers']).toContain('Content-Type');
+            expect(response.body).toBeUndefined();
+        });
+
+        it('should restrict origins to the configured allowlist', async () => {
+            process.env.CORS_ALLOWED_ORIGINS = 'https://app.example.com,https://*.example.org';
+            process.env.CORS_ALLOW_CREDENTIALS = 'true';
+
+            const allowed = await handler({
+                httpMethod: 'GET',
+                path: '/hello',
+                headers: { Origin: 'https://preview.example.org' },
+                requestContext: { requestId: 'test-origin-allowed' },
+            });
+            const rejected = await handler({
+                httpMethod: 'GET',
+                path: '/hello',
+                headers: { Origin: 'https://evil.example.com' },
+                requestContext: { requestId: 'test-origin-rejected' },
+            });
+
+            expect(allowed.statusCode).toBe(200);
+            expect(allowed.headers['Access-Control-Allow-Origin']).toBe(
+                'https://preview.example.org'
+            );
+            expect(allowed.headers['Access-Control-Allow-Credentials']).toBe('true');
+            expect(allowed.headers.Vary).toBe('Accept-Language, Accept-Version, Accept, Origin');
+
+            expect(rejected.statusCode).toBe(403);
+            expect(rejected.headers['Content-Type']).toBe('application/problem+json');
+            expect(rejected.headers['Access-Control-Allow-Origin']).toBeUndefined();
+            expect(JSON.parse(rejected.body).requestId).toBe('test-origin-rejected');
         });
 
         it('should handle different HTTP methods', async () => {
-            const methods = ['GET', 'POST', 'PUT', 'DELETE'];
+            // POST has its own route, covered under POST /hello
+            const methods = ['GET', 'PUT', 'DELETE'];
 
             for (const method of methods) {
                 const event = {
                     httpMethod: method,
                     path: '/hello',
                     requestContext: {
-                        requestId: `test-${method}`
-                    }
+                        requestId: `test-${method}`,
+                    },
                 };
 
                 const response = await handler(event);
@@ -213,4 +481,428 @@ describe('Hello World Handler', () => {
             }
         });
     });
-});
\ No newline at end of file
+
+    describe('Rate limiting', () => {
+        const rateLimitedEvent = (sourceIp) => ({
+            httpMethod: 'GET',
+            path: '/hello',
+            requestContext: {
+                requestId: 'test-rate-limit',
+                identity: { sourceIp },
+            },
+        });
+
+        it('should report the remaining quota in RateLimit headers', async () => {
+            const response = await handler(rateLimitedEvent('203.0.113.1'));
+
+            expect(response.statusCode).toBe(200);
+            expect(response.headers['RateLimit-Limit']).toBe('100');
+            expect(response.headers['RateLimit-Remaining']).toBe('99');
+            expect(response.headers['RateLimit-Policy']).toBe('100;w=60');
+        });
+
+        it('should return 429 with Retry-After once a client exceeds its limit', async () => {
+            let response;
+            for (let i = 0; i <= 100; i++) {
+                response = await handler(rateLimitedEvent('203.0.113.2'));
+            }
+
+            expect(response.statusCode).toBe(429);
+            expect(Number(response.headers['Retry-After'])).toBeGreaterThan(0);
+            expect(response.headers['RateLimit-Remaining']).toBe('0');
+            const body = JSON.parse(response.body);
+            expect(body.type).toBe('urn:hello-world-api:problem:rate-limited');
+            expect(body.status).toBe(429);
+            expect(body.requestId).toBe('test-rate-limit');
+
+            // Other clients keep their own quota
+            const other = await handler(rateLimitedEvent('203.0.113.3'));
+            expect(other.statusCode).toBe(200);
+        });
+    });
+
+    describe('Runtime configuration', () => {
+        afterEach(() => {
+            delete process.env.CONFIG_FILE;
+        });
+
+        it('should apply greeting overrides and allowed origins from the settings', async () => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hello-config-'));
+            process.env.CONFIG_FILE = path.join(dir, 'settings.json');
+            fs.writeFileSync(
+                process.env.CONFIG_FILE,
+                JSON.stringify({
+                    dev: {
+                        'greeting.overrides': { en: { 'greeting.named': 'Welcome back, {name}!' } },
+                        'cors.allowedOrigins': 'https://app.example.com',
+                    },
+                })
+            );
+            let isolated;
+            jest.isolateModules(() => {
+                isolated = require('../../src/handlers/hello');
+            });
+
+            const response = await isolated.handler({
+                httpMethod: 'GET',
+                path: '/hello',
+                headers: { Origin: 'https://app.example.com' },
+                queryStringParameters: { name: 'Ada' },
+            });
+            const denied = await isolated.handler({
+                httpMethod: 'GET',
+                path: '/hello',
+                headers: { Origin: 'https://other.example.com' },
+            });
+            fs.rmSync(dir, { recursive: true, force: true });
+
+            expect(JSON.parse(response.body).message).toBe('Welcome back, Ada!');
+            expect(response.headers['Access-Control-Allow-Origin']).toBe('https://app.example.com');
+            expect(denied.statusCode).toBe(403);
+        });
+
+        it('should answer with problem details when the settings cannot be loaded', async () => {
+            const load = jest
+                .spyOn(getConfig(), 'load')
+                .mockRejectedValue(new Error('Parameter Store unreachable'));
+
+            let response;
+            try {
+                response = await handler({
+                    httpMethod: 'GET',
+                    path: '/hello',
+                    requestContext: { requestId: 'test-config-error' },
+                });
+            } finally {
+                load.mockRestore();
+            }
+
+            expect(response.statusCode).toBe(500);
+            expect(response.headers['Content-Type']).toBe('application/problem+json');
+            expect(response.headers['X-Request-Id']).toBe('test-config-error');
+            expect(JSON.parse(response.body)).toMatchObject({
+                type: 'urn:hello-world-api:problem:internal-error',
+                requestId: 'test-config-error',
+            });
+        });
+    });
+
+    describe('Caching', () => {
+        const cacheEvent = (headers = {}, queryStringParameters = { name: 'Ada' }) => ({
+            httpMethod: 'GET',
+            path: '/hello',
+            headers,
+            queryStringParameters,
+            requestContext: { requestId: `test-cache-${Math.random()}` },
+        });
+
+        it('should be cacheable by the client only, with a weak ETag', async () => {
+            const response = await handler(cacheEvent());
+
+            // Authenticated and carrying per-client RateLimit headers: shared
+            // caches must not store it
+            expect(response.statusCode).toBe(200);
+            expect(response.headers['Cache-Control']).toBe(
+                'private, max-age=60, stale-while-revalidate=300'
+            );
+            expect(response.headers.ETag).toMatch(/^W\/"/);
+            expect(response.headers['Last-Modified']).toMatch(/GMT$/);
+        });
+
+        it('should vary localized greetings on Accept-Language', async () => {
+            const localized = await handler(cacheEvent({ 'Accept-Language': 'fr' }));
+
+            expect(localized.headers['Content-Language']).toBe('fr');
+            expect(localized.headers.Vary.split(', ')).toEqual(
+                expect.arrayContaining(['Accept', 'Accept-Language'])
+            );
+        });
+
+        it('should keep the ETag when only the timestamp and request ID change', async () => {
+            const first = await handler(cacheEvent());
+            const second = await handler(cacheEvent());
+            const other = await handler(cacheEvent({}, { name: 'Grace' }));
+            const french = await handler(cacheEvent({ 'Accept-Language': 'fr' }));
+            const xml = await handler(cacheEvent({ Accept: 'application/xml' }));
+
+            expect(second.headers.ETag).toBe(first.headers.ETag);
+            for (const response of [other, french, xml]) {
+                expect(response.headers.ETag).not.toBe(first.headers.ETag);
+            }
+        });
+
+        it('should return 304 for a current If-None-Match', async () => {
+            const first = await handler(cacheEvent());
+
+            const response = await handler(cacheEvent({ 'If-None-Match': first.headers.ETag }));
+
+            expect(response.statusCode).toBe(304);
+            expect(response.body).toBe('');
+            expect(response.headers.ETag).toBe(first.headers.ETag);
+            expect(response.headers['X-Request-Id']).toBeDefined();
+        });
+
+        it('should return 304 when unmodified since the given date', async () => {
+            const first = await handler(cacheEvent());
+
+            const current = await handler(
+                cacheEvent({
+                    'If-Modified-Since': first.headers['Last-Modified'],
+                })
+            );
+            const stale = await handler(
+                cacheEvent({
+                    'If-Modified-Since': 'Thu, 01 Jan 2015 00:00:00 GMT',
+                })
+            );
+
+            expect(current.statusCode).toBe(304);
+            expect(stale.statusCode).toBe(200);
+        });
+
+        it('should never cache errors', async () => {
+            const response = await handler(cacheEvent({}, { name: '!!' }));
+
+            expect(response.statusCode).toBe(400);
+            expect(response.headers['Cache-Control']).toBe('no-store');
+            expect(response.headers.ETag).toBeUndefined();
+        });
+    });
+
+    describe('POST /hello', () => {
+        const post = (body, headers = {}, requestId = 'test-post') =>
+            handler({
+                httpMethod: 'POST',
+                path: '/hello',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(body),
+                requestContext: { requestId, identity: { sourceIp: '127.0.0.1' } },
+            });
+
+        it('should generate a greeting in the requested tone and locale', async () => {
+            const response = await post({ recipient: ' Ada ', tone: 'formal', locale: 'fr' });
+
+            expect(response.statusCode).toBe(200);
+            expect(response.headers['Content-Language']).toBe('fr');
+            expect(response.headers['Cache-Control']).toContain('no-store');
+            const body = JSON.parse(response.body);
+            expect(body).toMatchObject({
+                message: 'Bonjour, Ada.',
+                recipient: 'Ada',
+                tone: 'formal',
+                locale: 'fr',
+                requestId: 'test-post',
+            });
+            expect(body.id).toMatch(/^[0-9a-f-]{36}$/);
+        });
+
+        it('should default to a friendly tone in the negotiated locale', async () => {
+            const response = await post({ recipient: 'Ada' }, { 'Accept-Language': 'de' });
+
+            expect(JSON.parse(response.body).message).toBe('Hi, Ada!');
+            expect(response.headers['Content-Language']).toBe('de');
+        });
+
+        it('should replay the first response for a repeated Idempotency-Key', async () => {
+            const headers = { 'Idempotency-Key': 'post-hello-replay' };
+            const first = await post({ recipient: 'Ada', tone: 'enthusiastic' }, headers, 'r1');
+            const retry = await post({ tone: 'enthusiastic', recipient: 'Ada' }, headers, 'r2');
+
+            expect(retry.statusCode).toBe(200);
+            expect(retry.headers['Idempotent-Replayed']).toBe('true');
+            expect(retry.headers['X-Request-Id']).toBe('r2');
+            expect(JSON.parse(retry.body)).toEqual(JSON.parse(first.body));
+            expect(first.headers['Idempotent-Replayed']).toBeUndefined();
+        });
+
+        it('should generate a new greeting for each request without a key', async () => {
+            const first = JSON.parse((await post({ recipient: 'Ada' })).body);
+            const second = JSON.parse((await post({ recipient: 'Ada' })).body);
+
+            expect(first.id).not.toBe(second.id);
+        });
+
+        it('should return 422 when a key is reused with a different body', async () => {
+            const headers = { 'Idempotency-Key': 'post-hello-reused' };
+            await post({ recipient: 'Ada' }, headers);
+
+            const response = await post({ recipient: 'Grace' }, headers);
+
+            expect(response.statusCode).toBe(422);
+            expect(JSON.parse(response.body).type).toBe(
+                'urn:hello-world-api:problem:idempotency-key-reused'
+            );
+        });
+
+        it('should reject invalid bodies and keys with 400', async () => {
+            const badName = await post({ recipient: 'Ada <script>' });
+            const badTone = await post({ recipient: 'Ada', tone: 'rude' });
+            const badKey = await post({ recipient: 'Ada' }, { 'Idempotency-Key': 'has spaces' });
+
+            expect(badName.statusCode).toBe(400);
+            expect(JSON.parse(badName.body).errors[0]).toMatchObject({
+                field: 'recipient',
+                in: 'body',
+            });
+            expect(badTone.statusCode).toBe(400);
+            expect(badKey.statusCode).toBe(400);
+        });
+
+        it('should reject body fields named after Object.prototype members', async () => {
+            const response = await post({ recipient: 'Ada', constructor: 'x' });
+
+            expect(response.statusCode).toBe(400);
+            expect(JSON.parse(response.body).errors).toEqual([
+                {
+                    field: 'constructor',
+                    in: 'body',
+                    message: "Request body field 'constructor' is not allowed",
+                },
+            ]);
+        });
+
+        it('should allow Idempotency-Key in CORS preflights', async () => {
+            const response = await handler({
+                httpMethod: 'OPTIONS',
+                path: '/hello',
+                headers: {
+                    Origin: 'https://app.example.com',
+                    'Access-Control-Request-Method': 'POST',
+                    'Access-Control-Request-Headers': 'Idempotency-Key',
+                },
+                requestContext: { requestId: 'test-post-preflight' },
+            });
+
+            expect(response.headers['Access-Control-Allow-Methods']).toContain('POST');
+            expect(response.headers['Access-Control-Allow-Headers']).toContain('Idempotency-Key');
+        });
+    });
+
+    describe('API versions', () => {
+        const get = (path, headers = {}) =>
+            handler({
+                httpMethod: 'GET',
+                path,
+                headers,
+                queryStringParameters: { name: 'Ada', lang: 'fr' },
+                requestContext: { requestId: 'test-versions' },
+            });
+
+        it('should serve version 1 on /hello and /v1/hello as deprecated', async () => {
+            for (const path of ['/hello', '/v1/hello']) {
+                const response = await get(path);
+
+                expect(response.headers['Api-Version']).toBe('1');
+                expect(response.headers.Deprecation).toMatch(/^@\d+$/);
+                expect(response.headers.Sunset).toMatch(/GMT$/);
+                expect(response.headers.Link).toBe('</v2/hello>; rel="successor-version"');
+                expect(JSON.parse(response.body).version).toBe('1.0.0');
+            }
+        });
+
+        it('should serve version 2 on /v2/hello and on request', async () => {
+            const responses = [
+                await get('/v2/hello'),
+                await get('/hello', { 'Accept-Version': '2' }),
+                await get('/hello', { Accept: 'application/json; version=2' }),
+            ];
+
+            for (const response of responses) {
+                expect(response.statusCode).toBe(200);
+                expect(response.headers['Api-Version']).toBe('2');
+                expect(response.headers.Deprecation).toBeUndefined();
+                expect(JSON.parse(response.body)).toMatchObject({
+                    message: 'Bonjour, Ada !',
+                    locale: 'fr',
+                    apiVersion: '2',
+                    release: '1.0.0',
+                });
+                expect(JSON.parse(response.body).version).toBeUndefined();
+            }
+            expect(responses[1].headers.Vary).toContain('Accept-Version');
+        });
+
+        it('should serve POST in the requested version', async () => {
+            const response = await handler({
+                httpMethod: 'POST',
+                path: '/v2/hello',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ recipient: 'Ada' }),
+                requestContext: { requestId: 'test-versions-post' },
+            });
+
+            expect(response.statusCode).toBe(200);
+            expect(JSON.parse(response.body)).toMatchObject({
+                message: 'Hi, Ada!',
+                recipient: 'Ada',
+                apiVersion: '2',
+            });
+        });
+
+        it('should reject unsupported versions with 400', async () => {
+            const response = await get('/hello', { 'Accept-Version': '7' });
+
+            expect(response.statusCode).toBe(400);
+            expect(JSON.parse(response.body).errors[0].field).toBe('Accept-Version');
+        });
+    });
+
+    describe('Event formats', () => {
+        it('should serve HTTP API (payload v2) events', async () => {
+            const response = await handler({
+                version: '2.0',
+                routeKey: 'GET /hello',
+                rawPath: '/hello',
+                rawQueryString: 'name=Ada&lang=de',
+                headers: { accept: 'application/json' },
+                queryStringParameters: { name: 'Ada', lang: 'de' },
+                requestContext: {
+                    requestId: 'test-http-api',
+                    http: { method: 'GET', path: '/hello', sourceIp: '203.0.113.20' },
+                },
+                isBase64Encoded: false,
+            });
+
+            expect(response.statusCode).toBe(200);
+            expect(response.headers['X-Request-Id']).toBe('test-http-api');
+            expect(response.statusDescription).toBeUndefined();
+            expect(JSON.parse(response.body).message).toBe('Hallo, Ada!');
+        });
+
+        it('should serve ALB events with a status description', async () => {
+            const response = await handler({
+                requestContext: { elb: { targetGroupArn: 'arn:aws:elasticloadbalancing:tg' } },
+                httpMethod: 'GET',
+                path: '/hello',
+                queryStringParameters: { name: 'Ada%20Lovelace' },
+                headers: { 'x-forwarded-for': '203.0.113.21' },
+                body: '',
+                isBase64Encoded: false,
+            });
+
+            expect(response.statusCode).toBe(200);
+            expect(response.statusDescription).toBe('200 OK');
+            expect(response.isBase64Encoded).toBe(false);
+            expect(JSON.parse(response.body).message).toBe('Hello, Ada Lovelace!');
+        });
+
+        it('should report ALB problems with the path and status description', async () => {
+            const response = await handler({
+                requestContext: { elb: { targetGroupArn: 'arn:aws:elasticloadbalancing:tg' } },
+                httpMethod: 'GET',
+                path: '/hello',
+                queryStringParameters: { lang: '%21%21' },
+                multiValueHeaders: { 'x-forwarded-for': ['203.0.113.22'] },
+                body: '',
+                isBase64Encoded: false,
+            });
+
+            expect(response.statusCode).toBe(400);
+            expect(response.statusDescription).toBe('400 Bad Request');
+            expect(response.multiValueHeaders['Content-Type']).toEqual([
+                'application/problem+json',
+            ]);
+            expect(JSON.parse(response.body).instance).toBe('/hello');
+        });
+    });
+});
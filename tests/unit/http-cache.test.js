@@ -0,0 +1,189 @@
+/**
+ * Unit tests for cache policies, ETags and conditional GET
+ */
+
+const { createHandler } = require('../../src/lib/middleware');
+const { normalizeRequest } = require('../../src/lib/events');
+const {
+    resolveCachePolicy,
+    cacheControl,
+    computeETag,
+    matchesETag,
+    isNotModified,
+    httpCache,
+} = require('../../src/lib/http-cache');
+
+describe('HTTP Caching', () => {
+    const policies = {
+        defaults: { noStore: true },
+        routes: {
+            'GET /items': {
+                visibility: 'public',
+                maxAge: 60,
+                staleWhileRevalidate: 300,
+                etag: 'weak',
+                volatileFields: ['timestamp'],
+            },
+            'GET /files': { visibility: 'private', maxAge: 10, etag: 'strong' },
+        },
+    };
+
+    const request = (headers = {}, httpMethod = 'GET') =>
+        normalizeRequest({ httpMethod, path: '/items', headers });
+
+    describe('cacheControl', () => {
+        it('should build the header from a policy', () => {
+            expect(cacheControl(policies.routes['GET /items'])).toBe(
+                'public, max-age=60, stale-while-revalidate=300'
+            );
+            expect(cacheControl(policies.routes['GET /files'])).toBe('private, max-age=10');
+            expect(cacheControl({ noStore: true })).toBe('no-cache, no-store, must-revalidate');
+            expect(cacheControl({})).toBe('no-cache');
+        });
+
+        it('should fall back to the default policy for unknown routes', () => {
+            expect(resolveCachePolicy(policies, 'POST /items')).toEqual({ noStore: true });
+        });
+    });
+
+    describe('computeETag', () => {
+        it('should ignore volatile fields', () => {
+            const options = { weak: true, volatileFields: ['timestamp'] };
+            const first = computeETag({ message: 'Hi', timestamp: '2024-01-01' }, options);
+            const second = computeETag({ message: 'Hi', timestamp: '2024-06-01' }, options);
+
+            expect(first).toMatch(/^W\/"[\w-]{27}"$/);
+            expect(second).toBe(first);
+            expect(computeETag({ message: 'Bye', timestamp: '2024-01-01' }, options)).not.toBe(
+                first
+            );
+        });
+
+        it('should differ between representations', () => {
+            const body = { message: 'Hi' };
+
+            expect(computeETag(body, { variants: ['application/json'] })).not.toBe(
+                computeETag(body, { variants: ['application/xml'] })
+            );
+            expect(computeETag(body)).toMatch(/^"[\w-]{27}"$/);
+        });
+    });
+
+    describe('matchesETag', () => {
+        it('should compare tags weakly and accept lists and *', () => {
+            expect(matchesETag('W/"abc"', '"abc"')).toBe(true);
+            expect(matchesETag('"xyz", W/"abc"', 'W/"abc"')).toBe(true);
+            expect(matchesETag('"xyz"', 'W/"abc"')).toBe(false);
+            expect(matchesETag('*', '"abc"')).toBe(true);
+        });
+    });
+
+    describe('isNotModified', () => {
+        const headers = { ETag: 'W/"abc"', 'Last-Modified': 'Mon, 01 Jan 2024 00:00:00 GMT' };
+
+        it('should compare If-Modified-Since with Last-Modified', () => {
+            expect(
+                isNotModified(
+                    request({ 'If-Modified-Since': 'Tue, 02 Jan 2024 00:00:00 GMT' }),
+                    headers
+                )
+            ).toBe(true);
+            expect(
+                isNotModified(
+                    request({ 'If-Modified-Since': 'Sun, 31 Dec 2023 00:00:00 GMT' }),
+                    headers
+                )
+            ).toBe(false);
+            expect(isNotModified(request({ 'If-Modified-Since': 'yesterday' }), headers)).toBe(
+                false
+            );
+        });
+
+        it('should ignore If-Modified-Since when If-None-Match is present', () => {
+            expect(
+                isNotModified(
+                    request({
+                        'If-None-Match': '"other"',
+                        'If-Modified-Since': 'Tue, 02 Jan 2024 00:00:00 GMT',
+                    }),
+                    headers
+                )
+            ).toBe(false);
+        });
+    });
+
+    describe('httpCache stage', () => {
+        const handler = (route, response) =>
+            createHandler(
+                async () => response(),
+                [
+                    async (ctx, next) => {
+                        ctx.mediaType = 'application/json';
+                        await next();
+                    },
+                    httpCache({ route, policies }),
+                ]
+            );
+
+        it('should add Cache-Control and an ETag to successful GETs', async () => {
+            const response = await handler('GET /items', () => ({
+                body: { items: [], timestamp: new Date().toISOString() },
+            }))({ httpMethod: 'GET', path: '/items' });
+
+            expect(response.statusCode).toBe(200);
+            expect(response.headers['Cache-Control']).toBe(
+                'public, max-age=60, stale-while-revalidate=300'
+            );
+            expect(response.headers.ETag).toMatch(/^W\//);
+        });
+
+        it('should answer a matching If-None-Match with 304 and no body', async () => {
+            const route = handler('GET /items', () => ({
+                headers: { 'Content-Type': 'application/json' },
+                body: { items: [1], timestamp: new Date().toISOString() },
+            }));
+            const first = await route({ httpMethod: 'GET', path: '/items' });
+
+            const second = await route({
+                httpMethod: 'GET',
+                path: '/items',
+                headers: { 'If-None-Match': first.headers.ETag },
+            });
+
+            expect(second.statusCode).toBe(304);
+            expect(second.body).toBe('');
+            expect(second.headers.ETag).toBe(first.headers.ETag);
+            expect(second.headers['Content-Type']).toBeUndefined();
+            expect(second.headers['Cache-Control']).toBe(first.headers['Cache-Control']);
+        });
+
+        it('should mark errors and other methods no-store', async () => {
+            const failed = await handler('GET /items', () => ({ statusCode: 500, body: {} }))({
+                httpMethod: 'GET',
+                path: '/items',
+            });
+            const posted = await handler('GET /items', () => ({ body: {} }))({
+                httpMethod: 'POST',
+                path: '/items',
+                headers: { 'If-None-Match': '*' },
+            });
+
+            expect(failed.headers['Cache-Control']).toBe('no-store');
+            expect(failed.headers.ETag).toBeUndefined();
+            expect(posted.statusCode).toBe(200);
+            expect(posted.headers['Cache-Control']).toBe('no-store');
+        });
+
+        it('should send no validators for no-store routes', async () => {
+            const response = await handler('GET /health', () => ({ body: { status: 'ok' } }))({
+                httpMethod: 'GET',
+                path: '/health',
+                headers: { 'If-None-Match': '*' },
+            });
+
+            expect(response.statusCode).toBe(200);
+            expect(response.headers['Cache-Control']).toBe('no-cache, no-store, must-revalidate');
+            expect(response.headers.ETag).toBeUndefined();
+        });
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * Unit tests for the message catalog and locale negotiation
+ */
+
+const {
+    DEFAULT_LOCALE,
+    registerMessages,
+    availableLocales,
+    translate,
+    parseAcceptLanguage,
+    negotiateLocale,
+} = require('../../src/lib/i18n');
+
+describe('Internationalisation', () => {
+    describe('Message catalog', () => {
+        it('should load the shipped locale files', () => {
+            expect(availableLocales()).toEqual(expect.arrayContaining(['en', 'fr', 'es', 'de']));
+            expect(DEFAULT_LOCALE).toBe('en');
+        });
+
+        it('should substitute placeholders', () => {
+            expect(translate('fr', 'greeting.named', { name: 'Ada' })).toBe('Bonjour, Ada !');
+        });
+
+        it('should fall back to the default locale for missing keys', () => {
+            registerMessages('nl', { 'greeting.anonymous': 'Hallo Wereld!' });
+
+            expect(translate('nl', 'greeting.anonymous')).toBe('Hallo Wereld!');
+            expect(translate('nl', 'greeting.named', { name: 'Ada' })).toBe('Hello, Ada!');
+        });
+
+        it('should prefer overrides to the catalog', () => {
+            const overrides = { fr: { 'greeting.named': 'Salut {name} !' } };
+
+            expect(translate('fr', 'greeting.named', { name: 'Ada' }, overrides)).toBe(
+                'Salut Ada !'
+            );
+            expect(translate('fr', 'greeting.anonymous', {}, overrides)).toBe('Bonjour le monde !');
+        });
+
+        it('should throw for keys missing from every locale', () => {
+            expect(() => translate('en', 'does.not.exist')).toThrow(/Missing message/);
+        });
+    });
+
+    describe('parseAcceptLanguage', () => {
+        it('should order tags by q-value, keeping header order for ties', () => {
+            expect(parseAcceptLanguage('da, en-GB;q=0.8, en;q=0.7, fr')).toEqual([
+                { tag: 'da', q: 1 },
+                { tag: 'fr', q: 1 },
+                { tag: 'en-gb', q: 0.8 },
+                { tag: 'en', q: 0.7 },
+            ]);
+        });
+
+        it('should drop tags with q=0 or invalid q-values', () => {
+            expect(parseAcceptLanguage('fr;q=0, de;q=abc, es;q=0.5')).toEqual([
+                { tag: 'es', q: 0.5 },
+            ]);
+        });
+
+        it('should return an empty list for a missing header', () => {
+            expect(parseAcceptLanguage(undefined)).toEqual([]);
+        });
+    });
+
+    describe('negotiateLocale', () => {
+        it('should use an explicit supported lang', () => {
+            expect(negotiateLocale({ lang: 'DE', acceptLanguage: 'fr' })).toBe('de');
+        });
+
+        it('should match on the primary subtag', () => {
+            expect(negotiateLocale({ lang: 'es-MX' })).toBe('es');
+            expect(negotiateLocale({ acceptLanguage: 'fr-CA,en;q=0.1' })).toBe('fr');
+        });
+
+        it('should skip unsupported languages in Accept-Language', () => {
+            expect(negotiateLocale({ acceptLanguage: 'ja, ko;q=0.9, es;q=0.2' })).toBe('es');
+        });
+
+        it('should ignore malformed tags', () => {
+            expect(negotiateLocale({ lang: '../../etc', acceptLanguage: 'fr' })).toBe('fr');
+        });
+
+        it('should fall back to the default locale', () => {
+            expect(negotiateLocale({ acceptLanguage: 'ja' })).toBe('en');
+            expect(negotiateLocale({ acceptLanguage: '*' })).toBe('en');
+            expect(negotiateLocale()).toBe('en');
+        });
+    });
+});
@@ -0,0 +1,391 @@
+/**
+ * Unit tests for the idempotency stores and stage
+ *
+ * The DynamoDB Local suite runs when DYNAMODB_ENDPOINT is set, e.g.
+ *   docker run -p 8000:8000 amazon/dynamodb-local
+ *   DYNAMODB_ENDPOINT=http://localhost:8000 npx jest tests/unit/idempotency.test.js
+ */
+
+const {
+    CreateTableCommand,
+    DeleteTableCommand,
+    DynamoDBClient,
+    GetItemCommand,
+    PutItemCommand,
+} = require('@aws-sdk/client-dynamodb');
+const {
+    hashRequest,
+    idempotency,
+    createMemoryStore,
+    createDynamoDbStore,
+} = require('../../src/lib/idempotency');
+const { createHandler, errorHandler } = require('../../src/lib/middleware');
+const { deadline } = require('../../src/lib/deadline');
+const { normalizeRequest } = require('../../src/lib/events');
+
+const NOW_MS = Date.UTC(2026, 0, 1);
+const NOW_SECONDS = NOW_MS / 1000;
+
+const record = (overrides = {}) => ({
+    requestHash: 'abc',
+    status: 'in-progress',
+    expiresAt: NOW_SECONDS + 30,
+    ...overrides,
+});
+
+/**
+ * Behaviour every store adapter must share
+ * @param {Function} createStore - (now) => empty store using the clock
+ */
+function describeStoreContract(createStore) {
+    let clock;
+    let store;
+    beforeEach(async () => {
+        clock = NOW_MS;
+        store = await createStore(() => clock);
+    });
+
+    it('should claim a key once', async () => {
+        expect(await store.create('k', record())).toBe(true);
+        expect(await store.create('k', record({ requestHash: 'def' }))).toBe(false);
+        expect(await store.get('k')).toEqual(record());
+        expect(await store.get('missing')).toBeUndefined();
+    });
+
+    it('should save responses and release keys', async () => {
+        await store.create('k', record());
+        const response = { statusCode: 200, headers: { 'Content-Language': 'en' }, body: {} };
+        await store.put('k', record({ status: 'completed', response }));
+
+        expect((await store.get('k')).response).toEqual(response);
+
+        await store.remove('k');
+        expect(await store.get('k')).toBeUndefined();
+        expect(await store.create('k', record())).toBe(true);
+    });
+
+    it('should let an expired key be claimed again', async () => {
+        await store.create('k', record());
+        clock = NOW_MS + 31 * 1000;
+
+        expect(await store.get('k')).toBeUndefined();
+        expect(await store.create('k', record({ expiresAt: NOW_SECONDS + 61 }))).toBe(true);
+    });
+}
+
+describe('Idempotency', () => {
+    // Mock console.log to prevent cluttering test output
+    const originalConsoleLog = console.log;
+    beforeAll(() => {
+        console.log = jest.fn();
+    });
+    afterAll(() => {
+        console.log = originalConsoleLog;
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('hashRequest', () => {
+        const request = { method: 'POST', path: '/hello' };
+
+        it('should ignore the order of body fields', () => {
+            expect(hashRequest(request, { a: 1, b: { c: 2, d: 3 } })).toBe(
+                hashRequest(request, { b: { d: 3, c: 2 }, a: 1 })
+            );
+        });
+
+        it('should distinguish bodies and paths', () => {
+            const hash = hashRequest(request, { a: 1 });
+
+            expect(hashRequest(request, { a: 2 })).not.toBe(hash);
+            expect(hashRequest({ ...request, path: '/other' }, { a: 1 })).not.toBe(hash);
+        });
+    });
+
+    describe('createMemoryStore', () => {
+        describeStoreContract((now) => createMemoryStore({ now }));
+
+        it('should return copies of saved records', async () => {
+            const store = createMemoryStore();
+            await store.put('k', record({ expiresAt: Date.now() / 1000 + 30, response: {} }));
+
+            (await store.get('k')).response.body = 'changed';
+
+            expect((await store.get('k')).response).toEqual({});
+        });
+    });
+
+    describe('createDynamoDbStore', () => {
+        it('should claim keys conditionally, allowing expired items', async () => {
+            const client = { send: jest.fn().mockResolvedValue({}) };
+            const store = createDynamoDbStore({ tableName: 'Keys', client, now: () => NOW_MS });
+
+            expect(await store.create('k', record())).toBe(true);
+
+            const command = client.send.mock.calls[0][0];
+            expect(command).toBeInstanceOf(PutItemCommand);
+            expect(command.input.ConditionExpression).toBe(
+                'attribute_not_exists(pk) OR expiresAt <= :now'
+            );
+            expect(command.input.ExpressionAttributeValues).toEqual({
+                ':now': { N: String(NOW_SECONDS) },
+            });
+            expect(command.input.Item).toEqual({
+                pk: { S: 'k' },
+                requestHash: { S: 'abc' },
+                status: { S: 'in-progress' },
+                expiresAt: { N: String(NOW_SECONDS + 30) },
+            });
+        });
+
+        it('should report a held key as false', async () => {
+            const conflict = Object.assign(new Error('conflict'), {
+                name: 'ConditionalCheckFailedException',
+            });
+            const client = { send: jest.fn().mockRejectedValue(conflict) };
+            const store = createDynamoDbStore({ tableName: 'Keys', client });
+
+            expect(await store.create('k', record())).toBe(false);
+        });
+
+        it('should read saved responses and skip items awaiting TTL deletion', async () => {
+            const item = {
+                pk: { S: 'k' },
+                requestHash: { S: 'abc' },
+                status: { S: 'completed' },
+                expiresAt: { N: String(NOW_SECONDS + 10) },
+                response: { S: '{"statusCode":200,"headers":{},"body":{"id":"1"}}' },
+            };
+            const client = { send: jest.fn().mockResolvedValue({ Item: item }) };
+            let clock = NOW_MS;
+            const store = createDynamoDbStore({ tableName: 'Keys', client, now: () => clock });
+
+            expect(await store.get('k')).toEqual({
+                requestHash: 'abc',
+                status: 'completed',
+                expiresAt: NOW_SECONDS + 10,
+                response: { statusCode: 200, headers: {}, body: { id: '1' } },
+            });
+            expect(client.send.mock.calls[0][0]).toBeInstanceOf(GetItemCommand);
+            expect(client.send.mock.calls[0][0].input.ConsistentRead).toBe(true);
+
+            clock = NOW_MS + 10 * 1000;
+            expect(await store.get('k')).toBeUndefined();
+        });
+    });
+
+    const describeLocal = process.env.DYNAMODB_ENDPOINT ? describe : describe.skip;
+
+    describeLocal('createDynamoDbStore against DynamoDB Local', () => {
+        let client;
+        let tableName;
+
+        beforeAll(() => {
+            client = new DynamoDBClient({
+                endpoint: process.env.DYNAMODB_ENDPOINT,
+                region: 'us-east-1',
+                credentials: { accessKeyId: 'local', secretAccessKey: 'local' },
+            });
+        });
+
+        afterEach(async () => {
+            await client.send(new DeleteTableCommand({ TableName: tableName }));
+        });
+
+        afterAll(() => {
+            client.destroy();
+        });
+
+        describeStoreContract(async (now) => {
+            tableName = `idempotency-test-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+            await client.send(
+                new CreateTableCommand({
+                    TableName: tableName,
+                    AttributeDefinitions: [{ AttributeName: 'pk', AttributeType: 'S' }],
+                    KeySchema: [{ AttributeName: 'pk', KeyType: 'HASH' }],
+                    BillingMode: 'PAY_PER_REQUEST',
+                })
+            );
+            return createDynamoDbStore({ tableName, client, now });
+        });
+    });
+
+    describe('idempotency stage', () => {
+        const event = (key, body = { recipient: 'Ada' }) => ({
+            httpMethod: 'POST',
+            path: '/hello',
+            headers: key === undefined ? {} : { 'Idempotency-Key': key },
+            body: JSON.stringify(body),
+        });
+        const buildHandler = (route, store) =>
+            createHandler(route, [
+                errorHandler({
+                    message: 'Failed',
+                    toResponse: (error) => ({
+                        statusCode: error.statusCode || 500,
+                        body: error.type || error.message,
+                    }),
+                }),
+                async (ctx, next) => {
+                    ctx.state.body = JSON.parse(ctx.request.body);
+                    await next();
+                },
+                idempotency({ route: 'POST /test', store }),
+            ]);
+
+        it('should run the route once per key and replay its response', async () => {
+            const route = jest.fn(async () => ({
+                statusCode: 201,
+                body: { n: route.mock.calls.length },
+            }));
+            const handler = buildHandler(route, createMemoryStore());
+
+            const first = await handler(event('key-1'));
+            const retry = await handler(event('key-1'));
+            const other = await handler(event('key-2'));
+
+            expect(route).toHaveBeenCalledTimes(2);
+            expect(first.statusCode).toBe(201);
+            expect(retry.statusCode).toBe(201);
+            expect(retry.body).toEqual(first.body);
+            expect(retry.headers['Idempotent-Replayed']).toBe('true');
+            expect(other.body).not.toEqual(first.body);
+        });
+
+        it('should not track requests without a key', async () => {
+            const store = createMemoryStore();
+            const create = jest.spyOn(store, 'create');
+            const route = jest.fn(async () => ({ body: 'ok' }));
+
+            await buildHandler(route, store)(event(undefined));
+
+            expect(route).toHaveBeenCalledTimes(1);
+            expect(create).not.toHaveBeenCalled();
+        });
+
+        it('should reject a reused key with a different body', async () => {
+            const handler = buildHandler(async () => ({ body: 'ok' }), createMemoryStore());
+            await handler(event('key-1', { recipient: 'Ada' }));
+
+            const response = await handler(event('key-1', { recipient: 'Grace' }));
+
+            expect(response.statusCode).toBe(422);
+            expect(response.body).toBe('urn:hello-world-api:problem:idempotency-key-reused');
+        });
+
+        it('should reject a retry while the first request is running', async () => {
+            const store = createMemoryStore();
+            await store.create(
+                'POST /test|anonymous|key-1',
+                record({
+                    requestHash: hashRequest(
+                        { method: 'POST', path: '/hello' },
+                        { recipient: 'Ada' }
+                    ),
+                    expiresAt: Date.now() / 1000 + 30,
+                })
+            );
+
+            const handler = buildHandler(async () => ({ body: 'ok' }), store);
+
+            const response = await handler(event('key-1'));
+
+            expect(response.statusCode).toBe(409);
+        });
+
+        it('should scope keys to the caller', async () => {
+            const store = createMemoryStore();
+            const stage = idempotency({ route: 'POST /test', store });
+            const run = async (subject) => {
+                const ctx = {
+                    request: normalizeRequest(event('shared')),
+                    principal: { subject },
+                    state: { body: { recipient: 'Ada' } },
+                };
+                await stage(ctx, async () => {
+                    ctx.response = { statusCode: 200, headers: {}, body: subject };
+                });
+                return ctx.response;
+            };
+
+            await run('alice');
+
+            expect((await run('bob')).body).toBe('bob');
+            expect((await run('alice')).headers['Idempotent-Replayed']).toBe('true');
+        });
+
+        it('should release the key when the route fails', async () => {
+            const route = jest
+                .fn()
+                .mockRejectedValueOnce(new Error('boom'))
+                .mockResolvedValueOnce({ body: 'ok' });
+            const handler = buildHandler(route, createMemoryStore());
+
+            expect((await handler(event('key-1'))).statusCode).toBe(500);
+            const retry = await handler(event('key-1'));
+
+            expect(retry.statusCode).toBe(200);
+            expect(retry.body).toBe('ok');
+        });
+
+        it('should release the key when the route finishes after the deadline', async () => {
+            const store = createMemoryStore();
+            let finished;
+            const lateRoute = new Promise((resolve) => {
+                finished = resolve;
+            });
+            const route = jest
+                .fn()
+                .mockImplementationOnce(async () => {
+                    // Ignores the deadline signal and answers after the 504
+                    await new Promise((resolve) => setTimeout(resolve, 100));
+                    finished();
+                    return { statusCode: 201, body: 'late' };
+                })
+                .mockResolvedValueOnce({ statusCode: 201, body: 'retried' });
+            const handler = createHandler(route, [
+                errorHandler({
+                    message: 'Failed',
+                    toResponse: (error) => ({ statusCode: error.statusCode || 500, body: '' }),
+                }),
+                deadline({ reserveMs: 0 }),
+                async (ctx, next) => {
+                    ctx.state.body = JSON.parse(ctx.request.body);
+                    await next();
+                },
+                idempotency({ route: 'POST /test', store }),
+            ]);
+            const lambdaContext = { getRemainingTimeInMillis: () => 20 };
+
+            const timedOut = await handler(event('key-1'), lambdaContext);
+            await lateRoute;
+            await new Promise((resolve) => setImmediate(resolve));
+
+            expect(timedOut.statusCode).toBe(504);
+            expect(await store.get('POST /test|anonymous|key-1')).toBeUndefined();
+            const retry = await handler(event('key-1'), lambdaContext);
+            expect(retry).toMatchObject({ statusCode: 201, body: 'retried' });
+            expect(retry.headers['Idempotent-Replayed']).toBeUndefined();
+        });
+
+        it('should return 503 without running the route when the store fails', async () => {
+            const store = { create: jest.fn().mockRejectedValue(new Error('table missing')) };
+            const route = jest.fn(async () => ({ body: 'ok' }));
+
+            const response = await buildHandler(route, store)(event('key-1'));
+
+            expect(response.statusCode).toBe(503);
+            expect(route).not.toHaveBeenCalled();
+        });
+
+        it('should reject malformed keys', async () => {
+            const handler = buildHandler(async () => ({ body: 'ok' }), createMemoryStore());
+
+            const response = await handler(event('has spaces'));
+
+            expect(response.statusCode).toBe(400);
+        });
+    });
+});
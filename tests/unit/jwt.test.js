@@ -0,0 +1,255 @@
+/**
+ * Unit tests for JWT verification and the JWKS provider
+ */
+
+const { createJwksProvider } = require('../../src/lib/jwks');
+const { decodeToken, getScopes, verifyToken } = require('../../src/lib/jwt');
+const { UnauthorizedError, ForbiddenError } = require('../../src/lib/errors');
+const {
+    PUBLIC_JWKS_FILE,
+    generateSigningKey,
+    toJwks,
+    signToken,
+    loadFixtureKeys,
+} = require('../helpers/keys');
+
+describe('JWT Verification', () => {
+    const { rsa, ec } = loadFixtureKeys();
+    const now = Date.UTC(2024, 0, 1);
+    const nowSec = Math.floor(now / 1000);
+    const jwks = createJwksProvider({ file: PUBLIC_JWKS_FILE });
+    const options = {
+        jwks,
+        issuer: 'https://issuer.example.com',
+        audience: 'hello-world-api',
+        now: () => now,
+    };
+    const claims = {
+        sub: 'user-123',
+        iss: 'https://issuer.example.com',
+        aud: 'hello-world-api',
+        exp: nowSec + 300,
+        scope: 'greetings:read profile',
+    };
+
+    describe('verifyToken', () => {
+        it('should accept RS256 and ES256 tokens from the fixture JWKS', async () => {
+            await expect(verifyToken(signToken(claims, rsa), options)).resolves.toMatchObject({
+                sub: 'user-123',
+            });
+            await expect(verifyToken(signToken(claims, ec), options)).resolves.toMatchObject({
+                sub: 'user-123',
+            });
+        });
+
+        it('should accept audience arrays', async () => {
+            const token = signToken({ ...claims, aud: ['other', 'hello-world-api'] }, rsa);
+
+            await expect(verifyToken(token, options)).resolves.toBeDefined();
+        });
+
+        it.each([
+            ['expired', { exp: nowSec - 60 }, 'Token expired'],
+            ['missing exp', { exp: undefined }, 'Token expired'],
+            ['not yet valid', { nbf: nowSec + 120 }, 'Token not yet valid'],
+            ['wrong issuer', { iss: 'https://evil.example.com' }, 'Unexpected issuer'],
+            ['wrong audience', { aud: 'another-api' }, 'Unexpected audience'],
+            ['missing audience', { aud: undefined }, 'Unexpected audience'],
+            ['missing issuer', { iss: undefined }, 'Unexpected issuer'],
+        ])('should reject %s tokens', async (_label, overrides, message) => {
+            const token = signToken({ ...claims, ...overrides }, rsa);
+
+            await expect(verifyToken(token, options)).rejects.toThrow(
+                new UnauthorizedError(message)
+            );
+        });
+
+        it.each([
+            ['issuer', { issuer: '' }],
+            ['audience', { audience: undefined }],
+        ])('should refuse to verify any token without an expected %s', async (_label, config) => {
+            const token = signToken(claims, rsa);
+
+            await expect(verifyToken(token, { ...options, ...config })).rejects.toThrow(
+                'An expected JWT issuer and audience are required'
+            );
+        });
+
+        it('should tolerate small clock skew', async () => {
+            const token = signToken({ ...claims, exp: nowSec - 10 }, rsa);
+
+            await expect(verifyToken(token, options)).resolves.toBeDefined();
+        });
+
+        it('should reject tampered payloads', async () => {
+            const [header, , signature] = signToken(claims, rsa).split('.');
+            const payload = Buffer.from(JSON.stringify({ ...claims, sub: 'admin' })).toString(
+                'base64url'
+            );
+
+            await expect(verifyToken(`${header}.${payload}.${signature}`, options)).rejects.toThrow(
+                'Invalid signature'
+            );
+        });
+
+        it('should reject tokens signed by an unknown key', async () => {
+            const stranger = generateSigningKey('ES256', 'test-ec');
+
+            await expect(verifyToken(signToken(claims, stranger), options)).rejects.toThrow(
+                'Invalid signature'
+            );
+        });
+
+        it('should reject unsupported algorithms and key mismatches', async () => {
+            const noneToken = `${Buffer.from('{"alg":"none"}').toString('base64url')}.${Buffer.from(
+                JSON.stringify(claims)
+            ).toString('base64url')}.`;
+
+            await expect(verifyToken(noneToken, options)).rejects.toThrow(
+                "Unsupported algorithm 'none'"
+            );
+            await expect(
+                verifyToken(signToken(claims, ec, { kid: 'test-rsa' }), options)
+            ).rejects.toThrow("Key 'test-rsa' cannot verify ES256");
+        });
+
+        it('should reject malformed tokens', async () => {
+            await expect(verifyToken('not-a-jwt', options)).rejects.toThrow('Malformed token');
+            await expect(verifyToken(undefined, options)).rejects.toThrow('Malformed token');
+        });
+
+        it('should require scopes with a ForbiddenError', async () => {
+            const token = signToken(claims, rsa);
+
+            await expect(
+                verifyToken(token, { ...options, requiredScopes: ['greetings:read', 'admin'] })
+            ).rejects.toThrow(new ForbiddenError('Missing required scopes: admin'));
+        });
+    });
+
+    describe('getScopes', () => {
+        it('should read space-delimited scope and scp arrays', () => {
+            expect(getScopes({ scope: 'a b' })).toEqual(['a', 'b']);
+            expect(getScopes({ scp: ['a', 'b'] })).toEqual(['a', 'b']);
+            expect(getScopes({})).toEqual([]);
+        });
+    });
+
+    describe('decodeToken', () => {
+        it('should decode without verifying', () => {
+            const { header, payload } = decodeToken(signToken(claims, ec));
+
+            expect(header).toEqual({ alg: 'ES256', typ: 'JWT', kid: 'test-ec' });
+            expect(payload.sub).toBe('user-123');
+        });
+    });
+});
+
+describe('JWKS Provider', () => {
+    const key = generateSigningKey('ES256', 'rotating-1');
+    const rotated = generateSigningKey('ES256', 'rotating-2');
+
+    const jsonResponse = (body) => ({ ok: true, status: 200, json: async () => body });
+
+    it('should require a url or file', () => {
+        expect(() => createJwksProvider({})).toThrow('A JWKS url or file is required');
+    });
+
+    it('should cache the key set until the TTL expires', async () => {
+        let clock = 0;
+        const fetchImpl = jest.fn(async () => jsonResponse(toJwks([key])));
+        const provider = createJwksProvider({
+            url: 'https://issuer.example.com/jwks.json',
+            cacheTtlMs: 1000,
+            fetchImpl,
+            now: () => clock,
+        });
+
+        await provider.getKey('rotating-1');
+        await provider.getKey('rotating-1');
+        expect(fetchImpl).toHaveBeenCalledTimes(1);
+
+        clock = 1000;
+        await provider.getKey('rotating-1');
+        expect(fetchImpl).toHaveBeenCalledTimes(2);
+    });
+
+    it('should refetch once for an unknown kid after the refresh interval', async () => {
+        let clock = 0;
+        const fetchImpl = jest
+            .fn()
+            .mockResolvedValueOnce(jsonResponse(toJwks([key])))
+            .mockResolvedValue(jsonResponse(toJwks([key, rotated])));
+        const provider = createJwksProvider({
+            url: 'https://issuer.example.com/jwks.json',
+            minRefreshIntervalMs: 100,
+            fetchImpl,
+            now: () => clock,
+        });
+
+        await provider.getKey('rotating-1');
+        await expect(provider.getKey('rotating-2')).rejects.toThrow(
+            "No signing key found for kid 'rotating-2'"
+        );
+        expect(fetchImpl).toHaveBeenCalledTimes(1);
+
+        clock = 100;
+        const found = await provider.getKey('rotating-2');
+        expect(found.jwk.kid).toBe('rotating-2');
+        expect(fetchImpl).toHaveBeenCalledTimes(2);
+    });
+
+    it('should share one in-flight request between concurrent callers', async () => {
+        const fetchImpl = jest.fn(async () => jsonResponse(toJwks([key])));
+        const provider = createJwksProvider({
+            url: 'https://issuer.example.com/jwks.json',
+            fetchImpl,
+        });
+
+        await Promise.all([provider.getKey('rotating-1'), provider.getKey('rotating-1')]);
+
+        expect(fetchImpl).toHaveBeenCalledTimes(1);
+    });
+
+    it('should surface HTTP failures', async () => {
+        const provider = createJwksProvider({
+            url: 'https://issuer.example.com/jwks.json',
+            fetchImpl: async () => ({ ok: false, status: 503 }),
+        });
+
+        await expect(provider.getKey('rotating-1')).rejects.toThrow(
+            'JWKS request failed with status 503'
+        );
+    });
+
+    it('should give up on a JWKS endpoint that does not answer', async () => {
+        const fetchImpl = jest.fn(
+            (_url, { signal }) =>
+                new Promise((_resolve, reject) => {
+                    signal.addEventListener('abort', () => reject(signal.reason));
+                })
+        );
+        const provider = createJwksProvider({
+            url: 'https://issuer.example.com/jwks.json',
+            timeoutMs: 10,
+            fetchImpl,
+        });
+
+        await expect(provider.getKey('rotating-1')).rejects.toThrow(
+            'JWKS request timed out after 10ms'
+        );
+        expect(fetchImpl).toHaveBeenCalledWith('https://issuer.example.com/jwks.json', {
+            signal: expect.any(AbortSignal),
+        });
+    });
+
+    it('should skip keys not meant for signatures', async () => {
+        const encryptionKey = { ...rotated.publicJwk, use: 'enc' };
+        const provider = createJwksProvider({
+            url: 'https://issuer.example.com/jwks.json',
+            fetchImpl: async () => jsonResponse({ keys: [encryptionKey] }),
+        });
+
+        await expect(provider.getKey('rotating-2')).rejects.toThrow('No signing key found');
+    });
+});
@@ -0,0 +1,230 @@
+/**
+ * Unit tests for the local API Gateway emulator's routing and event mapping
+ */
+
+const path = require('path');
+const { loadTemplate, createResolver } = require('../../scripts/template');
+const {
+    compilePath,
+    loadRoutes,
+    matchRoute,
+    buildEvent,
+    buildContext,
+    toHttpResponse,
+    renderGatewayResponse,
+} = require('../../scripts/local-api');
+
+describe('Local API', () => {
+    const rootDir = path.join(__dirname, '..', '..');
+    const template = createResolver(loadTemplate())(loadTemplate());
+    const routes = loadRoutes(template, rootDir);
+
+    describe('loadRoutes', () => {
+        it('should map every Api event to its handler and environment', () => {
+            const hello = routes.find((route) => route.path === '/hello' && route.method === 'GET');
+
+            expect(hello).toMatchObject({
+                functionId: 'HelloWorldFunction',
+                functionName: 'hello-world-dev',
+                handlerFile: path.join(rootDir, 'src', 'handlers', 'hello.js'),
+                exportName: 'handler',
+                timeout: 3,
+                memorySize: 128,
+            });
+            expect(hello.environment).toMatchObject({
+                ENVIRONMENT: 'dev',
+                CORS_ALLOWED_ORIGINS: '*',
+                RATE_LIMIT_TABLE: '',
+            });
+            expect(routes.map((route) => `${route.method} ${route.path}`)).toEqual(
+                expect.arrayContaining(['OPTIONS /hello', 'GET /health/live', 'GET /health/ready'])
+            );
+        });
+    });
+
+    describe('matchRoute', () => {
+        const fixtureRoutes = [
+            { path: '/items/{id}', method: 'GET' },
+            { path: '/items/latest', method: 'GET' },
+            { path: '/files/{proxy+}', method: 'ANY' },
+        ]
+            .map((route) => ({ ...route, ...compilePath(route.path) }))
+            .sort((a, b) => b.specificity - a.specificity);
+
+        it('should prefer literal segments over parameters', () => {
+            expect(matchRoute(fixtureRoutes, 'GET', '/items/latest')).toEqual({
+                route: expect.objectContaining({ path: '/items/latest' }),
+                pathParameters: null,
+            });
+            expect(matchRoute(fixtureRoutes, 'GET', '/items/a%20b').pathParameters).toEqual({
+                id: 'a b',
+            });
+        });
+
+        it('should match greedy parameters for any method', () => {
+            const match = matchRoute(fixtureRoutes, 'DELETE', '/files/a/b.txt');
+
+            expect(match.pathParameters).toEqual({ proxy: 'a/b.txt' });
+        });
+
+        it('should not match other methods or paths', () => {
+            expect(matchRoute(fixtureRoutes, 'POST', '/items/1')).toBeUndefined();
+            expect(matchRoute(fixtureRoutes, 'GET', '/items/1/extra')).toBeUndefined();
+        });
+    });
+
+    describe('buildEvent', () => {
+        const route = { path: '/items/{id}', method: 'POST' };
+        const request = (overrides) => ({
+            method: 'POST',
+            url: new URL('http://localhost:3000/items/7?tag=a&tag=b'),
+            rawHeaders: [
+                'Host',
+                'localhost:3000',
+                'Accept',
+                'a/b',
+                'accept',
+                'c/d',
+                'Content-Type',
+                'application/json',
+                'User-Agent',
+                'jest',
+            ],
+            body: Buffer.from('{"a":1}'),
+            sourceIp: '127.0.0.1',
+            ...overrides,
+        });
+        const options = {
+            stage: 'dev',
+            requestId: '11111111-2222-3333-4444-555555555555',
+            now: new Date(Date.UTC(2024, 3, 9, 12, 34, 56)),
+        };
+
+        it('should build a REST API proxy event', () => {
+            const event = buildEvent(request(), { route, pathParameters: { id: '7' } }, options);
+
+            expect(event).toMatchObject({
+                resource: '/items/{id}',
+                path: '/items/7',
+                httpMethod: 'POST',
+                queryStringParameters: { tag: 'b' },
+                multiValueQueryStringParameters: { tag: ['a', 'b'] },
+                pathParameters: { id: '7' },
+                body: '{"a":1}',
+                isBase64Encoded: false,
+            });
+            expect(event.headers).toMatchObject({ 'Content-Type': 'application/json' });
+            expect(event.multiValueHeaders).toMatchObject({ Accept: ['a/b'], accept: ['c/d'] });
+            expect(event.requestContext).toMatchObject({
+                resourcePath: '/items/{id}',
+                httpMethod: 'POST',
+                path: '/dev/items/7',
+                stage: 'dev',
+                requestId: options.requestId,
+                requestTime: '09/Apr/2024:12:34:56 +0000',
+                requestTimeEpoch: options.now.getTime(),
+                identity: { sourceIp: '127.0.0.1', userAgent: 'jest' },
+            });
+        });
+
+        it('should base64-encode binary media types and omit empty parts', () => {
+            const event = buildEvent(
+                request({
+                    url: new URL('http://localhost:3000/items/7'),
+                    rawHeaders: ['Content-Type', 'image/png'],
+                    body: Buffer.from([0, 255]),
+                }),
+                { route, pathParameters: null },
+                { ...options, binaryMediaTypes: ['image/*'] }
+            );
+
+            expect(event.body).toBe('AP8=');
+            expect(event.isBase64Encoded).toBe(true);
+            expect(event.queryStringParameters).toBeNull();
+            expect(event.multiValueQueryStringParameters).toBeNull();
+        });
+    });
+
+    describe('buildContext', () => {
+        it('should describe the function and its deadline', () => {
+            const fn = { functionName: 'hello-world-dev', timeout: 3, memorySize: 128 };
+
+            const context = buildContext(fn, 1000);
+
+            expect(context).toMatchObject({
+                functionName: 'hello-world-dev',
+                memoryLimitInMB: '128',
+                invokedFunctionArn:
+                    'arn:aws:lambda:us-east-1:123456789012:function:hello-world-dev',
+                deadline: 4000,
+            });
+            expect(context.awsRequestId).toMatch(/^[0-9a-f-]{36}$/);
+        });
+    });
+
+    describe('toHttpResponse', () => {
+        it('should decode base64 bodies and merge multi-value headers', () => {
+            const response = toHttpResponse({
+                statusCode: 201,
+                headers: { 'Content-Type': 'image/png' },
+                multiValueHeaders: { 'Set-Cookie': ['a=1', 'b=2'] },
+                body: 'AP8=',
+                isBase64Encoded: true,
+            });
+
+            expect(response.statusCode).toBe(201);
+            expect(response.headers).toEqual({
+                'Content-Type': 'image/png',
+                'Set-Cookie': ['a=1', 'b=2'],
+            });
+            expect([...response.body]).toEqual([0, 255]);
+        });
+
+        it('should reject malformed proxy results', () => {
+            expect(toHttpResponse(null)).toBeUndefined();
+            expect(toHttpResponse({ statusCode: 200, body: { a: 1 } })).toBeUndefined();
+        });
+    });
+
+    describe('renderGatewayResponse', () => {
+        const context = { message: 'Unauthorized', path: '/dev/hello', requestId: 'req-1' };
+        const gatewayResponses =
+            template.Resources.HelloWorldApi.Properties.DefinitionBody[
+                'x-amazon-apigateway-gateway-responses'
+            ];
+
+        it("should render the template's gateway responses", () => {
+            const response = renderGatewayResponse(gatewayResponses, 'UNAUTHORIZED', context);
+
+            expect(response.statusCode).toBe(401);
+            expect(response.headers['Content-Type']).toBe('application/problem+json');
+            expect(JSON.parse(response.body)).toEqual({
+                type: 'urn:hello-world-api:problem:unauthorized',
+                title: 'Unauthorized',
+                status: 401,
+                detail: 'Unauthorized',
+                instance: '/dev/hello',
+                requestId: 'req-1',
+            });
+        });
+
+        it('should fall back to DEFAULT_4XX and then to API Gateway defaults', () => {
+            const missing = { ...context, message: 'Missing Authentication Token' };
+
+            const custom = renderGatewayResponse(
+                gatewayResponses,
+                'MISSING_AUTHENTICATION_TOKEN',
+                missing
+            );
+            const plain = renderGatewayResponse(undefined, 'MISSING_AUTHENTICATION_TOKEN', missing);
+
+            expect(custom.statusCode).toBe(403);
+            expect(JSON.parse(custom.body).title).toBe('Missing Authentication Token');
+            expect(plain).toEqual({
+                statusCode: 403,
+                headers: { 'Content-Type': 'application/json' },
+                body: '{"message":"Missing Authentication Token"}',
+            });
+        });
+    });
+});
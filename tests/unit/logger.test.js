@@ -0,0 +1,163 @@
+/**
+ * Unit tests for the structured logger
+ */
+
+const { REDACTED, createLogger } = require('../../src/lib/logger');
+
+describe('Logger', () => {
+    // Mock console.log to capture log records
+    const originalConsoleLog = console.log;
+    beforeAll(() => {
+        console.log = jest.fn();
+    });
+    afterAll(() => {
+        console.log = originalConsoleLog;
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        delete process.env.LOG_LEVEL;
+        delete process.env.LOG_DEBUG_SAMPLE_RATE;
+        delete process.env.LOG_REDACT_FIELDS;
+    });
+
+    const records = () => console.log.mock.calls.map(([line]) => JSON.parse(line));
+
+    describe('levels', () => {
+        it('should write INFO and above by default', () => {
+            const logger = createLogger();
+
+            logger.debug('hidden');
+            logger.info('shown');
+            logger.error('also shown');
+
+            expect(records().map((record) => record.level)).toEqual(['INFO', 'ERROR']);
+        });
+
+        it('should read LOG_LEVEL when each record is written', () => {
+            const logger = createLogger();
+
+            process.env.LOG_LEVEL = 'warn';
+            logger.info('hidden');
+            logger.warn('shown');
+            process.env.LOG_LEVEL = 'DEBUG';
+            logger.debug('now shown');
+
+            expect(records().map((record) => record.message)).toEqual(['shown', 'now shown']);
+        });
+
+        it('should prefer an explicit level and ignore unknown ones', () => {
+            process.env.LOG_LEVEL = 'ERROR';
+
+            createLogger({ level: 'debug' }).debug('explicit');
+            createLogger({ level: 'verbose' }).warn('falls back to LOG_LEVEL');
+
+            expect(records().map((record) => record.message)).toEqual(['explicit']);
+        });
+
+        it('should log a sampled share of child loggers at DEBUG', () => {
+            process.env.LOG_DEBUG_SAMPLE_RATE = '0.1';
+            const rolls = [0.05, 0.5];
+            const logger = createLogger({ random: () => rolls.shift() });
+
+            const sampled = logger.child({}, { sampleDebug: true });
+            const unsampled = logger.child({}, { sampleDebug: true });
+
+            expect(sampled.isLevelEnabled('DEBUG')).toBe(true);
+            expect(unsampled.isLevelEnabled('DEBUG')).toBe(false);
+        });
+    });
+
+    describe('records', () => {
+        it('should merge child context into every record', () => {
+            const logger = createLogger({ context: { service: 'api' } })
+                .child({ requestId: 'req-1' })
+                .child({ correlationId: 'corr-1' });
+
+            logger.info('Hello', { extra: true });
+
+            expect(records()[0]).toEqual({
+                timestamp: expect.any(String),
+                level: 'INFO',
+                message: 'Hello',
+                service: 'api',
+                requestId: 'req-1',
+                correlationId: 'corr-1',
+                extra: true,
+            });
+        });
+
+        it('should redact sensitive fields at any depth, ignoring case', () => {
+            createLogger().info('Request', {
+                sourceIp: '192.0.2.1',
+                headers: { Authorization: 'Bearer abc', Accept: 'text/html' },
+                sessions: [{ TOKEN: 'xyz' }],
+            });
+
+            expect(records()[0]).toMatchObject({
+                sourceIp: REDACTED,
+                headers: { Authorization: REDACTED, Accept: 'text/html' },
+                sessions: [{ TOKEN: REDACTED }],
+            });
+        });
+
+        it('should redact configured fields', () => {
+            process.env.LOG_REDACT_FIELDS = 'email, phone';
+
+            createLogger({ redact: ['name'] }).info('User', {
+                email: 'ada@example.com',
+                phone: '555-0100',
+                name: 'Ada',
+                locale: 'en',
+            });
+
+            expect(records()[0]).toMatchObject({
+                email: REDACTED,
+                phone: REDACTED,
+                name: REDACTED,
+                locale: 'en',
+            });
+        });
+
+        it('should trim long stack traces', () => {
+            const frames = Array.from({ length: 30 }, (_, i) => `    at frame${i} (file.js:${i})`);
+
+            createLogger().error('Failed', { stack: ['Error: boom', ...frames].join('\n') });
+
+            const lines = records()[0].stack.split('\n');
+            expect(lines).toHaveLength(12);
+            expect(lines[0]).toBe('Error: boom');
+            expect(lines[11]).toBe('    ... 20 more frames');
+        });
+
+        it('should serialize Error values', () => {
+            createLogger().error('Failed', { cause: new TypeError('bad input') });
+
+            expect(records()[0].cause).toMatchObject({
+                name: 'TypeError',
+                message: 'bad input',
+                stack: expect.stringContaining('TypeError: bad input'),
+            });
+        });
+    });
+
+    describe('invocationLogger', () => {
+        it('should add the function name, version and cold start flag', () => {
+            jest.isolateModules(() => {
+                const { invocationLogger } = require('../../src/lib/logger');
+                const context = { functionName: 'hello-dev', functionVersion: '7' };
+
+                invocationLogger(context).info('First');
+                invocationLogger(context).info('Second');
+            });
+
+            const [first, second] = records();
+            expect(first).toMatchObject({
+                functionName: 'hello-dev',
+                functionVersion: '7',
+                coldStart: true,
+            });
+            expect(second.coldStart).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,220 @@
+/**
+ * Unit tests for CloudWatch Embedded Metric Format metrics
+ */
+
+const { createHandler, errorHandler } = require('../../src/lib/middleware');
+const { ValidationError } = require('../../src/lib/errors');
+
+describe('Metrics', () => {
+    const originalConsoleLog = console.log;
+    beforeAll(() => {
+        console.log = jest.fn();
+    });
+    afterAll(() => {
+        console.log = originalConsoleLog;
+    });
+
+    let createMetrics;
+    let metrics;
+    beforeEach(() => {
+        jest.clearAllMocks();
+        // Fresh module so every test starts in a cold execution environment
+        jest.isolateModules(() => {
+            ({ createMetrics, metrics } = require('../../src/lib/metrics'));
+        });
+        delete process.env.ENVIRONMENT;
+        delete process.env.METRICS_NAMESPACE;
+    });
+
+    const emfRecords = () =>
+        console.log.mock.calls.map(([line]) => JSON.parse(line)).filter((record) => record._aws);
+
+    describe('createMetrics', () => {
+        const dimensions = { Environment: 'dev', Route: 'GET /hello' };
+
+        it('should serialize metrics as an EMF record', () => {
+            const batch = createMetrics({ dimensions, now: () => 1700000000000 });
+            batch.addMetric('Latency', 12, 'Milliseconds');
+            batch.setProperty('requestId', 'req-1');
+
+            expect(batch.serialize()).toEqual([
+                {
+                    _aws: {
+                        Timestamp: 1700000000000,
+                        CloudWatchMetrics: [
+                            {
+                                Namespace: 'HelloWorldApi',
+                                Dimensions: [['Environment', 'Route']],
+                                Metrics: [{ Name: 'Latency', Unit: 'Milliseconds' }],
+                            },
+                        ],
+                    },
+                    requestId: 'req-1',
+                    Environment: 'dev',
+                    Route: 'GET /hello',
+                    Latency: 12,
+                },
+            ]);
+        });
+
+        it('should batch repeated metrics and extra dimensions into one record', () => {
+            process.env.METRICS_NAMESPACE = 'Custom';
+            const batch = createMetrics({ dimensions });
+            batch.addMetric('Latency', 12, 'Milliseconds');
+            batch.addMetric('Latency', 30, 'Milliseconds');
+            batch.addMetric('Greetings', 1, 'Count', { Locale: 'fr' });
+
+            const [record, ...rest] = batch.serialize();
+
+            expect(rest).toEqual([]);
+            expect(record._aws.CloudWatchMetrics).toEqual([
+                {
+                    Namespace: 'Custom',
+                    Dimensions: [['Environment', 'Route']],
+                    Metrics: [{ Name: 'Latency', Unit: 'Milliseconds' }],
+                },
+                {
+                    Namespace: 'Custom',
+                    Dimensions: [['Environment', 'Route', 'Locale']],
+                    Metrics: [{ Name: 'Greetings', Unit: 'Count' }],
+                },
+            ]);
+            expect(record).toMatchObject({ Latency: [12, 30], Greetings: 1, Locale: 'fr' });
+        });
+
+        it("should split records at CloudWatch's limits", () => {
+            const batch = createMetrics({ dimensions });
+            for (let i = 0; i < 150; i++) {
+                batch.addMetric('Latency', i, 'Milliseconds');
+            }
+            for (let i = 0; i < 101; i++) {
+                batch.addMetric(`Metric${i}`, i);
+            }
+
+            const records = batch.serialize();
+
+            expect(records).toHaveLength(2);
+            expect(records[0].Latency).toHaveLength(100);
+            expect(records[1].Latency).toHaveLength(50);
+            for (const record of records) {
+                expect(record._aws.CloudWatchMetrics[0].Metrics.length).toBeLessThanOrEqual(100);
+            }
+        });
+
+        it('should reject invalid values and units', () => {
+            const batch = createMetrics({ dimensions });
+            batch.addMetric('Latency', 1, 'Milliseconds');
+
+            expect(() => batch.addMetric('Latency', NaN)).toThrow('must be a finite number');
+            expect(() => batch.addMetric('Latency', 1, 'Hours')).toThrow('unknown unit Hours');
+            expect(() => batch.addMetric('Latency', 1, 'Seconds')).toThrow(
+                'already recorded in Milliseconds'
+            );
+        });
+
+        it('should write one line per flush and start a new batch', () => {
+            const batch = createMetrics({ dimensions });
+            batch.flush();
+            batch.addMetric('Greetings', 1);
+            batch.flush();
+            batch.flush();
+
+            expect(console.log).toHaveBeenCalledTimes(1);
+            expect(emfRecords()[0].Greetings).toBe(1);
+        });
+    });
+
+    describe('metrics stage', () => {
+        const buildHandler = (route) =>
+            createHandler(route, [
+                metrics({ route: 'GET /test' }),
+                errorHandler({
+                    message: 'Failed',
+                    toResponse: (error) => ({ statusCode: error.statusCode || 500, body: '' }),
+                }),
+            ]);
+
+        it('should record latency and a cold start only on the first invocation', async () => {
+            process.env.ENVIRONMENT = 'staging';
+            const handler = buildHandler(async () => ({ statusCode: 204 }));
+
+            await handler({ httpMethod: 'GET', path: '/test' });
+            await handler({ httpMethod: 'GET', path: '/test' });
+
+            const [first, second] = emfRecords();
+            expect(first).toMatchObject({
+                Environment: 'staging',
+                Route: 'GET /test',
+                ColdStart: 1,
+                statusCode: 204,
+            });
+            expect(first.Latency).toBeGreaterThanOrEqual(0);
+            expect(second.ColdStart).toBeUndefined();
+        });
+
+        it('should count errors by class', async () => {
+            const handler = buildHandler(async () => {
+                throw new ValidationError('Bad request');
+            });
+
+            const response = await handler({ httpMethod: 'GET', path: '/test' });
+
+            const [record] = emfRecords();
+            expect(response.statusCode).toBe(400);
+            expect(record).toMatchObject({ Errors: 1, ErrorClass: 'ValidationError' });
+            expect(record._aws.CloudWatchMetrics).toContainEqual({
+                Namespace: 'HelloWorldApi',
+                Dimensions: [['Environment', 'Route', 'ErrorClass']],
+                Metrics: [{ Name: 'Errors', Unit: 'Count' }],
+            });
+        });
+
+        it('should count errors that escape every errorHandler', async () => {
+            const handler = createHandler(
+                async () => ({ statusCode: 200 }),
+                [
+                    metrics({ route: 'GET /test' }),
+                    async () => {
+                        throw new TypeError('config is undefined');
+                    },
+                ]
+            );
+
+            const response = await handler({ httpMethod: 'GET', path: '/test' });
+
+            expect(response.statusCode).toBe(500);
+            expect(emfRecords()[0]).toMatchObject({ Errors: 1, ErrorClass: 'TypeError' });
+        });
+
+        it('should let routes add metrics to the batch', async () => {
+            const handler = buildHandler(async (ctx) => {
+                ctx.metrics.addMetric('Greetings', 1, 'Count', { Locale: 'de' });
+                return { statusCode: 200 };
+            });
+
+            await handler({ httpMethod: 'GET', path: '/test' });
+
+            expect(emfRecords()).toHaveLength(1);
+            expect(emfRecords()[0]).toMatchObject({ Greetings: 1, Locale: 'de' });
+        });
+
+        it('should log instead of failing when metrics cannot be written', async () => {
+            const handler = buildHandler(async (ctx) => {
+                ctx.metrics.serialize = () => {
+                    throw new Error('serialize failed');
+                };
+                return { statusCode: 200 };
+            });
+
+            const response = await handler({ httpMethod: 'GET', path: '/test' });
+
+            expect(response.statusCode).toBe(200);
+            const warning = JSON.parse(console.log.mock.calls[0][0]);
+            expect(warning).toMatchObject({
+                level: 'WARN',
+                message: 'Failed to emit metrics',
+                error: 'serialize failed',
+            });
+        });
+    });
+});
@@ -0,0 +1,344 @@
+/**
+ * Unit tests for the handler middleware pipeline
+ */
+
+const {
+    createHandler,
+    appendVary,
+    requestId,
+    jsonBody,
+    responseHeaders,
+    errorHandler,
+    timing,
+    logging,
+} = require('../../src/lib/middleware');
+const { ForbiddenError } = require('../../src/lib/errors');
+
+describe('Middleware Pipeline', () => {
+    // Mock console.log to prevent cluttering test output
+    const originalConsoleLog = console.log;
+    beforeAll(() => {
+        console.log = jest.fn();
+    });
+    afterAll(() => {
+        console.log = originalConsoleLog;
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    const event = {
+        httpMethod: 'GET',
+        path: '/test',
+        requestContext: {
+            requestId: 'pipeline-test-123',
+        },
+    };
+
+    describe('createHandler', () => {
+        it('should run stages outermost-first around the route', async () => {
+            const calls = [];
+            const stage = (name) => async (_ctx, next) => {
+                calls.push(`${name}:before`);
+                await next();
+                calls.push(`${name}:after`);
+            };
+            const route = async () => {
+                calls.push('route');
+                return { statusCode: 200, body: 'ok' };
+            };
+
+            const handler = createHandler(route, [stage('outer'), stage('inner')]);
+            await handler(event);
+
+            expect(calls).toEqual([
+                'outer:before',
+                'inner:before',
+                'route',
+                'inner:after',
+                'outer:after',
+            ]);
+        });
+
+        it('should default statusCode and headers on route results', async () => {
+            const handler = createHandler(async () => ({ body: 'ok' }));
+
+            const response = await handler(event);
+
+            expect(response.statusCode).toBe(200);
+            expect(response.headers).toEqual({});
+        });
+
+        it('should let a stage short-circuit the route', async () => {
+            const route = jest.fn();
+            const shortCircuit = async (ctx) => {
+                ctx.response = { statusCode: 204, headers: {} };
+            };
+
+            const handler = createHandler(route, [shortCircuit]);
+            const response = await handler(event);
+
+            expect(response.statusCode).toBe(204);
+            expect(route).not.toHaveBeenCalled();
+        });
+
+        it('should answer errors that escape every stage with an internal error', async () => {
+            const failingStage = async () => {
+                throw new Error('Parameter Store unreachable');
+            };
+            const handler = createHandler(
+                async () => ({ body: 'ok' }),
+                [
+                    requestId(),
+                    failingStage,
+                    errorHandler({ message: 'Failed', toResponse: () => ({ statusCode: 400 }) }),
+                ]
+            );
+
+            const response = await handler(event);
+
+            expect(response.statusCode).toBe(500);
+            expect(response.headers).toMatchObject({
+                'Content-Type': 'application/problem+json',
+                'X-Request-Id': 'pipeline-test-123',
+            });
+            expect(JSON.parse(response.body)).toMatchObject({
+                type: 'urn:hello-world-api:problem:internal-error',
+                status: 500,
+                instance: '/test',
+                requestId: 'pipeline-test-123',
+            });
+            expect(JSON.parse(response.body).detail).not.toContain('Parameter Store');
+            expect(JSON.parse(console.log.mock.calls[0][0])).toMatchObject({
+                level: 'ERROR',
+                message: 'Unhandled error in handler pipeline',
+                error: 'Parameter Store unreachable',
+                requestId: 'pipeline-test-123',
+            });
+        });
+
+        it('should keep the status of HttpErrors that escape every stage', async () => {
+            const handler = createHandler(
+                async () => ({ body: 'ok' }),
+                [
+                    async () => {
+                        throw new ForbiddenError('Origin not allowed');
+                    },
+                ]
+            );
+
+            const response = await handler(event);
+
+            expect(response.statusCode).toBe(403);
+            expect(JSON.parse(response.body).detail).toBe('Origin not allowed');
+        });
+
+        it('should answer events that cannot be normalized', async () => {
+            const route = jest.fn();
+            const handler = createHandler(route, [requestId()]);
+
+            const response = await handler(
+                { httpMethod: 'GET', path: '/test', multiValueHeaders: { Accept: 'text/html' } },
+                { awsRequestId: 'lambda-req-1' }
+            );
+
+            expect(route).not.toHaveBeenCalled();
+            expect(response.statusCode).toBe(500);
+            expect(response.headers['X-Request-Id']).toBe('lambda-req-1');
+            expect(JSON.parse(response.body).requestId).toBe('lambda-req-1');
+        });
+    });
+
+    describe('appendVary', () => {
+        it('should add names once, case-insensitively', () => {
+            const headers = {};
+
+            appendVary(headers, 'Accept');
+            appendVary(headers, 'Origin');
+            appendVary(headers, 'accept');
+
+            expect(headers.Vary).toBe('Accept, Origin');
+        });
+    });
+
+    describe('requestId', () => {
+        it('should expose the request ID and echo it in headers', async () => {
+            const route = jest.fn(async (ctx) => ({ body: ctx.requestId }));
+
+            const response = await createHandler(route, [requestId()])(event);
+
+            expect(response.body).toBe('pipeline-test-123');
+            expect(response.headers['X-Request-Id']).toBe('pipeline-test-123');
+        });
+
+        it('should fall back to the Lambda request ID, then unknown', async () => {
+            const handler = createHandler(async () => ({}), [requestId()]);
+            const albEvent = { httpMethod: 'GET', path: '/test' };
+
+            const fromContext = await handler(albEvent, { awsRequestId: 'lambda-request-7' });
+            const response = await handler(albEvent);
+
+            expect(fromContext.headers['X-Request-Id']).toBe('lambda-request-7');
+            expect(response.headers['X-Request-Id']).toBe('unknown');
+        });
+
+        it("should echo the caller's correlation ID and add it to log records", async () => {
+            const handler = createHandler(
+                async (ctx) => {
+                    ctx.logger.info('Inside route');
+                    return {};
+                },
+                [requestId()]
+            );
+
+            const response = await handler({
+                ...event,
+                headers: { 'x-correlation-id': 'checkout-42' },
+            });
+
+            expect(response.headers['X-Correlation-Id']).toBe('checkout-42');
+            const record = JSON.parse(console.log.mock.calls[0][0]);
+            expect(record).toMatchObject({
+                message: 'Inside route',
+                requestId: 'pipeline-test-123',
+                correlationId: 'checkout-42',
+            });
+            expect(typeof record.coldStart).toBe('boolean');
+        });
+
+        it('should create a correlation ID when none or a malformed one is sent', async () => {
+            const handler = createHandler(async () => ({}), [requestId()]);
+
+            const missing = await handler(event);
+            const malformed = await handler({
+                ...event,
+                headers: { 'X-Correlation-Id': 'forged\n{"level":"ERROR"}' },
+            });
+
+            const uuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+            expect(missing.headers['X-Correlation-Id']).toMatch(uuid);
+            expect(malformed.headers['X-Correlation-Id']).toMatch(uuid);
+        });
+    });
+
+    describe('jsonBody', () => {
+        it('should serialize object bodies', async () => {
+            const handler = createHandler(async () => ({ body: { ok: true } }), [jsonBody()]);
+
+            const response = await handler(event);
+
+            expect(response.body).toBe('{"ok":true}');
+        });
+
+        it('should leave string bodies untouched', async () => {
+            const handler = createHandler(async () => ({ body: 'plain' }), [jsonBody()]);
+
+            const response = await handler(event);
+
+            expect(response.body).toBe('plain');
+        });
+    });
+
+    describe('responseHeaders', () => {
+        it('should add headers without overriding route headers', async () => {
+            const route = async () => ({ headers: { 'Content-Type': 'text/plain' } });
+            const handler = createHandler(route, [
+                responseHeaders({ 'Content-Type': 'application/json', 'X-Extra': 'yes' }),
+            ]);
+
+            const response = await handler(event);
+
+            expect(response.headers['Content-Type']).toBe('text/plain');
+            expect(response.headers['X-Extra']).toBe('yes');
+        });
+    });
+
+    describe('errorHandler', () => {
+        it('should map thrown errors to a response and log them', async () => {
+            const route = async () => {
+                throw new Error('Route exploded');
+            };
+            const handler = createHandler(route, [
+                requestId(),
+                errorHandler({
+                    message: 'Route failed',
+                    toResponse: (error, ctx) => ({
+                        statusCode: 500,
+                        body: { error: error.message, requestId: ctx.requestId },
+                    }),
+                }),
+            ]);
+
+            const response = await handler(event);
+
+            expect(response.statusCode).toBe(500);
+            expect(response.body).toEqual({
+                error: 'Route exploded',
+                requestId: 'pipeline-test-123',
+            });
+            expect(response.headers['X-Request-Id']).toBe('pipeline-test-123');
+
+            const errorLog = JSON.parse(console.log.mock.calls[0][0]);
+            expect(errorLog.level).toBe('ERROR');
+            expect(errorLog.message).toBe('Route failed');
+            expect(errorLog.error).toBe('Route exploded');
+            expect(errorLog.stack).toBeDefined();
+        });
+    });
+
+    describe('timing', () => {
+        it('should report processing time in a header', async () => {
+            const handler = createHandler(async () => ({}), [timing()]);
+
+            const response = await handler(event);
+
+            expect(response.headers['X-Processing-Time']).toMatch(/^\d+ms$/);
+        });
+
+        it('should skip the header when disabled', async () => {
+            const handler = createHandler(async () => ({}), [timing({ header: null })]);
+
+            const response = await handler(event);
+
+            expect(response.headers['X-Processing-Time']).toBeUndefined();
+        });
+    });
+
+    describe('logging', () => {
+        it('should log the request and the response', async () => {
+            const handler = createHandler(
+                async () => ({ body: { status: 'ok' } }),
+                [
+                    requestId(),
+                    logging({
+                        requestMessage: 'Request received',
+                        responseMessage: 'Request completed',
+                        requestFields: () => ({ extra: 'field' }),
+                        responseFields: (ctx) => ({ status: ctx.response.body.status }),
+                    }),
+                ]
+            );
+
+            await handler(event);
+
+            const [requestLog, responseLog] = console.log.mock.calls.map((call) =>
+                JSON.parse(call[0])
+            );
+            expect(requestLog).toMatchObject({
+                level: 'INFO',
+                message: 'Request received',
+                requestId: 'pipeline-test-123',
+                path: '/test',
+                method: 'GET',
+                extra: 'field',
+            });
+            expect(responseLog).toMatchObject({
+                level: 'INFO',
+                message: 'Request completed',
+                requestId: 'pipeline-test-123',
+                status: 'ok',
+            });
+        });
+    });
+});
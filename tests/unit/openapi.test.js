@@ -0,0 +1,317 @@
+/**
+ * Unit tests for OpenAPI request validation and response conformance
+ */
+
+const bundledDocument = require('../../src/config/openapi.json');
+const { loadTemplate } = require('../../scripts/template');
+const { extractOpenApi } = require('../../scripts/build-openapi');
+const {
+    getOperation,
+    validateRequest,
+    validateResponse,
+    requestValidation,
+} = require('../../src/lib/openapi');
+const { ValidationError } = require('../../src/lib/errors');
+const { normalizeRequest } = require('../../src/lib/events');
+const hello = require('../../src/handlers/hello');
+const health = require('../../src/handlers/health');
+
+describe('OpenAPI Validation', () => {
+    // Mock console.log to prevent cluttering test output
+    const originalConsoleLog = console.log;
+    beforeAll(() => {
+        console.log = jest.fn();
+    });
+    afterAll(() => {
+        console.log = originalConsoleLog;
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        delete process.env.CORS_ALLOWED_ORIGINS;
+    });
+
+    const document = {
+        paths: {
+            '/items/{id}': {
+                parameters: [
+                    { name: 'id', in: 'path', required: true, schema: { type: 'integer' } },
+                ],
+                put: {
+                    parameters: [
+                        { $ref: '#/components/parameters/Version' },
+                        {
+                            name: 'dryRun',
+                            in: 'query',
+                            schema: { type: 'boolean' },
+                        },
+                    ],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: { $ref: '#/components/schemas/Item' },
+                            },
+                        },
+                    },
+                    responses: {
+                        200: {
+                            description: 'Updated',
+                            content: {
+                                'application/json': {
+                                    schema: { $ref: '#/components/schemas/Item' },
+                                },
+                            },
+                        },
+                        204: { description: 'Dry run accepted' },
+                    },
+                },
+            },
+        },
+        components: {
+            parameters: {
+                Version: {
+                    name: 'X-Version',
+                    in: 'header',
+                    required: true,
+                    schema: { type: 'string', enum: ['1', '2'] },
+                },
+            },
+            schemas: {
+                Item: {
+                    type: 'object',
+                    required: ['name'],
+                    properties: {
+                        name: { type: 'string', maxLength: 5 },
+                        tags: { type: 'array', items: { type: 'string' } },
+                    },
+                },
+            },
+        },
+    };
+    const operation = getOperation('/items/{id}', 'PUT', document);
+    const request = (overrides) =>
+        normalizeRequest({
+            pathParameters: { id: '7' },
+            headers: { 'x-version': '2' },
+            queryStringParameters: null,
+            body: JSON.stringify({ name: 'pen' }),
+            ...overrides,
+        });
+
+    describe('getOperation', () => {
+        it('should merge path-level and referenced parameters', () => {
+            expect(operation.parameters.map((parameter) => parameter.name)).toEqual([
+                'id',
+                'X-Version',
+                'dryRun',
+            ]);
+        });
+
+        it('should throw for undeclared operations', () => {
+            expect(() => getOperation('/items/{id}', 'DELETE', document)).toThrow(
+                'OpenAPI document has no operation DELETE /items/{id}'
+            );
+        });
+    });
+
+    describe('validateRequest', () => {
+        it('should accept a valid request and return the parsed body', () => {
+            const result = validateRequest(
+                request({ queryStringParameters: { dryRun: 'true' } }),
+                operation,
+                document
+            );
+
+            expect(result).toEqual({ errors: [], body: { name: 'pen' } });
+        });
+
+        it('should list every violated field', () => {
+            const { errors } = validateRequest(
+                request({
+                    pathParameters: { id: 'abc' },
+                    headers: {},
+                    queryStringParameters: { dryRun: 'maybe' },
+                    body: JSON.stringify({ name: 'notebook', tags: ['a', 1] }),
+                }),
+                operation,
+                document
+            );
+
+            expect(errors).toEqual([
+                { field: 'id', in: 'path', message: "Path parameter 'id' must be of type integer" },
+                { field: 'X-Version', in: 'header', message: "Header 'X-Version' is required" },
+                {
+                    field: 'dryRun',
+                    in: 'query',
+                    message: "Query parameter 'dryRun' must be of type boolean",
+                },
+                {
+                    field: 'name',
+                    in: 'body',
+                    message: "Request body field 'name' must be at most 5 characters",
+                },
+                {
+                    field: 'tags.1',
+                    in: 'body',
+                    message: "Request body field 'tags.1' must be of type string",
+                },
+            ]);
+        });
+
+        it('should check enums on headers', () => {
+            const { errors } = validateRequest(
+                request({ headers: { 'X-Version': '3' } }),
+                operation,
+                document
+            );
+
+            expect(errors[0].message).toBe("Header 'X-Version' must be one of: 1, 2");
+        });
+
+        it('should require a body when the operation does', () => {
+            const { errors } = validateRequest(request({ body: null }), operation, document);
+
+            expect(errors).toEqual([
+                { field: 'body', in: 'body', message: 'Request body is required' },
+            ]);
+        });
+
+        it('should reject malformed JSON and decode base64 bodies', () => {
+            const malformed = validateRequest(request({ body: '{' }), operation, document);
+            const encoded = validateRequest(
+                request({
+                    body: Buffer.from(JSON.stringify({ name: 'cup' })).toString('base64'),
+                    isBase64Encoded: true,
+                }),
+                operation,
+                document
+            );
+
+            expect(malformed.errors[0].message).toBe('Request body must be valid JSON');
+            expect(encoded).toEqual({ errors: [], body: { name: 'cup' } });
+        });
+    });
+
+    describe('requestValidation stage', () => {
+        it('should throw a ValidationError listing the violations', async () => {
+            const stage = requestValidation({ path: '/items/{id}', method: 'PUT', document });
+            const ctx = { request: request({ headers: {} }), state: {} };
+
+            const error = await stage(ctx, jest.fn()).catch((e) => e);
+
+            expect(error).toBeInstanceOf(ValidationError);
+            expect(error.message).toBe("Header 'X-Version' is required");
+            expect(error.errors).toHaveLength(1);
+        });
+
+        it('should expose the parsed body to later stages', async () => {
+            const stage = requestValidation({ path: '/items/{id}', method: 'PUT', document });
+            const ctx = { request: request(), state: {} };
+            const next = jest.fn();
+
+            await stage(ctx, next);
+
+            expect(next).toHaveBeenCalled();
+            expect(ctx.state.body).toEqual({ name: 'pen' });
+        });
+    });
+
+    describe('validateResponse', () => {
+        it('should check JSON bodies against the declared schema', () => {
+            const response = {
+                statusCode: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ tags: [] }),
+            };
+
+            expect(validateResponse(response, operation, document)).toEqual([
+                "Response field 'name' is required",
+            ]);
+        });
+
+        it('should report undeclared statuses and content types', () => {
+            expect(validateResponse({ statusCode: 500 }, operation, document)).toEqual([
+                'Status 500 is not declared',
+            ]);
+            expect(
+                validateResponse(
+                    { statusCode: 200, headers: { 'Content-Type': 'text/csv' }, body: '' },
+                    operation,
+                    document
+                )
+            ).toEqual(["Content-Type 'text/csv' is not declared for status 200"]);
+        });
+    });
+
+    describe('Bundled document', () => {
+        it('should match the DefinitionBody in template.yaml (run npm run openapi)', () => {
+            expect(bundledDocument).toEqual(extractOpenApi(loadTemplate()));
+        });
+    });
+
+    describe('GET /hello', () => {
+        const helloEvent = (queryStringParameters) => ({
+            httpMethod: 'GET',
+            path: '/hello',
+            queryStringParameters,
+            requestContext: { requestId: 'test-openapi', identity: { sourceIp: '198.51.100.8' } },
+        });
+
+        it('should reject invalid query parameters and list every field', async () => {
+            const response = await hello.handler(helloEvent({ name: 'a'.repeat(51), lang: '!!' }));
+
+            expect(response.statusCode).toBe(400);
+            const body = JSON.parse(response.body);
+            expect(body.errors.map((error) => error.field)).toEqual(['name', 'lang']);
+            expect(body.detail).toContain("Query parameter 'lang' must match pattern");
+            expect(validateResponse(response, getOperation('/hello', 'GET'))).toEqual([]);
+        });
+
+        it('should return a greeting that conforms to the spec', async () => {
+            const response = await hello.handler(helloEvent({ name: 'Ada', lang: 'fr' }));
+
+            expect(response.statusCode).toBe(200);
+            expect(validateResponse(response, getOperation('/hello', 'GET'))).toEqual([]);
+        });
+
+        it('should return each version in the format its path documents', async () => {
+            for (const path of ['/v1/hello', '/v2/hello']) {
+                const response = await hello.handler({ ...helloEvent({ name: 'Ada' }), path });
+
+                expect(response.statusCode).toBe(200);
+                expect(validateResponse(response, getOperation(path, 'GET'))).toEqual([]);
+            }
+        });
+    });
+
+    describe('GET /health', () => {
+        const healthEvent = (path) => ({
+            httpMethod: 'GET',
+            path,
+            requestContext: { requestId: 'test-openapi' },
+        });
+
+        it('should return a liveness body that conforms to the spec', async () => {
+            const response = await health.live(healthEvent('/health/live'));
+
+            expect(response.statusCode).toBe(200);
+            expect(validateResponse(response, getOperation('/health/live', 'GET'))).toEqual([]);
+        });
+
+        it('should return a readiness body that conforms to the spec', async () => {
+            health.probes.register('optional', async () => 'warning', { critical: false });
+            try {
+                const response = await health.ready(healthEvent('/health/ready'));
+
+                expect(response.statusCode).toBe(200);
+                expect(validateResponse(response, getOperation('/health/ready', 'GET'))).toEqual(
+                    []
+                );
+                expect(validateResponse(response, getOperation('/health', 'GET'))).toEqual([]);
+            } finally {
+                health.probes.unregister('optional');
+            }
+        });
+    });
+});
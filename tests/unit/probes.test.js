@@ -0,0 +1,236 @@
+/**
+ * Unit tests for the health probe registry and probe factories
+ */
+
+const { DescribeTableCommand } = require('@aws-sdk/client-dynamodb');
+const {
+    createProbeRegistry,
+    aggregateStatus,
+    memoryProbe,
+    dynamoDbTableProbe,
+    httpProbe,
+    configProbe,
+} = require('../../src/lib/probes');
+
+describe('Health Probes', () => {
+    describe('createProbeRegistry', () => {
+        it('should run probes in parallel and report latency', async () => {
+            const registry = createProbeRegistry();
+            const events = [];
+            const probe = (name) => async () => {
+                events.push(`${name}:start`);
+                await new Promise((resolve) => setTimeout(resolve, 20));
+                events.push(`${name}:end`);
+                return 'healthy';
+            };
+            registry.register('first', probe('first'));
+            registry.register('second', probe('second'));
+
+            const checks = await registry.run();
+
+            expect(events.slice(0, 2)).toEqual(['first:start', 'second:start']);
+            expect(Object.keys(checks)).toEqual(['first', 'second']);
+            expect(checks.first.status).toBe('healthy');
+            expect(checks.first.latencyMs).toBeGreaterThanOrEqual(15);
+        });
+
+        it('should merge details returned by a probe', async () => {
+            const registry = createProbeRegistry();
+            registry.register('table', async () => ({ status: 'healthy', tableStatus: 'ACTIVE' }), {
+                critical: false,
+            });
+
+            const { table } = await registry.run();
+
+            expect(table).toMatchObject({
+                status: 'healthy',
+                critical: false,
+                tableStatus: 'ACTIVE',
+            });
+        });
+
+        it('should run probes in spans when given a tracer', async () => {
+            const registry = createProbeRegistry();
+            const spans = [];
+            const tracer = {
+                trace: async (name, work) => {
+                    const span = {
+                        setAttributes: jest.fn(),
+                        setError: jest.fn(),
+                        headers: () => ({ traceparent: 'parent-header' }),
+                    };
+                    spans.push({ name, span });
+                    return work(span);
+                },
+            };
+            const check = jest.fn(async () => {
+                throw new Error('refused');
+            });
+            registry.register('downstream', check, { critical: false });
+
+            const { downstream } = await registry.run({ tracer });
+
+            expect(downstream.status).toBe('unhealthy');
+            expect(check).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    traceHeaders: { traceparent: 'parent-header' },
+                })
+            );
+            expect(spans[0].name).toBe('probe downstream');
+            expect(spans[0].span.setAttributes).toHaveBeenCalledWith({
+                critical: false,
+                status: 'unhealthy',
+            });
+            expect(spans[0].span.setError).toHaveBeenCalledWith('refused');
+        });
+
+        it('should abort and fail probes that time out', async () => {
+            const registry = createProbeRegistry();
+            let receivedSignal;
+            registry.register(
+                'slow',
+                ({ signal }) => {
+                    receivedSignal = signal;
+                    return new Promise(() => {});
+                },
+                { timeoutMs: 10 }
+            );
+
+            const { slow } = await registry.run();
+
+            expect(slow.status).toBe('unhealthy');
+            expect(slow.error).toBe('Probe timed out after 10ms');
+            expect(receivedSignal.aborted).toBe(true);
+        });
+
+        it('should reject invalid statuses', async () => {
+            const registry = createProbeRegistry();
+            registry.register('odd', async () => 'fine');
+
+            const { odd } = await registry.run();
+
+            expect(odd.status).toBe('unhealthy');
+            expect(odd.error).toBe("Probe returned invalid status 'fine'");
+        });
+
+        it('should list and unregister probes', () => {
+            const registry = createProbeRegistry();
+            registry.register('a', async () => 'healthy');
+            registry.register('b', async () => 'healthy');
+
+            registry.unregister('a');
+
+            expect(registry.list().map((probe) => probe.name)).toEqual(['b']);
+        });
+    });
+
+    describe('aggregateStatus', () => {
+        it('should be healthy when nothing failed', () => {
+            expect(aggregateStatus({ a: { status: 'warning', critical: true } })).toEqual({
+                status: 'healthy',
+                statusCode: 200,
+            });
+        });
+
+        it('should be degraded when only non-critical probes failed', () => {
+            expect(
+                aggregateStatus({
+                    a: { status: 'healthy', critical: true },
+                    b: { status: 'unhealthy', critical: false },
+                })
+            ).toEqual({ status: 'degraded', statusCode: 200 });
+        });
+
+        it('should be unhealthy when a critical probe failed', () => {
+            expect(
+                aggregateStatus({
+                    a: { status: 'unhealthy', critical: true },
+                    b: { status: 'unhealthy', critical: false },
+                })
+            ).toEqual({ status: 'unhealthy', statusCode: 503 });
+        });
+    });
+
+    describe('memoryProbe', () => {
+        it('should scale thresholds with the configured memory size', async () => {
+            const spy = jest.spyOn(process, 'memoryUsage').mockReturnValue({
+                heapUsed: 200 * 1024 * 1024,
+            });
+
+            expect(await memoryProbe({ memoryMb: 128 })()).toBe('unhealthy');
+            expect(await memoryProbe({ memoryMb: 256 })()).toBe('warning');
+            expect(await memoryProbe({ memoryMb: 1024 })()).toBe('healthy');
+
+            spy.mockRestore();
+        });
+    });
+
+    describe('dynamoDbTableProbe', () => {
+        it('should describe the table and require ACTIVE status', async () => {
+            const client = {
+                send: jest.fn(async () => ({ Table: { TableStatus: 'UPDATING' } })),
+            };
+            const signal = new AbortController().signal;
+
+            const result = await dynamoDbTableProbe({ tableName: 'greetings', client })({ signal });
+
+            expect(result).toEqual({ status: 'unhealthy', tableStatus: 'UPDATING' });
+            const [command, options] = client.send.mock.calls[0];
+            expect(command).toBeInstanceOf(DescribeTableCommand);
+            expect(command.input).toEqual({ TableName: 'greetings' });
+            expect(options.abortSignal).toBe(signal);
+        });
+    });
+
+    describe('httpProbe', () => {
+        it('should be healthy for 2xx responses', async () => {
+            const fetchImpl = jest.fn(async () => ({ ok: true, status: 204 }));
+
+            const result = await httpProbe({ url: 'https://example.com/ping', fetchImpl })({});
+
+            expect(result).toEqual({ status: 'healthy', httpStatus: 204 });
+            expect(fetchImpl).toHaveBeenCalledWith('https://example.com/ping', {
+                method: 'GET',
+                signal: undefined,
+            });
+        });
+
+        it('should send trace headers when given', async () => {
+            const fetchImpl = jest.fn(async () => ({ ok: true, status: 200 }));
+
+            await httpProbe({ url: 'https://example.com', fetchImpl })({
+                traceHeaders: { traceparent: 'parent-header' },
+            });
+
+            expect(fetchImpl.mock.calls[0][1].headers).toEqual({ traceparent: 'parent-header' });
+        });
+
+        it('should be unhealthy for error responses', async () => {
+            const fetchImpl = jest.fn(async () => ({ ok: false, status: 502 }));
+
+            const result = await httpProbe({ url: 'https://example.com', fetchImpl })({});
+
+            expect(result).toEqual({ status: 'unhealthy', httpStatus: 502 });
+        });
+    });
+
+    describe('configProbe', () => {
+        it('should pass when required keys are present', async () => {
+            const probe = configProbe({
+                load: async () => ({ region: 'us-east-1' }),
+                requiredKeys: ['region'],
+            });
+
+            expect(await probe()).toBe('healthy');
+        });
+
+        it('should fail listing missing keys', async () => {
+            const probe = configProbe({
+                load: async () => ({ region: '' }),
+                requiredKeys: ['region', 'table'],
+            });
+
+            await expect(probe()).rejects.toThrow('Missing configuration: region, table');
+        });
+    });
+});
@@ -0,0 +1,209 @@
+/**
+ * Unit tests for RFC 7807 problem details and the error hierarchy
+ */
+
+const {
+    HttpError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    NotAcceptableError,
+    ConflictError,
+    GoneError,
+    PreconditionFailedError,
+    PreconditionRequiredError,
+    IdempotencyKeyReusedError,
+    TooManyRequestsError,
+    InternalError,
+    UpstreamError,
+    ServiceUnavailableError,
+} = require('../../src/lib/errors');
+const {
+    toProblem,
+    problemResponse,
+    problemContentType,
+    isProblemResponse,
+} = require('../../src/lib/problem');
+const { createHandler, errorHandler } = require('../../src/lib/middleware');
+const { contentNegotiation } = require('../../src/lib/content-negotiation');
+
+describe('Problem Details', () => {
+    // Mock console.log to prevent cluttering test output
+    const originalConsoleLog = console.log;
+    beforeAll(() => {
+        console.log = jest.fn();
+    });
+    afterAll(() => {
+        console.log = originalConsoleLog;
+    });
+
+    beforeEach(() => {
+        delete process.env.ENVIRONMENT;
+    });
+
+    const ctx = { request: { path: '/hello' }, requestId: 'req-1' };
+
+    describe('error hierarchy', () => {
+        it.each([
+            [new ValidationError('Bad name'), 400, 'validation-error', 'Validation Failed'],
+            [new UnauthorizedError(), 401, 'unauthorized', 'Unauthorized'],
+            [new ForbiddenError('No'), 403, 'forbidden', 'Forbidden'],
+            [new NotFoundError(), 404, 'not-found', 'Not Found'],
+            [new NotAcceptableError(['application/json']), 406, 'not-acceptable', 'Not Acceptable'],
+            [new ConflictError('Version mismatch'), 409, 'conflict', 'Conflict'],
+            [new GoneError('Version 0 was retired'), 410, 'gone', 'Gone'],
+            [new PreconditionFailedError(), 412, 'precondition-failed', 'Precondition Failed'],
+            [
+                new PreconditionRequiredError(),
+                428,
+                'precondition-required',
+                'Precondition Required',
+            ],
+            [
+                new IdempotencyKeyReusedError(),
+                422,
+                'idempotency-key-reused',
+                'Idempotency Key Reused',
+            ],
+            [new TooManyRequestsError(), 429, 'rate-limited', 'Rate Limit Exceeded'],
+            [new InternalError(), 500, 'internal-error', 'Internal Server Error'],
+            [new UpstreamError(), 502, 'upstream-failure', 'Upstream Failure'],
+            [new ServiceUnavailableError(), 503, 'service-unavailable', 'Service Unavailable'],
+        ])('should describe %p', (error, status, slug, title) => {
+            expect(error).toBeInstanceOf(HttpError);
+            expect(error.statusCode).toBe(status);
+            expect(error.type).toBe(`urn:hello-world-api:problem:${slug}`);
+            expect(error.title).toBe(title);
+        });
+
+        it('should use about:blank and the status phrase for plain HttpErrors', () => {
+            const error = new HttpError(418, 'Short and stout');
+
+            expect(error.type).toBe('about:blank');
+            expect(error.title).toBe("I'm a Teapot");
+        });
+
+        it('should keep the underlying cause', () => {
+            const cause = new Error('socket hang up');
+
+            expect(new UpstreamError('Directory lookup failed', cause).cause).toBe(cause);
+        });
+    });
+
+    describe('toProblem', () => {
+        it('should include the standard members and the request ID', () => {
+            expect(toProblem(new NotFoundError('No greeting 42'), ctx)).toEqual({
+                type: 'urn:hello-world-api:problem:not-found',
+                title: 'Not Found',
+                status: 404,
+                detail: 'No greeting 42',
+                instance: '/hello',
+                requestId: 'req-1',
+            });
+        });
+
+        it('should add extension members', () => {
+            const errors = [{ field: 'name', in: 'query', message: 'bad' }];
+
+            expect(toProblem(new ValidationError('bad', errors), ctx).errors).toEqual(errors);
+            expect(toProblem(new NotAcceptableError(['text/html']), ctx).supportedTypes).toEqual([
+                'text/html',
+            ]);
+        });
+
+        it('should map unknown errors to a generic internal error', () => {
+            const problem = toProblem(new Error('password=hunter2'), ctx);
+
+            expect(problem.status).toBe(500);
+            expect(problem.type).toBe('urn:hello-world-api:problem:internal-error');
+            expect(problem.detail).toBe('An error occurred while processing your request');
+        });
+
+        it('should use the fallback for unknown errors', () => {
+            const problem = toProblem(new Error('boom'), ctx, {
+                fallback: (cause) => new ServiceUnavailableError('Try later', cause),
+            });
+
+            expect(problem.status).toBe(503);
+            expect(problem.detail).toBe('Try later');
+        });
+
+        it('should include stacks of server errors only in dev', () => {
+            const error = new Error('boom');
+
+            expect(toProblem(error, ctx).stack).toContain('boom');
+            expect(toProblem(new ForbiddenError('No'), ctx).stack).toBeUndefined();
+
+            for (const environment of ['staging', 'prod']) {
+                process.env.ENVIRONMENT = environment;
+                expect(toProblem(error, ctx).stack).toBeUndefined();
+            }
+        });
+
+        it('should report the stack of the underlying cause', () => {
+            const error = new UpstreamError('Failed', new Error('socket hang up'));
+
+            const problem = toProblem(error, ctx);
+
+            expect(problem.stack).toContain('socket hang up');
+        });
+    });
+
+    describe('problemResponse', () => {
+        it('should build an application/problem+json response with the error headers', () => {
+            const response = problemResponse(
+                new TooManyRequestsError('Slow down', { 'Retry-After': '5' }),
+                ctx
+            );
+
+            expect(response.statusCode).toBe(429);
+            expect(response.headers).toEqual({
+                'Content-Type': 'application/problem+json',
+                'Retry-After': '5',
+            });
+            expect(response.body.detail).toBe('Slow down');
+            expect(isProblemResponse(response)).toBe(true);
+        });
+    });
+
+    describe('problemContentType', () => {
+        it('should map JSON and XML to their problem types', () => {
+            expect(problemContentType('application/json')).toBe('application/problem+json');
+            expect(problemContentType('application/xml; charset=utf-8')).toBe(
+                'application/problem+xml'
+            );
+            expect(problemContentType('text/plain; charset=utf-8')).toBe(
+                'text/plain; charset=utf-8'
+            );
+        });
+    });
+
+    describe('with content negotiation', () => {
+        const handler = createHandler(async () => {
+            throw new ConflictError('Greeting was modified');
+        }, [
+            contentNegotiation(),
+            errorHandler({ message: 'Failed', toResponse: problemResponse }),
+        ]);
+
+        it('should render problems as application/problem+xml', async () => {
+            const response = await handler({
+                path: '/greetings/1',
+                headers: { Accept: 'application/xml' },
+            });
+
+            expect(response.statusCode).toBe(409);
+            expect(response.headers['Content-Type']).toBe('application/problem+xml');
+            expect(response.body).toContain('<problem>');
+            expect(response.body).toContain('<detail>Greeting was modified</detail>');
+        });
+
+        it('should keep application/problem+json for JSON clients', async () => {
+            const response = await handler({ path: '/greetings/1' });
+
+            expect(response.headers['Content-Type']).toBe('application/problem+json');
+            expect(JSON.parse(response.body).instance).toBe('/greetings/1');
+        });
+    });
+});
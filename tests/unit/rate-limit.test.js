@@ -0,0 +1,393 @@
+/**
+ * Unit tests for rate limiting algorithms, counter stores and the middleware stage
+ *
+ * The DynamoDB Local suite runs when DYNAMODB_ENDPOINT is set, e.g.
+ *   docker run -p 8000:8000 amazon/dynamodb-local
+ *   DYNAMODB_ENDPOINT=http://localhost:8000 npx jest tests/unit/rate-limit.test.js
+ */
+
+const {
+    CreateTableCommand,
+    DeleteTableCommand,
+    DynamoDBClient,
+    UpdateItemCommand,
+    PutItemCommand,
+} = require('@aws-sdk/client-dynamodb');
+const {
+    fixedWindow,
+    tokenBucket,
+    resolveClient,
+    resolvePolicy,
+    rateLimit,
+    createMemoryStore,
+    createDynamoDbStore,
+} = require('../../src/lib/rate-limit');
+const { createHandler, errorHandler } = require('../../src/lib/middleware');
+const { normalizeRequest } = require('../../src/lib/events');
+const { TooManyRequestsError } = require('../../src/lib/errors');
+
+const T0 = Date.UTC(2026, 0, 1, 12, 0, 0);
+
+describe('Rate Limiting', () => {
+    const originalConsoleLog = console.log;
+    beforeAll(() => {
+        console.log = jest.fn();
+    });
+    afterAll(() => {
+        console.log = originalConsoleLog;
+    });
+
+    describe('fixedWindow', () => {
+        const policy = { limit: 3, windowSeconds: 60 };
+
+        it('should allow requests up to the limit and then deny', async () => {
+            const store = createMemoryStore({ now: () => T0 });
+            const decisions = [];
+            for (let i = 0; i < 4; i++) {
+                decisions.push(await fixedWindow(store, 'client', policy, T0 + 15000));
+            }
+
+            expect(decisions.map((d) => d.allowed)).toEqual([true, true, true, false]);
+            expect(decisions.map((d) => d.remaining)).toEqual([2, 1, 0, 0]);
+            expect(decisions[3].resetSeconds).toBe(45);
+            expect(decisions[3].retryAfter).toBe(45);
+        });
+
+        it('should start a fresh count in the next window', async () => {
+            const store = createMemoryStore({ now: () => T0 });
+            for (let i = 0; i < 3; i++) {
+                await fixedWindow(store, 'client', policy, T0);
+            }
+
+            const decision = await fixedWindow(store, 'client', policy, T0 + 60000);
+
+            expect(decision.allowed).toBe(true);
+            expect(decision.remaining).toBe(2);
+        });
+    });
+
+    describe('tokenBucket', () => {
+        const policy = { capacity: 2, refillPerSecond: 0.5 };
+
+        it('should drain the bucket and refill it over time', async () => {
+            let now = T0;
+            const store = createMemoryStore({ now: () => now });
+
+            expect((await tokenBucket(store, 'client', policy, now)).allowed).toBe(true);
+            expect((await tokenBucket(store, 'client', policy, now)).allowed).toBe(true);
+            const denied = await tokenBucket(store, 'client', policy, now);
+            expect(denied.allowed).toBe(false);
+            expect(denied.remaining).toBe(0);
+            expect(denied.retryAfter).toBe(2);
+
+            now += 2000;
+            const refilled = await tokenBucket(store, 'client', policy, now);
+            expect(refilled.allowed).toBe(true);
+            expect(refilled.remaining).toBe(0);
+        });
+
+        it('should retry when another writer updates the bucket first', async () => {
+            const store = createMemoryStore({ now: () => T0 });
+            const put = jest.spyOn(store, 'put').mockResolvedValueOnce(false);
+
+            const decision = await tokenBucket(store, 'client', policy, T0);
+
+            expect(decision.allowed).toBe(true);
+            expect(put).toHaveBeenCalledTimes(2);
+        });
+
+        it('should give up after repeated conflicts', async () => {
+            const store = createMemoryStore({ now: () => T0 });
+            jest.spyOn(store, 'put').mockResolvedValue(false);
+
+            await expect(tokenBucket(store, 'client', policy, T0)).rejects.toThrow(
+                /kept conflicting/
+            );
+        });
+    });
+
+    describe('createMemoryStore', () => {
+        it('should expire items at their expiry time', async () => {
+            let now = T0;
+            const store = createMemoryStore({ now: () => now });
+            await store.increment('key', { expiresAt: T0 / 1000 + 10 });
+            await store.increment('key', { expiresAt: T0 / 1000 + 10 });
+
+            now += 10000;
+
+            expect(await store.increment('key', { expiresAt: T0 / 1000 + 20 })).toBe(1);
+        });
+
+        it('should sweep expired items of other clients on writes', async () => {
+            let now = T0;
+            const store = createMemoryStore({ now: () => now });
+            for (let client = 0; client < 100; client++) {
+                await store.increment(`ip:${client}`, { expiresAt: T0 / 1000 + 10 });
+            }
+            await store.increment('ip:long-lived', { expiresAt: T0 / 1000 + 3600 });
+
+            // Within the sweep interval expired items wait for the next sweep
+            now += 30000;
+            await store.increment('ip:late', { expiresAt: now / 1000 + 60 });
+            expect(store.size()).toBe(102);
+
+            now += 30000;
+            await store.increment('ip:later', { expiresAt: now / 1000 + 10 });
+            expect(store.size()).toBe(3);
+        });
+
+        it('should reject writes with a stale version', async () => {
+            const store = createMemoryStore();
+            const expiresAt = Date.now() / 1000 + 60;
+
+            expect(await store.put('key', { tokens: 1 }, { expiresAt })).toBe(true);
+            expect(await store.put('key', { tokens: 2 }, { expiresAt })).toBe(false);
+            expect(await store.put('key', { tokens: 3 }, { expectedVersion: 1, expiresAt })).toBe(
+                true
+            );
+            expect(await store.get('key')).toEqual({ value: { tokens: 3 }, version: 2 });
+        });
+    });
+
+    describe('createDynamoDbStore', () => {
+        it('should increment counters atomically and set the TTL on creation', async () => {
+            const client = {
+                send: jest.fn().mockResolvedValue({ Attributes: { count: { N: '7' } } }),
+            };
+            const store = createDynamoDbStore({ tableName: 'RateLimits', client });
+
+            const count = await store.increment('GET /hello|ip:1.2.3.4#100', { expiresAt: 160 });
+
+            expect(count).toBe(7);
+            const command = client.send.mock.calls[0][0];
+            expect(command).toBeInstanceOf(UpdateItemCommand);
+            expect(command.input).toMatchObject({
+                TableName: 'RateLimits',
+                Key: { pk: { S: 'GET /hello|ip:1.2.3.4#100' } },
+                ExpressionAttributeValues: { ':one': { N: '1' }, ':expiresAt': { N: '160' } },
+            });
+            expect(command.input.UpdateExpression).toContain('if_not_exists(expiresAt');
+        });
+
+        it('should write state conditionally on its version', async () => {
+            const client = { send: jest.fn().mockResolvedValue({}) };
+            const store = createDynamoDbStore({ tableName: 'RateLimits', client });
+
+            await store.put('bucket', { tokens: 1 }, { expectedVersion: 3, expiresAt: 200 });
+
+            const command = client.send.mock.calls[0][0];
+            expect(command).toBeInstanceOf(PutItemCommand);
+            expect(command.input.ConditionExpression).toBe('version = :version');
+            expect(command.input.Item.version).toEqual({ N: '4' });
+            expect(command.input.ExpressionAttributeValues).toEqual({ ':version': { N: '3' } });
+        });
+
+        it('should report a lost compare-and-set as false', async () => {
+            const conflict = Object.assign(new Error('conflict'), {
+                name: 'ConditionalCheckFailedException',
+            });
+            const client = { send: jest.fn().mockRejectedValue(conflict) };
+            const store = createDynamoDbStore({ tableName: 'RateLimits', client });
+
+            expect(await store.put('bucket', {}, { expiresAt: 200 })).toBe(false);
+            expect(client.send.mock.calls[0][0].input.ConditionExpression).toBe(
+                'attribute_not_exists(pk)'
+            );
+        });
+
+        it('should read state as JSON with its version', async () => {
+            const client = {
+                send: jest.fn().mockResolvedValue({
+                    Item: { state: { S: '{"tokens":1.5}' }, version: { N: '2' } },
+                }),
+            };
+            const store = createDynamoDbStore({ tableName: 'RateLimits', client });
+
+            expect(await store.get('bucket')).toEqual({ value: { tokens: 1.5 }, version: 2 });
+            expect(client.send.mock.calls[0][0].input.ConsistentRead).toBe(true);
+        });
+    });
+
+    const describeLocal = process.env.DYNAMODB_ENDPOINT ? describe : describe.skip;
+
+    describeLocal('createDynamoDbStore against DynamoDB Local', () => {
+        const tableName = `rate-limit-test-${Date.now()}`;
+        let client;
+        let store;
+
+        beforeAll(async () => {
+            client = new DynamoDBClient({
+                endpoint: process.env.DYNAMODB_ENDPOINT,
+                region: 'us-east-1',
+                credentials: { accessKeyId: 'local', secretAccessKey: 'local' },
+            });
+            await client.send(
+                new CreateTableCommand({
+                    TableName: tableName,
+                    AttributeDefinitions: [{ AttributeName: 'pk', AttributeType: 'S' }],
+                    KeySchema: [{ AttributeName: 'pk', KeyType: 'HASH' }],
+                    BillingMode: 'PAY_PER_REQUEST',
+                })
+            );
+            store = createDynamoDbStore({ tableName, client });
+        });
+
+        afterAll(async () => {
+            await client.send(new DeleteTableCommand({ TableName: tableName }));
+            client.destroy();
+        });
+
+        it('should enforce a fixed window', async () => {
+            const policy = { limit: 2, windowSeconds: 60 };
+            const allowed = [];
+            for (let i = 0; i < 3; i++) {
+                allowed.push((await fixedWindow(store, 'local', policy, T0)).allowed);
+            }
+            expect(allowed).toEqual([true, true, false]);
+        });
+
+        it('should enforce a token bucket', async () => {
+            const policy = { capacity: 1, refillPerSecond: 1 };
+            expect((await tokenBucket(store, 'local-bucket', policy, T0)).allowed).toBe(true);
+            expect((await tokenBucket(store, 'local-bucket', policy, T0)).allowed).toBe(false);
+            expect((await tokenBucket(store, 'local-bucket', policy, T0 + 1000)).allowed).toBe(
+                true
+            );
+        });
+    });
+
+    describe('resolveClient', () => {
+        const request = (headers, identity) =>
+            normalizeRequest({ headers, requestContext: { identity } });
+
+        it('should ignore X-Api-Key headers', () => {
+            const spoofed = (apiKey) =>
+                resolveClient({
+                    request: request({ 'x-api-key': apiKey }, { sourceIp: '1.2.3.4' }),
+                });
+
+            expect(spoofed('random-1')).toEqual({ key: 'ip:1.2.3.4', tier: 'anonymous' });
+            expect(spoofed('random-2')).toEqual(spoofed('random-1'));
+            expect(
+                resolveClient({
+                    request: request({ 'x-api-key': 'random-3' }, { sourceIp: '1.2.3.4' }),
+                    principal: { subject: 'user-123' },
+                })
+            ).toEqual({ key: 'sub:user-123', tier: 'standard' });
+        });
+
+        it('should fall back to the JWT subject and its tier', () => {
+            const client = resolveClient({
+                request: request({}, { sourceIp: '1.2.3.4' }),
+                principal: { subject: 'user-123', tier: 'premium' },
+            });
+
+            expect(client).toEqual({ key: 'sub:user-123', tier: 'premium' });
+        });
+
+        it('should treat unidentified callers as anonymous by source IP', () => {
+            const client = resolveClient({ request: request({}, { sourceIp: '1.2.3.4' }) });
+
+            expect(client).toEqual({ key: 'ip:1.2.3.4', tier: 'anonymous' });
+        });
+    });
+
+    describe('resolvePolicy', () => {
+        const limits = {
+            defaults: { standard: { algorithm: 'fixed-window', limit: 1, windowSeconds: 1 } },
+            routes: {
+                'GET /hello': {
+                    standard: { algorithm: 'fixed-window', limit: 5, windowSeconds: 1 },
+                    premium: { algorithm: 'fixed-window', limit: 50, windowSeconds: 1 },
+                },
+            },
+        };
+
+        it('should pick the route policy for the tier', () => {
+            expect(resolvePolicy(limits, 'GET /hello', 'premium').limit).toBe(50);
+        });
+
+        it('should fall back to the standard tier and to the defaults', () => {
+            expect(resolvePolicy(limits, 'GET /hello', 'gold').limit).toBe(5);
+            expect(resolvePolicy(limits, 'GET /other', 'premium').limit).toBe(1);
+        });
+    });
+
+    describe('rateLimit stage', () => {
+        const limits = {
+            defaults: {
+                anonymous: { algorithm: 'fixed-window', limit: 1, windowSeconds: 60 },
+            },
+        };
+        const event = { requestContext: { identity: { sourceIp: '10.0.0.1' } } };
+        const buildHandler = (store) =>
+            createHandler(
+                async () => ({ body: 'ok' }),
+                [
+                    errorHandler({
+                        message: 'Failed',
+                        toResponse: (error) => ({
+                            statusCode: error.statusCode,
+                            body: error.message,
+                        }),
+                    }),
+                    rateLimit({ route: 'GET /test', limits, store }),
+                ]
+            );
+
+        it('should add RateLimit headers and reject with Retry-After once exhausted', async () => {
+            const handler = buildHandler(createMemoryStore());
+
+            const first = await handler(event);
+            const second = await handler(event);
+
+            expect(first.statusCode).toBe(200);
+            expect(first.headers['RateLimit-Limit']).toBe('1');
+            expect(first.headers['RateLimit-Remaining']).toBe('0');
+            expect(first.headers['RateLimit-Policy']).toBe('1;w=60');
+            expect(second.statusCode).toBe(429);
+            expect(Number(second.headers['Retry-After'])).toBeGreaterThan(0);
+            expect(second.headers['RateLimit-Remaining']).toBe('0');
+        });
+
+        it('should not open a new counter for each spoofed X-Api-Key', async () => {
+            const handler = buildHandler(createMemoryStore());
+            const withKey = (apiKey) => ({ ...event, headers: { 'X-Api-Key': apiKey } });
+
+            const first = await handler(withKey('random-1'));
+            const second = await handler(withKey('random-2'));
+
+            expect(first.statusCode).toBe(200);
+            expect(second.statusCode).toBe(429);
+        });
+
+        it('should throw a TooManyRequestsError carrying the headers', async () => {
+            const stage = rateLimit({ route: 'GET /test', limits, store: createMemoryStore() });
+            const ctx = { request: normalizeRequest(event), response: undefined };
+            await stage(ctx, async () => {
+                ctx.response = { statusCode: 200, headers: {} };
+            });
+
+            const error = await stage(ctx, async () => {}).catch((e) => e);
+
+            expect(error).toBeInstanceOf(TooManyRequestsError);
+            expect(error.statusCode).toBe(429);
+            expect(error.headers['Retry-After']).toBeDefined();
+        });
+
+        it('should let requests through when the store fails', async () => {
+            const store = { increment: jest.fn().mockRejectedValue(new Error('table missing')) };
+            const handler = buildHandler(store);
+
+            const response = await handler(event);
+
+            expect(response.statusCode).toBe(200);
+            expect(response.headers['RateLimit-Limit']).toBeUndefined();
+            const warning = console.log.mock.calls
+                .map(([line]) => JSON.parse(line))
+                .find((entry) => entry.message === 'Rate limit check failed');
+            expect(warning.level).toBe('WARN');
+            expect(warning.error).toBe('table missing');
+        });
+    });
+});
@@ -0,0 +1,133 @@
+/**
+ * Unit tests for schema validation
+ */
+
+const { resolveRef, validateSchema } = require('../../src/lib/schema');
+
+describe('Schema Validation', () => {
+    const root = {
+        components: {
+            schemas: {
+                Item: {
+                    type: 'object',
+                    required: ['id'],
+                    properties: { id: { type: 'integer', minimum: 1 } },
+                },
+            },
+        },
+    };
+
+    describe('resolveRef', () => {
+        it('should resolve local references', () => {
+            expect(resolveRef(root, '#/components/schemas/Item').required).toEqual(['id']);
+        });
+
+        it('should reject unknown and remote references', () => {
+            expect(() => resolveRef(root, '#/components/schemas/Missing')).toThrow(
+                'Unresolvable reference'
+            );
+            expect(() => resolveRef(root, 'other.yaml#/Item')).toThrow('Only local references');
+        });
+    });
+
+    describe('validateSchema', () => {
+        it('should accept values that match', () => {
+            const schema = { type: 'string', minLength: 1, maxLength: 5, pattern: '^[a-z]+$' };
+
+            expect(validateSchema(schema, 'abc')).toEqual([]);
+        });
+
+        it('should report type mismatches without checking further constraints', () => {
+            const errors = validateSchema({ type: 'string', minLength: 3 }, 42);
+
+            expect(errors).toEqual([{ path: [], message: 'must be of type string' }]);
+        });
+
+        it('should treat integers as numbers but not the reverse', () => {
+            expect(validateSchema({ type: 'number' }, 3)).toEqual([]);
+            expect(validateSchema({ type: 'integer' }, 3.5)).toHaveLength(1);
+        });
+
+        it('should report every violated string constraint', () => {
+            const schema = { type: 'string', maxLength: 3, pattern: '^[a-z]+$', enum: ['ab'] };
+
+            const messages = validateSchema(schema, 'ABCD').map((error) => error.message);
+
+            expect(messages).toEqual([
+                'must be one of: ab',
+                'must be at most 3 characters',
+                'must match pattern ^[a-z]+$',
+            ]);
+        });
+
+        it('should count characters by code point', () => {
+            expect(validateSchema({ type: 'string', maxLength: 2 }, '😀😀')).toEqual([]);
+        });
+
+        it('should check date-time formats', () => {
+            const schema = { type: 'string', format: 'date-time' };
+
+            expect(validateSchema(schema, '2024-01-01T12:00:00.000Z')).toEqual([]);
+            expect(validateSchema(schema, 'yesterday')[0].message).toBe('must be a date-time');
+        });
+
+        it('should check number and array bounds', () => {
+            expect(validateSchema({ type: 'integer', minimum: 1, maximum: 5 }, 9)[0].message).toBe(
+                'must be at most 5'
+            );
+            expect(validateSchema({ type: 'array', minItems: 1 }, [])[0].message).toBe(
+                'must have at least 1 items'
+            );
+        });
+
+        it('should report nested paths for objects and arrays', () => {
+            const schema = { type: 'array', items: { $ref: '#/components/schemas/Item' } };
+
+            const errors = validateSchema(schema, [{ id: 1 }, { id: 0 }, {}], { root });
+
+            expect(errors).toEqual([
+                { path: ['1', 'id'], message: 'must be at least 1' },
+                { path: ['2', 'id'], message: 'is required' },
+            ]);
+        });
+
+        it('should apply additionalProperties', () => {
+            const closed = { type: 'object', properties: { a: {} }, additionalProperties: false };
+            const typed = { type: 'object', additionalProperties: { type: 'boolean' } };
+
+            expect(validateSchema(closed, { a: 1, b: 2 })).toEqual([
+                { path: ['b'], message: 'is not allowed' },
+            ]);
+            expect(validateSchema(typed, { flag: 'yes' })).toEqual([
+                { path: ['flag'], message: 'must be of type boolean' },
+            ]);
+        });
+
+        it('should not mistake Object.prototype members for declared properties', () => {
+            const closed = {
+                type: 'object',
+                required: ['toString'],
+                properties: { a: {} },
+                additionalProperties: false,
+            };
+            const body = JSON.parse('{"a": 1, "constructor": 1, "__proto__": {}}');
+
+            expect(validateSchema(closed, body)).toEqual([
+                { path: ['toString'], message: 'is required' },
+                { path: ['constructor'], message: 'is not allowed' },
+                { path: ['__proto__'], message: 'is not allowed' },
+            ]);
+        });
+
+        it('should allow null for nullable schemas', () => {
+            expect(validateSchema({ type: 'string', nullable: true }, null)).toEqual([]);
+            expect(validateSchema({ type: 'string' }, null)).toHaveLength(1);
+        });
+
+        it('should apply every allOf schema', () => {
+            const schema = { allOf: [{ type: 'object', required: ['a'] }, { required: ['b'] }] };
+
+            expect(validateSchema(schema, {}).map((error) => error.path)).toEqual([['a'], ['b']]);
+        });
+    });
+});
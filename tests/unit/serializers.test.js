@@ -0,0 +1,90 @@
+/**
+ * Unit tests for response serializers
+ */
+
+const {
+    escapeMarkup,
+    toText,
+    toXml,
+    toHtml,
+    registerSerializer,
+    getSerializer,
+    supportedMediaTypes,
+} = require('../../src/lib/serializers');
+
+describe('Serializers', () => {
+    const payload = {
+        status: 'healthy',
+        checks: {
+            memory: 'healthy',
+        },
+        tags: ['a', 'b'],
+    };
+
+    describe('toText', () => {
+        it('should flatten nested payloads into dotted key lines', () => {
+            expect(toText(payload)).toBe(
+                'status: healthy\nchecks.memory: healthy\ntags.0: a\ntags.1: b\n'
+            );
+        });
+
+        it('should render scalars on a single line', () => {
+            expect(toText('ok')).toBe('ok\n');
+        });
+    });
+
+    describe('toXml', () => {
+        it('should render nested elements under the root', () => {
+            expect(toXml(payload, { root: 'health' })).toBe(
+                '<?xml version="1.0" encoding="UTF-8"?>\n' +
+                    '<health><status>healthy</status><checks><memory>healthy</memory></checks>' +
+                    '<tags><item>a</item><item>b</item></tags></health>\n'
+            );
+        });
+
+        it('should escape text and sanitize element names', () => {
+            const xml = toXml({ '1st key': '<b>&</b>' });
+
+            expect(xml).toContain('<_1st_key>&lt;b&gt;&amp;&lt;/b&gt;</_1st_key>');
+        });
+    });
+
+    describe('toHtml', () => {
+        it('should render a self-contained page with escaped values', () => {
+            const html = toHtml({ message: '<script>alert(1)</script>' }, { title: 'Hello' });
+
+            expect(html).toMatch(/^<!DOCTYPE html>/);
+            expect(html).toContain('<title>Hello</title>');
+            expect(html).toContain('<dt>message</dt>');
+            expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+            expect(html).not.toContain('<script>');
+        });
+    });
+
+    describe('escapeMarkup', () => {
+        it('should escape quotes for attribute safety', () => {
+            expect(escapeMarkup(`"it's"`)).toBe('&quot;it&#39;s&quot;');
+        });
+    });
+
+    describe('Registry', () => {
+        it('should list the built-in media types with JSON first', () => {
+            expect(supportedMediaTypes()).toEqual([
+                'application/json',
+                'text/plain',
+                'application/xml',
+                'text/html',
+            ]);
+        });
+
+        it('should accept additional serializers', () => {
+            registerSerializer('text/csv', {
+                contentType: 'text/csv',
+                serialize: (body) => Object.values(body).join(','),
+            });
+
+            expect(getSerializer('TEXT/CSV').serialize({ a: 1, b: 2 })).toBe('1,2');
+            expect(supportedMediaTypes()).toContain('text/csv');
+        });
+    });
+});
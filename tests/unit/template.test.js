@@ -0,0 +1,102 @@
+/**
+ * Unit tests for template loading and local evaluation of intrinsic functions
+ */
+
+const yaml = require('js-yaml');
+const { CFN_SCHEMA, loadTemplate, createResolver } = require('../../scripts/template');
+
+describe('Template', () => {
+    const template = yaml.load(
+        `
+Parameters:
+  Environment:
+    Type: String
+    Default: dev
+  TableName:
+    Type: String
+    Default: ''
+Conditions:
+  HasTable: !Not [!Equals [!Ref TableName, '']]
+  IsProd: !Equals [!Ref Environment, prod]
+Mappings:
+  EnvironmentConfig:
+    dev: { Origins: '*' }
+    prod: { Origins: 'https://app.example.com' }
+Resources:
+  Fn:
+    Properties:
+      Name: !Sub 'api-\${Environment}-\${AWS::Region}'
+      Table: !Ref Table
+      Arn: !GetAtt Table.Arn
+      Origins: !FindInMap [EnvironmentConfig, !Ref Environment, Origins]
+      Mode: !If [IsProd, strict, relaxed]
+      Policies:
+        - Base
+        - !If [HasTable, TablePolicy, !Ref AWS::NoValue]
+      Tags: !Join ['-', [a, !Select [1, !Split [',', 'x,y']]]]
+      Custom: !Sub ['\${Greeting}!', { Greeting: !Ref Environment }]
+`,
+        { schema: CFN_SCHEMA }
+    );
+
+    describe('loadTemplate', () => {
+        it('should parse short-form intrinsics in template.yaml', () => {
+            const { Resources } = loadTemplate();
+
+            expect(Resources.HelloWorldFunction.Properties.FunctionName).toEqual({
+                'Fn::Sub': 'hello-world-${Environment}',
+            });
+        });
+    });
+
+    describe('template.yaml', () => {
+        it('should require the expected JWT issuer and audience', () => {
+            const { Parameters } = loadTemplate();
+
+            for (const name of ['JwtIssuer', 'JwtAudience']) {
+                expect(Parameters[name]).not.toHaveProperty('Default');
+                expect(Parameters[name].MinLength).toBe(1);
+            }
+        });
+    });
+
+    describe('createResolver', () => {
+        it('should evaluate intrinsics with parameter defaults', () => {
+            const properties = createResolver(template)(template.Resources.Fn.Properties);
+
+            expect(properties).toEqual({
+                Name: 'api-dev-us-east-1',
+                Table: '',
+                Arn: '',
+                Origins: '*',
+                Mode: 'relaxed',
+                Policies: ['Base'],
+                Tags: 'a-y',
+                Custom: 'dev!',
+            });
+        });
+
+        it('should apply parameter overrides to conditions and mappings', () => {
+            const resolve = createResolver(template, {
+                parameterOverrides: { Environment: 'prod', TableName: 'readiness' },
+            });
+
+            const properties = resolve(template.Resources.Fn.Properties);
+
+            expect(properties.Origins).toBe('https://app.example.com');
+            expect(properties.Mode).toBe('strict');
+            expect(properties.Policies).toEqual(['Base', 'TablePolicy']);
+        });
+
+        it('should reject intrinsics it cannot evaluate', () => {
+            const resolve = createResolver(template);
+
+            expect(() => resolve({ 'Fn::ImportValue': 'shared' })).toThrow(
+                'Intrinsic Fn::ImportValue cannot be evaluated locally'
+            );
+            expect(() => resolve({ 'Fn::If': ['Missing', 'a', 'b'] })).toThrow(
+                'Unknown condition Missing'
+            );
+        });
+    });
+});
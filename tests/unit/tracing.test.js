@@ -0,0 +1,232 @@
+/**
+ * Unit tests for trace context propagation and spans
+ */
+
+const { createHandler, requestId } = require('../../src/lib/middleware');
+const { normalizeRequest } = require('../../src/lib/events');
+const {
+    createTraceId,
+    parseTraceparent,
+    parseXRayHeader,
+    extractTraceContext,
+    traceHeaders,
+    createTracer,
+    tracing,
+} = require('../../src/lib/tracing');
+
+describe('Tracing', () => {
+    // Mock console.log to capture span records
+    const originalConsoleLog = console.log;
+    beforeAll(() => {
+        console.log = jest.fn();
+    });
+    afterAll(() => {
+        console.log = originalConsoleLog;
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+    const PARENT_ID = '00f067aa0ba902b7';
+    const XRAY_TRACE_ID = '5759e988bd862e3fe1be46a994272793';
+
+    const records = () => console.log.mock.calls.map(([line]) => JSON.parse(line));
+    const spans = () =>
+        records()
+            .filter((record) => record.span)
+            .map((record) => record.span);
+
+    const request = (headers) =>
+        normalizeRequest({
+            httpMethod: 'GET',
+            path: '/test',
+            headers,
+            requestContext: { requestId: 'trace-test' },
+        });
+
+    describe('parseTraceparent', () => {
+        it('should parse the trace ID, parent ID and sampled flag', () => {
+            expect(parseTraceparent(`00-${TRACE_ID}-${PARENT_ID}-01`)).toEqual({
+                traceId: TRACE_ID,
+                parentId: PARENT_ID,
+                sampled: true,
+            });
+            expect(parseTraceparent(`00-${TRACE_ID}-${PARENT_ID}-00`).sampled).toBe(false);
+        });
+
+        it('should reject malformed and all-zero values', () => {
+            expect(parseTraceparent(undefined)).toBeUndefined();
+            expect(parseTraceparent('00-abc-def-01')).toBeUndefined();
+            expect(parseTraceparent(`ff-${TRACE_ID}-${PARENT_ID}-01`)).toBeUndefined();
+            expect(parseTraceparent(`00-${'0'.repeat(32)}-${PARENT_ID}-01`)).toBeUndefined();
+            expect(parseTraceparent(`00-${TRACE_ID}-${'0'.repeat(16)}-01`)).toBeUndefined();
+        });
+    });
+
+    describe('parseXRayHeader', () => {
+        it('should convert the root to a W3C trace ID', () => {
+            expect(
+                parseXRayHeader(
+                    'Root=1-5759e988-bd862e3fe1be46a994272793;Parent=53995c3f42cd8ad8;Sampled=1'
+                )
+            ).toEqual({ traceId: XRAY_TRACE_ID, parentId: '53995c3f42cd8ad8', sampled: true });
+        });
+
+        it('should accept headers without a parent and reject invalid roots', () => {
+            expect(parseXRayHeader('Root=1-5759e988-bd862e3fe1be46a994272793')).toEqual({
+                traceId: XRAY_TRACE_ID,
+                parentId: undefined,
+                sampled: false,
+            });
+            expect(parseXRayHeader('Root=2-5759e988-bd86')).toBeUndefined();
+            expect(parseXRayHeader('Self=1-abc')).toBeUndefined();
+        });
+    });
+
+    describe('extractTraceContext', () => {
+        it('should prefer traceparent and keep its tracestate', () => {
+            const trace = extractTraceContext(
+                request({
+                    traceparent: `00-${TRACE_ID}-${PARENT_ID}-01`,
+                    tracestate: 'vendor=abc',
+                    'X-Amzn-Trace-Id': 'Root=1-5759e988-bd862e3fe1be46a994272793',
+                }),
+                {}
+            );
+
+            expect(trace).toEqual({
+                traceId: TRACE_ID,
+                parentId: PARENT_ID,
+                spanId: expect.stringMatching(/^[0-9a-f]{16}$/),
+                sampled: true,
+                traceState: 'vendor=abc',
+            });
+            expect(trace.spanId).not.toBe(PARENT_ID);
+        });
+
+        it('should fall back to X-Amzn-Trace-Id and then the Lambda trace header', () => {
+            const fromHeader = extractTraceContext(
+                request({
+                    'X-Amzn-Trace-Id': 'Root=1-5759e988-bd862e3fe1be46a994272793;Sampled=1',
+                }),
+                {}
+            );
+            const fromEnv = extractTraceContext(request({}), {
+                _X_AMZN_TRACE_ID:
+                    'Root=1-5759e988-bd862e3fe1be46a994272793;Parent=53995c3f42cd8ad8',
+            });
+
+            expect(fromHeader.traceId).toBe(XRAY_TRACE_ID);
+            expect(fromEnv).toMatchObject({ traceId: XRAY_TRACE_ID, parentId: '53995c3f42cd8ad8' });
+        });
+
+        it('should start a new X-Ray compatible trace without incoming context', () => {
+            const trace = extractTraceContext(request({ tracestate: 'orphan=1' }), {});
+
+            expect(trace.traceId).toMatch(/^[0-9a-f]{32}$/);
+            expect(trace.parentId).toBeUndefined();
+            expect(trace.traceState).toBeUndefined();
+            expect(createTraceId(new Date('2016-06-09T22:11:20Z')).slice(0, 8)).toBe('5759e988');
+        });
+    });
+
+    describe('traceHeaders', () => {
+        it('should continue the trace in both formats', () => {
+            const trace = { traceId: XRAY_TRACE_ID, spanId: PARENT_ID, sampled: true };
+
+            expect(traceHeaders(trace, '53995c3f42cd8ad8')).toEqual({
+                traceparent: `00-${XRAY_TRACE_ID}-53995c3f42cd8ad8-01`,
+                'X-Amzn-Trace-Id':
+                    'Root=1-5759e988-bd862e3fe1be46a994272793;Parent=53995c3f42cd8ad8;Sampled=1',
+            });
+        });
+    });
+
+    describe('createTracer', () => {
+        const trace = { traceId: TRACE_ID, spanId: PARENT_ID, sampled: true };
+
+        it('should record spans as log records', async () => {
+            const times = [10, 12.5];
+            const tracer = createTracer({ trace, now: () => times.shift() });
+
+            const result = await tracer.trace(
+                'load config',
+                async (span) => {
+                    span.setAttributes({ source: 'ssm' });
+                    return 'done';
+                },
+                { key: 'greeting' }
+            );
+
+            expect(result).toBe('done');
+            expect(spans()).toEqual([
+                {
+                    name: 'load config',
+                    traceId: TRACE_ID,
+                    spanId: expect.stringMatching(/^[0-9a-f]{16}$/),
+                    parentSpanId: PARENT_ID,
+                    startTime: expect.any(String),
+                    durationMs: 2.5,
+                    status: 'ok',
+                    attributes: { key: 'greeting', source: 'ssm' },
+                },
+            ]);
+        });
+
+        it('should mark failed spans and rethrow', async () => {
+            const tracer = createTracer({ trace });
+
+            await expect(
+                tracer.trace('fail', async () => {
+                    throw new Error('boom');
+                })
+            ).rejects.toThrow('boom');
+
+            expect(spans()[0]).toMatchObject({ name: 'fail', status: 'error', error: 'boom' });
+        });
+
+        it('should end a span once', () => {
+            const span = createTracer({ trace }).startSpan('once');
+
+            span.end();
+            span.end();
+
+            expect(spans()).toHaveLength(1);
+        });
+    });
+
+    describe('tracing stage', () => {
+        it('should add the trace ID to logs and response headers', async () => {
+            const handler = createHandler(
+                async (ctx) => {
+                    ctx.logger.info('Inside route');
+                    await ctx.tracer.trace('work', async () => {});
+                    return { statusCode: 201 };
+                },
+                [requestId(), tracing({ route: 'GET /test' })]
+            );
+
+            const response = await handler({
+                httpMethod: 'GET',
+                path: '/test',
+                headers: { traceparent: `00-${TRACE_ID}-${PARENT_ID}-01` },
+                requestContext: { requestId: 'trace-test' },
+            });
+
+            expect(response.headers['X-Trace-Id']).toBe(TRACE_ID);
+            for (const record of records()) {
+                expect(record.traceId).toBe(TRACE_ID);
+                expect(record.requestId).toBe('trace-test');
+            }
+            const [work, route] = spans();
+            expect(route).toMatchObject({
+                name: 'GET /test',
+                parentSpanId: PARENT_ID,
+                attributes: { statusCode: 201 },
+            });
+            expect(work.parentSpanId).toBe(route.spanId);
+        });
+    });
+});
@@ -0,0 +1,158 @@
+/**
+ * Unit tests for API version resolution and deprecation signaling
+ */
+
+const {
+    resolveVersion,
+    deprecationHeaders,
+    apiVersioning,
+    versionedRoute,
+} = require('../../src/lib/versioning');
+const { createHandler, errorHandler } = require('../../src/lib/middleware');
+const { ValidationError, NotFoundError } = require('../../src/lib/errors');
+
+const registry = {
+    defaultVersion: '2',
+    versions: {
+        1: { status: 'retired', sunsetAt: '2026-01-01T00:00:00Z', successor: '2' },
+        2: {
+            status: 'deprecated',
+            deprecatedAt: '2026-10-01T00:00:00Z',
+            sunsetAt: '2027-04-01T00:00:00Z',
+            successor: '3',
+            link: 'https://example.com/migrating-to-v3',
+        },
+        3: { status: 'current' },
+    },
+};
+
+describe('API Versioning', () => {
+    // Mock console.log to prevent cluttering test output
+    const originalConsoleLog = console.log;
+    beforeAll(() => {
+        console.log = jest.fn();
+    });
+    afterAll(() => {
+        console.log = originalConsoleLog;
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('resolveVersion', () => {
+        const request = (path, headers = {}) => ({ path, headers });
+
+        it('should prefer the path over headers', () => {
+            expect(resolveVersion(request('/v3/hello', { 'Accept-Version': '2' }), registry)).toBe(
+                '3'
+            );
+            expect(resolveVersion(request('/dev/v3/hello'), registry)).toBe('3');
+        });
+
+        it('should fall back to Accept-Version, then the Accept version parameter', () => {
+            expect(resolveVersion(request('/hello', { 'accept-version': 'v3' }), registry)).toBe(
+                '3'
+            );
+            expect(
+                resolveVersion(
+                    request('/hello', {
+                        Accept: 'text/html;q=0.5, application/json; version="3"',
+                    }),
+                    registry
+                )
+            ).toBe('3');
+            expect(
+                resolveVersion(request('/hello', { Accept: 'application/json' }), registry)
+            ).toBe('2');
+        });
+
+        it('should reject unknown versions', () => {
+            expect(() => resolveVersion(request('/v9/hello'), registry)).toThrow(NotFoundError);
+            expect(() =>
+                resolveVersion(request('/hello', { 'Accept-Version': '9' }), registry)
+            ).toThrow(ValidationError);
+            expect(() =>
+                resolveVersion(
+                    request('/hello', {
+                        Accept: 'application/json; version=latest',
+                    }),
+                    registry
+                )
+            ).toThrow("Unsupported API version 'latest'; supported versions: 1, 2, 3");
+        });
+    });
+
+    describe('deprecationHeaders', () => {
+        it('should announce deprecation, sunset and successor', () => {
+            expect(deprecationHeaders(registry.versions[2], '/hello')).toEqual({
+                Deprecation: '@1790812800',
+                Sunset: 'Thu, 01 Apr 2027 00:00:00 GMT',
+                Link:
+                    '</v3/hello>; rel="successor-version", ' +
+                    '<https://example.com/migrating-to-v3>; rel="deprecation"',
+            });
+        });
+
+        it('should send nothing for current versions', () => {
+            expect(deprecationHeaders(registry.versions[3], '/hello')).toEqual({});
+        });
+    });
+
+    describe('apiVersioning stage', () => {
+        const handler = createHandler(
+            versionedRoute({
+                2: async () => ({ body: 'two' }),
+                3: async () => ({ body: 'three' }),
+            }),
+            [
+                errorHandler({
+                    message: 'Failed',
+                    toResponse: (error) => ({
+                        statusCode: error.statusCode,
+                        headers: error.headers,
+                        body: error.message,
+                    }),
+                }),
+                apiVersioning({ path: '/hello', registry }),
+            ]
+        );
+        const event = (path, headers = {}) => ({ httpMethod: 'GET', path, headers });
+
+        it('should run the implementation of the resolved version', async () => {
+            const response = await handler(event('/v3/hello'));
+
+            expect(response.body).toBe('three');
+            expect(response.headers['Api-Version']).toBe('3');
+            expect(response.headers.Deprecation).toBeUndefined();
+            expect(response.headers.Vary).toBeUndefined();
+        });
+
+        it('should signal deprecation and vary unversioned paths on Accept-Version', async () => {
+            const response = await handler(event('/hello'));
+
+            expect(response.body).toBe('two');
+            expect(response.headers['Api-Version']).toBe('2');
+            expect(response.headers.Deprecation).toBe('@1790812800');
+            expect(response.headers.Sunset).toBe('Thu, 01 Apr 2027 00:00:00 GMT');
+            expect(response.headers.Link).toContain('</v3/hello>; rel="successor-version"');
+            expect(response.headers.Vary).toBe('Accept-Version');
+        });
+
+        it('should answer retired versions with 410 and a successor link', async () => {
+            const response = await handler(event('/hello', { 'Accept-Version': '1' }));
+
+            expect(response.statusCode).toBe(410);
+            expect(response.body).toBe('API version 1 has been retired; use version 2');
+            expect(response.headers.Link).toBe('</v2/hello>; rel="successor-version"');
+        });
+
+        it('should fail when a registered version has no implementation', async () => {
+            const route = versionedRoute({ 3: async () => ({}) });
+
+            expect(() => route({ apiVersion: '2' })).toThrow(
+                'No implementation registered for API version 2'
+            );
+        });
+    });
+});
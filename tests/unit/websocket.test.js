@@ -0,0 +1,362 @@
+/**
+ * Unit tests for the WebSocket route handler, the health broadcaster and the
+ * management client
+ */
+
+const {
+    PostToConnectionCommand,
+    DeleteConnectionCommand,
+} = require('@aws-sdk/client-apigatewaymanagementapi');
+const { createWebSocketHandler, createHealthBroadcaster } = require('../../src/handlers/websocket');
+const { createMemoryRegistry } = require('../../src/lib/connections');
+const {
+    managementEndpoint,
+    createManagementClient,
+    getManagementClient,
+} = require('../../src/lib/websocket');
+
+/**
+ * Build a WebSocket API event as Lambda receives it
+ * @param {string} routeKey - $connect, $disconnect, $default or an action
+ * @param {Object} options
+ * @param {string} options.connectionId - Connection ID
+ * @param {Object|string} options.body - Message; objects are JSON-encoded
+ * @param {Object} options.authorizer - Authorizer context of $connect
+ * @returns {Object} - WebSocket event
+ */
+const wsEvent = (routeKey, { connectionId = 'conn-1', body, authorizer } = {}) => ({
+    requestContext: {
+        routeKey,
+        eventType:
+            routeKey === '$connect' || routeKey === '$disconnect'
+                ? routeKey.slice(1).toUpperCase()
+                : 'MESSAGE',
+        connectionId,
+        requestId: `req-${routeKey}`,
+        domainName: 'ws123.execute-api.ap-southeast-2.amazonaws.com',
+        stage: 'dev',
+        connectedAt: 1767268800000,
+        ...(authorizer && { authorizer }),
+    },
+    ...(body !== undefined && {
+        body: typeof body === 'string' ? body : JSON.stringify(body),
+    }),
+    isBase64Encoded: false,
+});
+
+describe('WebSocket API', () => {
+    // Mock console.log to prevent cluttering test output
+    const originalConsoleLog = console.log;
+    beforeAll(() => {
+        console.log = jest.fn();
+    });
+    afterAll(() => {
+        console.log = originalConsoleLog;
+    });
+
+    let registry;
+    let management;
+    let evaluate;
+    let handler;
+    beforeEach(() => {
+        jest.clearAllMocks();
+        registry = createMemoryRegistry();
+        management = { post: jest.fn().mockResolvedValue(true), disconnect: jest.fn() };
+        evaluate = jest.fn().mockResolvedValue({
+            status: 'healthy',
+            statusCode: 200,
+            checks: { memory: { status: 'healthy', critical: true, latencyMs: 0.4, heapMb: 12 } },
+        });
+        handler = createWebSocketHandler({ registry, management, evaluate });
+    });
+
+    const sent = () => management.post.mock.calls.map(([, message]) => message);
+    const connect = (connectionId = 'conn-1') =>
+        handler(wsEvent('$connect', { connectionId, authorizer: { principalId: 'user-123' } }));
+
+    describe('handler', () => {
+        it('should register connections on $connect and forget them on $disconnect', async () => {
+            expect(await connect()).toEqual({ statusCode: 200 });
+            await registry.subscribe('conn-1', 'health');
+            expect(await registry.subscribers('health')).toEqual([
+                {
+                    connectionId: 'conn-1',
+                    connectedAt: '2026-01-01T12:00:00.000Z',
+                    principalId: 'user-123',
+                    topic: 'health',
+                },
+            ]);
+
+            await handler(wsEvent('$disconnect'));
+
+            expect(await registry.subscribers('health')).toEqual([]);
+            expect(management.post).not.toHaveBeenCalled();
+        });
+
+        it('should reply to greet messages the way POST /hello greets', async () => {
+            await connect();
+
+            const response = await handler(
+                wsEvent('greet', {
+                    body: { action: 'greet', id: 'g-1', recipient: 'Ada', tone: 'formal' },
+                })
+            );
+
+            expect(response).toEqual({ statusCode: 200 });
+            expect(management.post).toHaveBeenCalledWith('conn-1', {
+                type: 'greeting',
+                id: 'g-1',
+                message: 'Good day, Ada.',
+                recipient: 'Ada',
+                tone: 'formal',
+                locale: 'en',
+                timestamp: expect.any(String),
+            });
+        });
+
+        it('should reply with problem details to invalid messages', async () => {
+            const response = await handler(
+                wsEvent('greet', {
+                    body: { action: 'greet', id: 'g-2', recipient: 'Ada', tone: 'rude' },
+                })
+            );
+
+            expect(response.statusCode).toBe(400);
+            expect(sent()).toEqual([
+                {
+                    type: 'error',
+                    id: 'g-2',
+                    error: expect.objectContaining({
+                        type: 'urn:hello-world-api:problem:validation-error',
+                        status: 400,
+                        detail: "Message field 'tone' must be one of: friendly, formal, enthusiastic",
+                        requestId: 'req-greet',
+                    }),
+                },
+            ]);
+        });
+
+        it('should reject unknown actions and malformed messages', async () => {
+            await handler(wsEvent('$default', { body: { action: 'shout', id: 'x-1' } }));
+            await handler(wsEvent('$default', { body: 'not json' }));
+
+            expect(sent().map((message) => [message.id, message.error.detail])).toEqual([
+                ['x-1', "Unknown action 'shout'; use one of: greet, subscribe, unsubscribe"],
+                [
+                    undefined,
+                    "Message field 'action' is required; use one of: greet, subscribe, " +
+                        'unsubscribe',
+                ],
+            ]);
+        });
+
+        it('should send the current health to new subscribers', async () => {
+            await connect();
+
+            await handler(
+                wsEvent('subscribe', {
+                    body: { action: 'subscribe', id: 's-1', topic: 'health' },
+                })
+            );
+
+            expect(sent()).toEqual([
+                { type: 'subscribed', id: 's-1', topic: 'health' },
+                {
+                    type: 'health',
+                    status: 'healthy',
+                    // dev turns features.verboseHealth on, so probe details are included
+                    checks: {
+                        memory: { status: 'healthy', critical: true, latencyMs: 0.4, heapMb: 12 },
+                    },
+                    timestamp: expect.any(String),
+                },
+            ]);
+            expect(await registry.subscribers('health')).toEqual([
+                expect.objectContaining({ connectionId: 'conn-1', lastStatus: 'healthy' }),
+            ]);
+
+            await handler(
+                wsEvent('unsubscribe', {
+                    body: { action: 'unsubscribe', topic: 'health' },
+                })
+            );
+            expect(sent()[2]).toEqual({ type: 'unsubscribed', topic: 'health' });
+            expect(await registry.subscribers('health')).toEqual([]);
+        });
+
+        it('should refuse subscriptions of unknown topics and connections', async () => {
+            await connect();
+            await handler(wsEvent('subscribe', { body: { action: 'subscribe', topic: 'news' } }));
+            await handler(
+                wsEvent('subscribe', {
+                    connectionId: 'conn-unknown',
+                    body: { action: 'subscribe', topic: 'health' },
+                })
+            );
+
+            expect(sent().map((message) => message.error.status)).toEqual([400, 404]);
+            expect(evaluate).not.toHaveBeenCalled();
+        });
+
+        it('should forget connections that are gone before the reply', async () => {
+            await connect();
+            await registry.subscribe('conn-1', 'health');
+            management.post.mockResolvedValue(false);
+
+            const response = await handler(
+                wsEvent('subscribe', { body: { action: 'subscribe', topic: 'health' } })
+            );
+
+            expect(response).toEqual({ statusCode: 200 });
+            // The health update after the confirmation is not attempted
+            expect(management.post).toHaveBeenCalledTimes(1);
+            expect(await registry.subscribers('health')).toEqual([]);
+        });
+
+        it('should log replies that cannot be delivered instead of failing', async () => {
+            await connect();
+            management.post
+                .mockRejectedValueOnce(new Error('Throttling'))
+                .mockResolvedValueOnce(true);
+
+            const response = await handler(
+                wsEvent('subscribe', { body: { action: 'subscribe', topic: 'health' } })
+            );
+
+            expect(response).toEqual({ statusCode: 200 });
+            expect(sent().map((message) => message.type)).toEqual(['subscribed', 'health']);
+            const records = console.log.mock.calls.map(([line]) => JSON.parse(line));
+            expect(records).toContainEqual(
+                expect.objectContaining({
+                    level: 'WARN',
+                    message: 'WebSocket reply not delivered',
+                    type: 'subscribed',
+                    error: 'Throttling',
+                    connectionId: 'conn-1',
+                })
+            );
+        });
+
+        it('should fail $connect without replying when the registry is unavailable', async () => {
+            jest.spyOn(registry, 'add').mockRejectedValueOnce(new Error('Table not found'));
+
+            const response = await connect();
+
+            expect(response).toEqual({ statusCode: 500 });
+            expect(management.post).not.toHaveBeenCalled();
+            const record = JSON.parse(console.log.mock.calls[0][0]);
+            expect(record).toMatchObject({
+                level: 'ERROR',
+                message: 'WebSocket route failed',
+                routeKey: '$connect',
+                connectionId: 'conn-1',
+            });
+        });
+    });
+
+    describe('createHealthBroadcaster', () => {
+        const subscribe = async (connectionId, lastStatus) => {
+            await registry.add({ connectionId, connectedAt: '2026-01-01T12:00:00.000Z' });
+            await registry.subscribe(connectionId, 'health');
+            if (lastStatus) {
+                await registry.recordDelivery(connectionId, lastStatus);
+            }
+        };
+
+        it('should push status changes only to subscribers that have not seen them', async () => {
+            await subscribe('seen', 'healthy');
+            await subscribe('stale', 'unhealthy');
+            await subscribe('new');
+            const broadcast = createHealthBroadcaster({ registry, management, evaluate });
+
+            const summary = await broadcast({}, {});
+
+            expect(summary).toEqual({
+                status: 'healthy',
+                subscribers: 3,
+                sent: 2,
+                gone: 0,
+                failed: 0,
+            });
+            expect(management.post.mock.calls.map(([connectionId]) => connectionId)).toEqual([
+                'stale',
+                'new',
+            ]);
+            expect(sent()[0]).toMatchObject({ type: 'health', status: 'healthy' });
+            const statuses = (await registry.subscribers('health')).map((c) => c.lastStatus);
+            expect(statuses).toEqual(['healthy', 'healthy', 'healthy']);
+        });
+
+        it('should remove gone connections and retry failed deliveries next time', async () => {
+            await subscribe('gone', 'degraded');
+            await subscribe('throttled', 'degraded');
+            management.post.mockImplementation(async (connectionId) => {
+                if (connectionId === 'throttled') {
+                    throw new Error('LimitExceededException');
+                }
+                return false;
+            });
+            const broadcast = createHealthBroadcaster({ registry, management, evaluate });
+
+            const summary = await broadcast({}, {});
+
+            expect(summary).toMatchObject({ sent: 0, gone: 1, failed: 1 });
+            expect(await registry.subscribers('health')).toEqual([
+                expect.objectContaining({ connectionId: 'throttled', lastStatus: 'degraded' }),
+            ]);
+        });
+
+        it('should skip the readiness check without subscribers', async () => {
+            const broadcast = createHealthBroadcaster({ registry, management, evaluate });
+
+            expect(await broadcast({}, {})).toMatchObject({ subscribers: 0, sent: 0 });
+            expect(evaluate).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('management client', () => {
+        afterEach(() => {
+            delete process.env.WEBSOCKET_ENDPOINT;
+        });
+
+        it('should derive the endpoint from the event unless one is configured', () => {
+            expect(managementEndpoint(wsEvent('greet'))).toBe(
+                'https://ws123.execute-api.ap-southeast-2.amazonaws.com/dev'
+            );
+            expect(managementEndpoint()).toBeUndefined();
+
+            process.env.WEBSOCKET_ENDPOINT = 'https://ws.example.com/dev';
+            expect(managementEndpoint(wsEvent('greet'))).toBe('https://ws.example.com/dev');
+        });
+
+        it('should post JSON frames and report gone connections', async () => {
+            const gone = Object.assign(new Error('Gone'), { name: 'GoneException' });
+            const client = { send: jest.fn().mockResolvedValueOnce({}).mockRejectedValue(gone) };
+            const api = createManagementClient({ endpoint: 'https://ws.example.com/dev', client });
+
+            expect(await api.post('conn-1', { type: 'health' })).toBe(true);
+            expect(await api.disconnect('conn-1')).toBe(false);
+
+            const [post, disconnect] = client.send.mock.calls.map(([command]) => command);
+            expect(post).toBeInstanceOf(PostToConnectionCommand);
+            expect(post.input.ConnectionId).toBe('conn-1');
+            expect(JSON.parse(Buffer.from(post.input.Data).toString())).toEqual({ type: 'health' });
+            expect(disconnect).toBeInstanceOf(DeleteConnectionCommand);
+        });
+
+        it('should rethrow other errors', async () => {
+            const client = { send: jest.fn().mockRejectedValue(new Error('Forbidden')) };
+            const api = createManagementClient({ endpoint: 'https://ws.example.com/dev', client });
+
+            await expect(api.post('conn-1', {})).rejects.toThrow('Forbidden');
+        });
+
+        it('should share one SDK client per endpoint', () => {
+            const client = getManagementClient('https://ws.example.com/dev');
+
+            expect(getManagementClient('https://ws.example.com/dev')).toBe(client);
+            expect(client.endpoint).toBe('https://ws.example.com/dev');
+            expect(() => getManagementClient(undefined)).toThrow('WEBSOCKET_ENDPOINT is not set');
+        });
+    });
+});